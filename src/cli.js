@@ -0,0 +1,867 @@
+import chalk from 'chalk';
+import path from 'path';
+import { parseArgs } from 'util';
+import { EventLoopMonitor } from './core/event-loop-monitor.js';
+import { FIXTURE_CONTENTS } from './core/fixture-manager.js';
+import { THREADPOOL_OPERATIONS } from './core/threadpool-experiment.js';
+import { MemoryProfiler, MEMORY_LEAKS } from './core/memory-profiler.js';
+import { WorkerThreadManager } from './core/worker-thread-manager.js';
+import { PerformanceAnalyzer } from './core/performance-analyzer.js';
+import { V8InternalsExplorer } from './core/v8-internals-explorer.js';
+import { EventLoopPresenter } from './presenters/event-loop-presenter.js';
+import { MemoryPresenter } from './presenters/memory-presenter.js';
+import { WorkerPresenter } from './presenters/worker-presenter.js';
+import { PerformancePresenter } from './presenters/performance-presenter.js';
+import { V8Presenter } from './presenters/v8-presenter.js';
+
+// Exit codes: 0 = success, 1 = the experiment failed, 2 = bad command line
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+class UsageError extends Error {
+  constructor(message, helpText) {
+    super(message);
+    this.name = 'UsageError';
+    this.helpText = helpText;
+  }
+}
+
+// Accepts "500ms", "10s", "2m" or a bare number of seconds
+export function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new UsageError(`Invalid duration "${value}" (expected e.g. 500ms, 10s, 2m)`);
+  }
+
+  const amount = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'ms':
+      return amount;
+    case 'm':
+      return amount * 60000;
+    default:
+      return amount * 1000;
+  }
+}
+
+export function parseCount(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new UsageError(`Invalid value for --${name}: "${value}" (expected a positive integer)`);
+  }
+  return number;
+}
+
+// Accepts "512KB", "10MB", "1GB" or a bare number of bytes
+export function parseSize(value, name) {
+  const match = /^(\d+(?:\.\d+)?)(b|kb|mb|gb)?$/i.exec(String(value).trim());
+  if (!match || parseFloat(match[1]) <= 0) {
+    throw new UsageError(`Invalid value for --${name}: "${value}" (expected e.g. 64KB, 10MB, 1GB)`);
+  }
+
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.round(parseFloat(match[1]) * units[(match[2] ?? 'b').toLowerCase()]);
+}
+
+const durationOption = (description, defaultValue) => ({
+  type: 'string',
+  value: '<time>',
+  description,
+  default: defaultValue,
+});
+const sizeOption = (description, defaultValue) => ({
+  type: 'string',
+  value: '<size>',
+  description,
+  default: defaultValue,
+});
+const countOption = (description, defaultValue) => ({
+  type: 'string',
+  value: '<n>',
+  description,
+  default: defaultValue,
+});
+
+const fileOption = {
+  type: 'string',
+  value: '<path>',
+  description: 'File to read (default: a generated 10MB fixture)',
+};
+
+const COMMANDS = {
+  eventloop: {
+    description: 'Event loop & libuv experiments',
+    commands: {
+      monitor: {
+        description: 'Monitor event loop delay percentiles while background tasks run',
+        options: {
+          duration: durationOption('How long to monitor', '30s'),
+          resolution: countOption('Histogram sampling rate in milliseconds', '10'),
+          interval: durationOption('Length of each reporting window', '1s'),
+        },
+        run: ({ eventLoopMonitor }, opts) =>
+          eventLoopMonitor.startMonitoring({
+            duration: parseDuration(opts.duration),
+            resolution: parseCount(opts.resolution, 'resolution'),
+            interval: parseDuration(opts.interval),
+          }),
+      },
+      'cpu-loop': {
+        description: 'Block the event loop with a CPU-intensive loop',
+        options: { iterations: countOption('Loop iterations', '10000000000') },
+        run: ({ eventLoopMonitor }, opts) =>
+          eventLoopMonitor.cpuIntensiveLoop({ iterations: parseCount(opts.iterations, 'iterations') }),
+      },
+      'sync-read': {
+        description: 'Read a file synchronously',
+        options: { file: fileOption },
+        run: ({ eventLoopMonitor }, opts) => eventLoopMonitor.syncFileRead({ filePath: opts.file }),
+      },
+      watchdog: {
+        description: 'Capture main thread stacks while blocking code stalls the loop',
+        options: {
+          operation: {
+            type: 'string',
+            value: '<cpu-loop|sync-read>',
+            description: 'Blocking operation to run',
+            default: 'cpu-loop',
+          },
+          threshold: durationOption('Report stalls longer than this', '100ms'),
+          iterations: countOption('Loop iterations for cpu-loop', '300000000'),
+        },
+        run: ({ eventLoopMonitor }, opts) => {
+          if (!['cpu-loop', 'sync-read'].includes(opts.operation)) {
+            throw new UsageError(`Invalid value for --operation: "${opts.operation}" (expected cpu-loop or sync-read)`);
+          }
+          return eventLoopMonitor.detectBlocking({
+            operation: opts.operation,
+            threshold: parseDuration(opts.threshold),
+            iterations: parseCount(opts.iterations, 'iterations'),
+          });
+        },
+      },
+      'async-read': {
+        description: 'Read a file asynchronously',
+        options: { file: fileOption },
+        run: ({ eventLoopMonitor }, opts) => eventLoopMonitor.asyncFileRead({ filePath: opts.file }),
+      },
+      'file-reads': {
+        description: 'Compare sync, promise, streamed and concurrent reads of a generated file',
+        options: {
+          size: sizeOption('Size of the generated file', '50MB'),
+          content: {
+            type: 'string',
+            value: '<text|random|zeros>',
+            description: 'Content of the generated file',
+            default: 'text',
+          },
+          'high-water-marks': {
+            type: 'string',
+            value: '<sizes>',
+            description: 'Comma-separated stream chunk sizes',
+            default: '16KB,64KB,1MB',
+          },
+          concurrency: countOption('Number of concurrent reads', '4'),
+        },
+        run: ({ eventLoopMonitor }, opts) => {
+          if (!FIXTURE_CONTENTS.includes(opts.content)) {
+            throw new UsageError(
+              `Invalid value for --content: "${opts.content}" (expected ${FIXTURE_CONTENTS.join(', ')})`,
+            );
+          }
+          return eventLoopMonitor.compareFileReads({
+            size: parseSize(opts.size, 'size'),
+            content: opts.content,
+            highWaterMarks: opts['high-water-marks'].split(',').map(size => parseSize(size, 'high-water-marks')),
+            concurrency: parseCount(opts.concurrency, 'concurrency'),
+          });
+        },
+      },
+      'clean-fixtures': {
+        description: 'Delete the files generated for the file read experiments',
+        run: ({ eventLoopMonitor }) => eventLoopMonitor.cleanupFixtures(),
+      },
+      'async-vs-sync': {
+        description: 'Compare a synchronous loop with a chunked asynchronous one',
+        options: { iterations: countOption('Iterations for each variant', '1000000') },
+        run: ({ eventLoopMonitor }, opts) =>
+          eventLoopMonitor.asyncVsSync({ iterations: parseCount(opts.iterations, 'iterations') }),
+      },
+      trace: {
+        description: 'Trace which event loop phase each callback runs in',
+        options: {
+          target: {
+            type: 'string',
+            value: '<background|demo|path>',
+            description: 'Background tasks, event-loop-demo.js or a script to run',
+            default: 'background',
+          },
+          duration: durationOption('How long to trace the background tasks', '5s'),
+        },
+        run: ({ eventLoopMonitor }, opts) => {
+          if (opts.target === 'background') {
+            return eventLoopMonitor.traceBackgroundTasks({ duration: parseDuration(opts.duration) });
+          }
+          return eventLoopMonitor.traceScript({
+            script: opts.target === 'demo' ? undefined : path.resolve(opts.target),
+          });
+        },
+      },
+      'async-resources': {
+        description: 'Show the async resource tree of a small workload (use --expose-gc to collect promises)',
+        run: ({ eventLoopMonitor }) => eventLoopMonitor.exploreAsyncResources(),
+      },
+      threadpool: {
+        description: 'Submit a batch of threadpool-bound operations with different UV_THREADPOOL_SIZE values',
+        options: {
+          operation: {
+            type: 'string',
+            value: '<pbkdf2|zlib|fs|dns>',
+            description: 'Threadpool-bound operation to run',
+            default: 'pbkdf2',
+          },
+          'pool-sizes': {
+            type: 'string',
+            value: '<n,n,...>',
+            description: 'Comma-separated UV_THREADPOOL_SIZE values',
+            default: '1,2,4,8',
+          },
+          batch: countOption('Operations submitted at once', '8'),
+        },
+        run: ({ eventLoopMonitor }, opts) => {
+          const operations = THREADPOOL_OPERATIONS.map(({ name }) => name);
+          if (!operations.includes(opts.operation)) {
+            throw new UsageError(
+              `Invalid value for --operation: "${opts.operation}" (expected ${operations.join(', ')})`,
+            );
+          }
+          return eventLoopMonitor.threadpoolSweep({
+            operation: opts.operation,
+            poolSizes: opts['pool-sizes'].split(',').map(size => parseCount(size, 'pool-sizes')),
+            batchSize: parseCount(opts.batch, 'batch'),
+          });
+        },
+      },
+      'infinite-loop': {
+        description: 'Simulate an infinite loop that starves the event loop',
+        options: { duration: durationOption('How long to keep the loop busy', '10s') },
+        run: ({ eventLoopMonitor }, opts) => eventLoopMonitor.infiniteLoop({ duration: parseDuration(opts.duration) }),
+      },
+    },
+  },
+  v8: {
+    description: 'V8 internals & garbage collection',
+    commands: {
+      'heap-stats': {
+        description: 'Show current V8 heap statistics',
+        run: ({ v8Explorer }) => v8Explorer.displayCurrentHeapStats(),
+      },
+      'heap-monitor': {
+        description: 'Sample heap usage every 2 seconds',
+        options: { duration: durationOption('How long to monitor', '10s') },
+        run: ({ v8Explorer }, opts) => v8Explorer.monitorHeapGrowth({ duration: parseDuration(opts.duration) }),
+      },
+      'heap-structure': {
+        description: 'Show size, used, available and physical bytes of every V8 heap space',
+        run: ({ v8Explorer }) => v8Explorer.analyzeHeapStructure(),
+      },
+      gc: {
+        description: 'Force a garbage collection (requires --expose-gc)',
+        run: ({ v8Explorer }) => v8Explorer.forceGarbageCollection(),
+      },
+      'gc-objects': {
+        description: 'Create and release objects, then collect them',
+        options: { iterations: countOption('Objects to create', '100000') },
+        run: ({ v8Explorer }, opts) =>
+          v8Explorer.createAndReleaseObjects({ iterations: parseCount(opts.iterations, 'iterations') }),
+      },
+      'gc-trace': {
+        description: 'Run the garbage collection experiment with --trace-gc and break its collections down by phase',
+        options: {
+          target: {
+            type: 'string',
+            value: '<path>',
+            description: 'Script to trace (default: src/experiments/garbage-collection.js)',
+          },
+        },
+        run: ({ v8Explorer }, opts) =>
+          v8Explorer.traceGarbageCollection({ target: opts.target && path.resolve(opts.target) }),
+      },
+      'gc-stats': {
+        description: 'Create and release objects, then show every GC observed: kinds, pause times and frequency',
+        options: { iterations: countOption('Objects to create', '100000') },
+        run: async ({ v8Explorer }, opts) => {
+          await v8Explorer.createAndReleaseObjects({ iterations: parseCount(opts.iterations, 'iterations') });
+          await v8Explorer.showGCStatistics();
+        },
+      },
+      'heap-flags': {
+        description: 'Run the create-and-release workload under each old/semi space size and compare the GC cost',
+        options: {
+          'old-space': {
+            type: 'string',
+            value: '<mb,mb,...>',
+            description: 'Comma-separated --max-old-space-size values',
+            default: '64,256',
+          },
+          'semi-space': {
+            type: 'string',
+            value: '<mb,mb,...>',
+            description: 'Comma-separated --max-semi-space-size values',
+            default: '1,16,64',
+          },
+          iterations: countOption('Objects to create per round', '100000'),
+          rounds: countOption('Create-and-release rounds per configuration', '3'),
+        },
+        run: ({ v8Explorer }, opts) =>
+          v8Explorer.compareHeapFlags({
+            oldSpaceSizes: opts['old-space'].split(',').map(size => parseCount(size, 'old-space')),
+            semiSpaceSizes: opts['semi-space'].split(',').map(size => parseCount(size, 'semi-space')),
+            iterations: parseCount(opts.iterations, 'iterations'),
+            rounds: parseCount(opts.rounds, 'rounds'),
+          }),
+      },
+      patterns: {
+        description: 'Show memory allocation patterns',
+        run: ({ v8Explorer }) => v8Explorer.showMemoryPatterns(),
+      },
+      'hidden-classes': {
+        description: 'Compare object shapes and IC states in a child with V8 natives and --log-ic',
+        options: { calls: countOption('Timed calls per property load site', '1000000') },
+        run: ({ v8Explorer }, opts) => v8Explorer.exploreHiddenClasses({ calls: parseCount(opts.calls, 'calls') }),
+      },
+      'deopt-trace': {
+        description: 'Run a script with --trace-opt --trace-deopt and show its deopt timeline and top reasons',
+        options: {
+          target: {
+            type: 'string',
+            value: '<path>',
+            description: 'Script to trace (default: the built-in deoptimization demo)',
+          },
+          events: countOption('Timeline events to show', '60'),
+          top: countOption('Reasons and functions to list', '10'),
+        },
+        run: ({ v8Explorer }, opts) =>
+          v8Explorer.traceDeoptimizations({
+            target: opts.target && path.resolve(opts.target),
+            events: parseCount(opts.events, 'events'),
+            top: parseCount(opts.top, 'top'),
+          }),
+      },
+    },
+  },
+  worker: {
+    description: 'Worker threads & concurrency',
+    commands: {
+      single: {
+        description: 'Run a CPU-intensive task on the main thread and in one worker',
+        options: { iterations: countOption('Loop iterations', '100000000') },
+        run: ({ workerManager }, opts) =>
+          workerManager.singleWorkerTask({ iterations: parseCount(opts.iterations, 'iterations') }),
+      },
+      multiple: {
+        description: 'Split a CPU-intensive task across several workers',
+        options: {
+          iterations: countOption('Total loop iterations', '100000000'),
+          workers: countOption('Number of workers', '4'),
+        },
+        run: ({ workerManager }, opts) =>
+          workerManager.multipleWorkersTask({
+            iterations: parseCount(opts.iterations, 'iterations'),
+            workerCount: parseCount(opts.workers, 'workers'),
+          }),
+      },
+      pool: {
+        description: 'Process a batch of tasks with a worker pool',
+        options: {
+          tasks: countOption('Number of tasks', '20'),
+          'pool-size': countOption('Number of pool workers (default: min(4, CPU cores))'),
+        },
+        run: ({ workerManager }, opts) =>
+          workerManager.workerPoolTask({
+            taskCount: parseCount(opts.tasks, 'tasks'),
+            ...(opts['pool-size'] !== undefined && { poolSize: parseCount(opts['pool-size'], 'pool-size') }),
+          }),
+      },
+      shared: {
+        description: 'Process a SharedArrayBuffer from several workers',
+        options: {
+          mode: { type: 'string', value: '<parallel|updates>', description: 'Operation to run', default: 'parallel' },
+          size: countOption('Number of Int32 elements', '1000000'),
+        },
+        run: async ({ workerManager }, opts) => {
+          if (!['parallel', 'updates'].includes(opts.mode)) {
+            throw new UsageError(`Invalid value for --mode: "${opts.mode}" (expected parallel or updates)`);
+          }
+          const bufferSize = parseCount(opts.size, 'size');
+          const sharedArray = workerManager.createSharedArray(bufferSize);
+          if (opts.mode === 'parallel') {
+            await workerManager.parallelProcessing(sharedArray, bufferSize);
+          } else {
+            await workerManager.concurrentUpdates(sharedArray, bufferSize);
+          }
+        },
+      },
+    },
+  },
+  perf: {
+    description: 'Performance profiling & optimization',
+    commands: {
+      'cpu-profile': {
+        description: 'Record a V8 CPU profile and save it as a .cpuprofile file',
+        options: {
+          target: {
+            type: 'string',
+            value: '<path>',
+            description: 'Module to import while profiling (default: the built-in workload)',
+          },
+          iterations: countOption('Iterations of the built-in workload', '2000'),
+          top: countOption('Functions to list', '15'),
+          interval: countOption('Sampling interval in microseconds', '100'),
+          out: { type: 'string', value: '<dir>', description: 'Directory for the profile', default: 'profiles' },
+        },
+        run: ({ performanceAnalyzer }, opts) =>
+          performanceAnalyzer.captureCpuProfile({
+            target: opts.target && path.resolve(opts.target),
+            iterations: parseCount(opts.iterations, 'iterations'),
+            top: parseCount(opts.top, 'top'),
+            samplingInterval: parseCount(opts.interval, 'interval'),
+            outputDir: path.resolve(opts.out),
+          }),
+      },
+      'prof-log': {
+        description: 'Process the newest --prof isolate log with the V8 tick processor',
+        options: {
+          file: { type: 'string', value: '<path>', description: 'Isolate log to process (default: the newest one)' },
+          dir: { type: 'string', value: '<dir>', description: 'Directory to search for isolate logs', default: '.' },
+          record: {
+            type: 'boolean',
+            description: 'Record a fresh log of performance-test.js with node --prof first',
+          },
+          top: countOption('Entries to list per table', '10'),
+        },
+        run: ({ performanceAnalyzer }, opts) =>
+          performanceAnalyzer.processIsolateLog({
+            logFile: opts.file && path.resolve(opts.file),
+            directory: path.resolve(opts.dir),
+            record: opts.record,
+            top: parseCount(opts.top, 'top'),
+          }),
+      },
+      timing: {
+        description: 'Time common array, string and object operations',
+        run: ({ performanceAnalyzer }) => performanceAnalyzer.functionTiming(),
+      },
+      'memory-tracking': {
+        description: 'Track memory while allocating objects in batches',
+        run: ({ performanceAnalyzer }) => performanceAnalyzer.memoryUsageTracking(),
+      },
+      eventloop: {
+        description: 'Measure event loop lag for 5 seconds',
+        run: ({ performanceAnalyzer }) => performanceAnalyzer.eventLoopMonitoring(),
+      },
+      function: {
+        description: 'Profile a function over many iterations',
+        run: ({ performanceAnalyzer }) => performanceAnalyzer.functionLevelProfiling(),
+      },
+      'heap-snapshot': {
+        description: 'Write a heap snapshot (or load one) and summarize it by constructor',
+        options: {
+          file: {
+            type: 'string',
+            value: '<path>',
+            description: 'A .heapsnapshot file to analyze (default: snapshot this process)',
+          },
+          method: {
+            type: 'string',
+            value: '<method>',
+            description: 'How to write the snapshot: v8 (v8.writeHeapSnapshot) or inspector',
+            default: 'v8',
+          },
+          top: countOption('Constructors to list', '20'),
+          out: { type: 'string', value: '<dir>', description: 'Directory for the snapshot', default: 'profiles' },
+        },
+        run: ({ performanceAnalyzer }, opts) => {
+          if (!['v8', 'inspector'].includes(opts.method)) {
+            throw new UsageError(`Invalid value for --method: "${opts.method}" (expected v8 or inspector)`);
+          }
+          return performanceAnalyzer.heapSnapshotAnalysis({
+            file: opts.file && path.resolve(opts.file),
+            method: opts.method,
+            top: parseCount(opts.top, 'top'),
+            outputDir: path.resolve(opts.out),
+          });
+        },
+      },
+      'leak-detection': {
+        description: 'Detect memory growth across allocation phases and diff heap snapshots',
+        options: {
+          'no-snapshots': { type: 'boolean', description: 'Only track heapUsed, skip the heap snapshots' },
+          top: countOption('Constructors and allocation sites to list', '10'),
+          out: { type: 'string', value: '<dir>', description: 'Directory for the snapshots', default: 'profiles' },
+        },
+        run: ({ performanceAnalyzer }, opts) =>
+          performanceAnalyzer.memoryLeakDetection({
+            snapshots: !opts['no-snapshots'],
+            top: parseCount(opts.top, 'top'),
+            outputDir: path.resolve(opts.out),
+          }),
+      },
+      allocation: {
+        description: 'Attribute allocated bytes to JS stacks with the sampling heap profiler',
+        options: {
+          interval: sizeOption('Average bytes between allocation samples', '512B'),
+          top: countOption('Functions to list', '10'),
+          out: {
+            type: 'string',
+            value: '<dir>',
+            description: 'Directory for the HTML flamegraph',
+            default: 'profiles',
+          },
+        },
+        run: ({ performanceAnalyzer }, opts) =>
+          performanceAnalyzer.allocationTracking({
+            samplingInterval: parseSize(opts.interval, 'interval'),
+            top: parseCount(opts.top, 'top'),
+            outputDir: path.resolve(opts.out),
+          }),
+      },
+      flamegraph: {
+        description: 'Fold a CPU profile into an HTML flamegraph and a terminal icicle view',
+        options: {
+          source: {
+            type: 'string',
+            value: '<file>',
+            description: 'A .cpuprofile file or --prof isolate log (default: profile the built-in workload)',
+          },
+          iterations: countOption('Iterations of the built-in workload', '2000'),
+          top: countOption('Hotspots to list', '10'),
+          out: { type: 'string', value: '<dir>', description: 'Directory for the HTML file', default: 'profiles' },
+        },
+        run: ({ performanceAnalyzer }, opts) =>
+          performanceAnalyzer.generateFlamegraph({
+            source: opts.source && path.resolve(opts.source),
+            iterations: parseCount(opts.iterations, 'iterations'),
+            top: parseCount(opts.top, 'top'),
+            outputDir: path.resolve(opts.out),
+          }),
+      },
+    },
+  },
+  memory: {
+    description: 'Memory management & leaks',
+    commands: {
+      leak: {
+        description: 'Demonstrate a memory leak pattern next to its fixed implementation',
+        options: {
+          type: {
+            type: 'string',
+            value: '<listener|closure|accumulation|timer>',
+            description: 'Leak pattern to demonstrate',
+            default: 'listener',
+          },
+          rounds: countOption('Rounds of the leak and of its fix for the side-by-side memory curves', '6'),
+        },
+        run: ({ memoryProfiler }, opts) => {
+          const leaks = {
+            listener: options => memoryProfiler.eventListenerLeak(options),
+            closure: options => memoryProfiler.closureLeak(options),
+            accumulation: options => memoryProfiler.accumulationLeak(options),
+            timer: options => memoryProfiler.timerLeak(options),
+          };
+          if (!leaks[opts.type]) {
+            throw new UsageError(
+              `Invalid value for --type: "${opts.type}" (expected ${Object.keys(leaks).join(', ')})`,
+            );
+          }
+          const rounds = parseCount(opts.rounds, 'rounds');
+          if (rounds < 3) {
+            throw new UsageError(`Invalid value for --rounds: "${opts.rounds}" (expected at least 3)`);
+          }
+          return leaks[opts.type]({ rounds });
+        },
+      },
+      'snapshot-diff': {
+        description: 'Diff heap snapshots taken before a leak, after it and after a forced GC',
+        options: {
+          type: {
+            type: 'string',
+            value: '<listener|closure|accumulation|timer|all>',
+            description: 'Leak pattern to snapshot',
+            default: 'listener',
+          },
+          fixed: { type: 'boolean', description: 'Clean up after the leak, to compare with the leaking run' },
+          iterations: countOption('Iterations of the leak (default: sized per leak to keep snapshots small)'),
+          top: countOption('Constructors and allocation sites to list', '8'),
+          out: { type: 'string', value: '<dir>', description: 'Directory for the snapshots', default: 'profiles' },
+        },
+        run: ({ memoryProfiler }, opts) => {
+          if (opts.type !== 'all' && !MEMORY_LEAKS[opts.type]) {
+            throw new UsageError(
+              `Invalid value for --type: "${opts.type}" (expected ${[...Object.keys(MEMORY_LEAKS), 'all'].join(', ')})`,
+            );
+          }
+          return memoryProfiler.snapshotLeak({
+            type: opts.type,
+            iterations: opts.iterations && parseCount(opts.iterations, 'iterations'),
+            cleanup: opts.fixed,
+            top: parseCount(opts.top, 'top'),
+            outputDir: path.resolve(opts.out),
+          });
+        },
+      },
+      retainers: {
+        description: 'Print the shortest retainer paths from the GC roots to leaked objects',
+        options: {
+          type: {
+            type: 'string',
+            value: '<listener|closure|accumulation|timer>',
+            description: 'Leak to run and snapshot before looking up its objects',
+            default: 'listener',
+          },
+          file: {
+            type: 'string',
+            value: '<path>',
+            description: 'Explore an existing .heapsnapshot instead of running a leak',
+          },
+          find: {
+            type: 'string',
+            value: '<names>',
+            description: 'Comma-separated constructor names, function names or @ids (default: what the leak keeps)',
+          },
+          order: {
+            type: 'string',
+            value: '<newest|retained>',
+            description: 'Which matches to explain first',
+            default: 'newest',
+          },
+          instances: countOption('Matching objects to explain per name', '1'),
+          paths: countOption('Retainer paths per object', '2'),
+          out: { type: 'string', value: '<dir>', description: 'Directory for the snapshot', default: 'profiles' },
+        },
+        run: ({ memoryProfiler }, opts) => {
+          if (!MEMORY_LEAKS[opts.type]) {
+            throw new UsageError(
+              `Invalid value for --type: "${opts.type}" (expected ${Object.keys(MEMORY_LEAKS).join(', ')})`,
+            );
+          }
+          if (!['newest', 'retained'].includes(opts.order)) {
+            throw new UsageError(`Invalid value for --order: "${opts.order}" (expected newest or retained)`);
+          }
+          if (opts.file && !opts.find) {
+            throw new UsageError('--file needs --find with the constructor names, function names or @ids to look up');
+          }
+          return memoryProfiler.exploreRetainers({
+            type: opts.type,
+            file: opts.file && path.resolve(opts.file),
+            find: opts.find ? opts.find.split(',').map(name => name.trim()) : [],
+            order: opts.order,
+            instances: parseCount(opts.instances, 'instances'),
+            maxPaths: parseCount(opts.paths, 'paths'),
+            outputDir: path.resolve(opts.out),
+          });
+        },
+      },
+      'leak-check': {
+        description: 'Run the leak detector on a leak and on its fixed implementation',
+        options: {
+          type: {
+            type: 'string',
+            value: '<listener|closure|accumulation|timer|all>',
+            description: 'Leak pattern to check',
+            default: 'all',
+          },
+          iterations: countOption('Runs of each variant, with a forced GC after each', '10'),
+          snapshots: countOption('Heap snapshots per variant for the object counts', '3'),
+          'no-snapshots': { type: 'boolean', description: 'Only fit the post-GC heap, skip the heap snapshots' },
+        },
+        run: ({ memoryProfiler }, opts) => {
+          if (opts.type !== 'all' && !MEMORY_LEAKS[opts.type]) {
+            throw new UsageError(
+              `Invalid value for --type: "${opts.type}" (expected ${[...Object.keys(MEMORY_LEAKS), 'all'].join(', ')})`,
+            );
+          }
+          const iterations = parseCount(opts.iterations, 'iterations');
+          if (iterations < 3) {
+            throw new UsageError(`Invalid value for --iterations: "${opts.iterations}" (expected at least 3)`);
+          }
+          const snapshots = opts['no-snapshots'] ? 0 : parseCount(opts.snapshots, 'snapshots');
+          if (snapshots > 0 && snapshots < 3) {
+            throw new UsageError(`Invalid value for --snapshots: "${opts.snapshots}" (expected at least 3)`);
+          }
+          return memoryProfiler.checkLeaks({ type: opts.type, iterations, snapshots });
+        },
+      },
+      'heap-limit': {
+        description: 'Run the accumulation leak until the heap runs out, snapshotting it near the limit',
+        options: {
+          'max-old-space': countOption('--max-old-space-size of the child, in MB', '32'),
+          batch: countOption('Objects the leak accumulates per batch', '10000'),
+          top: countOption('Constructors and retainers to list', '5'),
+          out: { type: 'string', value: '<dir>', description: 'Directory for the snapshot', default: 'profiles' },
+        },
+        run: ({ memoryProfiler }, opts) =>
+          memoryProfiler.crashAtHeapLimit({
+            maxOldSpaceSize: parseCount(opts['max-old-space'], 'max-old-space'),
+            batchSize: parseCount(opts.batch, 'batch'),
+            top: parseCount(opts.top, 'top'),
+            outputDir: path.resolve(opts.out),
+          }),
+      },
+      monitor: {
+        description: 'Monitor memory usage and analyze the trend',
+        options: { duration: durationOption('How long to monitor', '10s') },
+        run: ({ memoryProfiler }, opts) => memoryProfiler.monitorUsage({ duration: parseDuration(opts.duration) }),
+      },
+    },
+  },
+};
+
+function formatOptions(options = {}) {
+  const rows = Object.entries(options).map(([name, option]) => [
+    option.value ? `--${name} ${option.value}` : `--${name}`,
+    option.default !== undefined ? `${option.description} (default: ${option.default})` : option.description,
+  ]);
+  rows.push(['-h, --help', 'Show this help']);
+
+  const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+  return rows.map(([flag, text]) => `  ${flag.padEnd(width)}${text}`).join('\n');
+}
+
+function formatList(entries) {
+  const width = Math.max(...entries.map(([name]) => name.length)) + 2;
+  return entries.map(([name, { description }]) => `  ${name.padEnd(width)}${description}`).join('\n');
+}
+
+function rootHelp() {
+  return [
+    'Usage: lab <group> <command> [options]',
+    '',
+    'Run Node.js internals experiments without the interactive menu.',
+    'Start the lab with no arguments to use the menu instead.',
+    '',
+    'Groups:',
+    formatList(Object.entries(COMMANDS)),
+    '',
+    'Run "lab <group> --help" to list the commands in a group.',
+  ].join('\n');
+}
+
+function groupHelp(groupName) {
+  const group = COMMANDS[groupName];
+  return [
+    `Usage: lab ${groupName} <command> [options]`,
+    '',
+    group.description,
+    '',
+    'Commands:',
+    formatList(Object.entries(group.commands)),
+    '',
+    `Run "lab ${groupName} <command> --help" for the options of a command.`,
+  ].join('\n');
+}
+
+function commandHelp(groupName, commandName) {
+  const command = COMMANDS[groupName].commands[commandName];
+  return [
+    `Usage: lab ${groupName} ${commandName} [options]`,
+    '',
+    command.description,
+    '',
+    'Options:',
+    formatOptions(command.options),
+  ].join('\n');
+}
+
+function parseCommandArgs(groupName, commandName, args) {
+  const command = COMMANDS[groupName].commands[commandName];
+  const options = { help: { type: 'boolean', short: 'h' } };
+  for (const [name, option] of Object.entries(command.options || {})) {
+    options[name] = { type: option.type, ...(option.default !== undefined && { default: option.default }) };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message, commandHelp(groupName, commandName));
+  }
+
+  if (parsed.positionals.length > 0) {
+    throw new UsageError(`Unexpected argument "${parsed.positionals[0]}"`, commandHelp(groupName, commandName));
+  }
+  return parsed.values;
+}
+
+// The CLI drives the terminal presenters without a readline interface. Each one is created on
+// first use: the V8 explorer records every GC from construction on, which other experiments would measure.
+export function createAnalyzers() {
+  const factories = {
+    eventLoopMonitor: () => new EventLoopPresenter(null, new EventLoopMonitor()),
+    memoryProfiler: () => new MemoryPresenter(null, new MemoryProfiler()),
+    workerManager: () => new WorkerPresenter(null, new WorkerThreadManager()),
+    performanceAnalyzer: () => new PerformancePresenter(null, new PerformanceAnalyzer()),
+    v8Explorer: () => new V8Presenter(null, new V8InternalsExplorer()),
+  };
+
+  const analyzers = {};
+  for (const [name, create] of Object.entries(factories)) {
+    let analyzer;
+    Object.defineProperty(analyzers, name, { enumerable: true, get: () => (analyzer ??= create()) });
+  }
+  return analyzers;
+}
+
+function resolveCommand(args) {
+  const [groupName, commandName, ...rest] = args;
+  const isHelp = arg => arg === '--help' || arg === '-h';
+
+  if (groupName === undefined || isHelp(groupName)) {
+    return { help: rootHelp() };
+  }
+  if (!Object.hasOwn(COMMANDS, groupName)) {
+    throw new UsageError(`Unknown group "${groupName}"`, rootHelp());
+  }
+  if (commandName === undefined || isHelp(commandName)) {
+    return { help: groupHelp(groupName) };
+  }
+  if (!Object.hasOwn(COMMANDS[groupName].commands, commandName)) {
+    throw new UsageError(`Unknown command "${groupName} ${commandName}"`, groupHelp(groupName));
+  }
+
+  const values = parseCommandArgs(groupName, commandName, rest);
+  if (values.help) {
+    return { help: commandHelp(groupName, commandName) };
+  }
+  return { command: COMMANDS[groupName].commands[commandName], values };
+}
+
+/**
+ * Runs a single experiment from command-line arguments and resolves with the process exit code.
+ * @param {string[]} args - Arguments after the script name, e.g. ['eventloop', 'monitor', '--duration', '10s']
+ * @returns {Promise<number>}
+ */
+export async function runCli(args) {
+  try {
+    const { help, command, values } = resolveCommand(args);
+    if (help) {
+      console.log(help);
+      return EXIT_OK;
+    }
+
+    await command.run(createAnalyzers(), values);
+    return EXIT_OK;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      if (error.helpText) {
+        console.error(`\n${error.helpText}`);
+      }
+      return EXIT_USAGE;
+    }
+
+    console.error(chalk.red(`❌ Error occurred: ${error.message}`));
+    return EXIT_FAILURE;
+  }
+}
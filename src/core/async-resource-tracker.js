@@ -0,0 +1,148 @@
+import { AsyncResource, createHook } from 'async_hooks';
+import { performance } from 'perf_hooks';
+
+/**
+ * Records the init/before/after/destroy/promiseResolve lifecycle of every async resource
+ * created while a function runs, and links them into a causal tree via triggerAsyncId.
+ */
+export class AsyncResourceTracker {
+  constructor({ maxResources = 10000 } = {}) {
+    this.maxResources = maxResources;
+    this.resources = new Map();
+    this.stack = [];
+    this.dropped = 0;
+    this.startTime = 0;
+    this.finishTime = 0;
+    this.stopTime = 0;
+    this.hook = null;
+  }
+
+  // The hook callbacks must stay synchronous and must not log, or they would track themselves
+  createHook() {
+    const now = () => performance.now() - this.startTime;
+
+    return createHook({
+      init: (asyncId, type, triggerAsyncId) => {
+        if (this.resources.size >= this.maxResources) {
+          this.dropped++;
+          return;
+        }
+
+        this.resources.set(asyncId, {
+          asyncId,
+          type,
+          triggerAsyncId,
+          createdAt: now(),
+          callbacks: 0,
+          callbackTime: 0,
+          resolvedAt: null,
+          destroyedAt: null,
+        });
+      },
+      before: asyncId => {
+        this.stack.push({ asyncId, start: performance.now() });
+      },
+      after: asyncId => {
+        const frame = this.stack.pop();
+        const resource = this.resources.get(asyncId);
+        if (!frame || !resource) return;
+
+        resource.callbacks++;
+        resource.callbackTime += performance.now() - frame.start;
+      },
+      destroy: asyncId => {
+        const resource = this.resources.get(asyncId);
+        if (resource) resource.destroyedAt = now();
+      },
+      promiseResolve: asyncId => {
+        const resource = this.resources.get(asyncId);
+        if (resource && resource.resolvedAt === null) resource.resolvedAt = now();
+      },
+    });
+  }
+
+  /**
+   * Runs fn inside a root async resource so that everything it creates hangs off one tree.
+   * Promises are only destroyed after garbage collection, so with --expose-gc a GC is forced
+   * before the tracker stops. Without it most promises are reported as never destroyed.
+   */
+  async track(fn) {
+    this.resources.clear();
+    this.stack = [];
+    this.dropped = 0;
+    this.startTime = performance.now();
+    this.hook = this.createHook();
+    this.hook.enable();
+
+    const root = new AsyncResource('LabExperiment');
+    let result;
+    try {
+      result = await root.runInAsyncScope(fn);
+    } finally {
+      this.finishTime = performance.now() - this.startTime;
+      root.emitDestroy();
+      global.gc?.();
+
+      // destroy hooks are queued and run on a later tick
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      this.hook.disable();
+      this.hook = null;
+      this.stopTime = performance.now() - this.startTime;
+    }
+
+    return { result, ...this.getReport(root.asyncId()) };
+  }
+
+  getReport(rootId) {
+    const children = new Map();
+    for (const resource of this.resources.values()) {
+      // Skip what the tracker itself creates while waiting for destroy hooks
+      if (resource.createdAt > this.finishTime) continue;
+
+      if (!children.has(resource.triggerAsyncId)) children.set(resource.triggerAsyncId, []);
+      children.get(resource.triggerAsyncId).push(resource);
+    }
+
+    // Keep only the resources caused, directly or indirectly, by the root
+    const buildNode = resource => ({
+      ...resource,
+      destroyed: resource.destroyedAt !== null,
+      lifetime: (resource.destroyedAt ?? this.stopTime) - resource.createdAt,
+      children: (children.get(resource.asyncId) ?? []).map(buildNode),
+    });
+    const tree = buildNode(this.resources.get(rootId));
+
+    const nodes = [];
+    const collect = node => {
+      nodes.push(node);
+      node.children.forEach(collect);
+    };
+    tree.children.forEach(collect);
+
+    const types = new Map();
+    for (const node of nodes) {
+      const summary = types.get(node.type) ?? { type: node.type, created: 0, destroyed: 0, totalLifetime: 0 };
+      summary.created++;
+      if (node.destroyed) summary.destroyed++;
+      summary.totalLifetime += node.lifetime;
+      types.set(node.type, summary);
+    }
+
+    return {
+      duration: this.stopTime,
+      gcForced: Boolean(global.gc),
+      tree,
+      resourceCount: nodes.length,
+      neverDestroyed: nodes.filter(node => !node.destroyed).map(({ children, ...node }) => node),
+      types: [...types.values()]
+        .map(summary => ({
+          ...summary,
+          neverDestroyed: summary.created - summary.destroyed,
+          avgLifetime: summary.totalLifetime / summary.created,
+        }))
+        .sort((a, b) => b.created - a.created),
+      dropped: this.dropped,
+    };
+  }
+}
@@ -0,0 +1,134 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Detects event loop stalls longer than `threshold` ms. The main thread writes a heartbeat into
+ * shared memory; a watchdog worker notices when it stops and samples the main thread's stack
+ * through the inspector every `sampleInterval` ms until the loop runs again.
+ */
+export class BlockingWatchdog {
+  constructor({ threshold = 100, pollInterval = 10, sampleInterval = 50, maxSamples = 100 } = {}) {
+    this.threshold = threshold;
+    this.pollInterval = pollInterval;
+    this.sampleInterval = sampleInterval;
+    this.maxSamples = maxSamples;
+    this.worker = null;
+    this.heartbeatTimer = null;
+    this.lastBeat = null;
+    this.stalls = [];
+    this.startTime = 0;
+  }
+
+  async start() {
+    if (this.worker) throw new Error('Watchdog is already running');
+
+    this.stalls = [];
+    this.startTime = Date.now();
+    this.lastBeat = new BigInt64Array(new SharedArrayBuffer(8));
+    this.beat();
+    this.heartbeatTimer = setInterval(() => this.beat(), this.pollInterval);
+
+    this.worker = new Worker(path.join(__dirname, '..', 'workers', 'watchdog-worker.js'), {
+      workerData: {
+        heartbeat: this.lastBeat.buffer,
+        threshold: this.threshold,
+        pollInterval: this.pollInterval,
+        sampleInterval: this.sampleInterval,
+        maxSamples: this.maxSamples,
+      },
+    });
+
+    this.worker.on('message', message => {
+      if (message.type === 'stall') {
+        this.stalls.push(message.stall);
+      }
+    });
+
+    await this.waitForMessage('ready');
+  }
+
+  beat() {
+    Atomics.store(this.lastBeat, 0, BigInt(Date.now()));
+  }
+
+  async stop() {
+    if (!this.worker) throw new Error('Watchdog is not running');
+
+    // Mark the loop as alive so a stall that just ended is closed with the right duration
+    this.beat();
+    clearInterval(this.heartbeatTimer);
+
+    this.worker.postMessage({ type: 'stop' });
+    await this.waitForMessage('stopped');
+    await this.worker.terminate();
+    this.worker = null;
+
+    return this.getReport();
+  }
+
+  // Runs fn with the watchdog active and resolves with fn's result and the blocking report
+  async watch(fn) {
+    await this.start();
+
+    try {
+      const result = await fn();
+      return { result, report: await this.stop() };
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+  }
+
+  waitForMessage(type) {
+    return new Promise((resolve, reject) => {
+      const onMessage = message => {
+        if (message.type === type) {
+          this.worker.off('message', onMessage);
+          this.worker.off('error', reject);
+          resolve(message);
+        }
+      };
+      this.worker.on('message', onMessage);
+      this.worker.once('error', reject);
+    });
+  }
+
+  getReport() {
+    const functions = new Map();
+
+    for (const stall of this.stalls) {
+      // Each sample stands for the time until the next one; the first also covers the stall's start
+      stall.samples.forEach((sample, i) => {
+        const from = i === 0 ? 0 : sample.at;
+        const next = stall.samples[i + 1]?.at ?? stall.duration;
+        const weight = Math.max(0, next - from);
+        // Blame the innermost frame outside Node's own internals
+        const top = sample.frames.find(frame => !frame.url.startsWith('node:')) ?? sample.frames[0];
+        if (!top) return;
+
+        const key = `${top.functionName} ${top.url}:${top.lineNumber}`;
+        const entry = functions.get(key) ?? { ...top, samples: 0, blockedTime: 0 };
+        entry.samples++;
+        entry.blockedTime += weight;
+        functions.set(key, entry);
+      });
+    }
+
+    return {
+      threshold: this.threshold,
+      duration: Date.now() - this.startTime,
+      stalls: this.stalls.map(stall => ({
+        ...stall,
+        start: stall.start - this.startTime,
+        stack: stall.samples[0]?.frames ?? [],
+      })),
+      totalBlocked: this.stalls.reduce((sum, stall) => sum + stall.duration, 0),
+      longestStall: Math.max(0, ...this.stalls.map(stall => stall.duration)),
+      functions: [...functions.values()].sort((a, b) => b.blockedTime - a.blockedTime),
+    };
+  }
+}
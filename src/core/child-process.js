@@ -0,0 +1,49 @@
+import { spawn } from 'child_process';
+import { performance } from 'perf_hooks';
+
+/**
+ * Runs `node <args>` in a child process and resolves with its exit status and captured output.
+ * The child is killed after `timeout` ms, which rejects; a non-zero exit code does not.
+ * Pass a file descriptor as `stdout` for V8 traces: V8 writes them with C stdio, which drops and
+ * reorders lines on the non-blocking pipe node would otherwise give the child.
+ */
+export function runNode(args, { env = {}, timeout = 60000, cwd, stdout: stdoutFd } = {}) {
+  const startTime = performance.now();
+  const child = spawn(process.execPath, args, {
+    cwd,
+    stdio: ['ignore', stdoutFd ?? 'pipe', 'pipe'],
+    env: { ...process.env, ...env },
+  });
+
+  let stdout = '';
+  let stderr = '';
+  child.stdout?.on('data', chunk => (stdout += chunk));
+  child.stderr.on('data', chunk => (stderr += chunk));
+
+  let timedOut = false;
+  const killTimer = setTimeout(() => {
+    timedOut = true;
+    child.kill('SIGKILL');
+  }, timeout);
+
+  return new Promise((resolve, reject) => {
+    child.on('error', error => {
+      clearTimeout(killTimer);
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(killTimer);
+      if (timedOut) {
+        reject(new Error(`node ${args.join(' ')} did not finish within ${timeout}ms`));
+        return;
+      }
+      resolve({ code, signal, stdout, stderr, duration: performance.now() - startTime });
+    });
+  });
+}
+
+// The most useful line of a failed child's stderr, for error messages
+export function describeFailure({ code, signal, stderr }) {
+  const reason = stderr.split('\n').find(line => /Error/.test(line)) ?? stderr.trim().split('\n').pop();
+  return `${signal ? `killed by ${signal}` : `exited with code ${code}`}${reason ? `: ${reason}` : ''}`;
+}
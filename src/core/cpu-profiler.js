@@ -0,0 +1,191 @@
+import fs from 'fs';
+import { Session } from 'inspector';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Records a V8 CPU profile of the current thread through the inspector Profiler domain.
+ * The profile is the same JSON that Chrome DevTools saves as a .cpuprofile file.
+ */
+export class CpuProfiler {
+  constructor({ samplingInterval = 100 } = {}) {
+    // Microseconds between samples
+    this.samplingInterval = samplingInterval;
+    this.session = null;
+  }
+
+  post(method, params = {}) {
+    return new Promise((resolve, reject) => {
+      this.session.post(method, params, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+  }
+
+  async start() {
+    if (this.session) throw new Error('CPU profiler is already running');
+
+    this.session = new Session();
+    this.session.connect();
+    await this.post('Profiler.enable');
+    await this.post('Profiler.setSamplingInterval', { interval: this.samplingInterval });
+    await this.post('Profiler.start');
+  }
+
+  async stop() {
+    if (!this.session) throw new Error('CPU profiler is not running');
+
+    try {
+      const { profile } = await this.post('Profiler.stop');
+      await this.post('Profiler.disable');
+      return trimProfilerOverhead(profile);
+    } finally {
+      this.session.disconnect();
+      this.session = null;
+    }
+  }
+
+  // Profiles fn and resolves with its result and the captured profile
+  async profile(fn) {
+    await this.start();
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+    return { result, profile: await this.stop() };
+  }
+
+  // Profiles importing a module; a default export that is a function is called and awaited too
+  profileModule(modulePath) {
+    return this.profile(async () => {
+      const module = await import(pathToFileURL(path.resolve(modulePath)).href);
+      return typeof module.default === 'function' ? module.default() : undefined;
+    });
+  }
+}
+
+// A sample is the profiler's own when the inspector is on its stack or it stopped in this module itself
+function isProfilerSample(node, parents) {
+  if (node.callFrame.url === import.meta.url) return true;
+  for (let current = node; current; current = parents.get(current.id)) {
+    if (current.callFrame.url === 'node:inspector') return true;
+  }
+  return false;
+}
+
+/**
+ * Drops the samples taken while Profiler.start was still returning and once Profiler.stop was
+ * called, moving startTime and endTime to the first and last sample of the profiled code, and
+ * the nodes only those samples were taken in.
+ */
+export function trimProfilerOverhead(profile) {
+  const nodes = new Map(profile.nodes.map(node => [node.id, node]));
+  const parents = new Map();
+  for (const node of profile.nodes) {
+    for (const childId of node.children ?? []) parents.set(childId, node);
+  }
+
+  const overhead = profile.samples.map(id => isProfilerSample(nodes.get(id), parents));
+  const first = overhead.indexOf(false);
+  if (first === -1) return profile;
+  const last = overhead.lastIndexOf(false);
+
+  // timeDeltas[i] is relative to the previous sample, so timestamps are running sums
+  const timestamps = [];
+  profile.timeDeltas.reduce((time, delta, i) => (timestamps[i] = time + delta), profile.startTime);
+
+  const samples = profile.samples.slice(first, last + 1);
+
+  // Keep the nodes that still have samples in their subtree, and the root
+  const sampled = new Set(samples);
+  const kept = new Set([profile.nodes[0].id]);
+  const visit = node => {
+    let keep = sampled.has(node.id);
+    for (const childId of node.children ?? []) keep = visit(nodes.get(childId)) || keep;
+    if (keep) kept.add(node.id);
+    return keep;
+  };
+  visit(profile.nodes[0]);
+
+  return {
+    ...profile,
+    nodes: profile.nodes
+      .filter(node => kept.has(node.id))
+      .map(node => ({ ...node, children: (node.children ?? []).filter(childId => kept.has(childId)) })),
+    startTime: timestamps[first],
+    endTime: timestamps[last],
+    samples,
+    timeDeltas: [0, ...profile.timeDeltas.slice(first + 1, last + 1)],
+  };
+}
+
+export async function saveCpuProfile(profile, { outputDir = path.join(process.cwd(), 'profiles'), name } = {}) {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  const file = path.join(outputDir, name ?? `cpu-${new Date().toISOString().replace(/[:.]/g, '-')}.cpuprofile`);
+  await fs.promises.writeFile(file, JSON.stringify(profile));
+  return file;
+}
+
+/**
+ * Aggregates a profile per function. Self time is the time samples spent in the function itself,
+ * total time also includes everything it called; recursive calls are only counted once.
+ */
+export function summarizeCpuProfile(profile, { top = 15 } = {}) {
+  const nodes = new Map(profile.nodes.map(node => [node.id, node]));
+  const selfTime = new Map();
+
+  // timeDeltas[i] is the time (µs) between sample i - 1 and sample i
+  profile.samples.forEach((id, i) => {
+    selfTime.set(id, (selfTime.get(id) ?? 0) + Math.max(0, profile.timeDeltas[i] ?? 0));
+  });
+
+  const functions = new Map();
+  const onStack = new Map();
+  const keyOf = ({ callFrame }) =>
+    `${callFrame.functionName}|${callFrame.url}|${callFrame.lineNumber}|${callFrame.columnNumber}`;
+
+  const visit = node => {
+    const key = keyOf(node);
+    const self = (selfTime.get(node.id) ?? 0) / 1000;
+    const entry = functions.get(key) ?? {
+      functionName: node.callFrame.functionName || '(anonymous)',
+      url: node.callFrame.url,
+      lineNumber: node.callFrame.lineNumber + 1,
+      columnNumber: node.callFrame.columnNumber + 1,
+      selfTime: 0,
+      totalTime: 0,
+    };
+    entry.selfTime += self;
+    functions.set(key, entry);
+
+    onStack.set(key, (onStack.get(key) ?? 0) + 1);
+    let subtree = self;
+    for (const childId of node.children ?? []) {
+      subtree += visit(nodes.get(childId));
+    }
+    onStack.set(key, onStack.get(key) - 1);
+
+    // Only the outermost frame of a recursive function adds the subtree to its total
+    if (onStack.get(key) === 0) entry.totalTime += subtree;
+    return subtree;
+  };
+
+  const root = profile.nodes[0];
+  const duration = (profile.endTime - profile.startTime) / 1000;
+  (root.children ?? []).forEach(childId => visit(nodes.get(childId)));
+
+  const withPercentages = [...functions.values()].map(entry => ({
+    ...entry,
+    selfPercentage: duration > 0 ? (entry.selfTime / duration) * 100 : 0,
+    totalPercentage: duration > 0 ? (entry.totalTime / duration) * 100 : 0,
+  }));
+
+  return {
+    duration,
+    sampleCount: profile.samples.length,
+    bySelfTime: [...withPercentages].sort((a, b) => b.selfTime - a.selfTime).slice(0, top),
+    byTotalTime: [...withPercentages].sort((a, b) => b.totalTime - a.totalTime).slice(0, top),
+  };
+}
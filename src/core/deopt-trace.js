@@ -0,0 +1,142 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describeFailure, runNode } from './child-process.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEOPTIMIZATION_DEMO = path.join(__dirname, '..', 'experiments', 'deoptimization.js');
+
+// --trace-deopt-verbose adds the source position of every deopt, and a frame dump we skip
+export const DEOPT_TRACE_FLAGS = ['--trace-opt', '--trace-deopt', '--trace-deopt-verbose'];
+
+const FUNCTION = /<JSFunction ?(.*?) \(sfi = /;
+const MARKING = /^\[marking .*? for optimization to (\w+), .*?reason: (.+)\]$/;
+const COMPILED = /^\[completed compiling .*?\(target (\w+)\)( OSR)? - took ([\d.]+), ([\d.]+), ([\d.]+) ms\]$/;
+const ABORTED = /^\[aborted optimizing .*? because: (.+)\]$/;
+const BAILOUT = /^\[bailout \(kind: ([\w-]+), reason: (.+?)\): begin\. deoptimizing/;
+const BAILOUT_END = /^\[bailout end\. took ([\d.]+) ms\]$/;
+const DEOPT_LOCATION = /;;; deoptimize at <(.+):(\d+):(\d+)>/;
+// Verbose lines printed after a bailout has ended
+const MATERIALIZATION = /^Materialization \[/;
+
+const functionName = line => FUNCTION.exec(line)?.[1] || '(anonymous)';
+
+/**
+ * Parses the stdout of a script run with DEOPT_TRACE_FLAGS into one ordered timeline of
+ * optimizations, deoptimizations and the script's own output lines, which mark its phases.
+ */
+export function parseDeoptTrace(text) {
+  const events = [];
+  const markReasons = new Map();
+  let bailout = null;
+
+  for (const line of text.split('\n')) {
+    if (bailout) {
+      const location = DEOPT_LOCATION.exec(line);
+      const end = BAILOUT_END.exec(line);
+      if (location) {
+        bailout.location = { url: location[1], lineNumber: Number(location[2]), columnNumber: Number(location[3]) };
+      } else if (end) {
+        bailout.duration = Number(end[1]);
+        bailout = null;
+      }
+      continue;
+    }
+
+    let match;
+    if ((match = MARKING.exec(line))) {
+      markReasons.set(functionName(line), match[2]);
+    } else if ((match = COMPILED.exec(line))) {
+      const name = functionName(line);
+      events.push({
+        type: 'optimized',
+        functionName: name,
+        target: match[1],
+        osr: Boolean(match[2]),
+        reason: markReasons.get(name) ?? null,
+        duration: Number(match[3]) + Number(match[4]) + Number(match[5]),
+      });
+    } else if ((match = ABORTED.exec(line))) {
+      events.push({ type: 'aborted', functionName: functionName(line), reason: match[1] });
+    } else if ((match = BAILOUT.exec(line))) {
+      bailout = {
+        type: 'deoptimized',
+        functionName: functionName(line),
+        kind: match[1],
+        reason: match[2],
+        location: null,
+        duration: null,
+      };
+      events.push(bailout);
+    } else if (line.trim() && !line.startsWith('[') && !MATERIALIZATION.test(line)) {
+      events.push({ type: 'output', text: line });
+    }
+  }
+
+  return events;
+}
+
+// Per-function counts and the most frequent deopt reasons of a parsed timeline
+export function summarizeDeoptTrace(events) {
+  const functions = new Map();
+  const reasons = new Map();
+
+  for (const event of events) {
+    if (event.type === 'output') continue;
+
+    const entry = functions.get(event.functionName) ?? {
+      functionName: event.functionName,
+      optimized: 0,
+      deoptimized: 0,
+      aborted: 0,
+      reasons: new Set(),
+    };
+    entry[event.type]++;
+    functions.set(event.functionName, entry);
+
+    if (event.type === 'deoptimized') {
+      entry.reasons.add(event.reason);
+      const reason = reasons.get(event.reason) ?? {
+        reason: event.reason,
+        count: 0,
+        functions: new Set(),
+        kinds: new Set(),
+      };
+      reason.count++;
+      reason.functions.add(event.functionName);
+      reason.kinds.add(event.kind);
+      reasons.set(event.reason, reason);
+    }
+  }
+
+  return {
+    functions: [...functions.values()]
+      .map(entry => ({ ...entry, reasons: [...entry.reasons] }))
+      .sort((a, b) => b.deoptimized - a.deoptimized || b.optimized - a.optimized),
+    reasons: [...reasons.values()]
+      .map(reason => ({ ...reason, functions: [...reason.functions], kinds: [...reason.kinds] }))
+      .sort((a, b) => b.count - a.count),
+  };
+}
+
+// Runs target in a child process with the opt/deopt tracing flags and parses what V8 printed
+export async function runDeoptTrace({ target = DEOPTIMIZATION_DEMO, timeout = 120000 } = {}) {
+  const traceFile = path.join(os.tmpdir(), `deopt-trace-${process.pid}-${Date.now()}.log`);
+  const handle = await fs.promises.open(traceFile, 'w');
+
+  try {
+    const child = await runNode([...DEOPT_TRACE_FLAGS, target], { timeout, stdout: handle.fd });
+    if (child.code !== 0) {
+      throw new Error(`${path.basename(target)} ${describeFailure(child)}`);
+    }
+
+    const events = parseDeoptTrace(await fs.promises.readFile(traceFile, 'utf8'));
+    return { target, duration: child.duration, events, ...summarizeDeoptTrace(events) };
+  } finally {
+    await handle.close();
+    await fs.promises.rm(traceFile, { force: true });
+  }
+}
@@ -1,99 +1,170 @@
-import chalk from 'chalk';
-import { performance } from 'perf_hooks';
+import { spawn } from 'child_process';
+import { monitorEventLoopDelay, performance } from 'perf_hooks';
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { AsyncResourceTracker } from './async-resource-tracker.js';
+import { BlockingWatchdog } from './blocking-watchdog.js';
+import { FixtureManager } from './fixture-manager.js';
+import { PhaseTracer } from './phase-tracer.js';
+import { ThreadpoolExperiment } from './threadpool-experiment.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const EVENT_LOOP_DEMO = path.join(__dirname, '..', 'experiments', 'event-loop-demo.js');
+
+export const FILE_READ_FIXTURE = { name: 'large-file.txt', size: 10 * 1024 * 1024, content: 'text' };
+
+export const EVENT_LOOP_PHASES = [
+  { name: 'Timers', description: 'setTimeout, setInterval' },
+  { name: 'Pending callbacks', description: 'I/O callbacks deferred to next loop' },
+  { name: 'Idle, prepare', description: 'internal use' },
+  { name: 'Poll', description: 'new I/O events, I/O callbacks' },
+  { name: 'Check', description: 'setImmediate callbacks' },
+  { name: 'Close callbacks', description: 'close event callbacks' },
+];
+
+// Converts a perf_hooks histogram (nanoseconds) into millisecond stats
+export function summarizeHistogram(histogram) {
+  const toMs = ns => ns / 1e6;
+
+  if (histogram.count === 0) {
+    return { count: 0, min: 0, mean: 0, stddev: 0, p50: 0, p90: 0, p99: 0, max: 0 };
+  }
+
+  return {
+    count: histogram.count,
+    min: toMs(histogram.min),
+    mean: toMs(histogram.mean),
+    stddev: toMs(histogram.stddev),
+    p50: toMs(histogram.percentile(50)),
+    p90: toMs(histogram.percentile(90)),
+    p99: toMs(histogram.percentile(99)),
+    max: toMs(histogram.max),
+  };
+}
 
+// Headless event loop measurements; every method resolves with a plain result object
 export class EventLoopMonitor {
-  constructor(rl) {
-    this.rl = rl;
+  constructor({ historySize = 100, fixtures = new FixtureManager() } = {}) {
     this.monitoring = false;
+    this.fixtures = fixtures;
     this.startTime = 0;
-    this.lastCheck = 0;
-    this.lagHistory = [];
+    this.historySize = historySize;
+    this.delayHistory = [];
+    this.windowHistogram = null;
+    this.windowStart = 0;
+    this.windowUtilization = null;
+    this.monitorTimer = null;
+    this.onSample = null;
   }
 
-  async startMonitoring() {
-    console.log(chalk.blue('\n🔄 Starting Event Loop Monitoring...'));
-    console.log(chalk.yellow('This will monitor event loop lag and show real-time metrics'));
-    console.log(chalk.yellow('Monitoring will auto-stop after 30 seconds'));
-    console.log(chalk.yellow('Or type "stop" to stop early'));
-
+  /**
+   * Samples event loop delay with monitorEventLoopDelay() and reports one window of stats per interval,
+   * together with the event loop utilization (idle/active/utilization) of that window.
+   * resolution is the sampling rate of the histogram in milliseconds. Stops early when the signal aborts.
+   */
+  async startMonitoring({ duration = 30000, resolution = 10, interval = 1000, signal, onSample } = {}) {
     this.monitoring = true;
     this.startTime = performance.now();
-    this.lastCheck = this.startTime;
+    this.windowStart = this.startTime;
+    this.windowUtilization = performance.eventLoopUtilization();
+    this.onSample = onSample;
+    const startUtilization = this.windowUtilization;
+
+    // One histogram is reset after every window, the other covers the whole run
+    this.windowHistogram = monitorEventLoopDelay({ resolution });
+    const totalHistogram = monitorEventLoopDelay({ resolution });
+    this.windowHistogram.enable();
+    totalHistogram.enable();
 
-    // Start monitoring
-    this.monitorEventLoop();
+    this.monitorTimer = setInterval(() => this.monitorEventLoop(), interval);
 
     // Start some background tasks to create event loop activity
-    this.startBackgroundTasks();
+    const backgroundTasks = this.startBackgroundTasks();
 
-    // Wait for user to stop
-    await this.waitForStop();
+    // Wait for the monitoring window to elapse
+    await this.waitForStop(duration, signal);
 
-    // Clean up monitoring
-    this.monitoring = false;
-    console.log(chalk.green('\n✅ Event loop monitoring stopped. Returning to main menu...'));
+    // Clean up monitoring, reporting the partial last window first
+    clearInterval(this.monitorTimer);
+    if (this.windowHistogram.count > 0) {
+      this.monitorEventLoop();
+    }
+    this.stopBackgroundTasks(backgroundTasks);
+    this.windowHistogram.disable();
+    totalHistogram.disable();
+    this.windowHistogram = null;
+    this.onSample = null;
+
+    return {
+      duration,
+      resolution,
+      interval,
+      ...summarizeHistogram(totalHistogram),
+      utilization: performance.eventLoopUtilization(startUtilization),
+      stoppedEarly: Boolean(signal?.aborted),
+    };
   }
 
+  // Closes the current reporting window and records it in the rolling history
   monitorEventLoop() {
-    if (!this.monitoring) return;
+    if (!this.windowHistogram) return;
 
     const now = performance.now();
-    const expectedTime = this.lastCheck + 16; // 16ms = ~60fps
-    const actualLag = now - expectedTime;
-
-    this.lagHistory.push(actualLag);
-    if (this.lagHistory.length > 100) {
-      this.lagHistory.shift();
+    const utilization = performance.eventLoopUtilization();
+    const windowStats = {
+      start: this.windowStart - this.startTime,
+      end: now - this.startTime,
+      ...summarizeHistogram(this.windowHistogram),
+      utilization: performance.eventLoopUtilization(utilization, this.windowUtilization),
+    };
+
+    this.windowHistogram.reset();
+    this.windowStart = now;
+    this.windowUtilization = utilization;
+
+    this.delayHistory.push(windowStats);
+    if (this.delayHistory.length > this.historySize) {
+      this.delayHistory.shift();
     }
 
-    // Calculate statistics
-    const avgLag = this.lagHistory.reduce((a, b) => a + b, 0) / this.lagHistory.length;
-    const maxLag = Math.max(...this.lagHistory);
-    const minLag = Math.min(...this.lagHistory);
-
-    // Simple display without interfering with readline
-    console.log(
-      chalk.blue(
-        `🔄 Lag: ${actualLag.toFixed(2)}ms | Avg: ${avgLag.toFixed(2)}ms | Min: ${minLag.toFixed(
-          2,
-        )}ms | Max: ${maxLag.toFixed(2)}ms | Uptime: ${((now - this.startTime) / 1000).toFixed(1)}s`,
-      ),
-    );
-
-    this.lastCheck = now;
-
-    // Continue monitoring (less frequent to avoid interfering with user input)
-    setTimeout(() => this.monitorEventLoop(), 1000);
+    this.onSample?.(windowStats);
   }
 
-  createLagBar(lag) {
-    const maxBarLength = 40;
-    const normalizedLag = Math.max(0, Math.min(lag / 100, 1)); // Normalize to 0-1, ensure non-negative
-    const barLength = Math.floor(normalizedLag * maxBarLength);
-
-    let color;
-    if (lag < 16) color = chalk.green;
-    else if (lag < 50) color = chalk.yellow;
-    else color = chalk.red;
-
-    const bar = '█'.repeat(barLength) + '░'.repeat(maxBarLength - barLength);
-    return color(`${bar} ${lag.toFixed(1)}ms`);
+  // Most recent reporting windows, oldest first
+  getDelayHistory(count = this.historySize) {
+    return this.delayHistory.slice(-count);
   }
 
-  showEventLoopPhases() {
-    console.log(chalk.cyan('\n🔄 Event Loop Phases:'));
-    console.log(chalk.gray('• Timers: setTimeout, setInterval'));
-    console.log(chalk.gray('• Pending callbacks: I/O callbacks deferred to next loop'));
-    console.log(chalk.gray('• Idle, prepare: internal use'));
-    console.log(chalk.gray('• Poll: new I/O events, I/O callbacks'));
-    console.log(chalk.gray('• Check: setImmediate callbacks'));
-    console.log(chalk.gray('• Close callbacks: close event callbacks'));
+  // Aggregates the windows in the rolling history
+  getLagStats() {
+    const windows = this.delayHistory.filter(w => w.count > 0);
+    if (windows.length === 0) {
+      return { windows: 0, count: 0, min: 0, mean: 0, max: 0, p99: 0, utilization: 0 };
+    }
+
+    const count = windows.reduce((sum, w) => sum + w.count, 0);
+    const active = windows.reduce((sum, w) => sum + w.utilization.active, 0);
+    const idle = windows.reduce((sum, w) => sum + w.utilization.idle, 0);
+
+    return {
+      windows: windows.length,
+      count,
+      min: Math.min(...windows.map(w => w.min)),
+      mean: windows.reduce((sum, w) => sum + w.mean * w.count, 0) / count,
+      max: Math.max(...windows.map(w => w.max)),
+      // Worst window p99; percentiles cannot be merged exactly once the histograms are reset
+      p99: Math.max(...windows.map(w => w.p99)),
+      utilization: active / (active + idle || 1),
+    };
   }
 
   startBackgroundTasks() {
     // Simulate various types of async operations (less frequent)
-    setInterval(() => {
+    const timerInterval = setInterval(() => {
       // Timer phase
       process.nextTick(() => {
         // Next tick queue
@@ -108,177 +179,311 @@ export class EventLoopMonitor {
     });
 
     // Simulate I/O operations
-    setInterval(() => {
+    const microtaskInterval = setInterval(() => {
       Promise.resolve().then(() => {
         // Microtask queue
       });
     }, 2000);
+
+    return [timerInterval, microtaskInterval];
   }
 
-  async demonstrateBlocking() {
-    while (true) {
-      console.log(chalk.blue('\n🚫 Demonstrating Blocking Operations'));
-      console.log(chalk.yellow('This will show how blocking operations affect the event loop'));
-
-      const choice = await this.question(
-        chalk.green(
-          '\nSelect blocking operation:\n' +
-            '1. CPU-intensive loop\n' +
-            '2. Synchronous file read\n' +
-            '3. Asynchronous file read\n' +
-            '4. Async vs Sync file read comparison\n' +
-            '5. Infinite loop\n' +
-            '6. Back\n',
-        ),
-      );
+  stopBackgroundTasks(intervals) {
+    intervals.forEach(interval => clearInterval(interval));
+  }
+
+  // Traces the phases the startBackgroundTasks() callbacks run in
+  async traceBackgroundTasks({ duration = 5000 } = {}) {
+    const tracer = new PhaseTracer();
+    let backgroundTasks;
+
+    // The wait timer exists before tracing starts and stops the tracer first thing, so it is not traced itself
+    const trace = await new Promise(resolve => {
+      setTimeout(() => {
+        const trace = tracer.stop();
+        this.stopBackgroundTasks(backgroundTasks);
+        resolve(trace);
+      }, duration);
 
-      switch (choice.trim()) {
-        case '1':
-          await this.cpuIntensiveLoop();
-          break;
-        case '2':
-          await this.syncFileRead();
-          break;
-        case '3':
-          await this.asyncFileRead();
-          break;
-        case '4':
-          await this.asyncVsSync();
-          break;
-        case '5':
-          await this.infiniteLoop();
-          break;
-        case '6':
-          return;
-        default:
-          console.log(chalk.red('❌ Invalid choice.'));
+      tracer.start();
+      backgroundTasks = this.startBackgroundTasks();
+    });
+
+    return { experiment: 'startBackgroundTasks()', ...trace };
+  }
+
+  /**
+   * Runs a script in a child process with the phase tracer preloaded.
+   * The script's output is discarded and Enter is sent every stdinInterval ms so interactive demos keep going.
+   */
+  async traceScript({ script = EVENT_LOOP_DEMO, timeout = 60000, stdinInterval = 500 } = {}) {
+    const traceFile = path.join(os.tmpdir(), `phase-trace-${process.pid}-${Date.now()}.json`);
+    const preload = pathToFileURL(path.join(__dirname, 'phase-tracer-preload.js')).href;
+
+    const child = spawn(process.execPath, ['--import', preload, script], {
+      stdio: ['pipe', 'ignore', 'pipe'],
+      env: { ...process.env, PHASE_TRACE_FILE: traceFile },
+    });
+
+    let stderr = '';
+    child.stderr.on('data', chunk => (stderr += chunk));
+    child.stdin.on('error', () => {}); // The script may exit without reading stdin
+
+    const pressEnter = setInterval(() => child.stdin.write('\n'), stdinInterval);
+    const killTimer = setTimeout(() => child.kill('SIGKILL'), timeout);
+
+    try {
+      const [code, signal] = await new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('exit', (code, signal) => resolve([code, signal]));
+      });
+
+      if (signal) {
+        throw new Error(`Traced script did not finish within ${timeout}ms`);
+      }
+      if (code !== 0) {
+        const reason = stderr.split('\n').find(line => /Error/.test(line)) ?? stderr.trim();
+        throw new Error(`Traced script exited with code ${code}: ${reason}`);
       }
 
-      // Wait for user to continue
-      await this.question(chalk.gray('\nPress Enter to continue...'));
+      const trace = JSON.parse(await fs.promises.readFile(traceFile, 'utf8'));
+      return { experiment: path.relative(process.cwd(), script), ...trace };
+    } finally {
+      clearInterval(pressEnter);
+      clearTimeout(killTimer);
+      await fs.promises.rm(traceFile, { force: true });
     }
   }
 
-  async cpuIntensiveLoop() {
-    console.log(chalk.red('\n🚫 Starting CPU-intensive operation...'));
-    console.log(chalk.yellow('This will block the event loop for 5 seconds'));
+  // Runs the same batch of threadpool-bound operations with each UV_THREADPOOL_SIZE in poolSizes
+  async threadpoolSweep({ operation = 'pbkdf2', poolSizes = [1, 2, 4, 8], batchSize = 8, onRun } = {}) {
+    const experiment = new ThreadpoolExperiment({ fixtures: this.fixtures });
+    return experiment.sweep({ operation, poolSizes, batchSize, onRun });
+  }
 
+  async cpuIntensiveLoop({ iterations = 1e10 } = {}) {
     const start = performance.now();
 
     // Simulate CPU-intensive work
     let result = 0;
-    for (let i = 0; i < 1e10; i++) {
+    for (let i = 0; i < iterations; i++) {
       result += Math.sqrt(i);
     }
 
-    const duration = performance.now() - start;
-    console.log(chalk.green(`✅ CPU-intensive operation completed in ${duration.toFixed(2)}ms`));
-    console.log(chalk.gray(`Result: ${result.toFixed(2)}`));
+    return {
+      iterations,
+      duration: performance.now() - start,
+      result,
+    };
   }
 
-  async syncFileRead() {
-    console.log(chalk.red('\n🚫 Reading large file synchronously...'));
-    console.log(chalk.yellow('This will actually block the event loop!'));
+  /**
+   * Tracks every async resource created by a small workload of timers, immediates, nextTicks,
+   * promises and fs reads. A timer and a promise are deliberately left pending so that they
+   * show up as never destroyed.
+   */
+  async exploreAsyncResources() {
+    let leftoverTimer = null;
+    let leftoverPromise = null; // Kept reachable so GC cannot destroy it during the run
+
+    const workload = async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await new Promise(resolve => setImmediate(resolve));
+      await new Promise(resolve => process.nextTick(resolve));
+
+      await fs.promises.readFile(__filename);
+      await new Promise((resolve, reject) => fs.readFile(__filename, error => (error ? reject(error) : resolve())));
+
+      await Promise.all(
+        [1, 2, 3].map(async i => {
+          await new Promise(resolve => setTimeout(resolve, i));
+          return i;
+        }),
+      );
+
+      // Left pending on purpose
+      leftoverTimer = setTimeout(() => {}, 60000);
+      leftoverPromise = new Promise(() => {});
+    };
 
     try {
-      console.log(chalk.cyan('\n📁 Reading large-file.txt (10MB)...'));
-      console.log(chalk.yellow('⏱️  Starting synchronous read...'));
-
-      const startTime = performance.now();
-
-      // Actually read the file synchronously - this will block the event loop
-      const data = fs.readFileSync('large-file.txt', 'utf8');
-
-      const endTime = performance.now();
-      const duration = endTime - startTime;
-
-      console.log(chalk.green(`✅ File read completed in ${duration.toFixed(2)}ms`));
-      console.log(chalk.cyan(`📊 File size: ${(data.length / 1024 / 1024).toFixed(2)} MB`));
-      console.log(chalk.cyan(`📊 Characters read: ${data.length.toLocaleString()}`));
-      console.log(chalk.cyan(`📊 First 100 chars: "${data.substring(0, 100)}..."`));
-
-      // Show how this affected the event loop
-      console.log(chalk.yellow('\n⚠️  Event loop was blocked during this operation!'));
-      console.log(chalk.gray('• No other operations could be processed'));
-      console.log(chalk.gray('• Timers were delayed'));
-      console.log(chalk.gray('• I/O operations were queued'));
-    } catch (error) {
-      console.log(chalk.red(`❌ Error reading file: ${error.message}`));
-      console.log(chalk.yellow('Make sure large-file.txt exists in the current directory'));
+      return await new AsyncResourceTracker().track(workload);
+    } finally {
+      clearTimeout(leftoverTimer);
     }
   }
 
-  async infiniteLoop() {
-    console.log(chalk.red('\n🚫 WARNING: This will create an infinite loop!'));
-    console.log(chalk.yellow('This will simulate blocking the event loop for 10 seconds'));
-    console.log(chalk.yellow('Type "stop" to exit early, or wait for auto-exit'));
-
-    const choice = await this.question(chalk.green('Are you sure? (y/N): '));
-
-    if (choice.toLowerCase() === 'y') {
-      console.log(chalk.red('🚫 Starting simulated infinite loop...'));
-      console.log(chalk.yellow('Event loop will appear blocked!'));
-      console.log(chalk.cyan('⏰ Will auto-exit in 10 seconds...'));
-
-      const startTime = Date.now();
-      const maxDuration = 10000; // 10 seconds
-
-      // Simulate blocking behavior with intensive CPU work in chunks
-      // This allows us to check for user input while still demonstrating blocking
-      let shouldStop = false;
-      let iterations = 0;
-
-      // Set up auto-exit timer
-      const autoExitTimer = setTimeout(() => {
-        shouldStop = true;
-      }, maxDuration);
-
-      // Set up user input checker
-      const checkUserInput = async () => {
-        try {
-          const input = await this.question(chalk.green('Type "stop" to exit: '));
-          if (input.trim().toLowerCase() === 'stop') {
-            shouldStop = true;
-          } else {
-            // Continue checking input
-            checkUserInput();
-          }
-        } catch (error) {
-          // If readline is closed, just continue
-        }
-      };
+  /**
+   * Runs a blocking experiment ('cpu-loop' or 'sync-read') under a BlockingWatchdog and
+   * resolves with the experiment's result and the watchdog report.
+   */
+  async detectBlocking({ operation = 'cpu-loop', threshold = 100, iterations = 300000000, filePath } = {}) {
+    const operations = {
+      'cpu-loop': () => this.cpuIntensiveLoop({ iterations }),
+      'sync-read': () => this.syncFileRead({ filePath }),
+    };
+    if (!operations[operation]) {
+      throw new Error(`Unknown blocking operation "${operation}"`);
+    }
+
+    const watchdog = new BlockingWatchdog({ threshold });
+    const { result, report } = await watchdog.watch(operations[operation]);
 
-      // Start checking for user input
-      checkUserInput();
+    return { operation, result, report };
+  }
 
-      // Simulate blocking with intensive work
-      while (!shouldStop) {
-        // Do intensive work in small chunks to allow checking shouldStop
-        for (let i = 0; i < 1000000; i++) {
-          iterations += Math.sqrt(i);
-        }
+  // Without an explicit path the reads use a generated fixture in the temp directory
+  async resolveFilePath(filePath) {
+    if (filePath) return filePath;
+    return (await this.fixtures.ensure(FILE_READ_FIXTURE)).path;
+  }
 
-        // Small delay to allow checking shouldStop
-        await new Promise(resolve => setImmediate(resolve));
-      }
+  async syncFileRead({ filePath } = {}) {
+    filePath = await this.resolveFilePath(filePath);
+    const startTime = performance.now();
+
+    // Actually read the file synchronously - this will block the event loop
+    const data = fs.readFileSync(filePath, 'utf8');
+
+    return this.describeFileRead(filePath, data, performance.now() - startTime);
+  }
 
-      clearTimeout(autoExitTimer);
+  async asyncFileRead({ filePath } = {}) {
+    filePath = await this.resolveFilePath(filePath);
+    const startTime = performance.now();
 
-      const duration = Date.now() - startTime;
-      console.log(chalk.green('✅ Infinite loop stopped'));
-      console.log(chalk.cyan(`⏱️  Loop ran for ${duration}ms`));
-      console.log(chalk.cyan(`🔄 Completed ${iterations.toFixed(0)} iterations`));
-      console.log(chalk.gray('💡 Note: This simulated blocking behavior'));
+    // Read the file asynchronously - this will NOT block the event loop
+    const data = await fs.promises.readFile(filePath, 'utf8');
+
+    return this.describeFileRead(filePath, data, performance.now() - startTime);
+  }
+
+  /**
+   * Reads the same generated file with readFileSync, fs.promises.readFile, streams at each
+   * highWaterMark and `concurrency` parallel readFile calls, measuring how long each takes
+   * and how much event loop delay it causes.
+   */
+  async compareFileReads({
+    size = 50 * 1024 * 1024,
+    content = 'text',
+    highWaterMarks = [16 * 1024, 64 * 1024, 1024 * 1024],
+    concurrency = 4,
+    resolution = 1,
+  } = {}) {
+    const fixture = await this.fixtures.ensure({ size, content });
+    const filePath = fixture.path;
+
+    const strategies = [
+      { name: 'readFileSync', run: async () => fs.readFileSync(filePath).length },
+      { name: 'fs.promises.readFile', run: async () => (await fs.promises.readFile(filePath)).length },
+      ...highWaterMarks.map(highWaterMark => ({
+        name: 'createReadStream',
+        highWaterMark,
+        run: () => this.streamFile(filePath, highWaterMark),
+      })),
+      {
+        name: 'concurrent readFile',
+        concurrency,
+        run: async () => {
+          const buffers = await Promise.all(Array.from({ length: concurrency }, () => fs.promises.readFile(filePath)));
+          return buffers.reduce((sum, buffer) => sum + buffer.length, 0);
+        },
+      },
+    ];
+
+    const results = [];
+    for (const { run, ...strategy } of strategies) {
+      const { result: bytes, duration, delay } = await this.measureDelay(run, { resolution });
+      results.push({
+        ...strategy,
+        bytes,
+        duration,
+        throughput: bytes / 1024 / 1024 / (duration / 1000),
+        delay,
+      });
     }
+
+    return { fixture, resolution, results };
   }
 
-  async asyncVsSync() {
-    console.log(chalk.blue('\n⚡ Async vs Sync Performance Comparison'));
+  // Resolves with the number of fixture files deleted
+  async cleanupFixtures() {
+    return { directory: this.fixtures.directory, removed: await this.fixtures.cleanup() };
+  }
+
+  async streamFile(filePath, highWaterMark) {
+    let bytes = 0;
+    for await (const chunk of fs.createReadStream(filePath, { highWaterMark })) {
+      bytes += chunk.length;
+    }
+    return bytes;
+  }
+
+  // Runs fn with a delay histogram enabled; a blocked loop is only recorded once it gets to run again
+  async measureDelay(fn, { resolution = 10 } = {}) {
+    const histogram = monitorEventLoopDelay({ resolution });
+    const settle = () => new Promise(resolve => setTimeout(resolve, resolution * 2));
+    histogram.enable();
+    // Let the histogram take its first samples so a read that blocks right away is still measured
+    await settle();
 
-    const iterations = 1000000;
+    const startTime = performance.now();
+    const result = await fn();
+    const duration = performance.now() - startTime;
 
-    console.log(chalk.yellow(`\n🔄 Running ${iterations.toLocaleString()} iterations...`));
+    await settle();
+    histogram.disable();
 
+    return { result, duration, delay: summarizeHistogram(histogram) };
+  }
+
+  describeFileRead(filePath, data, duration) {
+    return {
+      filePath,
+      duration,
+      characters: data.length,
+      preview: data.substring(0, 100),
+    };
+  }
+
+  // Keeps the thread busy in small chunks until the duration elapses or the signal aborts
+  async infiniteLoop({ duration = 10000, signal } = {}) {
+    const startTime = Date.now();
+    let shouldStop = false;
+    let iterations = 0;
+
+    // Set up auto-exit timer
+    const autoExitTimer = setTimeout(() => {
+      shouldStop = true;
+    }, duration);
+
+    const stop = () => {
+      shouldStop = true;
+    };
+    signal?.addEventListener('abort', stop, { once: true });
+
+    // Simulate blocking with intensive work
+    while (!shouldStop) {
+      // Do intensive work in small chunks to allow checking shouldStop
+      for (let i = 0; i < 1000000; i++) {
+        iterations += Math.sqrt(i);
+      }
+
+      // Small delay to allow checking shouldStop
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    clearTimeout(autoExitTimer);
+    signal?.removeEventListener('abort', stop);
+
+    return {
+      duration: Date.now() - startTime,
+      iterations,
+      stoppedEarly: Boolean(signal?.aborted),
+    };
+  }
+
+  async asyncVsSync({ iterations = 1000000 } = {}) {
     // Synchronous operation
     const syncStart = performance.now();
     let syncResult = 0;
@@ -306,70 +511,25 @@ export class EventLoopMonitor {
 
     const asyncDuration = performance.now() - asyncStart;
 
-    console.log(chalk.cyan('\n📊 Results:'));
-    console.log(chalk.green(`✅ Synchronous: ${syncDuration.toFixed(2)}ms`));
-    console.log(chalk.yellow(`🔄 Asynchronous: ${asyncDuration.toFixed(2)}ms`));
-    console.log(chalk.blue(`📈 Speed difference: ${(asyncDuration / syncDuration).toFixed(2)}x slower`));
-    console.log(chalk.gray(`💡 Note: Async allows other operations during execution`));
-
-    // Verify results
-    if (syncResult === asyncResult) {
-      console.log(chalk.green('✅ Results match!'));
-    } else {
-      console.log(chalk.red('❌ Results mismatch!'));
-    }
+    return {
+      iterations,
+      syncDuration,
+      asyncDuration,
+      slowdown: asyncDuration / syncDuration,
+      resultsMatch: syncResult === asyncResult,
+    };
   }
 
-  async waitForStop() {
+  async waitForStop(duration, signal) {
     return new Promise(resolve => {
+      const stop = () => {
+        clearTimeout(timer);
+        this.monitoring = false;
+        resolve();
+      };
       // Use a timeout-based approach to avoid interfering with main application
-      setTimeout(() => {
-        if (this.monitoring) {
-          console.log(chalk.yellow('\n⏰ Auto-stopping monitoring after 30 seconds...'));
-          this.monitoring = false;
-          resolve();
-        }
-      }, 30000);
-
-      // Don't use SIGINT as it interferes with main application readline
-    });
-  }
-
-  async asyncFileRead() {
-    console.log(chalk.blue('\n🔄 Reading large file asynchronously...'));
-    console.log(chalk.yellow('This will NOT block the event loop!'));
-
-    try {
-      console.log(chalk.cyan('\n📁 Reading large-file.txt (10MB) asynchronously...'));
-      console.log(chalk.yellow('⏱️  Starting asynchronous read...'));
-
-      const startTime = performance.now();
-
-      // Read the file asynchronously - this will NOT block the event loop
-      const data = await fs.promises.readFile('large-file.txt', 'utf8');
-
-      const endTime = performance.now();
-      const duration = endTime - startTime;
-
-      console.log(chalk.green(`✅ Async file read completed in ${duration.toFixed(2)}ms`));
-      console.log(chalk.cyan(`📊 File size: ${(data.length / 1024 / 1024).toFixed(2)} MB`));
-      console.log(chalk.cyan(`📊 Characters read: ${data.length.toLocaleString()}`));
-      console.log(chalk.cyan(`📊 First 100 chars: "${data.substring(0, 100)}..."`));
-
-      // Show the benefits of async operations
-      console.log(chalk.green('\n✅ Event loop remained responsive during this operation!'));
-      console.log(chalk.gray('• Other operations could continue processing'));
-      console.log(chalk.gray('• Timers were not delayed'));
-      console.log(chalk.gray('• I/O operations were not blocked'));
-    } catch (error) {
-      console.log(chalk.red(`❌ Error reading file: ${error.message}`));
-      console.log(chalk.yellow('Make sure large-file.txt exists in the current directory'));
-    }
-  }
-
-  question(prompt) {
-    return new Promise(resolve => {
-      this.rl.question(prompt, resolve);
+      const timer = setTimeout(stop, duration);
+      signal?.addEventListener('abort', stop, { once: true });
     });
   }
 }
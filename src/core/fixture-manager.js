@@ -0,0 +1,93 @@
+import { randomBytes } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const FIXTURE_CONTENTS = ['text', 'random', 'zeros'];
+
+const CHUNK_SIZE = 1024 * 1024;
+const TEXT_LINE = 'The quick brown fox jumps over the lazy dog while the event loop keeps spinning.\n';
+
+// Text fixtures get a .txt extension, the random and zero-filled ones are binary
+function fixtureName(content, size) {
+  return `fixture-${content}-${size}.${content === 'text' ? 'txt' : 'bin'}`;
+}
+
+/**
+ * Generates files of a given size and content into a temp directory, so the file read
+ * experiments do not depend on anything being present in the working directory.
+ */
+export class FixtureManager {
+  constructor({ directory = path.join(os.tmpdir(), 'nodejs-internals-lab') } = {}) {
+    this.directory = directory;
+  }
+
+  async create({ name, size, content = 'text' } = {}) {
+    if (!FIXTURE_CONTENTS.includes(content)) {
+      throw new Error(`Unknown fixture content "${content}" (expected ${FIXTURE_CONTENTS.join(', ')})`);
+    }
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, name ?? fixtureName(content, size));
+
+    // Write in 1MB chunks so large fixtures never have to fit in memory at once
+    const file = await fs.promises.open(filePath, 'w');
+    try {
+      for (let written = 0; written < size; written += CHUNK_SIZE) {
+        await file.write(this.createChunk(content, Math.min(CHUNK_SIZE, size - written)));
+      }
+    } finally {
+      await file.close();
+    }
+
+    return { path: filePath, size, content };
+  }
+
+  // Reuses an existing fixture when its size already matches
+  async ensure({ name, size, content = 'text' } = {}) {
+    const filePath = path.join(this.directory, name ?? fixtureName(content, size));
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.size === size) return { path: filePath, size, content, reused: true };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return { ...(await this.create({ name, size, content })), reused: false };
+  }
+
+  createChunk(content, size) {
+    switch (content) {
+      case 'random':
+        return randomBytes(size);
+      case 'zeros':
+        return Buffer.alloc(size);
+      default:
+        return Buffer.from(TEXT_LINE.repeat(Math.ceil(size / TEXT_LINE.length)).slice(0, size));
+    }
+  }
+
+  async list() {
+    try {
+      const names = await fs.promises.readdir(this.directory);
+      return Promise.all(
+        names.map(async name => {
+          const filePath = path.join(this.directory, name);
+          const { size } = await fs.promises.stat(filePath);
+          return { path: filePath, size };
+        }),
+      );
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Removes the fixture directory and resolves with the number of files deleted
+  async cleanup() {
+    const fixtures = await this.list();
+    await fs.promises.rm(this.directory, { recursive: true, force: true });
+    return fixtures.length;
+  }
+}
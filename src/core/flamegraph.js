@@ -0,0 +1,283 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describeFailure, runNode } from './child-process.js';
+
+// V8's VM state of a --prof tick; GC ticks get an extra frame so they show up in the graph
+const VM_STATE_GC = 1;
+
+function frameName(functionName, url, lineNumber, columnNumber) {
+  const name = (functionName || '(anonymous)').replaceAll(';', ':');
+  if (!url) return name;
+
+  const file = url.startsWith('file://') ? fileURLToPath(url) : url;
+  return `${name} ${file}:${lineNumber}:${columnNumber}`;
+}
+
+function addStack(stacks, frames, weight) {
+  const key = frames.join(';');
+  stacks.set(key, (stacks.get(key) ?? 0) + weight);
+}
+
+/**
+ * Folds a CPU profile (from the inspector or a .cpuprofile file) into "root;caller;callee" stacks
+ * weighted by the milliseconds sampled in them.
+ */
+export function foldCpuProfile(profile) {
+  const nodes = new Map(profile.nodes.map(node => [node.id, node]));
+  const parents = new Map();
+  for (const node of profile.nodes) {
+    for (const childId of node.children ?? []) parents.set(childId, node.id);
+  }
+
+  const framesOf = new Map();
+  const getFrames = id => {
+    if (!framesOf.has(id)) {
+      const { callFrame } = nodes.get(id);
+      const parentId = parents.get(id);
+      // The root node is not a real frame
+      const parentFrames = parentId === undefined ? [] : getFrames(parentId);
+      framesOf.set(
+        id,
+        parentId === undefined
+          ? []
+          : [
+              ...parentFrames,
+              frameName(callFrame.functionName, callFrame.url, callFrame.lineNumber + 1, callFrame.columnNumber + 1),
+            ],
+      );
+    }
+    return framesOf.get(id);
+  };
+
+  const stacks = new Map();
+  profile.samples.forEach((id, i) => {
+    const frames = getFrames(id);
+    if (frames.length > 0) addStack(stacks, frames, Math.max(0, profile.timeDeltas[i] ?? 0) / 1000);
+  });
+
+  return { unit: 'ms', stacks };
+}
+
+// Folds a sampling heap profile into stacks weighted by the kilobytes allocated in them
+export function foldHeapProfile(profile) {
+  const stacks = new Map();
+  const visit = (node, frames) => {
+    const { functionName, url, lineNumber, columnNumber } = node.callFrame;
+    const path = [...frames, frameName(functionName, url, lineNumber + 1, columnNumber + 1)];
+    if (node.selfSize > 0) addStack(stacks, path, node.selfSize / 1024);
+    node.children.forEach(child => visit(child, path));
+  };
+  // The head is a synthetic (root) frame
+  profile.head.children.forEach(child => visit(child, []));
+
+  return { unit: 'KB', stacks };
+}
+
+/**
+ * Folds a --prof isolate log. `node --prof-process --preprocess` resolves every tick's stack
+ * (innermost frame first, as code index / offset pairs) against the code entries of the log.
+ */
+export async function foldIsolateLog(logFile, { timeout = 120000 } = {}) {
+  const child = await runNode(['--prof-process', '--preprocess', logFile], { timeout });
+  if (child.code !== 0) {
+    throw new Error(`node --prof-process ${describeFailure(child)}`);
+  }
+
+  const { code, ticks } = JSON.parse(child.stdout);
+  const stacks = new Map();
+
+  for (const tick of ticks) {
+    const frames = [];
+    for (let i = 0; i < tick.s.length; i += 2) {
+      const entry = code[tick.s[i]];
+      frames.unshift(entry ? entry.name.trim() || '(anonymous)' : '(unknown)');
+    }
+    if (tick.vm === VM_STATE_GC) frames.push('(garbage collector)');
+    if (frames.length > 0) addStack(stacks, frames, 1);
+  }
+
+  return { unit: 'ticks', stacks };
+}
+
+// Loads folded stacks from a .cpuprofile file or a --prof isolate log
+export async function foldProfileFile(file) {
+  if (path.extname(file) === '.cpuprofile') {
+    return foldCpuProfile(JSON.parse(await fs.promises.readFile(file, 'utf8')));
+  }
+  return foldIsolateLog(file);
+}
+
+/**
+ * Merges folded stacks into a tree of { name, value, self, children }. Frames below `minFraction`
+ * of the total are folded into their parent's self time to keep the graph readable.
+ */
+export function buildFlameTree(stacks, { minFraction = 0.001 } = {}) {
+  const createNode = name => ({ name, value: 0, self: 0, children: new Map() });
+  const root = createNode('all');
+
+  for (const [stack, weight] of stacks) {
+    let node = root;
+    node.value += weight;
+    for (const name of stack.split(';')) {
+      if (!node.children.has(name)) node.children.set(name, createNode(name));
+      node = node.children.get(name);
+      node.value += weight;
+    }
+    node.self += weight;
+  }
+
+  const minValue = root.value * minFraction;
+  const finish = node => {
+    const children = [];
+    for (const child of node.children.values()) {
+      if (child.value >= minValue) {
+        children.push(finish(child));
+      } else {
+        node.self += child.value;
+      }
+    }
+    return { ...node, children: children.sort((a, b) => b.value - a.value) };
+  };
+
+  return finish(root);
+}
+
+// The frames that samples landed in, by self time
+export function findHotspots(stacks, { top = 10 } = {}) {
+  const self = new Map();
+  let total = 0;
+  for (const [stack, weight] of stacks) {
+    const leaf = stack.slice(stack.lastIndexOf(';') + 1);
+    self.set(leaf, (self.get(leaf) ?? 0) + weight);
+    total += weight;
+  }
+
+  return [...self.entries()]
+    .map(([name, value]) => ({ name, self: value, percentage: total > 0 ? (value / total) * 100 : 0 }))
+    .sort((a, b) => b.self - a.self)
+    .slice(0, top);
+}
+
+// A standalone page: the tree is embedded as JSON and drawn as SVG, click a frame to zoom into it
+export function renderFlamegraphHtml(tree, { title = 'Flamegraph', unit = 'ms' } = {}) {
+  const data = JSON.stringify(tree).replaceAll('<', '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title.replaceAll('<', '&lt;')}</title>
+<style>
+  body { font: 12px monospace; margin: 16px; background: #fff; color: #222; }
+  #controls { margin-bottom: 8px; }
+  #details { height: 18px; margin-top: 6px; white-space: nowrap; overflow: hidden; }
+  svg text { pointer-events: none; font: 11px monospace; fill: #000; }
+  svg rect { stroke: #fff; stroke-width: 0.5; cursor: pointer; }
+  svg rect.match { fill: #d946ef !important; }
+</style>
+</head>
+<body>
+<h2 id="title"></h2>
+<div id="controls"><button id="reset">Reset zoom</button> <input id="search" placeholder="Search frames"></div>
+<svg id="graph" width="100%"></svg>
+<div id="details"></div>
+<script>
+const tree = ${data};
+const unit = ${JSON.stringify(unit)};
+const rowHeight = 18;
+const svg = document.getElementById('graph');
+const details = document.getElementById('details');
+document.getElementById('title').textContent = ${JSON.stringify(title)};
+
+const depthOf = node => 1 + Math.max(0, ...node.children.map(depthOf));
+const color = name => {
+  let hash = 0;
+  for (const char of name) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  const native = name.startsWith('(') || !name.includes(' ');
+  return native ? 'hsl(' + (200 + (hash % 20)) + ',45%,65%)' : 'hsl(' + (10 + Math.abs(hash % 40)) + ',85%,60%)';
+};
+
+function render(target) {
+  const width = svg.clientWidth || 1200;
+  const depth = depthOf(tree);
+  svg.setAttribute('height', depth * rowHeight);
+  svg.innerHTML = '';
+  const term = document.getElementById('search').value;
+
+  // Draw root at the bottom, like a flame; the focused frame spans the full width
+  const draw = (node, x, level, scale, value = node.value, children = node.children) => {
+    const w = value * scale;
+    if (w < 0.5) return;
+    const y = (depth - level - 1) * rowHeight;
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('x', x);
+    rect.setAttribute('y', y);
+    rect.setAttribute('width', w);
+    rect.setAttribute('height', rowHeight - 1);
+    rect.setAttribute('fill', color(node.name));
+    if (term && node.name.includes(term)) rect.classList.add('match');
+    const percentage = ((node.value / tree.value) * 100).toFixed(2);
+    const label = node.name + ' (' + node.value.toFixed(1) + ' ' + unit + ', ' + percentage + '%)';
+    rect.addEventListener('mouseover', () => (details.textContent = label));
+    rect.addEventListener('click', () => focus(node));
+    const tooltip = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    tooltip.textContent = label;
+    rect.appendChild(tooltip);
+    svg.appendChild(rect);
+
+    if (w > 30) {
+      const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      text.setAttribute('x', x + 3);
+      text.setAttribute('y', y + 12);
+      text.textContent = node.name.length * 7 > w - 6 ? node.name.slice(0, Math.floor((w - 6) / 7) - 1) + '…' : node.name;
+      svg.appendChild(text);
+    }
+
+    let childX = x;
+    for (const child of children) {
+      draw(child, childX, level + 1, scale);
+      childX += child.value * scale;
+    }
+  };
+
+  // Ancestors of the focused frame are drawn full width below it
+  const ancestors = [];
+  const find = node => {
+    if (node === target) return true;
+    for (const child of node.children) {
+      if (find(child)) {
+        ancestors.unshift(child);
+        return true;
+      }
+    }
+    return false;
+  };
+  find(tree);
+  ancestors.unshift(tree);
+  ancestors.pop();
+  ancestors.forEach((node, level) => draw(node, 0, level, width / target.value, target.value, []));
+  draw(target, 0, ancestors.length, width / target.value);
+}
+
+let focused = tree;
+const focus = node => render((focused = node));
+document.getElementById('reset').addEventListener('click', () => focus(tree));
+document.getElementById('search').addEventListener('input', () => render(focused));
+window.addEventListener('resize', () => render(focused));
+render(tree);
+</script>
+</body>
+</html>
+`;
+}
+
+export async function saveFlamegraph(
+  tree,
+  { outputDir = path.join(process.cwd(), 'profiles'), name, title, unit } = {},
+) {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  const file = path.join(outputDir, name ?? `flamegraph-${new Date().toISOString().replace(/[:.]/g, '-')}.html`);
+  await fs.promises.writeFile(file, renderFlamegraphHtml(tree, { title, unit }));
+  return file;
+}
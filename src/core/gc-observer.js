@@ -0,0 +1,119 @@
+import { constants, performance, PerformanceObserver } from 'perf_hooks';
+
+export const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'scavenge',
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'mark-sweep-compact',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weak-callbacks',
+};
+
+const GC_FLAGS = {
+  [constants.NODE_PERFORMANCE_GC_FLAGS_CONSTRUCT_RETAINED]: 'construct-retained',
+  [constants.NODE_PERFORMANCE_GC_FLAGS_FORCED]: 'forced',
+  [constants.NODE_PERFORMANCE_GC_FLAGS_SYNCHRONOUS_PHANTOM_PROCESSING]: 'synchronous-phantom-processing',
+  [constants.NODE_PERFORMANCE_GC_FLAGS_ALL_AVAILABLE_GARBAGE]: 'all-available-garbage',
+  [constants.NODE_PERFORMANCE_GC_FLAGS_ALL_EXTERNAL_MEMORY]: 'all-external-memory',
+  [constants.NODE_PERFORMANCE_GC_FLAGS_SCHEDULE_IDLE]: 'schedule-idle',
+};
+
+// Upper bounds (ms) of the pause time histogram buckets; the last bucket is open ended
+export const GC_PAUSE_BUCKETS = [1, 2, 5, 10, 25, 50, 100, Infinity];
+
+function describeFlags(flags) {
+  return Object.entries(GC_FLAGS)
+    .filter(([bit]) => flags & Number(bit))
+    .map(([, name]) => name);
+}
+
+/**
+ * Records every garbage collection of this isolate through a PerformanceObserver on the 'gc'
+ * entry type. V8 queues the entries and node delivers them asynchronously, so reads flush first.
+ */
+export class GCObserver {
+  constructor({ maxEvents = 5000 } = {}) {
+    this.maxEvents = maxEvents;
+    this.events = [];
+    this.observer = null;
+    this.startedAt = null;
+  }
+
+  start() {
+    if (this.observer) return;
+
+    this.startedAt = performance.now();
+    this.observer = new PerformanceObserver(list => this.record(list.getEntries()));
+    this.observer.observe({ entryTypes: ['gc'] });
+  }
+
+  stop() {
+    if (!this.observer) return;
+
+    this.record(this.observer.takeRecords());
+    this.observer.disconnect();
+    this.observer = null;
+  }
+
+  record(entries) {
+    for (const entry of entries) {
+      this.events.push({
+        kind: GC_KINDS[entry.detail.kind] ?? `unknown (${entry.detail.kind})`,
+        flags: describeFlags(entry.detail.flags),
+        startTime: entry.startTime,
+        duration: entry.duration,
+      });
+    }
+
+    // Keep only the most recent events
+    if (this.events.length > this.maxEvents) {
+      this.events.splice(0, this.events.length - this.maxEvents);
+    }
+  }
+
+  // Waits for the entries of collections that already happened to be delivered
+  async flush() {
+    await new Promise(resolve => setImmediate(resolve));
+    if (this.observer) this.record(this.observer.takeRecords());
+  }
+
+  /**
+   * Pause statistics of the collections since `since` (a performance.now() timestamp, by default
+   * when the observer started): counts and pause times per kind, a pause time histogram, how
+   * often V8 collected and which share of the wall time was spent in GC pauses.
+   */
+  async getStatistics({ since = this.startedAt, recent = 5 } = {}) {
+    await this.flush();
+
+    const events = this.events.filter(event => event.startTime >= since);
+    const elapsed = performance.now() - since;
+    const totalPause = events.reduce((sum, event) => sum + event.duration, 0);
+
+    const kinds = new Map();
+    for (const event of events) {
+      const kind = kinds.get(event.kind) ?? { kind: event.kind, count: 0, totalPause: 0, maxPause: 0 };
+      kind.count++;
+      kind.totalPause += event.duration;
+      kind.maxPause = Math.max(kind.maxPause, event.duration);
+      kinds.set(event.kind, kind);
+    }
+
+    const histogram = GC_PAUSE_BUCKETS.map((max, i) => ({ min: GC_PAUSE_BUCKETS[i - 1] ?? 0, max, count: 0 }));
+    for (const event of events) {
+      histogram.find(bucket => event.duration < bucket.max).count++;
+    }
+
+    return {
+      elapsed,
+      count: events.length,
+      totalPause,
+      maxPause: events.reduce((max, event) => Math.max(max, event.duration), 0),
+      // Collections per second of wall time
+      frequency: elapsed > 0 ? events.length / (elapsed / 1000) : 0,
+      gcTimePercentage: elapsed > 0 ? (totalPause / elapsed) * 100 : 0,
+      byKind: [...kinds.values()]
+        .map(kind => ({ ...kind, meanPause: kind.totalPause / kind.count }))
+        .sort((a, b) => b.totalPause - a.totalPause),
+      histogram,
+      recent: events.slice(-recent),
+    };
+  }
+}
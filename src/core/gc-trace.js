@@ -0,0 +1,125 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { stripVTControlCharacters } from 'util';
+import { describeFailure, runNode } from './child-process.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const GC_DEMO = path.join(__dirname, '..', 'experiments', 'garbage-collection.js');
+
+export const GC_TRACE_FLAGS = ['--expose-gc', '--trace-gc', '--trace-gc-verbose'];
+
+const MB = 1024 * 1024;
+
+// V8 prefixes every trace line with [pid:isolate]; it can follow output that did not end its line
+const ISOLATE_PREFIX = /\[\d+:0x[0-9a-f]+\]\s*/;
+const GC_LINE =
+  /^([\d.]+) ms: ([A-Za-z-]+(?: [A-Za-z-]+)*?)(?: \((\w+)\))? ([\d.]+) \(([\d.]+)\) -> ([\d.]+) \(([\d.]+)\) MB, ([\d.]+) \/ ([\d.]+) ms\s*(.*)$/;
+const SPACE_LINE = /^(.+?),\s+used:\s+(\d+) KB, available:\s+(\d+) KB, committed:\s+(\d+) KB/;
+const EXTERNAL_LINE = /^External memory reported:\s+(-?\d+) KB/;
+// The experiments announce each demo with a "📋 Demo N: Title" line
+const PHASE_LINE = /^📋 (.+)$/;
+
+/**
+ * Parses the stdout of a script run with GC_TRACE_FLAGS into GC events: the collector, heap size
+ * before and after, the pause, why V8 collected and, from --trace-gc-verbose, every space and the
+ * external memory after the collection. Each event is tagged with the phase of the script that ran.
+ */
+export function parseGCTrace(text) {
+  const events = [];
+  const phases = [];
+  let phase = '(startup)';
+  let last = null;
+
+  for (const rawLine of text.split('\n')) {
+    const line = stripVTControlCharacters(rawLine);
+    const prefix = ISOLATE_PREFIX.exec(line);
+    const output = (prefix ? line.slice(0, prefix.index) : line).trim();
+
+    const phaseMatch = PHASE_LINE.exec(output);
+    if (phaseMatch) {
+      phase = phaseMatch[1];
+      phases.push(phase);
+    }
+    if (!prefix) continue;
+
+    const trace = line.slice(prefix.index + prefix[0].length);
+    const gc = GC_LINE.exec(trace);
+    const space = SPACE_LINE.exec(trace);
+    const external = EXTERNAL_LINE.exec(trace);
+
+    if (gc) {
+      // The rest is "(average mu = ...) <reason>; <collector reason>", marking steps in parentheses first
+      const [reason, collectorReason] = gc[10].replace(/\([^)]*\)/g, '').split(';');
+      last = {
+        phase,
+        time: Number(gc[1]),
+        type: gc[2],
+        reduceMemory: gc[3] === 'reduce',
+        before: Math.round(Number(gc[4]) * MB),
+        committedBefore: Math.round(Number(gc[5]) * MB),
+        after: Math.round(Number(gc[6]) * MB),
+        committedAfter: Math.round(Number(gc[7]) * MB),
+        pause: Number(gc[8]),
+        // Time spent in embedder callbacks during the pause
+        externalTime: Number(gc[9]),
+        reason: reason.trim(),
+        collectorReason: collectorReason?.trim() || null,
+        externalMemory: null,
+        spaces: [],
+      };
+      events.push(last);
+    } else if (space && last && !space[1].startsWith('Memory allocator')) {
+      last.spaces.push({
+        name: space[1].trim(),
+        used: Number(space[2]) * 1024,
+        available: Number(space[3]) * 1024,
+        committed: Number(space[4]) * 1024,
+      });
+    } else if (external && last) {
+      last.externalMemory = Number(external[1]) * 1024;
+    }
+  }
+
+  return { events, phases };
+}
+
+// Collections, pause time and freed bytes per phase, in the order the phases ran
+export function summarizeGCPhases({ events, phases }) {
+  const byPhase = new Map(
+    ['(startup)', ...phases].map(name => [name, { phase: name, collections: 0, byType: {}, pause: 0, freed: 0 }]),
+  );
+
+  for (const event of events) {
+    const summary = byPhase.get(event.phase);
+    summary.collections++;
+    summary.byType[event.type] = (summary.byType[event.type] ?? 0) + 1;
+    summary.pause += event.pause;
+    summary.freed += event.before - event.after;
+  }
+
+  return [...byPhase.values()].filter(summary => summary.collections > 0 || summary.phase !== '(startup)');
+}
+
+// Runs target in a child process with the GC tracing flags and parses what V8 printed
+export async function runGCTrace({ target = GC_DEMO, timeout = 120000 } = {}) {
+  // V8 prints traces with C stdio, which only keeps its order with the script's output in a file
+  const traceFile = path.join(os.tmpdir(), `gc-trace-${process.pid}-${Date.now()}.log`);
+  const handle = await fs.promises.open(traceFile, 'w');
+
+  try {
+    const child = await runNode([...GC_TRACE_FLAGS, target], { timeout, stdout: handle.fd });
+    if (child.code !== 0) {
+      throw new Error(`${path.basename(target)} ${describeFailure(child)}`);
+    }
+
+    const trace = parseGCTrace(await fs.promises.readFile(traceFile, 'utf8'));
+    return { target, duration: child.duration, events: trace.events, phases: summarizeGCPhases(trace) };
+  } finally {
+    await handle.close();
+    await fs.promises.rm(traceFile, { force: true });
+  }
+}
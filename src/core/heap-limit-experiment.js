@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describeFailure, runNode } from './child-process.js';
+import { parseGCTrace } from './gc-trace.js';
+import { HeapSnapshot } from './heap-snapshot.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const HEAP_LIMIT_WORKLOAD = path.join(__dirname, 'heap-limit-workload.js');
+
+const FATAL_ERROR = /^FATAL ERROR: (.+)$/m;
+const SNAPSHOT_WRITTEN = /^Wrote snapshot to (.+\.heapsnapshot)$/m;
+const NATIVE_FRAME = /^\s*\d+: 0x[0-9a-f]+ (.*?)\s*\[[^\]]*\]$/;
+
+/**
+ * Parses what node prints to stderr when the heap runs out: the fatal error, the last few GCs
+ * (V8 keeps them in a ring buffer and prints them without line breaks) and the native stack.
+ */
+export function parseOutOfMemoryReport(stderr) {
+  const message = FATAL_ERROR.exec(stderr)?.[1] ?? null;
+  const gcSection = /<--- Last few GCs --->([\s\S]*?)<--- JS stacktrace --->/.exec(stderr)?.[1] ?? '';
+  const { events: lastGCs } = parseGCTrace(gcSection.replace(/(?=\[\d+:0x[0-9a-f]+\])/g, '\n'));
+  const nativeStack = stderr
+    .slice(stderr.indexOf('----- Native stack trace -----'))
+    .split('\n')
+    .map(line => NATIVE_FRAME.exec(line)?.[1])
+    .filter(frame => frame !== undefined)
+    .map(frame => frame || '(unknown)');
+
+  return {
+    message,
+    lastGCs: lastGCs.map(({ time, type, before, after, pause, reason }) => ({
+      time,
+      type,
+      before,
+      after,
+      pause,
+      reason,
+    })),
+    nativeStack,
+    snapshotFile: SNAPSHOT_WRITTEN.exec(stderr)?.[1] ?? null,
+  };
+}
+
+/**
+ * Runs accumulationLeak() without cleanup in a child with a small --max-old-space-size until it
+ * dies. v8.setHeapSnapshotNearHeapLimit() (the API form of --heapsnapshot-near-heap-limit) makes
+ * V8 write a snapshot just before, which is summarized with its top retainers.
+ */
+export async function runHeapLimitExperiment({
+  maxOldSpaceSize = 32,
+  batchSize = 10000,
+  top = 5,
+  outputDir = path.join(process.cwd(), 'profiles'),
+  timeout = 120000,
+} = {}) {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  // V8 names the snapshot itself and writes it to the working directory
+  const child = await runNode(
+    [`--max-old-space-size=${maxOldSpaceSize}`, HEAP_LIMIT_WORKLOAD, JSON.stringify({ batchSize, snapshots: 1 })],
+    { cwd: outputDir, timeout },
+  );
+
+  const report = parseOutOfMemoryReport(child.stderr);
+  if (!report.message) {
+    throw new Error(`${path.basename(HEAP_LIMIT_WORKLOAD)} ${describeFailure(child)}`);
+  }
+
+  // One line per batch: { batch, retained, heapUsed }
+  const batches = child.stdout
+    .split('\n')
+    .filter(line => line.startsWith('{'))
+    .map(line => JSON.parse(line));
+
+  const result = {
+    maxOldSpaceSize,
+    batchSize,
+    duration: child.duration,
+    code: child.code,
+    signal: child.signal,
+    batches,
+    ...report,
+    summary: null,
+    retainers: [],
+  };
+
+  if (report.snapshotFile) {
+    result.snapshotFile = path.resolve(outputDir, report.snapshotFile);
+    const snapshot = await HeapSnapshot.fromFile(result.snapshotFile);
+    result.summary = snapshot.getConstructorSummary({ top });
+    result.retainers = snapshot.getTopRetainers({ top });
+  }
+
+  return result;
+}
@@ -0,0 +1,15 @@
+import v8 from 'v8';
+import { MemoryProfiler } from './memory-profiler.js';
+
+// Child process for the heap limit experiment: runs accumulationLeak() without cleanup until the
+// heap runs out. V8 writes a snapshot into the working directory when the heap nears its limit.
+const { batchSize, snapshots } = JSON.parse(process.argv[2]);
+
+v8.setHeapSnapshotNearHeapLimit(snapshots);
+
+const profiler = new MemoryProfiler();
+for (let batch = 1; ; batch++) {
+  await profiler.accumulationLeak({ iterations: batchSize, cleanup: false });
+  const { heapUsed } = process.memoryUsage();
+  console.log(JSON.stringify({ batch, retained: batch * batchSize, heapUsed }));
+}
@@ -0,0 +1,104 @@
+import { Session } from 'inspector';
+
+/**
+ * Records a sampling heap profile through the inspector HeapProfiler domain. V8 samples one
+ * allocation every samplingInterval bytes on average and records the JS stack that made it.
+ * Only objects that are still alive when sampling stops are reported.
+ */
+export class HeapSampler {
+  constructor({ samplingInterval = 512 } = {}) {
+    // Average number of bytes between samples
+    this.samplingInterval = samplingInterval;
+    this.session = null;
+  }
+
+  post(method, params = {}) {
+    return new Promise((resolve, reject) => {
+      this.session.post(method, params, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+  }
+
+  async start() {
+    if (this.session) throw new Error('Heap sampler is already running');
+
+    this.session = new Session();
+    this.session.connect();
+    await this.post('HeapProfiler.enable');
+    await this.post('HeapProfiler.startSampling', { samplingInterval: this.samplingInterval });
+  }
+
+  async stop() {
+    if (!this.session) throw new Error('Heap sampler is not running');
+
+    try {
+      const { profile } = await this.post('HeapProfiler.stopSampling');
+      await this.post('HeapProfiler.disable');
+      return profile;
+    } finally {
+      this.session.disconnect();
+      this.session = null;
+    }
+  }
+
+  // Samples fn and resolves with its result and the captured profile
+  async profile(fn) {
+    await this.start();
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+    return { result, profile: await this.stop() };
+  }
+}
+
+/**
+ * Aggregates a sampling heap profile per function. Self bytes were allocated by the function
+ * itself, total bytes also by everything it called; recursive calls are only counted once.
+ */
+export function summarizeHeapProfile(profile, { top = 15 } = {}) {
+  const functions = new Map();
+  const onStack = new Map();
+  const keyOf = ({ callFrame }) =>
+    `${callFrame.functionName}|${callFrame.url}|${callFrame.lineNumber}|${callFrame.columnNumber}`;
+
+  const visit = node => {
+    const key = keyOf(node);
+    const entry = functions.get(key) ?? {
+      functionName: node.callFrame.functionName || '(anonymous)',
+      url: node.callFrame.url,
+      lineNumber: node.callFrame.lineNumber + 1,
+      columnNumber: node.callFrame.columnNumber + 1,
+      selfSize: 0,
+      totalSize: 0,
+    };
+    entry.selfSize += node.selfSize;
+    functions.set(key, entry);
+
+    onStack.set(key, (onStack.get(key) ?? 0) + 1);
+    let subtree = node.selfSize;
+    for (const child of node.children) subtree += visit(child);
+    onStack.set(key, onStack.get(key) - 1);
+
+    if (onStack.get(key) === 0) entry.totalSize += subtree;
+    return subtree;
+  };
+
+  // The head is a synthetic (root) frame
+  const total = profile.head.children.reduce((sum, child) => sum + visit(child), profile.head.selfSize);
+  const withPercentages = [...functions.values()].map(entry => ({
+    ...entry,
+    selfPercentage: total > 0 ? (entry.selfSize / total) * 100 : 0,
+    totalPercentage: total > 0 ? (entry.totalSize / total) * 100 : 0,
+  }));
+
+  return {
+    totalSize: total,
+    sampleCount: profile.samples.length,
+    bySelfSize: [...withPercentages].sort((a, b) => b.selfSize - a.selfSize).slice(0, top),
+    byTotalSize: [...withPercentages].sort((a, b) => b.totalSize - a.totalSize).slice(0, top),
+  };
+}
@@ -0,0 +1,91 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describeFailure, runNode } from './child-process.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const OUT_OF_MEMORY = /heap out of memory|Reached heap limit/;
+
+// Runs the createAndReleaseObjects() workload under every combination of old and semi space size
+export class HeapSizingExperiment {
+  constructor({ timeout = 120000 } = {}) {
+    this.timeout = timeout;
+  }
+
+  /**
+   * Sizes are in MB, as node takes them. Each run reports its scavenges, mark-sweeps, pause time,
+   * peak RSS and throughput; runs that die at the heap limit are kept with `outOfMemory` set.
+   */
+  async sweep({
+    oldSpaceSizes = [64, 256],
+    semiSpaceSizes = [1, 16, 64],
+    iterations = 100000,
+    rounds = 3,
+    onRun,
+  } = {}) {
+    const runs = [];
+    for (const oldSpaceSize of oldSpaceSizes) {
+      for (const semiSpaceSize of semiSpaceSizes) {
+        const run = await this.runWorkload({ oldSpaceSize, semiSpaceSize, iterations, rounds });
+        runs.push(run);
+        onRun?.(run);
+      }
+    }
+
+    const completed = runs.filter(run => !run.failed);
+    const best = (key, direction) =>
+      completed.length === 0 ? null : completed.reduce((a, b) => ((b[key] - a[key]) * direction > 0 ? b : a));
+
+    return {
+      iterations,
+      rounds,
+      runs,
+      best: {
+        throughput: best('throughput', 1),
+        totalPause: best('totalPause', -1),
+        peakRss: best('peakRss', -1),
+      },
+    };
+  }
+
+  async runWorkload({ oldSpaceSize, semiSpaceSize, iterations, rounds }) {
+    const flags = [`--max-old-space-size=${oldSpaceSize}`, `--max-semi-space-size=${semiSpaceSize}`];
+    const child = await runNode(
+      [...flags, path.join(__dirname, 'heap-sizing-workload.js'), JSON.stringify({ iterations, rounds })],
+      { timeout: this.timeout },
+    );
+
+    if (child.code !== 0) {
+      const outOfMemory = OUT_OF_MEMORY.test(child.stderr);
+      return {
+        oldSpaceSize,
+        semiSpaceSize,
+        flags,
+        failed: true,
+        outOfMemory,
+        error: outOfMemory ? 'JavaScript heap out of memory' : describeFailure(child),
+      };
+    }
+
+    const { elapsed, objects, gc, peakRss } = JSON.parse(child.stdout);
+    const count = kind => gc.byKind.find(entry => entry.kind === kind)?.count ?? 0;
+
+    return {
+      oldSpaceSize,
+      semiSpaceSize,
+      flags,
+      failed: false,
+      elapsed,
+      // Objects created and released per second
+      throughput: objects / (elapsed / 1000),
+      scavenges: count('scavenge'),
+      markSweeps: count('mark-sweep-compact'),
+      incrementalSteps: count('incremental'),
+      totalPause: gc.totalPause,
+      maxPause: gc.maxPause,
+      gcTimePercentage: (gc.totalPause / elapsed) * 100,
+      peakRss,
+    };
+  }
+}
@@ -0,0 +1,26 @@
+import { performance } from 'perf_hooks';
+import { V8InternalsExplorer } from './v8-internals-explorer.js';
+
+// Child process for HeapSizingExperiment: runs the createAndReleaseObjects() workload under the
+// heap flags the parent chose and prints what the garbage collector did as JSON.
+const { iterations, rounds } = JSON.parse(process.argv[2]);
+
+const explorer = new V8InternalsExplorer();
+const startTime = performance.now();
+
+for (let round = 0; round < rounds; round++) {
+  await explorer.createAndReleaseObjects({ iterations, holdTime: 0 });
+}
+
+const elapsed = performance.now() - startTime;
+const { count, totalPause, maxPause, byKind } = await explorer.gcObserver.getStatistics({ since: startTime });
+
+process.stdout.write(
+  JSON.stringify({
+    elapsed,
+    objects: iterations * rounds,
+    gc: { count, totalPause, maxPause, byKind },
+    // maxRSS is in kilobytes
+    peakRss: process.resourceUsage().maxRSS * 1024,
+  }),
+);
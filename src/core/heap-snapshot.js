@@ -0,0 +1,710 @@
+import fs from 'fs';
+import { Session } from 'inspector';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import v8 from 'v8';
+
+const OWN_FILE = fileURLToPath(import.meta.url);
+
+// How Chrome DevTools groups nodes that are not plain objects in its Summary view
+const CLASS_BY_TYPE = {
+  hidden: '(system)',
+  array: '(array)',
+  string: '(string)',
+  'concatenated string': '(concatenated string)',
+  'sliced string': '(sliced string)',
+  code: '(compiled code)',
+  closure: '(closure)',
+  regexp: 'RegExp',
+  number: '(number)',
+  bigint: '(bigint)',
+  symbol: 'Symbol',
+  'object shape': '(object shape)',
+};
+
+/**
+ * Writes a heap snapshot of this process. 'v8' uses v8.writeHeapSnapshot(); 'inspector' streams
+ * one through the HeapProfiler domain, which also records allocation stacks while tracking is on.
+ */
+export async function captureHeapSnapshot({
+  outputDir = path.join(process.cwd(), 'profiles'),
+  name,
+  method = 'v8',
+  session,
+} = {}) {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  const file = path.join(outputDir, name ?? `heap-${new Date().toISOString().replace(/[:.]/g, '-')}.heapsnapshot`);
+
+  if (method === 'v8') {
+    return v8.writeHeapSnapshot(file);
+  }
+  if (method !== 'inspector') {
+    throw new Error(`Unknown heap snapshot method "${method}"`);
+  }
+
+  const ownSession = !session;
+  if (ownSession) {
+    session = new Session();
+    session.connect();
+  }
+
+  const out = fs.createWriteStream(file);
+  const onChunk = ({ params }) => out.write(params.chunk);
+  session.on('HeapProfiler.addHeapSnapshotChunk', onChunk);
+
+  try {
+    await new Promise((resolve, reject) => {
+      session.post('HeapProfiler.takeHeapSnapshot', { reportProgress: false }, error =>
+        error ? reject(error) : resolve(),
+      );
+    });
+  } finally {
+    session.off('HeapProfiler.addHeapSnapshotChunk', onChunk);
+    if (ownSession) session.disconnect();
+    await new Promise(resolve => out.end(resolve));
+  }
+
+  return file;
+}
+
+/**
+ * A parsed .heapsnapshot. Nodes are addressed by ordinal (0 is the synthetic root); the flat node
+ * and edge arrays of the file are kept as they are and read through the meta field offsets.
+ */
+export class HeapSnapshot {
+  constructor(data) {
+    const { meta } = data.snapshot;
+    this.strings = data.strings;
+    this.nodes = data.nodes;
+    this.edges = data.edges;
+    this.traceFunctionInfos = data.trace_function_infos ?? [];
+    this.traceTree = data.trace_tree ?? [];
+    this.traceFunctionInfoFields = meta.trace_function_info_fields ?? [];
+    this.traceNodeFields = meta.trace_node_fields ?? [];
+
+    this.nodeFieldCount = meta.node_fields.length;
+    this.edgeFieldCount = meta.edge_fields.length;
+    this.nodeTypes = meta.node_types[0];
+    this.edgeTypes = meta.edge_types[0];
+
+    const nodeField = name => meta.node_fields.indexOf(name);
+    const edgeField = name => meta.edge_fields.indexOf(name);
+    this.typeOffset = nodeField('type');
+    this.nameOffset = nodeField('name');
+    this.idOffset = nodeField('id');
+    this.selfSizeOffset = nodeField('self_size');
+    this.edgeCountOffset = nodeField('edge_count');
+    this.traceNodeOffset = nodeField('trace_node_id');
+    this.edgeTypeOffset = edgeField('type');
+    this.edgeNameOffset = edgeField('name_or_index');
+    this.edgeToNodeOffset = edgeField('to_node');
+
+    this.nodeCount = this.nodes.length / this.nodeFieldCount;
+    this.edgeCount = this.edges.length / this.edgeFieldCount;
+
+    // Edges of node i are stored from firstEdge[i] to firstEdge[i + 1]
+    this.firstEdge = new Uint32Array(this.nodeCount + 1);
+    for (let i = 0, edge = 0; i < this.nodeCount; i++) {
+      this.firstEdge[i] = edge;
+      edge += this.nodes[i * this.nodeFieldCount + this.edgeCountOffset] * this.edgeFieldCount;
+    }
+    this.firstEdge[this.nodeCount] = this.edges.length;
+
+    this.dominators = null;
+    this.retainedSizes = null;
+    this.postOrder = null;
+    this.traceNodes = null;
+    this.distances = null;
+    this.retainers = null;
+  }
+
+  static async fromFile(file) {
+    return new HeapSnapshot(JSON.parse(await fs.promises.readFile(file, 'utf8')));
+  }
+
+  type(ordinal) {
+    return this.nodeTypes[this.nodes[ordinal * this.nodeFieldCount + this.typeOffset]];
+  }
+
+  name(ordinal) {
+    return this.strings[this.nodes[ordinal * this.nodeFieldCount + this.nameOffset]];
+  }
+
+  id(ordinal) {
+    return this.nodes[ordinal * this.nodeFieldCount + this.idOffset];
+  }
+
+  selfSize(ordinal) {
+    return this.nodes[ordinal * this.nodeFieldCount + this.selfSizeOffset];
+  }
+
+  traceNodeId(ordinal) {
+    return this.traceNodeOffset === -1 ? 0 : this.nodes[ordinal * this.nodeFieldCount + this.traceNodeOffset];
+  }
+
+  className(ordinal) {
+    const type = this.type(ordinal);
+    if (type === 'object' || type === 'native') return this.name(ordinal) || 'Object';
+    return CLASS_BY_TYPE[type] ?? `(${type})`;
+  }
+
+  // Calls fn(edgeType, edgeName, toOrdinal) for each outgoing edge of a node
+  forEachEdge(ordinal, fn) {
+    for (let edge = this.firstEdge[ordinal]; edge < this.firstEdge[ordinal + 1]; edge += this.edgeFieldCount) {
+      const type = this.edgeTypes[this.edges[edge + this.edgeTypeOffset]];
+      const nameOrIndex = this.edges[edge + this.edgeNameOffset];
+      const name = type === 'element' || type === 'hidden' ? nameOrIndex : this.strings[nameOrIndex];
+      if (fn(type, name, this.edges[edge + this.edgeToNodeOffset] / this.nodeFieldCount) === false) return;
+    }
+  }
+
+  // Shallow size of every node, unreachable ones included
+  totalSelfSize() {
+    let total = 0;
+    for (let i = 0; i < this.nodeCount; i++) total += this.selfSize(i);
+    return total;
+  }
+
+  // V8 numbers heap objects in allocation order; embedder (native) and synthetic nodes get ids from hashes
+  hasSequentialId(ordinal) {
+    const type = this.type(ordinal);
+    return type !== 'native' && type !== 'synthetic';
+  }
+
+  maxNodeId() {
+    let max = 0;
+    for (let i = 0; i < this.nodeCount; i++) {
+      if (this.hasSequentialId(i)) max = Math.max(max, this.id(i));
+    }
+    return max;
+  }
+
+  /**
+   * The function that allocated a node, as "name file:line:column". Only snapshots taken while
+   * the inspector tracks allocations have this; other nodes are '(untracked)'.
+   */
+  allocationSite(ordinal) {
+    const traceNodeId = this.traceNodeId(ordinal);
+    if (!traceNodeId) return '(untracked)';
+
+    this.traceNodes ??= this.labelTraceNodes();
+    return this.traceNodes.get(traceNodeId) ?? '(untracked)';
+  }
+
+  // Maps every allocation trace node id to the label of its function
+  labelTraceNodes() {
+    const fields = this.traceFunctionInfoFields;
+    const info = (functionIndex, name) => this.traceFunctionInfos[functionIndex * fields.length + fields.indexOf(name)];
+    const labels = new Map();
+    const labelOf = functionIndex => {
+      if (!labels.has(functionIndex)) {
+        const name = this.strings[info(functionIndex, 'name')] || '(anonymous)';
+        const script = this.strings[info(functionIndex, 'script_name')];
+        const file = script?.startsWith('file://') ? fileURLToPath(script) : script;
+        labels.set(
+          functionIndex,
+          file ? `${name} ${file}:${info(functionIndex, 'line')}:${info(functionIndex, 'column')}` : name,
+        );
+      }
+      return labels.get(functionIndex);
+    };
+
+    // trace_tree is nested: [id, function_info_index, count, size, [children...]] for each node
+    const traceNodes = new Map();
+    const fieldCount = this.traceNodeFields.length;
+    const idOffset = this.traceNodeFields.indexOf('id');
+    const functionOffset = this.traceNodeFields.indexOf('function_info_index');
+    const childrenOffset = this.traceNodeFields.indexOf('children');
+    const pending = [this.traceTree];
+    while (pending.length > 0) {
+      const level = pending.pop();
+      for (let i = 0; i < level.length; i += fieldCount) {
+        traceNodes.set(level[i + idOffset], labelOf(level[i + functionOffset]));
+        pending.push(level[i + childrenOffset]);
+      }
+    }
+    return traceNodes;
+  }
+
+  // Count and shallow size of every non-synthetic node, grouped by keyOf(ordinal)
+  groupNodes(keyOf, filter = () => true) {
+    const groups = new Map();
+    for (let i = 0; i < this.nodeCount; i++) {
+      if (this.type(i) === 'synthetic' || !filter(i)) continue;
+      const key = keyOf(i);
+      const group = groups.get(key) ?? { name: key, count: 0, size: 0 };
+      group.count++;
+      group.size += this.selfSize(i);
+      groups.set(key, group);
+    }
+    return groups;
+  }
+
+  findOrdinalById(id) {
+    for (let i = 0; i < this.nodeCount; i++) {
+      if (this.id(i) === id) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Computes the immediate dominator of every node reachable from the root with the iterative
+   * algorithm of Cooper, Harvey and Kennedy, then the retained sizes bottom-up. Weak edges do not
+   * keep objects alive, so they are ignored.
+   */
+  computeDominators() {
+    if (this.dominators) return;
+
+    const { nodeCount } = this;
+    const unvisited = 0xffffffff;
+    const postIndex = new Uint32Array(nodeCount).fill(unvisited);
+    const postOrder = [];
+
+    // Iterative DFS from the root, recording the post order
+    const stack = [0];
+    const nextEdge = new Uint32Array(nodeCount);
+    const visited = new Uint8Array(nodeCount);
+    visited[0] = 1;
+    nextEdge[0] = this.firstEdge[0];
+    while (stack.length > 0) {
+      const node = stack[stack.length - 1];
+      let pushed = false;
+      while (nextEdge[node] < this.firstEdge[node + 1]) {
+        const edge = nextEdge[node];
+        nextEdge[node] += this.edgeFieldCount;
+        if (this.edgeTypes[this.edges[edge + this.edgeTypeOffset]] === 'weak') continue;
+
+        const to = this.edges[edge + this.edgeToNodeOffset] / this.nodeFieldCount;
+        if (!visited[to]) {
+          visited[to] = 1;
+          nextEdge[to] = this.firstEdge[to];
+          stack.push(to);
+          pushed = true;
+          break;
+        }
+      }
+      if (!pushed) {
+        stack.pop();
+        postIndex[node] = postOrder.length;
+        postOrder.push(node);
+      }
+    }
+
+    // Predecessors of each reachable node, as flat lists
+    const predecessorCount = new Uint32Array(nodeCount + 1);
+    for (const node of postOrder) {
+      this.forEachEdge(node, (type, name, to) => {
+        if (type !== 'weak') predecessorCount[to + 1]++;
+      });
+    }
+    for (let i = 1; i <= nodeCount; i++) predecessorCount[i] += predecessorCount[i - 1];
+    const predecessors = new Uint32Array(predecessorCount[nodeCount]);
+    const filled = new Uint32Array(nodeCount);
+    for (const node of postOrder) {
+      this.forEachEdge(node, (type, name, to) => {
+        if (type !== 'weak') predecessors[predecessorCount[to] + filled[to]++] = node;
+      });
+    }
+
+    const root = 0;
+    const idom = new Uint32Array(nodeCount).fill(unvisited);
+    idom[root] = root;
+
+    const intersect = (a, b) => {
+      while (a !== b) {
+        while (postIndex[a] < postIndex[b]) a = idom[a];
+        while (postIndex[b] < postIndex[a]) b = idom[b];
+      }
+      return a;
+    };
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      // Reverse post order, skipping the root (the last node in post order)
+      for (let i = postOrder.length - 2; i >= 0; i--) {
+        const node = postOrder[i];
+        let newIdom = unvisited;
+        for (let p = predecessorCount[node]; p < predecessorCount[node + 1]; p++) {
+          const predecessor = predecessors[p];
+          if (idom[predecessor] === unvisited) continue;
+          newIdom = newIdom === unvisited ? predecessor : intersect(predecessor, newIdom);
+        }
+        if (newIdom !== unvisited && idom[node] !== newIdom) {
+          idom[node] = newIdom;
+          changed = true;
+        }
+      }
+    }
+
+    // A dominator always comes later in post order, so one pass accumulates the retained sizes
+    const retained = new Float64Array(nodeCount);
+    for (const node of postOrder) retained[node] += this.selfSize(node);
+    for (const node of postOrder) {
+      if (node !== root) retained[idom[node]] += retained[node];
+    }
+
+    this.dominators = idom;
+    this.retainedSizes = retained;
+    this.postOrder = postOrder;
+  }
+
+  /**
+   * Groups reachable nodes by constructor. The retained size of a group does not double count
+   * objects that are dominated by another object of the same group.
+   */
+  getConstructorSummary({ top = 20 } = {}) {
+    this.computeDominators();
+
+    const children = new Map();
+    for (const node of this.postOrder) {
+      if (node === 0) continue;
+      const parent = this.dominators[node];
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(node);
+    }
+
+    const groups = new Map();
+    const onStack = new Map();
+    // Walk the dominator tree, counting how many nodes of each class are above the current one
+    const stack = [{ node: 0, entered: false }];
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const className = frame.node === 0 ? null : this.className(frame.node);
+
+      if (frame.entered) {
+        stack.pop();
+        if (className !== null) onStack.set(className, onStack.get(className) - 1);
+        continue;
+      }
+      frame.entered = true;
+
+      if (className !== null && this.type(frame.node) !== 'synthetic') {
+        const group = groups.get(className) ?? { name: className, count: 0, shallowSize: 0, retainedSize: 0 };
+        group.count++;
+        group.shallowSize += this.selfSize(frame.node);
+        if (!onStack.get(className)) group.retainedSize += this.retainedSizes[frame.node];
+        groups.set(className, group);
+      }
+      if (className !== null) onStack.set(className, (onStack.get(className) ?? 0) + 1);
+
+      for (const child of children.get(frame.node) ?? []) stack.push({ node: child, entered: false });
+    }
+
+    const all = [...groups.values()];
+    return {
+      nodeCount: this.nodeCount,
+      edgeCount: this.edgeCount,
+      reachableCount: this.postOrder.length,
+      totalSize: this.retainedSizes[0],
+      constructorCount: all.length,
+      constructors: all.sort((a, b) => b.retainedSize - a.retainedSize).slice(0, top),
+    };
+  }
+
+  // A short label for a node: constructor, function name or string contents, and its id
+  describeNode(ordinal) {
+    const type = this.type(ordinal);
+    const name = this.name(ordinal);
+    let label = this.className(ordinal);
+    if (type === 'closure') label = `${name || '(anonymous)'}()`;
+    else if (type === 'string') label = JSON.stringify(name.length > 40 ? `${name.slice(0, 40)}…` : name);
+    else if (type === 'synthetic' || type === 'hidden') label = name || label;
+    return `${label} @${this.id(ordinal)}`;
+  }
+
+  // How the retainer refers to the next object, in the notation of the DevTools retainers view
+  static describeEdge(type, name) {
+    switch (type) {
+      case 'property':
+        return `.${name}`;
+      case 'element':
+        return `[${name}]`;
+      case 'context':
+        return `(context) ${name}`;
+      case 'hidden':
+        return `(hidden) [${name}]`;
+      default:
+        return `(${type}) ${name}`;
+    }
+  }
+
+  /**
+   * Breadth-first distances from the root over strong edges. Every reached node remembers the
+   * node and edge it was first reached through, which together form a shortest path tree.
+   */
+  computeDistances() {
+    if (this.distances) return;
+
+    const unreached = 0xffffffff;
+    const distances = new Uint32Array(this.nodeCount).fill(unreached);
+    const parentNode = new Uint32Array(this.nodeCount);
+    const parentEdge = new Uint32Array(this.nodeCount);
+    const queue = new Uint32Array(this.nodeCount);
+    let head = 0;
+    let tail = 0;
+    distances[0] = 0;
+    queue[tail++] = 0;
+
+    while (head < tail) {
+      const node = queue[head++];
+      for (let edge = this.firstEdge[node]; edge < this.firstEdge[node + 1]; edge += this.edgeFieldCount) {
+        if (this.edgeTypes[this.edges[edge + this.edgeTypeOffset]] === 'weak') continue;
+        const to = this.edges[edge + this.edgeToNodeOffset] / this.nodeFieldCount;
+        if (distances[to] !== unreached) continue;
+        distances[to] = distances[node] + 1;
+        parentNode[to] = node;
+        parentEdge[to] = edge;
+        queue[tail++] = to;
+      }
+    }
+
+    this.distances = distances;
+    this.parentNode = parentNode;
+    this.parentEdge = parentEdge;
+  }
+
+  // Incoming edges of every node, as flat lists of (retainer ordinal, edge index)
+  computeRetainers() {
+    if (this.retainers) return;
+
+    const first = new Uint32Array(this.nodeCount + 1);
+    for (let edge = 0; edge < this.edges.length; edge += this.edgeFieldCount) {
+      first[this.edges[edge + this.edgeToNodeOffset] / this.nodeFieldCount + 1]++;
+    }
+    for (let i = 1; i <= this.nodeCount; i++) first[i] += first[i - 1];
+
+    const nodes = new Uint32Array(this.edgeCount);
+    const edges = new Uint32Array(this.edgeCount);
+    const filled = new Uint32Array(this.nodeCount);
+    for (let node = 0; node < this.nodeCount; node++) {
+      for (let edge = this.firstEdge[node]; edge < this.firstEdge[node + 1]; edge += this.edgeFieldCount) {
+        const to = this.edges[edge + this.edgeToNodeOffset] / this.nodeFieldCount;
+        const slot = first[to] + filled[to]++;
+        nodes[slot] = node;
+        edges[slot] = edge;
+      }
+    }
+
+    this.retainers = { first, nodes, edges };
+  }
+
+  edgeStep(edge, to) {
+    const type = this.edgeTypes[this.edges[edge + this.edgeTypeOffset]];
+    const nameOrIndex = this.edges[edge + this.edgeNameOffset];
+    const name = type === 'element' || type === 'hidden' ? nameOrIndex : this.strings[nameOrIndex];
+    return { edge: HeapSnapshot.describeEdge(type, name), edgeType: type, node: this.describeNode(to) };
+  }
+
+  // The edges from the root down the shortest path tree to a node; the synthetic root is left out
+  pathFromRoot(ordinal) {
+    const steps = [];
+    for (let node = ordinal; node !== 0; node = this.parentNode[node]) {
+      const step = this.edgeStep(this.parentEdge[node], node);
+      steps.unshift(this.parentNode[node] === 0 ? { ...step, edge: null, edgeType: null } : step);
+    }
+    return steps;
+  }
+
+  /**
+   * Up to maxPaths shortest paths from the GC roots to a node, each through a different direct
+   * retainer. Weak edges do not keep the node alive and are left out.
+   */
+  findRetainerPaths(ordinal, { maxPaths = 3 } = {}) {
+    this.computeDistances();
+    this.computeRetainers();
+
+    const { first, nodes, edges } = this.retainers;
+    const candidates = [];
+    for (let slot = first[ordinal]; slot < first[ordinal + 1]; slot++) {
+      const retainer = nodes[slot];
+      const edge = edges[slot];
+      if (this.edgeTypes[this.edges[edge + this.edgeTypeOffset]] === 'weak') continue;
+      if (this.distances[retainer] === 0xffffffff) continue;
+      candidates.push({ retainer, edge, distance: this.distances[retainer] });
+    }
+
+    return candidates
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, maxPaths)
+      .map(({ retainer, edge }) => [...this.pathFromRoot(retainer), this.edgeStep(edge, ordinal)]);
+  }
+
+  /**
+   * The objects and closures that retain the most memory on their own, with their shortest
+   * retainer paths. An object dominated by a bigger one on the list shows up below it.
+   */
+  getTopRetainers({ top = 5, maxPaths = 1 } = {}) {
+    this.computeDominators();
+
+    const candidates = [];
+    for (const node of this.postOrder) {
+      const type = this.type(node);
+      if (type === 'object' || type === 'closure') candidates.push(node);
+    }
+
+    return candidates
+      .sort((a, b) => this.retainedSizes[b] - this.retainedSizes[a])
+      .slice(0, top)
+      .map(ordinal => ({
+        node: this.describeNode(ordinal),
+        selfSize: this.selfSize(ordinal),
+        retainedSize: this.retainedSizes[ordinal],
+        share: this.retainedSizes[ordinal] / this.retainedSizes[0],
+        paths: this.findRetainerPaths(ordinal, { maxPaths }),
+      }));
+  }
+
+  /**
+   * Finds nodes by "@id" (or a bare id) or by constructor or function name and explains why some
+   * of them are alive: their retained size and shortest retainer paths. order picks which ones:
+   * the largest ('retained') or the most recently allocated ('newest'), which is where leaks are.
+   */
+  explainRetention(query, { instances = 3, maxPaths = 3, order = 'retained' } = {}) {
+    this.computeDominators();
+    this.computeDistances();
+
+    const trimmed = String(query).trim();
+    const idMatch = /^@?(\d+)$/.exec(trimmed);
+    let matches = [];
+    if (idMatch) {
+      const ordinal = this.findOrdinalById(Number(idMatch[1]));
+      if (ordinal !== -1) matches.push(ordinal);
+    } else {
+      for (let i = 0; i < this.nodeCount; i++) {
+        const type = this.type(i);
+        if (type === 'synthetic') continue;
+        if (this.className(i) === trimmed || (type === 'closure' && this.name(i) === trimmed)) matches.push(i);
+      }
+    }
+
+    // Unreachable nodes have no retainer paths
+    matches = matches
+      .filter(i => this.dominators[i] !== 0xffffffff)
+      .sort((a, b) => (order === 'newest' ? this.id(b) - this.id(a) : this.retainedSizes[b] - this.retainedSizes[a]));
+
+    return {
+      query: trimmed,
+      matchCount: matches.length,
+      instances: matches.slice(0, instances).map(ordinal => ({
+        node: this.describeNode(ordinal),
+        selfSize: this.selfSize(ordinal),
+        retainedSize: this.retainedSizes[ordinal],
+        distance: this.distances[ordinal],
+        paths: this.findRetainerPaths(ordinal, { maxPaths }),
+      })),
+    };
+  }
+}
+
+// Groups that gained objects or bytes between two groupNodes() results, biggest growth first
+export function diffNodeGroups(before, after, { top = 15 } = {}) {
+  const names = new Set([...before.keys(), ...after.keys()]);
+  const changes = [];
+  for (const name of names) {
+    const from = before.get(name) ?? { count: 0, size: 0 };
+    const to = after.get(name) ?? { count: 0, size: 0 };
+    const countDelta = to.count - from.count;
+    const sizeDelta = to.size - from.size;
+    if (countDelta > 0 || sizeDelta > 0) {
+      changes.push({ name, count: to.count, size: to.size, countDelta, sizeDelta });
+    }
+  }
+  return changes.sort((a, b) => b.sizeDelta - a.sizeDelta || b.countDelta - a.countDelta).slice(0, top);
+}
+
+/**
+ * The three snapshot technique: a baseline snapshot, one after load() and one after afterLoad()
+ * and a forced GC. Node ids are stable between snapshots of the same process, so objects whose id
+ * is newer than the baseline but not newer than the second snapshot were allocated by load();
+ * the ones still in the third snapshot survived GC and are the likely leak. Allocations are
+ * tracked during the whole run to attribute objects to the function that allocated them.
+ */
+export async function compareHeapSnapshots(
+  load,
+  { afterLoad, outputDir = path.join(process.cwd(), 'profiles'), top = 15, trackAllocations = true } = {},
+) {
+  const session = new Session();
+  session.connect();
+  const post = (method, params = {}) =>
+    new Promise((resolve, reject) => {
+      session.post(method, params, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+
+  const prefix = `heap-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  // Each snapshot is reduced to its groups right away so only one is in memory at a time
+  const take = async (phase, survivorRange) => {
+    const file = await captureHeapSnapshot({
+      outputDir,
+      name: `${prefix}-${phase}.heapsnapshot`,
+      method: 'inspector',
+      session,
+    });
+    const snapshot = await HeapSnapshot.fromFile(file);
+    const className = i => snapshot.className(i);
+    const site = i => snapshot.allocationSite(i);
+    // The groups of the earlier snapshots are still alive, leave them out
+    const notOwn = i => !snapshot.allocationSite(i).includes(OWN_FILE);
+    const result = {
+      phase,
+      file,
+      nodeCount: snapshot.nodeCount,
+      totalSize: snapshot.totalSelfSize(),
+      maxNodeId: snapshot.maxNodeId(),
+      constructors: snapshot.groupNodes(className, notOwn),
+      sites: snapshot.groupNodes(site, notOwn),
+    };
+
+    if (survivorRange) {
+      const [after, upTo] = survivorRange;
+      const survived = i =>
+        snapshot.hasSequentialId(i) && snapshot.id(i) > after && snapshot.id(i) <= upTo && notOwn(i);
+      result.survivors = {
+        constructors: snapshot.groupNodes(className, survived),
+        sites: snapshot.groupNodes(site, survived),
+      };
+    }
+    return result;
+  };
+
+  let baseline;
+  let loaded;
+  let collected;
+  let loadResult;
+  try {
+    await post('HeapProfiler.enable');
+    await post('HeapProfiler.startTrackingHeapObjects', { trackAllocations });
+
+    baseline = await take('baseline');
+    loadResult = await load();
+    loaded = await take('after-load');
+
+    await afterLoad?.();
+    await post('HeapProfiler.collectGarbage');
+    collected = await take('after-gc', [baseline.maxNodeId, loaded.maxNodeId]);
+  } finally {
+    session.disconnect();
+  }
+
+  const sortGroups = groups => [...groups.values()].sort((a, b) => b.size - a.size).slice(0, top);
+  const survivors = [...collected.survivors.constructors.values()];
+
+  return {
+    loadResult,
+    snapshots: [baseline, loaded, collected].map(({ phase, file, nodeCount, totalSize }) => ({
+      phase,
+      file,
+      nodeCount,
+      totalSize,
+    })),
+    grownAfterLoad: diffNodeGroups(baseline.constructors, loaded.constructors, { top }),
+    grownAfterGc: diffNodeGroups(baseline.constructors, collected.constructors, { top }),
+    grownSites: diffNodeGroups(baseline.sites, collected.sites, { top }),
+    survivors: {
+      count: survivors.reduce((sum, group) => sum + group.count, 0),
+      size: survivors.reduce((sum, group) => sum + group.size, 0),
+      constructors: sortGroups(collected.survivors.constructors),
+      sites: sortGroups(collected.survivors.sites),
+    },
+  };
+}
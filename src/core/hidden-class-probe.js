@@ -0,0 +1,137 @@
+import { performance } from 'perf_hooks';
+
+// Child process for exploreHiddenClasses(): runs under --allow-natives-syntax and --log-ic and prints
+// its findings as JSON. The natives are compiled with new Function so this file parses without the flag.
+const native = (params, call) => new Function(...params, `return ${call};`);
+const haveSameMap = native(['a', 'b'], '%HaveSameMap(a, b)');
+const hasFastProperties = native(['object'], '%HasFastProperties(object)');
+const getOptimizationStatus = native(['fn'], '%GetOptimizationStatus(fn)');
+const prepareFunctionForOptimization = native(['fn'], '%PrepareFunctionForOptimization(fn)');
+const optimizeFunctionOnNextCall = native(['fn'], '%OptimizeFunctionOnNextCall(fn)');
+
+const { calls } = JSON.parse(process.argv[2]);
+
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+const addInOrder = (object, keys) => {
+  for (const key of keys) object[key] = 1;
+  return object;
+};
+
+const SHAPE_PAIRS = [
+  {
+    name: 'Same literal',
+    description: '{ x, y } twice',
+    create: () => [
+      { x: 1, y: 2 },
+      { x: 3, y: 4 },
+    ],
+  },
+  {
+    name: 'Literal insertion order',
+    description: '{ x, y } vs { y, x }',
+    create: () => [
+      { x: 1, y: 2 },
+      { y: 2, x: 1 },
+    ],
+  },
+  {
+    name: 'Added insertion order',
+    description: 'x then y vs y then x, added to {}',
+    create: () => [addInOrder({}, ['x', 'y']), addInOrder({}, ['y', 'x'])],
+  },
+  {
+    name: 'Same constructor',
+    description: 'new Point(1, 2) twice',
+    create: () => [new Point(1, 2), new Point(3, 4)],
+  },
+  {
+    name: 'Property added later',
+    description: 'new Point() vs new Point() plus .z',
+    create: () => {
+      const extended = new Point(3, 4);
+      extended.z = 5;
+      return [new Point(1, 2), extended];
+    },
+  },
+  {
+    name: 'Last property deleted',
+    description: 'new Point() vs new Point() minus .y',
+    create: () => {
+      const deleted = new Point(3, 4);
+      delete deleted.y;
+      return [new Point(1, 2), deleted];
+    },
+  },
+  {
+    name: 'First property deleted',
+    description: 'new Point() vs new Point() minus .x',
+    create: () => {
+      const deleted = new Point(3, 4);
+      delete deleted.x;
+      return [new Point(1, 2), deleted];
+    },
+  },
+];
+
+const shapes = SHAPE_PAIRS.map(({ name, description, create }) => {
+  const [a, b] = create();
+  return {
+    name,
+    description,
+    sameMap: haveSameMap(a, b),
+    fastProperties: [hasFastProperties(a), hasFastProperties(b)],
+  };
+});
+
+// Each site is its own function, so each gets its own inline cache for point.x
+function readMonomorphic(point) {
+  return point.x;
+}
+
+function readPolymorphic(point) {
+  return point.x;
+}
+
+function readMegamorphic(point) {
+  return point.x;
+}
+
+// Objects that all have x first but a different map each, through one extra property
+const createShapes = count => Array.from({ length: count }, (_, i) => ({ x: i, [`p${i}`]: i }));
+
+const SITES = [
+  { fn: readMonomorphic, shapeCount: 1 },
+  { fn: readPolymorphic, shapeCount: 3 },
+  { fn: readMegamorphic, shapeCount: 8 },
+];
+
+const sites = SITES.map(({ fn, shapeCount }) => {
+  const points = createShapes(shapeCount);
+  prepareFunctionForOptimization(fn);
+
+  // Warm up the feedback with every shape, then force optimization with that feedback
+  for (let i = 0; i < 1000; i++) fn(points[i % shapeCount]);
+  optimizeFunctionOnNextCall(fn);
+  fn(points[0]);
+
+  let sum = 0;
+  const startTime = performance.now();
+  for (let i = 0; i < calls; i++) sum += fn(points[i % shapeCount]);
+  const duration = performance.now() - startTime;
+
+  return {
+    functionName: fn.name,
+    shapeCount,
+    nsPerCall: (duration * 1e6) / calls,
+    optimizationStatus: getOptimizationStatus(fn),
+    checksum: sum,
+  };
+});
+
+process.stdout.write(JSON.stringify({ shapes, sites }));
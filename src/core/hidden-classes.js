@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { describeFailure, runNode } from './child-process.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const HIDDEN_CLASS_PROBE = path.join(__dirname, 'hidden-class-probe.js');
+
+// Inline cache states as --log-ic writes them
+export const IC_STATES = {
+  0: 'uninitialized',
+  '.': 'premonomorphic',
+  1: 'monomorphic',
+  '^': 'recompute handler',
+  P: 'polymorphic',
+  N: 'megamorphic',
+  G: 'generic',
+  X: 'no feedback',
+};
+
+// Bits of %GetOptimizationStatus(), from V8's runtime-test.cc
+const OPTIMIZATION_STATUS_BITS = [
+  'is function',
+  'never optimized',
+  'always optimized',
+  'maybe deopted',
+  'optimized',
+  'maglevved',
+  'turbofanned',
+  'interpreted',
+  'marked for optimization',
+  'marked for concurrent optimization',
+  'optimizing concurrently',
+  'is executing',
+  'topmost frame is turbofanned',
+  'lite mode',
+  'marked for deoptimization',
+  'baseline',
+];
+
+export function describeOptimizationStatus(status) {
+  return OPTIMIZATION_STATUS_BITS.filter((_, bit) => bit > 0 && status & (1 << bit));
+}
+
+/**
+ * Parses a --log-ic isolate log into the inline caches of the functions defined in `file`. The IC
+ * lines only carry the pc of the code that hit them, which is matched against the code-creation lines.
+ */
+export function parseICLog(text, { file }) {
+  const url = pathToFileURL(file).href;
+  const code = [];
+  const sites = new Map();
+
+  const lines = text.split('\n').map(line => line.split(','));
+  for (const [event, , , , address, size, name] of lines) {
+    if (event !== 'code-creation' || !name) continue;
+    const [functionName, location] = name.split(' ');
+    if (location?.startsWith(`${file}:`) || location?.startsWith(`${url}:`)) {
+      code.push({ start: parseInt(address, 16), end: parseInt(address, 16) + Number(size), functionName });
+    }
+  }
+
+  for (const [type, pc, , line, column, oldState, newState, map, key] of lines) {
+    if (!type.endsWith('IC') || newState === undefined) continue;
+    const address = parseInt(pc, 16);
+    const owner = code.find(({ start, end }) => address >= start && address <= end);
+    if (!owner) continue;
+
+    const id = `${owner.functionName}|${type}|${line}:${column}|${key}`;
+    const site = sites.get(id) ?? {
+      functionName: owner.functionName,
+      type,
+      key,
+      line: Number(line),
+      column: Number(column),
+      states: [IC_STATES[oldState] ?? oldState],
+      maps: new Set(),
+    };
+    site.state = IC_STATES[newState] ?? newState;
+    if (site.states[site.states.length - 1] !== site.state) site.states.push(site.state);
+    site.maps.add(map);
+    sites.set(id, site);
+  }
+
+  return [...sites.values()].map(({ maps, ...site }) => ({ ...site, mapCount: maps.size }));
+}
+
+/**
+ * Runs the hidden class probe in a child process with V8 natives and IC logging enabled: which
+ * object pairs share a map, which are in dictionary mode, and the IC state, speed and optimization
+ * status of property loads that see one, three and eight shapes.
+ */
+export async function runHiddenClassProbe({ calls = 1000000, timeout = 60000 } = {}) {
+  const logFile = path.join(os.tmpdir(), `hidden-classes-${process.pid}-${Date.now()}.log`);
+
+  try {
+    const child = await runNode(
+      [
+        '--allow-natives-syntax',
+        '--log-ic',
+        `--logfile=${logFile}`,
+        '--no-logfile-per-isolate',
+        HIDDEN_CLASS_PROBE,
+        JSON.stringify({ calls }),
+      ],
+      { timeout },
+    );
+    if (child.code !== 0) {
+      throw new Error(`Hidden class probe ${describeFailure(child)}`);
+    }
+
+    const { shapes, sites } = JSON.parse(child.stdout);
+    const ics = parseICLog(await fs.promises.readFile(logFile, 'utf8'), { file: HIDDEN_CLASS_PROBE });
+
+    return {
+      calls,
+      shapes,
+      sites: sites.map(({ checksum, ...site }) => {
+        const ic = ics.find(({ functionName, key }) => functionName === site.functionName && key === 'x') ?? null;
+        return { ...site, optimization: describeOptimizationStatus(site.optimizationStatus), ic };
+      }),
+    };
+  } finally {
+    await fs.promises.rm(logFile, { force: true });
+  }
+}
@@ -0,0 +1,51 @@
+// Headless analyzers: no readline or console output, every experiment resolves with a plain result object
+export {
+  EventLoopMonitor,
+  EVENT_LOOP_PHASES,
+  EVENT_LOOP_DEMO,
+  FILE_READ_FIXTURE,
+  summarizeHistogram,
+} from './event-loop-monitor.js';
+export { FixtureManager, FIXTURE_CONTENTS } from './fixture-manager.js';
+export { ThreadpoolExperiment, THREADPOOL_OPERATIONS } from './threadpool-experiment.js';
+export { runNode } from './child-process.js';
+export { PhaseTracer, TRACED_PHASES } from './phase-tracer.js';
+export { BlockingWatchdog } from './blocking-watchdog.js';
+export { AsyncResourceTracker } from './async-resource-tracker.js';
+export { MemoryProfiler, MEMORY_LEAKS } from './memory-profiler.js';
+export { detectLeak, linearRegression, slopePValue } from './leak-detector.js';
+export { parseOutOfMemoryReport, runHeapLimitExperiment, HEAP_LIMIT_WORKLOAD } from './heap-limit-experiment.js';
+export { WorkerThreadManager } from './worker-thread-manager.js';
+export { PerformanceAnalyzer, PERFORMANCE_TEST } from './performance-analyzer.js';
+export { CpuProfiler, saveCpuProfile, summarizeCpuProfile } from './cpu-profiler.js';
+export {
+  buildFlameTree,
+  findHotspots,
+  foldCpuProfile,
+  foldHeapProfile,
+  foldIsolateLog,
+  foldProfileFile,
+  renderFlamegraphHtml,
+  saveFlamegraph,
+} from './flamegraph.js';
+export { analyzeIsolateLog, findNewestIsolateLog, parseTickProcessorOutput, JS_TIERS } from './isolate-log.js';
+export { HeapSampler, summarizeHeapProfile } from './heap-sampler.js';
+export { captureHeapSnapshot, compareHeapSnapshots, diffNodeGroups, HeapSnapshot } from './heap-snapshot.js';
+export {
+  parseDeoptTrace,
+  runDeoptTrace,
+  summarizeDeoptTrace,
+  DEOPT_TRACE_FLAGS,
+  DEOPTIMIZATION_DEMO,
+} from './deopt-trace.js';
+export { HeapSizingExperiment } from './heap-sizing-experiment.js';
+export { GCObserver, GC_KINDS, GC_PAUSE_BUCKETS } from './gc-observer.js';
+export { parseGCTrace, runGCTrace, summarizeGCPhases, GC_DEMO, GC_TRACE_FLAGS } from './gc-trace.js';
+export {
+  describeOptimizationStatus,
+  parseICLog,
+  runHiddenClassProbe,
+  HIDDEN_CLASS_PROBE,
+  IC_STATES,
+} from './hidden-classes.js';
+export { V8InternalsExplorer } from './v8-internals-explorer.js';
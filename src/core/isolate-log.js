@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import { describeFailure, runNode } from './child-process.js';
+import { buildFlameTree, foldIsolateLog } from './flamegraph.js';
+
+// Marks in front of JS function names that tell which tier ran the code
+export const JS_TIERS = {
+  '~': 'Ignition (interpreted)',
+  '^': 'Sparkplug (baseline)',
+  '+': 'Maglev',
+  '*': 'TurboFan (optimized)',
+};
+
+const SECTION_KEYS = {
+  'Shared libraries': 'sharedLibraries',
+  JavaScript: 'javascript',
+  'C++': 'cpp',
+  Summary: 'summary',
+  'C++ entry points': 'cppEntryPoints',
+  'Bottom up (heavy) profile': 'bottomUp',
+};
+
+// The most recently written isolate-*.log in directory, or null when there is none
+export async function findNewestIsolateLog(directory = process.cwd()) {
+  const names = (await fs.promises.readdir(directory)).filter(name => /^isolate-.*\.log$/.test(name));
+  const logs = await Promise.all(
+    names.map(async name => {
+      const file = path.join(directory, name);
+      return { file, mtime: (await fs.promises.stat(file)).mtimeMs };
+    }),
+  );
+  return logs.sort((a, b) => b.mtime - a.mtime)[0]?.file ?? null;
+}
+
+// Splits "JS: *leaf /app/w.js:1:14" into its kind, tier and function
+function parseEntryName(raw) {
+  const match = /^JS: ([~^+*]?)(.*)$/.exec(raw);
+  if (!match) return { name: raw, kind: 'native', tier: null };
+  return { name: match[2], kind: 'js', tier: JS_TIERS[match[1]] ?? null };
+}
+
+/**
+ * Parses the text report of `node --prof-process`: the flat tables per category, the summary
+ * and the bottom-up (heavy) profile, which is rebuilt into a tree of callers.
+ */
+export function parseTickProcessorOutput(text) {
+  const report = { ticks: 0, unaccounted: 0, excluded: 0, bottomUp: [] };
+  const header = /\((\d+) ticks, (\d+) unaccounted, (\d+) excluded\)/.exec(text);
+  if (header) {
+    [report.ticks, report.unaccounted, report.excluded] = header.slice(1).map(Number);
+  }
+
+  let section = null;
+  let baseIndent = null;
+  const parents = [];
+
+  for (const line of text.split('\n')) {
+    const heading = /^ \[(.+)\]:$/.exec(line);
+    if (heading) {
+      section = SECTION_KEYS[heading[1]] ?? null;
+      if (section && section !== 'bottomUp') report[section] = [];
+      continue;
+    }
+    if (!section) continue;
+
+    if (section === 'bottomUp') {
+      const row = /^\s*(\d+)\s+([\d.]+)%\s+(.+)$/.exec(line);
+      if (!row) continue;
+
+      // Each caller level is indented by two more spaces
+      const indent = line.length - row[3].length;
+      baseIndent ??= indent;
+      const depth = (indent - baseIndent) / 2;
+      const node = {
+        ticks: Number(row[1]),
+        percentage: Number(row[2]),
+        ...parseEntryName(row[3].trim()),
+        callers: [],
+      };
+
+      if (depth === 0) {
+        report.bottomUp.push(node);
+      } else {
+        parents[depth - 1]?.callers.push(node);
+      }
+      parents[depth] = node;
+      parents.length = depth + 1;
+      continue;
+    }
+
+    const row = /^\s*(\d+)\s+([\d.]+)%\s+(?:([\d.]+)%\s+)?(.+)$/.exec(line);
+    if (row) {
+      report[section].push({
+        ticks: Number(row[1]),
+        percentage: Number(row[2]),
+        nonlib: row[3] === undefined ? null : Number(row[3]),
+        ...parseEntryName(row[4].trim()),
+      });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Runs the tick processor over a --prof log. The bottom-up view comes from its text report; the
+ * top-down call tree is built from the stacks of its --preprocess output.
+ */
+export async function analyzeIsolateLog(logFile, { timeout = 120000 } = {}) {
+  const child = await runNode(['--prof-process', logFile], { timeout });
+  if (child.code !== 0) {
+    throw new Error(`node --prof-process ${describeFailure(child)}`);
+  }
+
+  const report = parseTickProcessorOutput(child.stdout);
+  const { stacks } = await foldIsolateLog(logFile, { timeout });
+
+  const tiers = new Map();
+  for (const entry of report.javascript ?? []) {
+    const tier = entry.tier ?? 'unknown';
+    tiers.set(tier, (tiers.get(tier) ?? 0) + entry.ticks);
+  }
+
+  return {
+    logFile,
+    ...report,
+    breakdown: (report.summary ?? []).map(({ name, ticks, percentage }) => ({ category: name, ticks, percentage })),
+    tiers: [...tiers.entries()]
+      .map(([tier, ticks]) => ({ tier, ticks, percentage: report.ticks > 0 ? (ticks / report.ticks) * 100 : 0 }))
+      .sort((a, b) => b.ticks - a.ticks),
+    topDown: buildFlameTree(stacks, { minFraction: 0.01 }),
+  };
+}
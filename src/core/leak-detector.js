@@ -0,0 +1,229 @@
+import fs from 'fs';
+import { Session } from 'inspector';
+import os from 'os';
+import path from 'path';
+import { captureHeapSnapshot, HeapSnapshot } from './heap-snapshot.js';
+
+// Least-squares line through the points, with the share of the variance of ys it explains (r²)
+// and the t statistic of the slope: how many standard errors it lies away from zero
+export function linearRegression(xs, ys) {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - meanX) ** 2;
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    syy += (ys[i] - meanY) ** 2;
+  }
+
+  const slope = sxx === 0 ? 0 : sxy / sxx;
+  const residual = Math.max(0, syy - slope * sxy);
+  const standardError = n > 2 && sxx > 0 ? Math.sqrt(residual / (n - 2) / sxx) : 0;
+  let t = 0;
+  if (standardError > 0) t = slope / standardError;
+  else if (slope !== 0) t = Math.sign(slope) * Infinity;
+
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    r2: sxx === 0 || syy === 0 ? 0 : (sxy * sxy) / (sxx * syy),
+    t,
+  };
+}
+
+// ln Γ(x) by the Lanczos approximation
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2,
+    -0.5395239384953e-5,
+  ];
+  let series = 1.000000000190015;
+  coefficients.forEach((c, i) => (series += c / (x + i + 1)));
+  const tmp = x + 5.5;
+  return (x + 0.5) * Math.log(tmp) - tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+// Regularized incomplete beta function I_x(a, b), evaluated by its continued fraction
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  // The continued fraction converges quickly only below this point; use the symmetry above it
+  if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)) / a;
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let fraction = d;
+
+  for (let m = 1; m <= 200; m++) {
+    for (const numerator of [
+      (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m)),
+      -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1)),
+    ]) {
+      d = 1 + numerator * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      fraction *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-12) break;
+  }
+
+  return front * fraction;
+}
+
+// One-sided p-value of Student's t test: the chance of a slope at least this steep if the true one were zero
+export function slopePValue(t, degreesOfFreedom) {
+  if (!Number.isFinite(t)) return t > 0 ? 0 : 1;
+  const tail = incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5) / 2;
+  return t > 0 ? tail : 1 - tail;
+}
+
+// `count` iterations spread evenly from the first to the last, where heap snapshots are taken
+function snapshotIterations(iterations, count) {
+  if (count < 2) return [];
+  const points = Array.from({ length: count }, (_, k) => 1 + Math.round((k * (iterations - 1)) / (count - 1)));
+  return [...new Set(points)];
+}
+
+/**
+ * Runs fn(iteration) `iterations` times after `warmup` untimed runs, forcing a full GC through the
+ * inspector after each, and fits a line through the heap that survives. A leak keeps a fixed share
+ * of every run alive, so the post-GC heap grows steadily: the slope is the leak in bytes per
+ * iteration, and a t test on it tells it apart from GC noise. Heap snapshots at a few of the
+ * iterations add object counts per constructor, fitted the same way.
+ */
+export async function detectLeak(
+  fn,
+  { iterations = 10, warmup = 2, snapshots = 3, minBytesPerIteration = 1024, onIteration } = {},
+) {
+  // Through two points a line always fits perfectly (r² = 1), so fewer than three say nothing
+  if (iterations < 3) throw new Error('The leak detector needs at least 3 iterations');
+  if (snapshots > 0 && snapshots < 3) throw new Error('The leak detector needs at least 3 heap snapshots, or none');
+
+  const session = new Session();
+  session.connect();
+  const post = (method, params = {}) =>
+    new Promise((resolve, reject) => {
+      session.post(method, params, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+
+  const snapshotPoints = snapshotIterations(iterations, snapshots);
+  const snapshotDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'leak-detector-'));
+  const snapshotFiles = [];
+  const heapUsed = new Float64Array(iterations);
+  const heapBeforeGC = new Float64Array(iterations);
+  let baseline;
+
+  try {
+    await post('HeapProfiler.enable');
+    for (let i = 0; i < warmup; i++) await fn(0);
+    await post('HeapProfiler.collectGarbage');
+    baseline = process.memoryUsage().heapUsed;
+
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+      await fn(iteration);
+      heapBeforeGC[iteration - 1] = process.memoryUsage().heapUsed;
+      await post('HeapProfiler.collectGarbage');
+      heapUsed[iteration - 1] = process.memoryUsage().heapUsed;
+
+      // Snapshots are only parsed after the last iteration, so the parsed ones do not show up in the next
+      if (snapshotPoints.includes(iteration)) {
+        snapshotFiles.push(
+          await captureHeapSnapshot({
+            outputDir: snapshotDir,
+            name: `iteration-${iteration}.heapsnapshot`,
+            method: 'inspector',
+            session,
+          }),
+        );
+      }
+      onIteration?.({ iteration, heapUsed: heapUsed[iteration - 1] });
+    }
+  } finally {
+    session.disconnect();
+  }
+
+  let objects = null;
+  try {
+    if (snapshotFiles.length > 0) {
+      objects = await fitObjectCounts(snapshotFiles, snapshotPoints);
+    }
+  } finally {
+    await fs.promises.rm(snapshotDir, { recursive: true, force: true });
+  }
+
+  const xs = Array.from({ length: iterations }, (_, i) => i + 1);
+  const ys = [...heapUsed];
+  const heap = linearRegression(xs, ys);
+  let grew = 0;
+  for (let i = 1; i < iterations; i++) if (ys[i] > ys[i - 1]) grew++;
+  const monotonic = grew / (iterations - 1);
+
+  // Only a slope significant at p < 0.05 counts: at that level it adds 0.43, at p = 0.001 it counts
+  // fully. Unlike r², the t test allows for the scatter a few noisy collections add around a steady climb.
+  const pValue = slopePValue(heap.t, iterations - 2);
+  const significant = heap.slope >= minBytesPerIteration && pValue < 0.05;
+  const heapScore = significant ? Math.min(1, -Math.log10(Math.max(pValue, 1e-12)) / 3) : 0;
+
+  // The heap fit weighs twice as much as the object counts, which only have a few points
+  const objectScore = objects && (objects.growing[0]?.steady ? objects.growing[0].r2 : 0);
+  const confidence = objects ? (2 * heapScore + objectScore) / 3 : heapScore;
+
+  let verdict;
+  if (confidence >= 0.75) verdict = 'leak';
+  else if (confidence >= 0.4) verdict = 'possible';
+  else verdict = 'stable';
+
+  return {
+    iterations,
+    warmup,
+    // Post-GC heap after the warmup, and after (heapUsed) and right before each iteration's GC
+    baseline,
+    samples: ys.map((used, i) => ({ iteration: i + 1, heapUsed: used, heapBeforeGC: heapBeforeGC[i] })),
+    bytesPerIteration: heap.slope,
+    r2: heap.r2,
+    pValue,
+    monotonic,
+    totalGrowth: ys[iterations - 1] - ys[0],
+    objects,
+    confidence,
+    verdict,
+  };
+}
+
+// Fits object counts per constructor over the snapshots; the ones that grew come first, fastest first
+async function fitObjectCounts(files, points, { top = 5 } = {}) {
+  const countsByName = new Map();
+  for (const [index, file] of files.entries()) {
+    const snapshot = await HeapSnapshot.fromFile(file);
+    // Code and internal objects V8 keeps creating as it compiles are not what the function leaks
+    const allocated = i => snapshot.type(i) !== 'code' && snapshot.type(i) !== 'hidden';
+    for (const { name, count } of snapshot.groupNodes(i => snapshot.className(i), allocated).values()) {
+      if (!countsByName.has(name)) countsByName.set(name, new Array(files.length).fill(0));
+      countsByName.get(name)[index] = count;
+    }
+  }
+
+  const growing = [];
+  for (const [name, counts] of countsByName) {
+    const { slope, r2 } = linearRegression(points, counts);
+    if (slope <= 0) continue;
+    // At least one new object per iteration, and never fewer than at the previous snapshot
+    const steady = slope >= 1 && counts.every((count, i) => i === 0 || count >= counts[i - 1]);
+    growing.push({ name, counts, perIteration: slope, r2, steady });
+  }
+
+  return {
+    points,
+    growing: growing.sort((a, b) => b.steady - a.steady || b.perIteration - a.perIteration).slice(0, top),
+  };
+}
@@ -1,65 +1,63 @@
-import chalk from 'chalk';
 import { EventEmitter } from 'events';
-
+import { runHeapLimitExperiment } from './heap-limit-experiment.js';
+import { detectLeak } from './leak-detector.js';
+import { captureHeapSnapshot, compareHeapSnapshots, HeapSnapshot } from './heap-snapshot.js';
+
+// The leak demonstrations by CLI name with their corrected implementation, a smaller workload for
+// heap snapshots, the workload of each leak detector iteration and what each one keeps alive
+// (a constructor or function name to look up in a snapshot)
+export const MEMORY_LEAKS = {
+  listener: {
+    method: 'eventListenerLeak',
+    fixedMethod: 'eventListenerFixed',
+    snapshotIterations: 2000,
+    detectorIterations: 1000,
+    retains: 'EventEmitter',
+  },
+  closure: {
+    method: 'closureLeak',
+    fixedMethod: 'closureFixed',
+    snapshotIterations: 100,
+    detectorIterations: 20,
+    retains: 'closure',
+  },
+  accumulation: {
+    method: 'accumulationLeak',
+    fixedMethod: 'accumulationFixed',
+    snapshotIterations: 10000,
+    detectorIterations: 2000,
+    retains: 'Array',
+  },
+  timer: {
+    method: 'timerLeak',
+    fixedMethod: 'timerFixed',
+    snapshotIterations: 500,
+    detectorIterations: 200,
+    retains: 'Timeout',
+  },
+};
+
+// Headless memory leak demonstrations and usage monitoring.
+// Byte counts that need global.gc() (run with --expose-gc) are null when it is unavailable.
+// With cleanup: false a demonstration keeps what it allocated until releaseLeaks().
 export class MemoryProfiler {
-  constructor(rl) {
-    this.rl = rl;
+  constructor() {
     this.monitoring = false;
     this.memoryHistory = [];
     this.leakTests = [];
   }
 
-  async demonstrateLeak() {
-    while (true) {
-      console.log(chalk.blue('\n💾 Memory Leak Demonstration'));
-      console.log(chalk.yellow('This will show common memory leak patterns and how to detect them'));
-
-      const choice = await this.question(
-        chalk.green(
-          '\nSelect leak type:\n1. Event listener leak\n2. Closure leak\n3. Array/object accumulation\n4. Timer leak\n5. Back\n',
-        ),
-      );
-
-      switch (choice.trim()) {
-        case '1':
-          await this.eventListenerLeak();
-          break;
-        case '2':
-          await this.closureLeak();
-          break;
-        case '3':
-          await this.accumulationLeak();
-          break;
-        case '4':
-          await this.timerLeak();
-          break;
-        case '5':
-          return;
-        default:
-          console.log(chalk.red('❌ Invalid choice.'));
-      }
-
-      // Wait for user to continue
-      await this.question(chalk.gray('\nPress Enter to continue...'));
-    }
-  }
-
-  async eventListenerLeak() {
-    console.log(chalk.blue('\n🎧 Event Listener Memory Leak'));
-    console.log(chalk.yellow('This demonstrates how event listeners can cause memory leaks'));
-
-    const iterations = 10000;
-    console.log(chalk.cyan(`\n🔄 Creating ${iterations.toLocaleString()} event listeners...`));
-
+  async eventListenerLeak({ iterations = 10000, cleanup = true } = {}) {
     const before = process.memoryUsage();
     const listeners = [];
+    let eventsReceived = 0;
 
     // Create event emitters with listeners
     for (let i = 0; i < iterations; i++) {
       const emitter = new EventEmitter();
       const listener = data => {
         // This listener captures the emitter in its closure
-        console.log(`Listener ${i} received: ${data}`);
+        if (data === `Event ${i}`) eventsReceived++;
       };
 
       emitter.on('data', listener);
@@ -70,45 +68,25 @@ export class MemoryProfiler {
     }
 
     const afterCreation = process.memoryUsage();
-    console.log(chalk.green(`✅ Created ${iterations.toLocaleString()} event listeners`));
-    console.log(chalk.cyan(`📊 Memory used: ${this.formatBytes(afterCreation.heapUsed - before.heapUsed)}`));
-
-    // Demonstrate the leak
-    console.log(chalk.yellow('\n⚠️  Memory Leak Detected!'));
-    console.log(chalk.gray('• Event listeners are still holding references to emitters'));
-    console.log(chalk.gray("• Even though we're done with them, they can't be garbage collected"));
-    console.log(chalk.gray('• This creates a circular reference: emitter → listener → emitter'));
-
-    // Show how to fix it
-    console.log(chalk.cyan('\n🔧 How to Fix:'));
-    console.log(chalk.gray("• Remove listeners when done: emitter.removeListener('data', listener)"));
-    console.log(chalk.gray('• Use once() instead of on() for one-time events'));
-    console.log(chalk.gray('• Use weak references or proper cleanup patterns'));
 
     // Clean up properly
-    console.log(chalk.yellow('\n🧹 Cleaning up properly...'));
-    listeners.forEach(({ emitter, listener }) => {
-      emitter.removeListener('data', listener);
-    });
+    this.cleanupOrRetain('listener', cleanup, () => {
+      listeners.forEach(({ emitter, listener }) => {
+        emitter.removeListener('data', listener);
+      });
 
-    listeners.length = 0;
+      listeners.length = 0;
+    });
 
-    if (global.gc) {
-      console.log(chalk.yellow('🔄 Running garbage collection...'));
-      global.gc();
-      const afterGC = process.memoryUsage();
-      const freed = afterCreation.heapUsed - afterGC.heapUsed;
-      console.log(chalk.green(`✅ Memory freed: ${this.formatBytes(freed)}`));
-    }
+    return {
+      iterations,
+      eventsReceived,
+      memoryUsed: afterCreation.heapUsed - before.heapUsed,
+      memoryFreed: this.collectGarbage(afterCreation),
+    };
   }
 
-  async closureLeak() {
-    console.log(chalk.blue('\n🔒 Closure Memory Leak'));
-    console.log(chalk.yellow('This demonstrates how closures can capture large objects in memory'));
-
-    const iterations = 1000;
-    console.log(chalk.cyan(`\n🔄 Creating ${iterations.toLocaleString()} closures with large data...`));
-
+  async closureLeak({ iterations = 1000, cleanup = true } = {}) {
     const before = process.memoryUsage();
     const closures = [];
 
@@ -124,41 +102,20 @@ export class MemoryProfiler {
     }
 
     const afterCreation = process.memoryUsage();
-    console.log(chalk.green(`✅ Created ${iterations.toLocaleString()} closures`));
-    console.log(chalk.cyan(`📊 Memory used: ${this.formatBytes(afterCreation.heapUsed - before.heapUsed)}`));
-
-    // Demonstrate the leak
-    console.log(chalk.yellow('\n⚠️  Memory Leak Detected!'));
-    console.log(chalk.gray('• Each closure captures largeData in its lexical scope'));
-    console.log(chalk.gray('• Even though we only need the function, the data stays in memory'));
-    console.log(chalk.gray('• This is a common pattern in event handlers and callbacks'));
-
-    // Show how to fix it
-    console.log(chalk.cyan('\n🔧 How to Fix:'));
-    console.log(chalk.gray('• Pass only necessary data to closures'));
-    console.log(chalk.gray('• Use weak references (WeakMap, WeakSet)'));
-    console.log(chalk.gray('• Restructure code to avoid capturing large objects'));
 
     // Clean up
-    console.log(chalk.yellow('\n🧹 Cleaning up...'));
-    closures.length = 0;
-
-    if (global.gc) {
-      console.log(chalk.yellow('🔄 Running garbage collection...'));
-      global.gc();
-      const afterGC = process.memoryUsage();
-      const freed = afterCreation.heapUsed - afterGC.heapUsed;
-      console.log(chalk.green(`✅ Memory freed: ${this.formatBytes(freed)}`));
-    }
-  }
-
-  async accumulationLeak() {
-    console.log(chalk.blue('\n📦 Array/Object Accumulation Leak'));
-    console.log(chalk.yellow('This demonstrates how accumulating data can cause memory leaks'));
+    this.cleanupOrRetain('closure', cleanup, () => {
+      closures.length = 0;
+    });
 
-    const iterations = 100000;
-    console.log(chalk.cyan(`\n🔄 Accumulating ${iterations.toLocaleString()} objects...`));
+    return {
+      iterations,
+      memoryUsed: afterCreation.heapUsed - before.heapUsed,
+      memoryFreed: this.collectGarbage(afterCreation),
+    };
+  }
 
+  async accumulationLeak({ iterations = 100000, cleanup = true } = {}) {
     const before = process.memoryUsage();
     const dataStore = [];
 
@@ -174,134 +131,348 @@ export class MemoryProfiler {
           tags: Array.from({ length: 10 }, (_, j) => `tag${j}`),
         },
       });
-
-      // Simulate some processing
-      if (i % 10000 === 0) {
-        console.log(chalk.gray(`  • Processed ${i.toLocaleString()} items...`));
-      }
     }
 
     const afterCreation = process.memoryUsage();
-    console.log(chalk.green(`✅ Accumulated ${iterations.toLocaleString()} objects`));
-    console.log(chalk.cyan(`📊 Memory used: ${this.formatBytes(afterCreation.heapUsed - before.heapUsed)}`));
-
-    // Demonstrate the leak
-    console.log(chalk.yellow('\n⚠️  Memory Leak Detected!'));
-    console.log(chalk.gray('• Data is continuously accumulating without cleanup'));
-    console.log(chalk.gray('• Old data is never removed or expired'));
-    console.log(chalk.gray('• This is common in logging systems, caches, and data collectors'));
-
-    // Show how to fix it
-    console.log(chalk.cyan('\n🔧 How to Fix:'));
-    console.log(chalk.gray('• Implement data expiration (TTL)'));
-    console.log(chalk.gray('• Use circular buffers or size limits'));
-    console.log(chalk.gray('• Implement LRU (Least Recently Used) eviction'));
-    console.log(chalk.gray('• Regular cleanup of old data'));
-
-    // Demonstrate cleanup strategies
-    console.log(chalk.yellow('\n🧹 Demonstrating cleanup strategies...'));
 
     // Strategy 1: Keep only recent data
     const cutoffTime = Date.now() - 60000; // 1 minute ago
     const recentData = dataStore.filter(item => item.timestamp > cutoffTime);
-    console.log(chalk.cyan(`  • Recent data only: ${recentData.length.toLocaleString()} items`));
 
     // Strategy 2: Keep only first N items
     const firstN = dataStore.slice(0, 10000);
-    console.log(chalk.cyan(`  • First 10K items: ${firstN.length.toLocaleString()} items`));
 
     // Strategy 3: Clear everything
-    dataStore.length = 0;
-    console.log(chalk.cyan(`  • Cleared all data: ${dataStore.length} items`));
-
-    if (global.gc) {
-      console.log(chalk.yellow('🔄 Running garbage collection...'));
-      global.gc();
-      const afterGC = process.memoryUsage();
-      const freed = afterCreation.heapUsed - afterGC.heapUsed;
-      console.log(chalk.green(`✅ Memory freed: ${this.formatBytes(freed)}`));
-    }
-  }
-
-  async timerLeak() {
-    console.log(chalk.blue('\n⏰ Timer Memory Leak'));
-    console.log(chalk.yellow('This demonstrates how timers can cause memory leaks'));
+    this.cleanupOrRetain('accumulation', cleanup, () => {
+      dataStore.length = 0;
+    });
 
-    const iterations = 1000;
-    console.log(chalk.cyan(`\n🔄 Creating ${iterations.toLocaleString()} timers...`));
+    return {
+      iterations,
+      memoryUsed: afterCreation.heapUsed - before.heapUsed,
+      cleanupStrategies: {
+        recentOnly: recentData.length,
+        firstN: firstN.length,
+        cleared: dataStore.length,
+      },
+      memoryFreed: this.collectGarbage(afterCreation),
+    };
+  }
 
+  async timerLeak({ iterations = 1000, cleanup = true } = {}) {
     const before = process.memoryUsage();
     const timers = [];
+    let ticks = 0;
 
     // Create various types of timers
     for (let i = 0; i < iterations; i++) {
       const timeoutId = setTimeout(() => {
         // This callback captures variables in its closure
-        console.log(`Timer ${i} executed`);
+        ticks += i;
       }, 1000 + i);
 
       const intervalId = setInterval(() => {
         // This will run forever unless cleared
-        console.log(`Interval ${i} tick`);
+        ticks += i;
       }, 2000 + i);
 
       timers.push({ timeoutId, intervalId, index: i });
     }
 
     const afterCreation = process.memoryUsage();
-    console.log(chalk.green(`✅ Created ${iterations.toLocaleString()} timers`));
-    console.log(chalk.cyan(`📊 Memory used: ${this.formatBytes(afterCreation.heapUsed - before.heapUsed)}`));
-
-    // Demonstrate the leak
-    console.log(chalk.yellow('\n⚠️  Memory Leak Detected!'));
-    console.log(chalk.gray('• Timers are still active and consuming memory'));
-    console.log(chalk.gray('• Intervals will run forever unless cleared'));
-    console.log(chalk.gray('• Each timer holds references to its callback and variables'));
-
-    // Show how to fix it
-    console.log(chalk.cyan('\n🔧 How to Fix:'));
-    console.log(chalk.gray('• Always clear timeouts and intervals when done'));
-    console.log(chalk.gray('• Use clearTimeout() and clearInterval()'));
-    console.log(chalk.gray('• Store timer IDs and clear them in cleanup'));
-    console.log(chalk.gray('• Consider using AbortController for cancellation'));
 
     // Clean up properly
-    console.log(chalk.yellow('\n🧹 Cleaning up timers...'));
-    timers.forEach(({ timeoutId, intervalId }) => {
-      clearTimeout(timeoutId);
-      clearInterval(intervalId);
+    this.cleanupOrRetain('timer', cleanup, () => {
+      timers.forEach(({ timeoutId, intervalId }) => {
+        clearTimeout(timeoutId);
+        clearInterval(intervalId);
+      });
+
+      timers.length = 0;
     });
 
-    timers.length = 0;
+    return {
+      iterations,
+      memoryUsed: afterCreation.heapUsed - before.heapUsed,
+      memoryFreed: this.collectGarbage(afterCreation),
+    };
+  }
+
+  // The corrected implementations put the same load on the heap as the leaks above
 
-    if (global.gc) {
-      console.log(chalk.yellow('🔄 Running garbage collection...'));
-      global.gc();
-      const afterGC = process.memoryUsage();
-      const freed = afterCreation.heapUsed - afterGC.heapUsed;
-      console.log(chalk.green(`✅ Memory freed: ${this.formatBytes(freed)}`));
+  async eventListenerFixed({ iterations = 10000, cleanup = true } = {}) {
+    const before = process.memoryUsage();
+    let eventsReceived = 0;
+
+    for (let i = 0; i < iterations; i++) {
+      const emitter = new EventEmitter();
+
+      // once() removes the listener after the first event, so nothing has to keep track of it
+      emitter.once('data', data => {
+        if (data === `Event ${i}`) eventsReceived++;
+      });
+
+      emitter.emit('data', `Event ${i}`);
     }
+
+    const afterCreation = process.memoryUsage();
+    this.cleanupOrRetain('listener', cleanup, () => {});
+
+    return {
+      iterations,
+      eventsReceived,
+      memoryUsed: afterCreation.heapUsed - before.heapUsed,
+      memoryFreed: this.collectGarbage(afterCreation),
+    };
   }
 
-  async monitorUsage() {
-    console.log(chalk.blue('\n📊 Memory Usage Monitoring'));
-    console.log(chalk.yellow('This will continuously monitor memory usage and detect patterns'));
+  async closureFixed({ iterations = 1000, cleanup = true } = {}) {
+    const before = process.memoryUsage();
+    const closures = [];
 
-    console.log(chalk.cyan('\n📋 Monitoring Options:'));
-    console.log(chalk.gray('• Press Enter to stop monitoring'));
-    console.log(chalk.gray('• Monitoring will continue until you stop it'));
+    for (let i = 0; i < iterations; i++) {
+      const largeData = new Array(10000).fill(`Data for closure ${i}`);
 
-    this.monitoring = true;
-    const startTime = Date.now();
-    let interval;
+      // Capture only what the closure needs, so largeData can be collected after this iteration
+      const { length } = largeData;
+      closures.push(() => length);
+    }
+
+    const afterCreation = process.memoryUsage();
+
+    this.cleanupOrRetain('closure', cleanup, () => {
+      closures.length = 0;
+    });
+
+    return {
+      iterations,
+      memoryUsed: afterCreation.heapUsed - before.heapUsed,
+      memoryFreed: this.collectGarbage(afterCreation),
+    };
+  }
+
+  async accumulationFixed({ iterations = 100000, maxEntries = 1000, cleanup = true } = {}) {
+    const before = process.memoryUsage();
 
-    // Start monitoring
-    interval = setInterval(() => {
-      if (!this.monitoring) {
-        clearInterval(interval);
-        return;
+    // One long-lived store shared by every call, bounded to the most recently written entries (LRU)
+    this.recentData ??= new Map();
+    const dataStore = this.recentData;
+
+    for (let i = 0; i < iterations; i++) {
+      // set() keeps an existing key where it was, so delete it first to move it to the end
+      dataStore.delete(i);
+      dataStore.set(i, {
+        id: i,
+        timestamp: Date.now(),
+        data: `Data point ${i}`,
+        metadata: {
+          source: 'sensor',
+          value: Math.random() * 1000,
+          tags: Array.from({ length: 10 }, (_, j) => `tag${j}`),
+        },
+      });
+
+      // A Map iterates in insertion order, so its first key is the least recently written one
+      if (dataStore.size > maxEntries) dataStore.delete(dataStore.keys().next().value);
+    }
+
+    const afterCreation = process.memoryUsage();
+
+    this.cleanupOrRetain('accumulation', cleanup, () => {
+      dataStore.clear();
+    });
+
+    return {
+      iterations,
+      maxEntries,
+      entries: dataStore.size,
+      memoryUsed: afterCreation.heapUsed - before.heapUsed,
+      memoryFreed: this.collectGarbage(afterCreation),
+    };
+  }
+
+  async timerFixed({ iterations = 1000, intervalTicks = 1 } = {}) {
+    const before = process.memoryUsage();
+    let ticks = 0;
+    const finished = [];
+
+    // The same timers as timerLeak(), but each one is cleared as soon as its work is done
+    for (let i = 0; i < iterations; i++) {
+      finished.push(
+        new Promise(resolve => {
+          const timeoutId = setTimeout(() => {
+            ticks += i;
+            clearTimeout(timeoutId);
+            resolve();
+          }, 1000 + i);
+        }),
+        new Promise(resolve => {
+          let remaining = intervalTicks;
+          const intervalId = setInterval(() => {
+            ticks += i;
+            if (--remaining === 0) {
+              clearInterval(intervalId);
+              resolve();
+            }
+          }, 2000 + i);
+        }),
+      );
+    }
+
+    const afterCreation = process.memoryUsage();
+    // Nothing is left to clean up once every timer has fired
+    await Promise.all(finished);
+
+    return {
+      iterations,
+      ticks,
+      memoryUsed: afterCreation.heapUsed - before.heapUsed,
+      memoryFreed: this.collectGarbage(afterCreation),
+    };
+  }
+
+  cleanupOrRetain(type, cleanup, release) {
+    if (cleanup) {
+      release();
+    } else {
+      this.leakTests.push({ type, release });
+    }
+  }
+
+  // Releases everything the demonstrations kept with cleanup: false; resolves with how many there were
+  releaseLeaks() {
+    const released = this.leakTests.length;
+    this.leakTests.forEach(({ release }) => release());
+    this.leakTests = [];
+    return released;
+  }
+
+  /**
+   * Compares heap snapshots taken before a leak demonstration, right after it and after a GC.
+   * With cleanup: false (the leak) its objects survive; with cleanup: true they should not.
+   */
+  async snapshotLeak({ type = 'listener', iterations, cleanup = false, top = 15, outputDir } = {}) {
+    const leak = MEMORY_LEAKS[type];
+    if (!leak) throw new Error(`Unknown leak type "${type}"`);
+
+    iterations ??= leak.snapshotIterations;
+    try {
+      const comparison = await compareHeapSnapshots(() => this[leak.method]({ iterations, cleanup }), {
+        outputDir,
+        top,
+      });
+      return { type, iterations, cleanup, ...comparison };
+    } finally {
+      this.releaseLeaks();
+    }
+  }
+
+  /**
+   * Loads a .heapsnapshot file, or runs a leak demonstration without cleaning up and snapshots
+   * the process while the leaked objects are still alive.
+   */
+  async leakSnapshot({ type = 'listener', iterations, file, outputDir } = {}) {
+    if (file) {
+      return { type: null, file, snapshot: await HeapSnapshot.fromFile(file) };
+    }
+
+    const leak = MEMORY_LEAKS[type];
+    if (!leak) throw new Error(`Unknown leak type "${type}"`);
+
+    try {
+      await this[leak.method]({ iterations: iterations ?? leak.snapshotIterations, cleanup: false });
+      file = await captureHeapSnapshot({ outputDir });
+    } finally {
+      this.releaseLeaks();
+    }
+    return { type, file, snapshot: await HeapSnapshot.fromFile(file) };
+  }
+
+  /**
+   * Runs the leak detector on each leak demonstration and on its corrected implementation. A check
+   * is correct when the leaking run is reported as a leak and the fixed one as stable.
+   */
+  async checkLeaks({ types = Object.keys(MEMORY_LEAKS), iterations = 10, snapshots = 3, onIteration, onCheck } = {}) {
+    const checks = [];
+    for (const type of types) {
+      const leak = MEMORY_LEAKS[type];
+      if (!leak) throw new Error(`Unknown leak type "${type}"`);
+
+      for (const fixed of [false, true]) {
+        const method = fixed ? leak.fixedMethod : leak.method;
+        let detection;
+        try {
+          detection = await detectLeak(() => this[method]({ iterations: leak.detectorIterations, cleanup: false }), {
+            iterations,
+            snapshots,
+            // The leaks keep 90KB to 1.5MB per run; the fixed closures still keep about 1.5KB of tiny closures
+            minBytesPerIteration: 16 * 1024,
+            onIteration: progress => onIteration?.({ type, fixed, ...progress }),
+          });
+        } finally {
+          this.releaseLeaks();
+        }
+
+        const check = { type, fixed, ...detection, correct: detection.verdict === (fixed ? 'stable' : 'leak') };
+        checks.push(check);
+        onCheck?.(check);
+      }
+    }
+    return checks;
+  }
+
+  /**
+   * Runs a leak and its corrected implementation under the same load, `rounds` times each, and
+   * records the heap before and after a forced GC every round. What the leak keeps stays in memory
+   * until both have run.
+   */
+  async compareLeakFix({ type = 'listener', iterations, rounds = 6, onRound } = {}) {
+    const leak = MEMORY_LEAKS[type];
+    if (!leak) throw new Error(`Unknown leak type "${type}"`);
+
+    iterations ??= leak.detectorIterations;
+    const run = async (variant, method) => {
+      try {
+        return await detectLeak(() => this[method]({ iterations, cleanup: false }), {
+          iterations: rounds,
+          warmup: 1,
+          snapshots: 0,
+          onIteration: progress => onRound?.({ variant, ...progress }),
+        });
+      } finally {
+        this.releaseLeaks();
       }
+    };
+
+    const leaking = await run('leaking', leak.method);
+    const fixed = await run('fixed', leak.fixedMethod);
+    const growth = ({ baseline, samples }) => samples[samples.length - 1].heapUsed - baseline;
 
+    return { type, iterations, rounds, leaking, fixed, postGcDifference: growth(leaking) - growth(fixed) };
+  }
+
+  // Lets the accumulation leak run out of heap in a child process and analyzes the crash
+  async crashAtHeapLimit(options = {}) {
+    return runHeapLimitExperiment(options);
+  }
+
+  // Runs a GC and returns how much heap was freed since `reference`, or null without --expose-gc
+  collectGarbage(reference) {
+    if (!global.gc) return null;
+
+    global.gc();
+    return reference.heapUsed - process.memoryUsage().heapUsed;
+  }
+
+  /**
+   * Samples process.memoryUsage() every second until the duration elapses or the signal aborts,
+   * then resolves with analyzeMemoryHistory().
+   */
+  async monitorUsage({ duration, signal, onSample } = {}) {
+    this.monitoring = true;
+    const startTime = Date.now();
+
+    const interval = setInterval(() => {
       const memUsage = process.memoryUsage();
       const timestamp = Date.now();
 
@@ -315,119 +486,69 @@ export class MemoryProfiler {
         this.memoryHistory.shift();
       }
 
-      // Display current status
-      const elapsed = (timestamp - startTime) / 1000;
-      const heapUtilization = (memUsage.heapUsed / memUsage.heapTotal) * 100;
-
-      console.clear();
-      console.log(chalk.blue.bold('📊 Memory Usage Monitor'));
-      console.log(chalk.cyan('═'.repeat(60)));
-      console.log(chalk.yellow(`⏱️  Elapsed: ${elapsed.toFixed(1)}s`));
-      console.log(chalk.yellow(`📊 Heap Used: ${this.formatBytes(memUsage.heapUsed)}`));
-      console.log(chalk.yellow(`🏗️  Heap Total: ${this.formatBytes(memUsage.heapTotal)}`));
-      console.log(chalk.yellow(`💾 External: ${this.formatBytes(memUsage.external)}`));
-      console.log(chalk.yellow(`📦 Array Buffers: ${this.formatBytes(memUsage.arrayBuffers)}`));
-      console.log(chalk.yellow(`📈 Utilization: ${heapUtilization.toFixed(2)}%`));
-
-      // Memory trend
-      if (this.memoryHistory.length > 1) {
-        this.showMemoryTrend();
-      }
-
-      // Memory pressure indicators
-      this.showMemoryPressureIndicators(memUsage);
-
-      // Show stop instruction
-      console.log(chalk.cyan('\n💡 Press Enter to stop monitoring'));
+      onSample?.({
+        elapsed: timestamp - startTime,
+        memUsage,
+        heapUtilization: (memUsage.heapUsed / memUsage.heapTotal) * 100,
+        trend: this.getMemoryTrend(),
+        pressure: this.getMemoryPressureIndicators(memUsage),
+      });
     }, 1000);
 
-    // Wait for user to press Enter to stop
-    await this.question(chalk.yellow('\n🛑 Press Enter to stop monitoring...'));
+    await new Promise(resolve => {
+      const timer = duration ? setTimeout(resolve, duration) : null;
+      signal?.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        { once: true },
+      );
+    });
 
     this.monitoring = false;
     clearInterval(interval);
 
-    // Final analysis
-    await this.analyzeMemoryHistory();
+    return this.analyzeMemoryHistory();
   }
 
-  showMemoryTrend() {
-    if (this.memoryHistory.length < 2) return;
-
-    const recent = this.memoryHistory.slice(-10);
-    const values = recent.map(s => s.heapUsed / (1024 * 1024)); // Convert to MB
-
-    console.log(chalk.cyan('\n📈 Memory Trend (Last 10 snapshots):'));
-
-    const maxValue = Math.max(...values);
-    const minValue = Math.min(...values);
-    const chartHeight = 8;
-
-    for (let i = chartHeight; i >= 0; i--) {
-      const threshold = minValue + (maxValue - minValue) * (i / chartHeight);
-      const line = recent
-        .map((_, j) => {
-          return values[j] >= threshold ? '█' : '░';
-        })
-        .join(' ');
-
-      const yLabel = i === chartHeight ? `${maxValue.toFixed(1)}MB` : i === 0 ? `${minValue.toFixed(1)}MB` : '';
-
-      console.log(chalk.gray(`${yLabel.padStart(8)} ${line}`));
-    }
-
-    const labels = recent.map((_, i) => `T${i + 1}`);
-    console.log(chalk.gray('         ' + labels.join(' ')));
+  getMemoryTrend(count = 10) {
+    return this.memoryHistory.slice(-count).map(s => s.heapUsed);
   }
 
-  showMemoryPressureIndicators(memUsage) {
+  getMemoryPressureIndicators(memUsage) {
     const heapUtilization = (memUsage.heapUsed / memUsage.heapTotal) * 100;
 
-    console.log(chalk.yellow('\n⚠️  Memory Pressure Indicators:'));
-
-    if (heapUtilization > 90) {
-      console.log(chalk.red('  • 🔴 Critical: Heap utilization > 90%'));
-    } else if (heapUtilization > 80) {
-      console.log(chalk.red('  • 🔴 High: Heap utilization > 80%'));
-    } else if (heapUtilization > 70) {
-      console.log(chalk.yellow('  • 🟡 Moderate: Heap utilization > 70%'));
-    } else {
-      console.log(chalk.green('  • 🟢 Healthy: Heap utilization < 70%'));
-    }
+    let level;
+    if (heapUtilization > 90) level = 'critical';
+    else if (heapUtilization > 80) level = 'high';
+    else if (heapUtilization > 70) level = 'moderate';
+    else level = 'healthy';
 
-    // Check for rapid growth
+    // Check for rapid growth over the last 5 one-second samples
+    let growthRate = null;
     if (this.memoryHistory.length > 5) {
       const recent = this.memoryHistory.slice(-5);
       const growth = recent[recent.length - 1].heapUsed - recent[0].heapUsed;
-      const growthRate = growth / 5; // MB per second
-
-      if (growthRate > 10) {
-        console.log(chalk.red(`  • 🔴 Rapid growth: ${growthRate.toFixed(1)}MB/s`));
-      } else if (growthRate > 1) {
-        console.log(chalk.yellow(`  • 🟡 Steady growth: ${growthRate.toFixed(1)}MB/s`));
-      } else if (growthRate < -1) {
-        console.log(chalk.green(`  • 🟢 Memory decreasing: ${Math.abs(growthRate).toFixed(1)}MB/s`));
-      } else {
-        console.log(chalk.green('  • 🟢 Memory stable'));
-      }
+      growthRate = growth / (1024 * 1024) / 5; // MB per second
     }
+
+    return { heapUtilization, level, growthRate };
   }
 
-  async analyzeMemoryHistory() {
+  analyzeMemoryHistory() {
     if (this.memoryHistory.length < 2) {
-      console.log(chalk.yellow('Not enough data for analysis'));
-      return;
+      return null;
     }
 
-    console.log(chalk.blue('\n📊 Memory Usage Analysis'));
-    console.log(chalk.cyan('═'.repeat(60)));
-
     const heapUsed = this.memoryHistory.map(s => s.heapUsed);
     const heapTotal = this.memoryHistory.map(s => s.heapTotal);
     const external = this.memoryHistory.map(s => s.external);
 
     // Calculate statistics
     const stats = {
+      samples: this.memoryHistory.length,
       heapUsed: {
         min: Math.min(...heapUsed),
         max: Math.max(...heapUsed),
@@ -446,49 +567,16 @@ export class MemoryProfiler {
       },
     };
 
-    console.log(chalk.yellow('📈 Heap Used:'));
-    console.log(chalk.gray(`  • Min: ${this.formatBytes(stats.heapUsed.min)}`));
-    console.log(chalk.gray(`  • Max: ${this.formatBytes(stats.heapUsed.max)}`));
-    console.log(chalk.gray(`  • Average: ${this.formatBytes(stats.heapUsed.avg)}`));
-    console.log(chalk.gray(`  • Growth: ${this.formatBytes(stats.heapUsed.growth)}`));
-
-    console.log(chalk.yellow('\n🏗️  Heap Total:'));
-    console.log(chalk.gray(`  • Min: ${this.formatBytes(stats.heapTotal.min)}`));
-    console.log(chalk.gray(`  • Max: ${this.formatBytes(stats.heapTotal.max)}`));
-    console.log(chalk.gray(`  • Average: ${this.formatBytes(stats.heapTotal.avg)}`));
-
-    console.log(chalk.yellow('\n💾 External Memory:'));
-    console.log(chalk.gray(`  • Min: ${this.formatBytes(stats.external.min)}`));
-    console.log(chalk.gray(`  • Max: ${this.formatBytes(stats.external.max)}`));
-    console.log(chalk.gray(`  • Average: ${this.formatBytes(stats.external.avg)}`));
-
     // Memory leak detection
     if (stats.heapUsed.growth > 10 * 1024 * 1024) {
       // 10MB growth
-      console.log(chalk.red('\n⚠️  Potential Memory Leak Detected!'));
-      console.log(chalk.gray(`  • Memory grew by ${this.formatBytes(stats.heapUsed.growth)} during monitoring`));
-      console.log(chalk.gray('  • Consider investigating for memory leaks'));
+      stats.verdict = 'leak';
     } else if (stats.heapUsed.growth > 0) {
-      console.log(chalk.yellow('\n⚠️  Memory Growth Observed'));
-      console.log(chalk.gray(`  • Memory grew by ${this.formatBytes(stats.heapUsed.growth)} during monitoring`));
-      console.log(chalk.gray('  • Monitor for continued growth'));
+      stats.verdict = 'growth';
     } else {
-      console.log(chalk.green('\n✅ Memory Stable'));
-      console.log(chalk.gray('  • No significant memory growth detected'));
+      stats.verdict = 'stable';
     }
-  }
 
-  formatBytes(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  }
-
-  question(prompt) {
-    return new Promise(resolve => {
-      this.rl.question(prompt, resolve);
-    });
+    return stats;
   }
 }
@@ -1,135 +1,164 @@
-import chalk from 'chalk';
+import path from 'path';
 import { performance } from 'perf_hooks';
-
+import { fileURLToPath } from 'url';
+import { describeFailure, runNode } from './child-process.js';
+import { CpuProfiler, saveCpuProfile, summarizeCpuProfile } from './cpu-profiler.js';
+import { EventLoopMonitor } from './event-loop-monitor.js';
+import {
+  buildFlameTree,
+  findHotspots,
+  foldCpuProfile,
+  foldHeapProfile,
+  foldProfileFile,
+  saveFlamegraph,
+} from './flamegraph.js';
+import { HeapSampler, summarizeHeapProfile } from './heap-sampler.js';
+import { captureHeapSnapshot, compareHeapSnapshots, HeapSnapshot } from './heap-snapshot.js';
+import { analyzeIsolateLog, findNewestIsolateLog } from './isolate-log.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PERFORMANCE_TEST = path.join(__dirname, '..', 'experiments', 'performance-test.js');
+
+// Each pattern allocates through its own named function, so sampled bytes can be attributed to it
+const ALLOCATION_PATTERNS = [
+  {
+    name: 'Small objects',
+    unit: 'element',
+    size: 100,
+    count: 1000,
+    allocate: function allocateSmallObjects(count, size) {
+      const items = [];
+      for (let i = 0; i < count; i++) items.push(new Array(size).fill(i));
+      return items;
+    },
+  },
+  {
+    name: 'Medium objects',
+    unit: 'element',
+    size: 1000,
+    count: 100,
+    allocate: function allocateMediumObjects(count, size) {
+      const items = [];
+      for (let i = 0; i < count; i++) items.push(new Array(size).fill(i));
+      return items;
+    },
+  },
+  {
+    name: 'Large objects',
+    unit: 'element',
+    size: 10000,
+    count: 10,
+    allocate: function allocateLargeObjects(count, size) {
+      const items = [];
+      for (let i = 0; i < count; i++) items.push(new Array(size).fill(i));
+      return items;
+    },
+  },
+  {
+    name: 'Arrays',
+    unit: 'element',
+    size: 5000,
+    count: 50,
+    allocate: function allocateArrays(count, size) {
+      const items = [];
+      for (let i = 0; i < count; i++) items.push(new Array(size).fill(i));
+      return items;
+    },
+  },
+  {
+    name: 'Strings',
+    unit: 'character',
+    size: 2000,
+    count: 200,
+    allocate: function allocateStrings(count, size) {
+      const items = [];
+      for (let i = 0; i < count; i++) items.push('x'.repeat(size));
+      return items;
+    },
+  },
+];
+
+// Headless profiling experiments; every method resolves with a plain result object
 export class PerformanceAnalyzer {
-  constructor(rl) {
-    this.rl = rl;
+  constructor() {
     this.profiles = [];
     this.benchmarks = [];
   }
 
-  async cpuProfile() {
-    while (true) {
-      console.log(chalk.blue('\n📊 CPU Profiling'));
-      console.log(chalk.yellow('This will demonstrate CPU profiling techniques and analysis'));
-
-      const choice = await this.question(
-        chalk.green(
-          '\nSelect profiling method:\n1. Built-in profiler\n2. Custom performance measurement\n3. Function-level profiling\n4. Back\n',
-        ),
-      );
-
-      switch (choice.trim()) {
-        case '1':
-          await this.builtInProfiler();
-          break;
-        case '2':
-          await this.customPerformanceMeasurement();
-          break;
-        case '3':
-          await this.functionLevelProfiling();
-          break;
-        case '4':
-          return;
-        default:
-          console.log(chalk.red('❌ Invalid choice.'));
-      }
-
-      // Wait for user to continue
-      await this.question(chalk.gray('\nPress Enter to continue...'));
-    }
-  }
-
-  async builtInProfiler() {
-    console.log(chalk.blue('\n🔧 Built-in Node.js Profiler'));
-    console.log(chalk.yellow('This demonstrates Node.js built-in profiling capabilities'));
-
-    console.log(chalk.cyan('\n📋 Available profiling methods:'));
-    console.log(chalk.gray('• --prof: V8 profiler output'));
-    console.log(chalk.gray('• --prof-process: Process profiler output'));
-    console.log(chalk.gray('• --inspect: Chrome DevTools profiler'));
-    console.log(chalk.gray('• --trace-gc: Garbage collection tracing'));
-
-    console.log(chalk.yellow('\n💡 To use built-in profiler:'));
-    console.log(chalk.gray('  node --prof src/experiments/performance-test.js'));
-    console.log(chalk.gray('  node --prof-process isolate-*.log > profile.txt'));
-
-    // Simulate some profiling data
-    console.log(chalk.cyan('\n📊 Simulated Profile Data:'));
-    this.displaySimulatedProfile();
+  /**
+   * Runs target under the V8 CPU profiler and saves the profile as a .cpuprofile file that
+   * Chrome DevTools can load. target is a function or the path of a module to import; without
+   * one, a built-in workload is profiled.
+   */
+  async cpuProfile({ target, iterations = 2000, top = 15, samplingInterval = 100, outputDir, save = true } = {}) {
+    const profiler = new CpuProfiler({ samplingInterval });
+    const { profile } =
+      typeof target === 'string'
+        ? await profiler.profileModule(target)
+        : await profiler.profile(target ?? (() => this.profilingWorkload({ iterations })));
+
+    return {
+      target: typeof target === 'string' ? target : (target?.name ?? 'profilingWorkload'),
+      samplingInterval,
+      file: save ? await saveCpuProfile(profile, { outputDir }) : null,
+      profile,
+      ...summarizeCpuProfile(profile, { top }),
+    };
   }
 
-  displaySimulatedProfile() {
-    const profileData = [
-      { function: 'processRequest', time: 45.2, calls: 1250, percentage: 23.4 },
-      { function: 'databaseQuery', time: 38.7, calls: 890, percentage: 19.8 },
-      { function: 'jsonParse', time: 25.1, calls: 2100, percentage: 12.9 },
-      { function: 'httpResponse', time: 18.3, calls: 1250, percentage: 9.4 },
-      { function: 'validation', time: 15.8, calls: 1250, percentage: 8.1 },
-      { function: 'other', time: 52.1, calls: 0, percentage: 26.4 },
-    ];
+  /**
+   * Runs the --prof tick processor over logFile, or the newest isolate-*.log in directory.
+   * With record, script is first run under `node --prof` in directory to write a fresh log.
+   */
+  async processIsolateLog({
+    logFile,
+    directory = process.cwd(),
+    record = false,
+    script = PERFORMANCE_TEST,
+    top = 10,
+  } = {}) {
+    if (record) {
+      const child = await runNode(['--prof', script], { cwd: directory, timeout: 120000 });
+      if (child.code !== 0) {
+        throw new Error(`node --prof ${path.basename(script)} ${describeFailure(child)}`);
+      }
+    }
 
-    console.log(chalk.cyan('Function Profile (Top 5):'));
-    console.log(chalk.gray('═'.repeat(80)));
-    console.log(chalk.gray('Function'.padEnd(20) + 'Time(ms)'.padEnd(12) + 'Calls'.padEnd(10) + 'Percentage'));
-    console.log(chalk.gray('═'.repeat(80)));
-
-    profileData.forEach((item, index) => {
-      const color = index < 3 ? chalk.yellow : chalk.gray;
-      console.log(
-        color(
-          item.function.padEnd(20) +
-            item.time.toFixed(1).padEnd(12) +
-            item.calls.toString().padEnd(10) +
-            item.percentage.toFixed(1) +
-            '%',
-        ),
-      );
-    });
+    logFile ??= await findNewestIsolateLog(directory);
+    if (!logFile) {
+      throw new Error(`No isolate-*.log found in ${directory}; run \`npm run profile\` to record one`);
+    }
 
-    console.log(chalk.gray('═'.repeat(80)));
-    const totalTime = profileData.reduce((sum, item) => sum + item.time, 0);
-    console.log(chalk.cyan(`Total Profile Time: ${totalTime.toFixed(1)}ms`));
+    const report = await analyzeIsolateLog(logFile);
+    return {
+      ...report,
+      recorded: record ? path.basename(script) : null,
+      javascript: (report.javascript ?? []).slice(0, top),
+      cpp: (report.cpp ?? []).slice(0, top),
+      sharedLibraries: (report.sharedLibraries ?? []).slice(0, top),
+      bottomUp: report.bottomUp.slice(0, top),
+    };
   }
 
-  async customPerformanceMeasurement() {
-    while (true) {
-      console.log(chalk.blue('\n⏱️  Custom Performance Measurement'));
-      console.log(chalk.yellow('This demonstrates custom performance measurement techniques'));
-
-      const choice = await this.question(
-        chalk.green(
-          '\nSelect measurement type:\n1. Function timing\n2. Memory usage tracking\n3. Event loop monitoring\n4. Back\n',
-        ),
-      );
-
-      switch (choice.trim()) {
-        case '1':
-          await this.functionTiming();
-          break;
-        case '2':
-          await this.memoryUsageTracking();
-          break;
-        case '3':
-          await this.eventLoopMonitoring();
-          break;
-        case '4':
-          return;
-        default:
-          console.log(chalk.red('❌ Invalid choice.'));
-      }
+  profilingWorkload({ iterations = 2000 } = {}) {
+    const complexFunction = this.createComplexFunction();
+    const records = [];
 
-      // Wait for user to continue
-      await this.question(chalk.gray('\nPress Enter to continue...'));
+    for (let i = 0; i < iterations; i++) {
+      const value = complexFunction(i);
+      records.push(JSON.parse(JSON.stringify({ id: i, value, tags: new Array(20).fill(`tag-${i}`) })));
     }
-  }
-
-  async functionTiming() {
-    console.log(chalk.blue('\n⏱️  Function Timing Analysis'));
 
-    const iterations = 100000; // Reduced from 1M to 100K for better performance
-    console.log(chalk.yellow(`\n🔄 Running ${iterations.toLocaleString()} iterations for each function...`));
+    return records.sort((a, b) => b.value - a.value).length;
+  }
 
+  /**
+   * Times a set of array, string and object operations.
+   * onProgress receives { name, status: 'start' | 'done' | 'error', duration?, error? } for each one.
+   */
+  async functionTiming({ iterations = 100000, onProgress } = {}) {
     // Define test functions inline to avoid undefined function errors
     const arrayPushTest = iterations => {
       const arr = new Array(iterations); // Pre-allocate array for better performance
@@ -143,10 +172,6 @@ export class PerformanceAnalyzer {
       let arr = [];
       for (let i = 0; i < iterations; i++) {
         arr = arr.concat([i]);
-        if (i % 10000 === 0) {
-          // Progress feedback every 10K iterations
-          process.stdout.write('.');
-        }
       }
       return arr.length;
     };
@@ -167,19 +192,13 @@ export class PerformanceAnalyzer {
       return str.length;
     };
 
+    // Copying tests are quadratic, so they are capped at 10K iterations to prevent hanging
+    const copyLimit = Math.min(iterations, 10000);
+
     const objectSpreadTest = iterations => {
       let obj = {};
       for (let i = 0; i < iterations; i++) {
         obj = { ...obj, [`key${i}`]: i };
-        if (i % 1000 === 0) {
-          // Progress feedback every 1K iterations
-          process.stdout.write('.');
-        }
-        if (i > 10000) {
-          // Limit to 10K iterations to prevent hanging
-          console.log(chalk.yellow(`\n⚠️  Object spread limited to 10K iterations for performance`));
-          break;
-        }
       }
       return Object.keys(obj).length;
     };
@@ -188,15 +207,6 @@ export class PerformanceAnalyzer {
       let obj = {};
       for (let i = 0; i < iterations; i++) {
         obj = Object.assign({}, obj, { [`key${i}`]: i });
-        if (i % 1000 === 0) {
-          // Progress feedback every 1K iterations
-          process.stdout.write('.');
-        }
-        if (i > 10000) {
-          // Limit to 10K iterations to prevent hanging
-          console.log(chalk.yellow(`\n⚠️  Object.assign limited to 10K iterations for performance`));
-          break;
-        }
       }
       return Object.keys(obj).length;
     };
@@ -216,74 +226,46 @@ export class PerformanceAnalyzer {
       { name: 'Array.concat()', fn: () => arrayConcatTest(iterations) },
       { name: 'String concatenation', fn: () => stringConcatTest(iterations) },
       { name: 'Template literals', fn: () => templateLiteralTest(iterations) },
-      { name: 'Object spread', fn: () => objectSpreadTest(iterations) },
-      { name: 'Object.assign()', fn: () => objectAssignTest(iterations) },
+      { name: 'Object spread', fn: () => objectSpreadTest(copyLimit) },
+      { name: 'Object.assign()', fn: () => objectAssignTest(copyLimit) },
       { name: 'Direct property', fn: () => directPropertyTest(iterations) },
     ];
 
     const results = [];
 
     for (const func of functions) {
-      console.log(chalk.yellow(`  🔄 Testing ${func.name}...`));
+      onProgress?.({ name: func.name, status: 'start' });
 
       try {
         const start = performance.now();
-
-        // Add timeout protection (30 seconds max)
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Function timed out after 30 seconds')), 30000);
-        });
-
-        const resultPromise = Promise.resolve(func.fn());
-        const result = await Promise.race([resultPromise, timeoutPromise]);
-
+        const result = func.fn();
         const duration = performance.now() - start;
 
-        results.push({
-          name: func.name,
-          duration: duration,
-          result: result,
-        });
-
-        console.log(chalk.green(`  ✅ ${func.name}: ${duration.toFixed(2)}ms`));
+        results.push({ name: func.name, duration, result });
+        onProgress?.({ name: func.name, status: 'done', duration });
       } catch (error) {
-        console.log(chalk.red(`  ❌ ${func.name}: Error - ${error.message}`));
-        results.push({
-          name: func.name,
-          duration: Infinity,
-          result: 'Error',
-        });
+        results.push({ name: func.name, duration: Infinity, result: 'Error' });
+        onProgress?.({ name: func.name, status: 'error', error });
       }
     }
 
     // Sort by performance
     results.sort((a, b) => a.duration - b.duration);
 
-    console.log(chalk.yellow('\n📊 Performance Ranking:'));
-    results.forEach((result, index) => {
-      const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '  ';
-      const color = index < 3 ? chalk.green : chalk.gray;
-      console.log(color(`${medal} ${result.name}: ${result.duration.toFixed(2)}ms`));
-    });
-
-    // Performance analysis
     const fastest = results[0];
     const slowest = results[results.length - 1];
-    const speedup = slowest.duration / fastest.duration;
 
-    console.log(chalk.cyan('\n📈 Analysis:'));
-    console.log(chalk.gray(`  • Fastest: ${fastest.name} (${fastest.duration.toFixed(2)}ms)`));
-    console.log(chalk.gray(`  • Slowest: ${slowest.name} (${slowest.duration.toFixed(2)}ms)`));
-    console.log(chalk.blue(`  • Speed difference: ${speedup.toFixed(2)}x`));
+    return {
+      iterations,
+      copyLimit,
+      results,
+      fastest,
+      slowest,
+      speedup: slowest.duration / fastest.duration,
+    };
   }
 
-  async memoryUsageTracking() {
-    console.log(chalk.blue('\n💾 Memory Usage Tracking'));
-    console.log(chalk.yellow('This demonstrates memory usage monitoring and analysis'));
-
-    const iterations = 100000;
-    console.log(chalk.yellow(`\n🔄 Creating ${iterations.toLocaleString()} objects and tracking memory...`));
-
+  async memoryUsageTracking({ iterations = 100000 } = {}) {
     const memorySnapshots = [];
 
     // Take initial snapshot
@@ -326,307 +308,138 @@ export class PerformanceAnalyzer {
       timestamp: performance.now(),
     });
 
-    // Display memory analysis
-    console.log(chalk.cyan('\n📊 Memory Usage Analysis:'));
-    console.log(chalk.gray('═'.repeat(80)));
-    console.log(
-      chalk.gray('Phase'.padEnd(15) + 'Heap Used'.padEnd(15) + 'Heap Total'.padEnd(15) + 'External'.padEnd(15)),
-    );
-    console.log(chalk.gray('═'.repeat(80)));
-
-    memorySnapshots.forEach((snapshot, index) => {
-      const color = index === 0 ? chalk.green : index === memorySnapshots.length - 1 ? chalk.red : chalk.gray;
-      console.log(
-        color(
-          snapshot.phase.padEnd(15) +
-            this.formatBytes(snapshot.memory.heapUsed).padEnd(15) +
-            this.formatBytes(snapshot.memory.heapTotal).padEnd(15) +
-            this.formatBytes(snapshot.memory.external).padEnd(15),
-        ),
-      );
-    });
-
-    console.log(chalk.gray('═'.repeat(80)));
-
     // Calculate memory growth
     const initial = memorySnapshots[0].memory.heapUsed;
     const final = memorySnapshots[memorySnapshots.length - 1].memory.heapUsed;
     const growth = final - initial;
 
-    console.log(chalk.yellow('\n📈 Memory Growth:'));
-    console.log(chalk.gray(`  • Initial: ${this.formatBytes(initial)}`));
-    console.log(chalk.gray(`  • Final: ${this.formatBytes(final)}`));
-    console.log(chalk.blue(`  • Growth: ${this.formatBytes(growth)}`));
-    console.log(chalk.blue(`  • Growth rate: ${((growth / initial) * 100).toFixed(2)}%`));
-
     // Clean up
     objects.length = 0;
+    let memoryFreed = null;
     if (global.gc) {
-      console.log(chalk.yellow('\n🔄 Running garbage collection...'));
       global.gc();
-      const afterGC = process.memoryUsage();
-      const freed = final - afterGC.heapUsed;
-      console.log(chalk.green(`✅ Freed: ${this.formatBytes(freed)}`));
+      memoryFreed = final - process.memoryUsage().heapUsed;
     }
-  }
-
-  async eventLoopMonitoring() {
-    console.log(chalk.blue('\n🔄 Event Loop Monitoring'));
-    console.log(chalk.yellow('This demonstrates event loop performance monitoring'));
-
-    const duration = 5000; // 5 seconds
-    console.log(chalk.yellow(`\n🔄 Monitoring event loop for ${duration / 1000} seconds...`));
-
-    const measurements = [];
-    const startTime = performance.now();
 
-    // Monitor event loop lag
-    const monitor = setInterval(() => {
-      const now = performance.now();
-      const expectedTime = startTime + measurements.length * 16; // 16ms intervals
-      const actualLag = now - expectedTime;
-
-      measurements.push(actualLag);
-    }, 16);
-
-    // Wait for monitoring to complete
-    await new Promise(resolve => setTimeout(resolve, duration));
-    clearInterval(monitor);
+    return {
+      iterations,
+      snapshots: memorySnapshots,
+      initial,
+      final,
+      growth,
+      growthRate: (growth / initial) * 100,
+      memoryFreed,
+    };
+  }
 
-    // Analyze results
-    const avgLag = measurements.reduce((sum, lag) => sum + lag, 0) / measurements.length;
-    const maxLag = Math.max(...measurements);
-    const minLag = Math.min(...measurements);
-    const lagOver16ms = measurements.filter(lag => lag > 16).length;
-    const lagPercentage = (lagOver16ms / measurements.length) * 100;
+  /**
+   * Measures event loop delay with the EventLoopMonitor histograms and rates the worst window's p99.
+   * An idle loop sits close to the histogram resolution, so only the delay beyond it counts as lag.
+   */
+  async eventLoopMonitoring({ duration = 5000, resolution = 10, interval = 1000 } = {}) {
+    const monitor = new EventLoopMonitor({ historySize: Math.ceil(duration / interval) + 1 });
+    const { count, mean, max } = await monitor.startMonitoring({ duration, resolution, interval });
 
-    console.log(chalk.cyan('\n📊 Event Loop Performance:'));
-    console.log(chalk.gray(`  • Total measurements: ${measurements.length}`));
-    console.log(chalk.gray(`  • Average lag: ${avgLag.toFixed(2)}ms`));
-    console.log(chalk.gray(`  • Maximum lag: ${maxLag.toFixed(2)}ms`));
-    console.log(chalk.gray(`  • Minimum lag: ${minLag.toFixed(2)}ms`));
-    console.log(chalk.gray(`  • Lag > 16ms: ${lagOver16ms} (${lagPercentage.toFixed(2)}%)`));
+    const windows = monitor.getDelayHistory();
+    const stats = monitor.getLagStats();
+    const lag = Math.max(0, stats.p99 - resolution);
+    const slowWindows = windows.filter(w => w.p99 - resolution > 16).length;
 
     // Performance rating
     let rating;
-    let color;
-    if (avgLag < 5) {
-      rating = 'Excellent';
-      color = chalk.green;
-    } else if (avgLag < 16) {
-      rating = 'Good';
-      color = chalk.yellow;
-    } else if (avgLag < 50) {
-      rating = 'Fair';
-      color = chalk.red;
-    } else {
-      rating = 'Poor';
-      color = chalk.red.bold;
-    }
-
-    console.log(chalk.yellow('\n📈 Performance Rating:'));
-    console.log(color(`  • Rating: ${rating}`));
-
-    if (lagPercentage > 10) {
-      console.log(chalk.red('  • ⚠️  Event loop lag detected - consider optimization'));
-    } else {
-      console.log(chalk.green('  • ✅ Event loop performance is good'));
-    }
+    if (lag < 5) rating = 'Excellent';
+    else if (lag < 16) rating = 'Good';
+    else if (lag < 50) rating = 'Fair';
+    else rating = 'Poor';
+
+    return {
+      duration,
+      resolution,
+      samples: count,
+      mean,
+      max,
+      windows,
+      worstP99: stats.p99,
+      lag,
+      utilization: stats.utilization,
+      slowWindows,
+      slowPercentage: (slowWindows / (windows.length || 1)) * 100,
+      rating,
+    };
   }
 
-  async functionLevelProfiling() {
-    console.log(chalk.blue('\n🔍 Function-Level Profiling'));
-    console.log(chalk.yellow('This demonstrates detailed function performance analysis'));
-
+  async functionLevelProfiling({ iterations = 1000 } = {}) {
     // Create a complex function to profile
     const complexFunction = this.createComplexFunction();
 
-    console.log(chalk.yellow('\n🔄 Profiling complex function execution...'));
-
-    const iterations = 1000;
-    const measurements = [];
+    const durations = [];
 
     for (let i = 0; i < iterations; i++) {
       const start = performance.now();
-      const result = complexFunction(i);
-      const duration = performance.now() - start;
-
-      measurements.push({
-        iteration: i,
-        duration: duration,
-        result: result,
-      });
+      complexFunction(i);
+      durations.push(performance.now() - start);
     }
 
     // Analyze performance
-    const durations = measurements.map(m => m.duration);
     const avgDuration = durations.reduce((sum, d) => sum + d, 0) / durations.length;
-    const minDuration = Math.min(...durations);
-    const maxDuration = Math.max(...durations);
     const stdDev = this.calculateStandardDeviation(durations);
 
-    console.log(chalk.cyan('\n📊 Function Performance Statistics:'));
-    console.log(chalk.gray(`  • Iterations: ${iterations}`));
-    console.log(chalk.gray(`  • Average time: ${avgDuration.toFixed(4)}ms`));
-    console.log(chalk.gray(`  • Minimum time: ${minDuration.toFixed(4)}ms`));
-    console.log(chalk.gray(`  • Maximum time: ${maxDuration.toFixed(4)}ms`));
-    console.log(chalk.gray(`  • Standard deviation: ${stdDev.toFixed(4)}ms`));
-
-    // Performance distribution
-    const buckets = this.createPerformanceBuckets(durations);
-    console.log(chalk.yellow('\n📈 Performance Distribution:'));
-    buckets.forEach((bucket, index) => {
-      const percentage = (bucket.count / durations.length) * 100;
-      const bar = '█'.repeat(Math.floor(percentage / 2));
-      console.log(chalk.gray(`${bucket.range.padEnd(15)} ${bar} ${percentage.toFixed(1)}%`));
-    });
-
     // Identify outliers
     const outlierThreshold = avgDuration + 2 * stdDev;
     const outliers = durations.filter(d => d > outlierThreshold);
 
-    if (outliers.length > 0) {
-      console.log(chalk.yellow('\n⚠️  Performance Outliers:'));
-      console.log(
-        chalk.gray(
-          `  • Outliers detected: ${outliers.length} (${((outliers.length / durations.length) * 100).toFixed(2)}%)`,
-        ),
-      );
-      console.log(chalk.gray(`  • Threshold: ${outlierThreshold.toFixed(4)}ms`));
-      console.log(chalk.gray(`  • Max outlier: ${Math.max(...outliers).toFixed(4)}ms`));
-    }
+    return {
+      iterations,
+      avgDuration,
+      minDuration: Math.min(...durations),
+      maxDuration: Math.max(...durations),
+      stdDev,
+      buckets: this.createPerformanceBuckets(durations),
+      outliers: {
+        count: outliers.length,
+        percentage: (outliers.length / durations.length) * 100,
+        threshold: outlierThreshold,
+        max: outliers.length > 0 ? Math.max(...outliers) : null,
+      },
+    };
   }
 
-  async memoryProfile() {
-    while (true) {
-      console.log(chalk.blue('\n💾 Memory Profiling'));
-      console.log(chalk.yellow('This demonstrates memory profiling and leak detection'));
-
-      const choice = await this.question(
-        chalk.green(
-          '\nSelect profiling method:\n1. Heap snapshot analysis\n2. Memory leak detection\n3. Allocation tracking\n4. Back\n',
-        ),
-      );
-
-      switch (choice.trim()) {
-        case '1':
-          await this.heapSnapshotAnalysis();
-          break;
-        case '2':
-          await this.memoryLeakDetection();
-          break;
-        case '3':
-          await this.allocationTracking();
-          break;
-        case '4':
-          return;
-        default:
-          console.log(chalk.red('❌ Invalid choice.'));
-      }
-
-      // Wait for user to continue
-      await this.question(chalk.gray('\nPress Enter to continue...'));
+  /**
+   * Writes a heap snapshot of this process (or loads an existing .heapsnapshot file) and groups
+   * its objects by constructor, with retained sizes taken from the dominator tree.
+   */
+  async heapSnapshotAnalysis({ file, method = 'v8', top = 20, outputDir } = {}) {
+    let captureTime = null;
+    if (!file) {
+      const start = performance.now();
+      file = await captureHeapSnapshot({ outputDir, method });
+      captureTime = performance.now() - start;
     }
-  }
 
-  async heapSnapshotAnalysis() {
-    console.log(chalk.blue('\n📸 Heap Snapshot Analysis'));
-    console.log(chalk.yellow('This demonstrates heap snapshot analysis for memory profiling'));
-
-    console.log(chalk.cyan('\n📋 Heap Snapshot Methods:'));
-    console.log(chalk.gray('• V8 heap profiler: --inspect --inspect-brk'));
-    console.log(chalk.gray('• Chrome DevTools: Memory tab'));
-    console.log(chalk.gray('• Node.js heapdump: require("heapdump")'));
-    console.log(chalk.gray('• Clinic.js heap: clinic heap -- node app.js'));
-
-    // Simulate heap snapshot data
-    console.log(chalk.cyan('\n📊 Simulated Heap Snapshot Data:'));
-    this.displaySimulatedHeapSnapshot();
-  }
-
-  displaySimulatedHeapSnapshot() {
-    console.log(chalk.cyan('Heap Snapshot Summary:'));
-    console.log(chalk.gray('═'.repeat(80)));
-    console.log(chalk.gray('Object Type'.padEnd(25) + 'Count'.padEnd(15) + 'Size'.padEnd(15) + 'Retainers'));
-    console.log(chalk.gray('═'.repeat(80)));
-
-    const heapData = [
-      { type: 'String', count: 15420, size: '2.3 MB', retainers: 8 },
-      { type: 'Array', count: 8920, size: '1.8 MB', retainers: 12 },
-      { type: 'Object', count: 6540, size: '1.2 MB', retainers: 15 },
-      { type: 'Function', count: 1230, size: '456 KB', retainers: 3 },
-      { type: 'RegExp', count: 890, size: '234 KB', retainers: 5 },
-      { type: 'Date', count: 456, size: '123 KB', retainers: 2 },
-      { type: 'Error', count: 234, size: '89 KB', retainers: 1 },
-    ];
-
-    heapData.forEach((item, index) => {
-      const color = index < 3 ? chalk.yellow : chalk.gray;
-      console.log(
-        color(
-          item.type.padEnd(25) +
-            item.count.toLocaleString().padEnd(15) +
-            item.size.padEnd(15) +
-            item.retainers.toString(),
-        ),
-      );
-    });
-
-    console.log(chalk.gray('═'.repeat(80)));
-
-    const totalObjects = heapData.reduce((sum, item) => sum + item.count, 0);
-    const totalSize = '6.2 MB';
-
-    console.log(chalk.cyan(`Total Objects: ${totalObjects.toLocaleString()}`));
-    console.log(chalk.cyan(`Total Size: ${totalSize}`));
-
-    // Memory distribution chart
-    console.log(chalk.yellow('\n📊 Memory Distribution:'));
-
-    // Helper function to convert size strings to bytes
-    const parseSize = sizeStr => {
-      const match = sizeStr.match(/^([\d.]+)\s*(KB|MB|GB)$/);
-      if (!match) return 0;
-
-      const value = parseFloat(match[1]);
-      const unit = match[2];
-
-      switch (unit) {
-        case 'KB':
-          return value * 1024;
-        case 'MB':
-          return value * 1024 * 1024;
-        case 'GB':
-          return value * 1024 * 1024 * 1024;
-        default:
-          return value;
-      }
+    const start = performance.now();
+    const snapshot = await HeapSnapshot.fromFile(file);
+    const summary = snapshot.getConstructorSummary({ top });
+    const analysisTime = performance.now() - start;
+
+    return {
+      file,
+      method: captureTime === null ? null : method,
+      captureTime,
+      analysisTime,
+      ...summary,
+      constructors: summary.constructors.map(group => ({
+        ...group,
+        percentage: summary.totalSize > 0 ? (group.retainedSize / summary.totalSize) * 100 : 0,
+      })),
     };
-
-    const totalSizeBytes = parseSize(totalSize);
-
-    heapData.forEach(item => {
-      const sizeInBytes = parseSize(item.size);
-      const percentage = totalSizeBytes > 0 ? (sizeInBytes / totalSizeBytes) * 100 : 0;
-      const barLength = Math.floor((percentage / 100) * 30);
-      const bar = '█'.repeat(barLength);
-      console.log(chalk.gray(`${item.type.padEnd(15)} ${bar} ${percentage.toFixed(1)}%`));
-    });
   }
 
-  async memoryLeakDetection() {
-    console.log(chalk.blue('\n🔍 Memory Leak Detection'));
-    console.log(chalk.yellow('This demonstrates memory leak detection techniques'));
-
-    console.log(chalk.cyan('\n📋 Leak Detection Methods:'));
-    console.log(chalk.gray('• Memory usage monitoring over time'));
-    console.log(chalk.gray('• Heap snapshot comparison'));
-    console.log(chalk.gray('• Reference counting analysis'));
-    console.log(chalk.gray('• Garbage collection monitoring'));
-
-    // Simulate leak detection
-    console.log(chalk.yellow('\n🔄 Simulating memory leak detection...'));
-
+  /**
+   * Grows a set of objects over five phases while only cleaning up part of them. Besides the
+   * heapUsed trend, heap snapshots before, after the phases and after a GC show which
+   * constructors and allocation sites grew and which of the new objects survived.
+   */
+  async memoryLeakDetection({ snapshots = true, top = 10, outputDir } = {}) {
     const memorySnapshots = [];
     const testObjects = [];
 
@@ -637,48 +450,38 @@ export class PerformanceAnalyzer {
       objectCount: 0,
     });
 
-    // Simulate object creation (potential leak)
-    for (let i = 0; i < 5; i++) {
-      // Create objects that might not be properly cleaned up
-      for (let j = 0; j < 10000; j++) {
-        testObjects.push({
-          id: `${i}-${j}`,
-          data: new Array(100).fill(`data-${i}-${j}`),
-          timestamp: Date.now(),
-        });
-      }
+    const runPhases = () => {
+      // Simulate object creation (potential leak)
+      for (let i = 0; i < 5; i++) {
+        // Create objects that might not be properly cleaned up
+        for (let j = 0; j < 10000; j++) {
+          testObjects.push({
+            id: `${i}-${j}`,
+            data: new Array(100).fill(`data-${i}-${j}`),
+            timestamp: Date.now(),
+          });
+        }
 
-      // Take snapshot
-      memorySnapshots.push({
-        phase: `Phase ${i + 1}`,
-        heapUsed: process.memoryUsage().heapUsed,
-        objectCount: testObjects.length,
-      });
+        // Take snapshot
+        memorySnapshots.push({
+          phase: `Phase ${i + 1}`,
+          heapUsed: process.memoryUsage().heapUsed,
+          objectCount: testObjects.length,
+        });
 
-      // Simulate some cleanup (but not all)
-      if (i % 2 === 0) {
-        testObjects.splice(0, 1000);
+        // Simulate some cleanup (but not all)
+        if (i % 2 === 0) {
+          testObjects.splice(0, 1000);
+        }
       }
-    }
-
-    // Display leak analysis
-    console.log(chalk.cyan('\n📊 Memory Leak Analysis:'));
-    console.log(chalk.gray('═'.repeat(60)));
-    console.log(chalk.gray('Phase'.padEnd(15) + 'Heap Used'.padEnd(20) + 'Objects'.padEnd(15)));
-    console.log(chalk.gray('═'.repeat(60)));
-
-    memorySnapshots.forEach((snapshot, index) => {
-      const color = index === 0 ? chalk.green : chalk.gray;
-      console.log(
-        color(
-          snapshot.phase.padEnd(15) +
-            this.formatBytes(snapshot.heapUsed).padEnd(20) +
-            snapshot.objectCount.toString().padEnd(15),
-        ),
-      );
-    });
+    };
 
-    console.log(chalk.gray('═'.repeat(60)));
+    let heapDiff = null;
+    if (snapshots) {
+      heapDiff = await compareHeapSnapshots(runPhases, { top, outputDir });
+    } else {
+      runPhases();
+    }
 
     // Analyze for potential leaks
     const initialMemory = memorySnapshots[0].heapUsed;
@@ -686,201 +489,105 @@ export class PerformanceAnalyzer {
     const memoryGrowth = finalMemory - initialMemory;
     const growthPercentage = (memoryGrowth / initialMemory) * 100;
 
-    console.log(chalk.yellow('\n📈 Leak Detection Results:'));
-    console.log(chalk.gray(`  • Memory growth: ${this.formatBytes(memoryGrowth)}`));
-    console.log(chalk.gray(`  • Growth percentage: ${growthPercentage.toFixed(2)}%`));
-
-    if (growthPercentage > 50) {
-      console.log(chalk.red('  • ⚠️  Potential memory leak detected!'));
-      console.log(chalk.red('  • High memory growth suggests objects not being cleaned up'));
-    } else if (growthPercentage > 20) {
-      console.log(chalk.yellow('  • ⚠️  Moderate memory growth - monitor closely'));
-    } else {
-      console.log(chalk.green('  • ✅ Memory usage appears stable'));
-    }
+    let verdict;
+    if (growthPercentage > 50) verdict = 'leak';
+    else if (growthPercentage > 20) verdict = 'moderate';
+    else verdict = 'stable';
 
     // Clean up test objects
     testObjects.length = 0;
+    let memoryFreed = null;
     if (global.gc) {
       global.gc();
-      const afterGC = process.memoryUsage().heapUsed;
-      const freed = finalMemory - afterGC;
-      console.log(chalk.green(`  • Memory freed after GC: ${this.formatBytes(freed)}`));
+      memoryFreed = finalMemory - process.memoryUsage().heapUsed;
     }
-  }
 
-  async allocationTracking() {
-    console.log(chalk.blue('\n📊 Allocation Tracking'));
-    console.log(chalk.yellow('This demonstrates memory allocation tracking and analysis'));
-
-    console.log(chalk.cyan('\n📋 Allocation Tracking Methods:'));
-    console.log(chalk.gray('• V8 allocation profiler: --prof-process'));
-    console.log(chalk.gray('• Custom allocation hooks'));
-    console.log(chalk.gray('• Memory usage sampling'));
-    console.log(chalk.gray('• Allocation pattern analysis'));
-
-    // Simulate allocation tracking
-    console.log(chalk.yellow('\n🔄 Simulating allocation tracking...'));
-
-    const allocationPatterns = [];
-    const startMemory = process.memoryUsage().heapUsed;
-
-    // Simulate different allocation patterns
-    const patterns = [
-      { name: 'Small objects', size: 100, count: 1000 },
-      { name: 'Medium objects', size: 1000, count: 100 },
-      { name: 'Large objects', size: 10000, count: 10 },
-      { name: 'Arrays', size: 5000, count: 50 },
-      { name: 'Strings', size: 2000, count: 200 },
-    ];
+    return {
+      snapshots: memorySnapshots,
+      memoryGrowth,
+      growthPercentage,
+      verdict,
+      memoryFreed,
+      heapDiff,
+    };
+  }
 
-    for (const pattern of patterns) {
-      const beforeMemory = process.memoryUsage().heapUsed;
-
-      // Simulate allocations
-      const objects = [];
-      for (let i = 0; i < pattern.count; i++) {
-        if (pattern.name === 'Arrays') {
-          objects.push(new Array(pattern.size).fill(i));
-        } else if (pattern.name === 'Strings') {
-          objects.push('x'.repeat(pattern.size));
-        } else {
-          objects.push(new Array(pattern.size).fill(i));
-        }
+  /**
+   * Runs each allocation pattern under the sampling heap profiler and attributes the sampled
+   * bytes to the JS stacks that allocated them: per pattern, per function and as a flamegraph.
+   */
+  async allocationTracking({ samplingInterval = 512, top = 10, outputDir } = {}) {
+    const sampler = new HeapSampler({ samplingInterval });
+    const allocated = [];
+
+    const { profile } = await sampler.profile(() => {
+      for (const pattern of ALLOCATION_PATTERNS) {
+        allocated.push(pattern.allocate(pattern.count, pattern.size));
       }
-
-      const afterMemory = process.memoryUsage().heapUsed;
-      const allocated = afterMemory - beforeMemory;
-
-      allocationPatterns.push({
+    });
+    // Kept alive until sampling stopped, since the sampler only reports live objects
+    allocated.length = 0;
+
+    const summary = summarizeHeapProfile(profile, { top: Infinity });
+    const patterns = ALLOCATION_PATTERNS.map(pattern => {
+      const entry = summary.byTotalSize.find(fn => fn.functionName === pattern.allocate.name);
+      const sampledBytes = entry?.totalSize ?? 0;
+      return {
         name: pattern.name,
+        functionName: pattern.allocate.name,
         count: pattern.count,
-        totalSize: pattern.size * pattern.count,
-        actualAllocated: allocated,
-        efficiency: ((pattern.size * pattern.count) / allocated) * 100,
-      });
-
-      // Clean up to prevent memory buildup
-      objects.length = 0;
-    }
-
-    // Display allocation analysis
-    console.log(chalk.cyan('\n📊 Allocation Pattern Analysis:'));
-    console.log(chalk.gray('═'.repeat(90)));
-    console.log(
-      chalk.gray(
-        'Pattern'.padEnd(20) +
-          'Count'.padEnd(10) +
-          'Expected'.padEnd(15) +
-          'Actual'.padEnd(15) +
-          'Efficiency'.padEnd(15),
-      ),
-    );
-    console.log(chalk.gray('═'.repeat(90)));
-
-    allocationPatterns.forEach((pattern, index) => {
-      const color = pattern.efficiency > 80 ? chalk.green : pattern.efficiency > 60 ? chalk.yellow : chalk.red;
-      console.log(
-        color(
-          pattern.name.padEnd(20) +
-            pattern.count.toString().padEnd(10) +
-            this.formatBytes(pattern.totalSize).padEnd(15) +
-            this.formatBytes(pattern.actualAllocated).padEnd(15) +
-            pattern.efficiency.toFixed(1) +
-            '%'.padEnd(15),
-        ),
-      );
-    });
-
-    console.log(chalk.gray('═'.repeat(90)));
-
-    // Overall allocation summary
-    const totalExpected = allocationPatterns.reduce((sum, p) => sum + p.totalSize, 0);
-    const totalActual = allocationPatterns.reduce((sum, p) => sum + p.actualAllocated, 0);
-    const overallEfficiency = (totalExpected / totalActual) * 100;
-    const finalMemory = process.memoryUsage().heapUsed;
-    const totalAllocated = finalMemory - startMemory;
-
-    console.log(chalk.yellow('\n📈 Overall Allocation Summary:'));
-    console.log(chalk.gray(`  • Total expected: ${this.formatBytes(totalExpected)}`));
-    console.log(chalk.gray(`  • Total actual: ${this.formatBytes(totalActual)}`));
-    console.log(chalk.gray(`  • Overall efficiency: ${overallEfficiency.toFixed(1)}%`));
-    console.log(chalk.gray(`  • Total memory change: ${this.formatBytes(totalAllocated)}`));
-
-    // Performance insights
-    console.log(chalk.cyan('\n💡 Allocation Insights:'));
-    const mostEfficient = allocationPatterns.reduce((best, current) =>
-      current.efficiency > best.efficiency ? current : best,
-    );
-    const leastEfficient = allocationPatterns.reduce((worst, current) =>
-      current.efficiency < worst.efficiency ? current : worst,
-    );
-
-    console.log(chalk.green(`  • Most efficient: ${mostEfficient.name} (${mostEfficient.efficiency.toFixed(1)}%)`));
-    console.log(chalk.red(`  • Least efficient: ${leastEfficient.name} (${leastEfficient.efficiency.toFixed(1)}%)`));
-
-    if (overallEfficiency < 70) {
-      console.log(chalk.yellow('  • ⚠️  Consider optimizing allocation patterns'));
-    }
-  }
-
-  displaySimulatedFlamegraph() {
-    console.log(chalk.cyan('Flamegraph Call Stack:'));
-    console.log(chalk.gray('═'.repeat(80)));
-
-    const flamegraphData = [
-      { function: 'main()', time: 100, depth: 0, calls: 1 },
-      { function: '  processRequest()', time: 85, depth: 1, calls: 1250 },
-      { function: '    validateInput()', time: 15, depth: 2, calls: 1250 },
-      { function: '    databaseQuery()', time: 45, depth: 2, calls: 890 },
-      { function: '      executeSQL()', time: 35, depth: 3, calls: 890 },
-      { function: '      parseResults()', time: 10, depth: 3, calls: 890 },
-      { function: '    processData()', time: 20, depth: 2, calls: 1250 },
-      { function: '      transformData()', time: 12, depth: 3, calls: 1250 },
-      { function: '      formatResponse()', time: 8, depth: 3, calls: 1250 },
-      { function: '  backgroundTasks()', time: 15, depth: 1, calls: 50 },
-    ];
-
-    flamegraphData.forEach((item, index) => {
-      const indent = '  '.repeat(item.depth);
-      const barLength = Math.floor((item.time / 100) * 40);
-      const bar = '█'.repeat(barLength);
-      const color =
-        item.depth === 0 ? chalk.blue : item.depth === 1 ? chalk.yellow : item.depth === 2 ? chalk.green : chalk.gray;
-
-      console.log(color(`${indent}${item.function.padEnd(30)} ${bar} ${item.time}ms (${item.calls} calls)`));
+        size: pattern.size,
+        unit: pattern.unit,
+        sampledBytes,
+        bytesPerItem: sampledBytes / pattern.count,
+        percentage: entry?.totalPercentage ?? 0,
+      };
     });
 
-    console.log(chalk.gray('═'.repeat(80)));
-
-    const totalTime = flamegraphData.reduce((sum, item) => sum + item.time, 0);
-    const totalCalls = flamegraphData.reduce((sum, item) => sum + item.calls, 0);
-
-    console.log(chalk.cyan(`Total Time: ${totalTime}ms`));
-    console.log(chalk.cyan(`Total Calls: ${totalCalls.toLocaleString()}`));
-
-    // Performance hotspots
-    console.log(chalk.yellow('\n🔥 Performance Hotspots:'));
-    const hotspots = flamegraphData.filter(item => item.time > 20).sort((a, b) => b.time - a.time);
-
-    hotspots.forEach((hotspot, index) => {
-      const percentage = ((hotspot.time / totalTime) * 100).toFixed(1);
-      console.log(chalk.red(`  • ${hotspot.function}: ${hotspot.time}ms (${percentage}%)`));
-    });
+    const { unit, stacks } = foldHeapProfile(profile);
+    const tree = buildFlameTree(stacks);
+
+    return {
+      samplingInterval,
+      sampleCount: summary.sampleCount,
+      totalSize: summary.totalSize,
+      patterns,
+      bySelfSize: summary.bySelfSize.slice(0, top),
+      byTotalSize: summary.byTotalSize.slice(0, top),
+      unit,
+      tree,
+      file: await saveFlamegraph(tree, {
+        outputDir,
+        name: `allocations-${new Date().toISOString().replace(/[:.]/g, '-')}.html`,
+        title: 'Allocation flamegraph',
+        unit,
+      }),
+    };
   }
 
-  async generateFlamegraph() {
-    console.log(chalk.blue('\n🔥 Flamegraph Generation'));
-    console.log(chalk.yellow('This demonstrates flamegraph generation for performance analysis'));
+  /**
+   * Builds a flamegraph from a .cpuprofile file or --prof isolate log, or from a fresh in-process
+   * profile of the built-in workload, and saves it as a standalone HTML page.
+   */
+  async generateFlamegraph({ source, iterations = 2000, top = 10, minFraction = 0.001, outputDir } = {}) {
+    const { unit, stacks } = source
+      ? await foldProfileFile(source)
+      : foldCpuProfile((await this.cpuProfile({ iterations, save: false })).profile);
+    if (stacks.size === 0) {
+      throw new Error(`No samples found in ${source ?? 'the profile'}`);
+    }
 
-    console.log(chalk.cyan('\n📋 Flamegraph Generation Methods:'));
-    console.log(chalk.gray('• Clinic.js flamegraph: clinic flamegraph -- node app.js'));
-    console.log(chalk.gray('• 0x: 0x app.js'));
-    console.log(chalk.gray('• V8 profiler: --prof + --prof-process'));
+    const tree = buildFlameTree(stacks, { minFraction });
+    const name = source ? path.basename(source) : 'profilingWorkload';
 
-    // Simulate flamegraph data
-    console.log(chalk.cyan('\n📊 Simulated Flamegraph Data:'));
-    this.displaySimulatedFlamegraph();
+    return {
+      source: name,
+      unit,
+      total: tree.value,
+      tree,
+      hotspots: findHotspots(stacks, { top }),
+      file: await saveFlamegraph(tree, { outputDir, title: `Flamegraph of ${name}`, unit }),
+    };
   }
 
   // Helper functions
@@ -933,18 +640,4 @@ export class PerformanceAnalyzer {
 
     return buckets;
   }
-
-  formatBytes(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  }
-
-  question(prompt) {
-    return new Promise(resolve => {
-      this.rl.question(prompt, resolve);
-    });
-  }
 }
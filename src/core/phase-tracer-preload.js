@@ -0,0 +1,11 @@
+import { writeFileSync } from 'fs';
+import { PhaseTracer } from './phase-tracer.js';
+
+// Loaded with `node --import` to trace a whole script; the trace is written to PHASE_TRACE_FILE on exit
+const tracer = new PhaseTracer();
+tracer.start();
+
+process.on('exit', () => {
+  const { events, ...trace } = tracer.stop();
+  writeFileSync(process.env.PHASE_TRACE_FILE, JSON.stringify({ ...trace, eventCount: events.length }));
+});
@@ -0,0 +1,148 @@
+import { createHook } from 'async_hooks';
+import { performance } from 'perf_hooks';
+
+// Which part of the event loop runs callbacks for each async resource type.
+// Anything else (fs, net, dns, ...) completes in the poll phase.
+const PHASE_BY_TYPE = {
+  Timeout: 'timers',
+  Immediate: 'check',
+  TickObject: 'nextTick',
+  PROMISE: 'promise',
+  Microtask: 'promise',
+};
+
+export const TRACED_PHASES = [
+  { name: 'timers', description: 'setTimeout / setInterval callbacks' },
+  { name: 'poll', description: 'I/O callbacks (fs, net, dns, ...)' },
+  { name: 'check', description: 'setImmediate callbacks' },
+  { name: 'nextTick', description: 'process.nextTick queue (microtask)' },
+  { name: 'promise', description: 'Promise reactions and queueMicrotask (microtask)' },
+];
+
+/**
+ * Records every callback the event loop runs via async_hooks before/after events,
+ * attributing its self time (nested callbacks excluded) to the phase it ran in.
+ */
+export class PhaseTracer {
+  constructor({ maxEvents = 100000 } = {}) {
+    this.maxEvents = maxEvents;
+    this.types = new Map();
+    this.stack = [];
+    this.events = [];
+    this.dropped = 0;
+    this.startTime = 0;
+    this.stopTime = 0;
+    this.hook = null;
+  }
+
+  start() {
+    this.types.clear();
+    this.stack = [];
+    this.events = [];
+    this.dropped = 0;
+    this.startTime = performance.now();
+
+    // The hook callbacks must stay synchronous and must not log, or they would trace themselves
+    this.hook = createHook({
+      init: (asyncId, type) => {
+        this.types.set(asyncId, type);
+      },
+      before: asyncId => {
+        const now = performance.now();
+        const parent = this.stack[this.stack.length - 1];
+        if (parent) parent.selfTime += now - parent.start;
+
+        this.stack.push({ asyncId, start: now, begin: now, selfTime: 0 });
+      },
+      after: asyncId => {
+        const frame = this.stack.pop();
+        if (!frame || frame.asyncId !== asyncId) return;
+
+        const now = performance.now();
+        const type = this.types.get(asyncId) ?? 'unknown';
+        this.record({
+          phase: PHASE_BY_TYPE[type] ?? 'poll',
+          type,
+          start: frame.begin - this.startTime,
+          duration: frame.selfTime + (now - frame.start),
+        });
+
+        // Resume timing the callback that was interrupted
+        const parent = this.stack[this.stack.length - 1];
+        if (parent) parent.start = now;
+      },
+      destroy: asyncId => {
+        this.types.delete(asyncId);
+      },
+    });
+    this.hook.enable();
+  }
+
+  record(event) {
+    if (this.events.length < this.maxEvents) {
+      this.events.push(event);
+    } else {
+      this.dropped++;
+    }
+  }
+
+  stop() {
+    this.hook?.disable();
+    this.hook = null;
+    this.stopTime = performance.now();
+    return this.getTrace();
+  }
+
+  getTrace() {
+    const totals = new Map(TRACED_PHASES.map(({ name }) => [name, { phase: name, count: 0, total: 0, max: 0 }]));
+
+    for (const event of this.events) {
+      const total = totals.get(event.phase);
+      total.count++;
+      total.total += event.duration;
+      total.max = Math.max(total.max, event.duration);
+    }
+
+    const phases = [...totals.values()];
+    const busyTime = phases.reduce((sum, phase) => sum + phase.total, 0);
+
+    return {
+      duration: this.stopTime - this.startTime,
+      busyTime,
+      phases: phases.map(phase => ({
+        ...phase,
+        avg: phase.count > 0 ? phase.total / phase.count : 0,
+        percentage: busyTime > 0 ? (phase.total / busyTime) * 100 : 0,
+      })),
+      timeline: this.getTimeline(),
+      events: this.events,
+      dropped: this.dropped,
+    };
+  }
+
+  // Collapses consecutive callbacks of the same phase into one segment
+  getTimeline() {
+    const segments = [];
+    // Events are recorded when callbacks finish, so nested callbacks come before their parents
+    const events = [...this.events].sort((a, b) => a.start - b.start);
+
+    for (const event of events) {
+      const last = segments[segments.length - 1];
+      if (last && last.phase === event.phase) {
+        last.count++;
+        last.duration += event.duration;
+        last.end = event.start + event.duration;
+      } else {
+        segments.push({
+          phase: event.phase,
+          start: event.start,
+          end: event.start + event.duration,
+          count: 1,
+          duration: event.duration,
+        });
+      }
+    }
+
+    return segments;
+  }
+}
@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import { performance } from 'perf_hooks';
+import zlib from 'zlib';
+
+// Child process for ThreadpoolExperiment: submits a batch of threadpool-bound operations at once
+// and prints when each one completed as JSON. UV_THREADPOOL_SIZE is set by the parent.
+const { operation, batchSize, filePath } = JSON.parse(process.argv[2]);
+
+const zlibInput = Buffer.from('libuv threadpool work item '.repeat(80000));
+
+const operations = {
+  pbkdf2: done => crypto.pbkdf2('secret', 'salt', 100000, 64, 'sha512', done),
+  zlib: done => zlib.deflate(zlibInput, { level: 9 }, done),
+  fs: done => fs.readFile(filePath, done),
+  dns: done => dns.lookup('localhost', done),
+};
+
+const run = () =>
+  new Promise((resolve, reject) => {
+    operations[operation](error => (error ? reject(error) : resolve(performance.now())));
+  });
+
+// Warm up so the threads are spawned and the file is in the page cache before timing
+await run();
+
+const startTime = performance.now();
+const ends = await Promise.all(Array.from({ length: batchSize }, run));
+
+process.stdout.write(
+  JSON.stringify({
+    poolSize: Number(process.env.UV_THREADPOOL_SIZE),
+    completions: ends.map((end, index) => ({ index, end: end - startTime })),
+  }),
+);
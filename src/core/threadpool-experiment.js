@@ -0,0 +1,97 @@
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describeFailure, runNode } from './child-process.js';
+import { FixtureManager } from './fixture-manager.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const THREADPOOL_OPERATIONS = [
+  { name: 'pbkdf2', description: 'crypto.pbkdf2, 100k iterations of sha512' },
+  { name: 'zlib', description: 'zlib.deflate of ~2MB of text at level 9' },
+  { name: 'fs', description: 'fs.readFile of a generated 16MB file' },
+  { name: 'dns', description: "dns.lookup('localhost'), which calls getaddrinfo" },
+];
+
+const FS_FIXTURE = { name: 'threadpool-read.bin', size: 16 * 1024 * 1024, content: 'random' };
+
+/**
+ * Submits a batch of threadpool-bound operations at once in child processes started with different
+ * UV_THREADPOOL_SIZE values. With N threads the completion times form a staircase of
+ * ceil(batchSize / N) steps, until the threads outnumber the CPU cores.
+ */
+export class ThreadpoolExperiment {
+  constructor({ fixtures = new FixtureManager(), timeout = 120000 } = {}) {
+    this.fixtures = fixtures;
+    this.timeout = timeout;
+  }
+
+  async sweep({ operation = 'pbkdf2', poolSizes = [1, 2, 4, 8], batchSize = 8, onRun } = {}) {
+    if (!THREADPOOL_OPERATIONS.some(({ name }) => name === operation)) {
+      throw new Error(`Unknown threadpool operation "${operation}"`);
+    }
+
+    const filePath = operation === 'fs' ? (await this.fixtures.ensure(FS_FIXTURE)).path : undefined;
+
+    const runs = [];
+    for (const poolSize of poolSizes) {
+      const run = this.analyzeRun(await this.runBatch({ operation, poolSize, batchSize, filePath }), batchSize);
+      runs.push(run);
+      onRun?.(run);
+    }
+
+    const fastest = Math.min(...runs.map(run => run.total));
+    runs.forEach(run => (run.speedup = runs[0].total / run.total));
+
+    return {
+      operation,
+      batchSize,
+      cpuCount: os.availableParallelism?.() ?? os.cpus().length,
+      runs,
+      // The smallest pool that gets within 10% of the fastest run
+      recommended: runs.filter(run => run.total <= fastest * 1.1).sort((a, b) => a.poolSize - b.poolSize)[0].poolSize,
+    };
+  }
+
+  async runBatch({ operation, poolSize, batchSize, filePath }) {
+    const child = await runNode(
+      [path.join(__dirname, 'threadpool-batch.js'), JSON.stringify({ operation, batchSize, filePath })],
+      { env: { UV_THREADPOOL_SIZE: String(poolSize) }, timeout: this.timeout },
+    );
+
+    if (child.code !== 0) {
+      throw new Error(`Threadpool batch with UV_THREADPOOL_SIZE=${poolSize} ${describeFailure(child)}`);
+    }
+    return JSON.parse(child.stdout);
+  }
+
+  /**
+   * Groups completions into the steps of the staircase: operations that finish close together
+   * (within a quarter of the quickest completion) ran in the same wave.
+   */
+  analyzeRun({ poolSize, completions }, batchSize) {
+    const sorted = [...completions].sort((a, b) => a.end - b.end);
+    const gap = sorted[0].end / 4;
+
+    const steps = [];
+    for (const completion of sorted) {
+      const step = steps[steps.length - 1];
+      if (step && completion.end - step.end <= gap) {
+        step.count++;
+        step.end = completion.end;
+      } else {
+        steps.push({ count: 1, end: completion.end });
+      }
+    }
+
+    return {
+      poolSize,
+      completions,
+      total: sorted[sorted.length - 1].end,
+      average: completions.reduce((sum, { end }) => sum + end, 0) / completions.length,
+      steps,
+      expectedSteps: Math.ceil(batchSize / poolSize),
+    };
+  }
+}
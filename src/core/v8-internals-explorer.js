@@ -1,149 +1,84 @@
-import chalk from 'chalk';
-
+import { performance } from 'perf_hooks';
+import v8 from 'v8';
+import { runDeoptTrace } from './deopt-trace.js';
+import { GCObserver } from './gc-observer.js';
+import { runGCTrace } from './gc-trace.js';
+import { HeapSizingExperiment } from './heap-sizing-experiment.js';
+import { runHiddenClassProbe } from './hidden-classes.js';
+
+// Headless V8 heap and garbage collection experiments.
+// Byte counts that need global.gc() (run with --expose-gc) are null when it is unavailable.
+// Every collection, forced or not, is recorded by a GC observer from construction on.
 export class V8InternalsExplorer {
-  constructor(rl) {
-    this.rl = rl;
+  constructor() {
     this.monitoring = false;
     this.heapSnapshots = [];
     this.gcHistory = [];
+    this.gcObserver = new GCObserver();
+    this.gcObserver.start();
   }
 
-  async showHeapStats() {
-    while (true) {
-      console.log(chalk.blue('\n🧠 V8 Heap Statistics'));
-      console.log(chalk.yellow('Exploring V8 memory management and heap structure'));
-
-      const choice = await this.question(
-        chalk.green(
-          '\nSelect analysis:\n1. Current heap stats\n2. Monitor heap growth\n3. Analyze heap structure\n4. Back\n',
-        ),
-      );
-
-      switch (choice.trim()) {
-        case '1':
-          await this.displayCurrentHeapStats();
-          break;
-        case '2':
-          await this.monitorHeapGrowth();
-          break;
-        case '3':
-          await this.analyzeHeapStructure();
-          break;
-        case '4':
-          return;
-        default:
-          console.log(chalk.red('❌ Invalid choice.'));
-      }
-
-      // Wait for user to continue
-      await this.question(chalk.gray('\nPress Enter to continue...'));
-    }
+  // Runs an experiment and adds the collections that happened while it ran to its result
+  async observeGC(experiment) {
+    const since = performance.now();
+    const result = await experiment();
+    return { ...result, gc: await this.gcObserver.getStatistics({ since }) };
   }
 
-  async displayCurrentHeapStats() {
-    console.log(chalk.blue('\n📊 Current V8 Heap Statistics'));
-    console.log(chalk.cyan('═'.repeat(60)));
-
+  getCurrentHeapStats() {
     const memUsage = process.memoryUsage();
 
-    // V8 heap statistics
-    console.log(chalk.yellow('🏗️  V8 Heap:'));
-    console.log(chalk.gray(`  • Total Heap Size: ${this.formatBytes(memUsage.heapTotal)}`));
-    console.log(chalk.gray(`  • Used Heap Size: ${this.formatBytes(memUsage.heapUsed)}`));
-    console.log(chalk.gray(`  • External Memory: ${this.formatBytes(memUsage.external)}`));
-    console.log(chalk.gray(`  • Array Buffers: ${this.formatBytes(memUsage.arrayBuffers)}`));
-
-    // Calculate heap utilization
-    const heapUtilization = (memUsage.heapUsed / memUsage.heapTotal) * 100;
-    console.log(chalk.cyan(`  • Heap Utilization: ${heapUtilization.toFixed(2)}%`));
-
-    // Memory pressure indicators
-    this.showMemoryPressureIndicators(memUsage);
-
-    // Show memory allocation over time
-    this.showMemoryTrend();
+    return {
+      memUsage,
+      heapUtilization: (memUsage.heapUsed / memUsage.heapTotal) * 100,
+      pressure: this.getMemoryPressureIndicators(memUsage),
+      trend: this.getMemoryTrend(),
+    };
   }
 
-  showMemoryPressureIndicators(memUsage) {
-    console.log(chalk.yellow('\n⚠️  Memory Pressure Indicators:'));
-
+  getMemoryPressureIndicators(memUsage) {
     const heapUtilization = (memUsage.heapUsed / memUsage.heapTotal) * 100;
 
-    if (heapUtilization > 90) {
-      console.log(chalk.red('  • 🔴 High heap utilization (>90%)'));
-    } else if (heapUtilization > 70) {
-      console.log(chalk.yellow('  • 🟡 Moderate heap utilization (>70%)'));
-    } else {
-      console.log(chalk.green('  • 🟢 Healthy heap utilization'));
-    }
+    let level;
+    if (heapUtilization > 90) level = 'high';
+    else if (heapUtilization > 70) level = 'moderate';
+    else level = 'healthy';
 
     // Check for memory leaks (simplified)
+    let growth = null;
     if (this.heapSnapshots.length > 1) {
       const recent = this.heapSnapshots[this.heapSnapshots.length - 1];
       const previous = this.heapSnapshots[this.heapSnapshots.length - 2];
-      const growth = recent.heapUsed - previous.heapUsed;
-
-      if (growth > 10 * 1024 * 1024) {
-        // 10MB growth
-        console.log(chalk.red('  • 🔴 Rapid memory growth detected'));
-      } else if (growth > 0) {
-        console.log(chalk.yellow('  • 🟡 Steady memory growth'));
-      } else {
-        console.log(chalk.green('  • 🟢 Memory stable or decreasing'));
-      }
+      growth = recent.heapUsed - previous.heapUsed;
     }
-  }
-
-  showMemoryTrend() {
-    if (this.heapSnapshots.length < 2) return;
-
-    console.log(chalk.yellow('\n📈 Memory Trend (Last 10 snapshots):'));
 
-    const recent = this.heapSnapshots.slice(-10);
-    const labels = recent.map((_, i) => `T${i + 1}`);
-    const values = recent.map(s => s.heapUsed / (1024 * 1024)); // Convert to MB
-
-    // Simple ASCII chart
-    const maxValue = Math.max(...values);
-    const chartHeight = 10;
-
-    for (let i = chartHeight; i >= 0; i--) {
-      const threshold = (maxValue / chartHeight) * i;
-      const line = labels
-        .map((label, j) => {
-          return values[j] >= threshold ? '█' : '░';
-        })
-        .join(' ');
-
-      const yLabel = i === chartHeight ? `${maxValue.toFixed(1)}MB` : i === 0 ? '0MB' : '';
-
-      console.log(chalk.gray(`${yLabel.padStart(8)} ${line}`));
-    }
+    return { heapUtilization, level, growth };
+  }
 
-    console.log(chalk.gray('         ' + labels.join(' ')));
+  getMemoryTrend(count = 10) {
+    return this.heapSnapshots.slice(-count).map(s => s.heapUsed);
   }
 
-  async monitorHeapGrowth() {
-    console.log(chalk.blue('\n📊 Monitoring Heap Growth'));
-    console.log(chalk.yellow('Taking snapshots every 2 seconds. Press Enter to stop.'));
+  /**
+   * Records process.memoryUsage() every 2 seconds until the duration elapses or the signal aborts.
+   */
+  async monitorHeapGrowth(options = {}) {
+    return this.observeGC(() => this.sampleHeapGrowth(options));
+  }
 
+  async sampleHeapGrowth({ duration, signal, onSnapshot }) {
     this.monitoring = true;
     let snapshotCount = 0;
 
     const interval = setInterval(() => {
-      if (!this.monitoring) {
-        clearInterval(interval);
-        return;
-      }
-
-      const memUsage = process.memoryUsage();
-      this.heapSnapshots.push({
+      const snapshot = {
         timestamp: Date.now(),
-        ...memUsage,
-      });
+        ...process.memoryUsage(),
+      };
+      this.heapSnapshots.push(snapshot);
 
       snapshotCount++;
-      console.log(chalk.cyan(`📸 Snapshot ${snapshotCount}: ${this.formatBytes(memUsage.heapUsed)}`));
+      onSnapshot?.(snapshot, snapshotCount);
 
       // Keep only last 50 snapshots
       if (this.heapSnapshots.length > 50) {
@@ -151,114 +86,119 @@ export class V8InternalsExplorer {
       }
     }, 2000);
 
-    // Wait for user to stop
-    await this.question(chalk.green('\nPress Enter to stop monitoring...'));
+    await new Promise(resolve => {
+      const timer = duration ? setTimeout(resolve, duration) : null;
+      signal?.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        { once: true },
+      );
+    });
+
     this.monitoring = false;
     clearInterval(interval);
 
-    console.log(chalk.green(`✅ Monitoring stopped. Collected ${snapshotCount} snapshots.`));
+    return { snapshotCount };
   }
 
-  async analyzeHeapStructure() {
-    console.log(chalk.blue('\n🔍 Analyzing Heap Structure'));
-    console.log(chalk.yellow('This simulates V8 heap analysis'));
-
-    // Simulate heap analysis
-    console.log(chalk.cyan('\n📊 Heap Space Analysis:'));
-    console.log(chalk.gray('• New Space (Scavenger): Young objects, fast allocation'));
-    console.log(chalk.gray('• Old Space (Mark-Sweep): Surviving objects, slower GC'));
-    console.log(chalk.gray('• Large Object Space: Objects > 1MB'));
-    console.log(chalk.gray('• Code Space: JIT compiled code'));
-    console.log(chalk.gray('• Map Space: Hidden classes and maps'));
-
-    // Simulate object allocation patterns
-    console.log(chalk.cyan('\n🎯 Object Allocation Patterns:'));
-    console.log(chalk.gray('• Small objects (< 1KB): Allocated in New Space'));
-    console.log(chalk.gray('• Medium objects (1KB - 1MB): Allocated in Old Space'));
-    console.log(chalk.gray('• Large objects (> 1MB): Allocated in Large Object Space'));
-
-    // Show current allocation
-    const memUsage = process.memoryUsage();
-    const newSpaceEstimate = memUsage.heapUsed * 0.3; // Rough estimate
-    const oldSpaceEstimate = memUsage.heapUsed * 0.6;
-    const largeObjectEstimate = memUsage.heapUsed * 0.1;
-
-    console.log(chalk.yellow('\n📈 Estimated Space Distribution:'));
-    console.log(chalk.green(`  • New Space: ${this.formatBytes(newSpaceEstimate)}`));
-    console.log(chalk.blue(`  • Old Space: ${this.formatBytes(oldSpaceEstimate)}`));
-    console.log(chalk.red(`  • Large Object Space: ${this.formatBytes(largeObjectEstimate)}`));
+  getHeapSpaces() {
+    return v8.getHeapSpaceStatistics().map(space => ({
+      name: space.space_name,
+      size: space.space_size,
+      used: space.space_used_size,
+      available: space.space_available_size,
+      physical: space.physical_space_size,
+    }));
   }
 
-  async demonstrateGC() {
-    while (true) {
-      console.log(chalk.blue('\n🗑️  Garbage Collection Demonstration'));
-      console.log(chalk.yellow('This will show how V8 manages memory and performs GC'));
-
-      const choice = await this.question(
-        chalk.green(
-          '\nSelect GC demonstration:\n1. Force garbage collection\n2. Create and release objects\n3. Show GC statistics\n4. Back\n',
-        ),
-      );
-
-      switch (choice.trim()) {
-        case '1':
-          await this.forceGarbageCollection();
-          break;
-        case '2':
-          await this.createAndReleaseObjects();
-          break;
-        case '3':
-          await this.showGCStatistics();
-          break;
-        case '4':
-          return;
-        default:
-          console.log(chalk.red('❌ Invalid choice.'));
-      }
+  // Collects labelled per-space snapshots while an experiment runs
+  trackHeapSpaces() {
+    const start = performance.now();
+    const timeline = [];
+    const mark = label => timeline.push({ label, elapsed: performance.now() - start, spaces: this.getHeapSpaces() });
+    return { timeline, mark };
+  }
 
-      // Wait for user to continue
-      await this.question(chalk.gray('\nPress Enter to continue...'));
-    }
+  // Per-space, whole-heap and code statistics straight from V8
+  analyzeHeapStructure() {
+    const heap = v8.getHeapStatistics();
+    const code = v8.getHeapCodeStatistics();
+
+    return {
+      spaces: this.getHeapSpaces(),
+      heap: {
+        totalSize: heap.total_heap_size,
+        executableSize: heap.total_heap_size_executable,
+        physicalSize: heap.total_physical_size,
+        availableSize: heap.total_available_size,
+        usedSize: heap.used_heap_size,
+        sizeLimit: heap.heap_size_limit,
+        mallocedMemory: heap.malloced_memory,
+        peakMallocedMemory: heap.peak_malloced_memory,
+        externalMemory: heap.external_memory,
+        nativeContexts: heap.number_of_native_contexts,
+        detachedContexts: heap.number_of_detached_contexts,
+      },
+      code: {
+        codeAndMetadataSize: code.code_and_metadata_size,
+        bytecodeAndMetadataSize: code.bytecode_and_metadata_size,
+        externalScriptSourceSize: code.external_script_source_size,
+      },
+    };
   }
 
-  async forceGarbageCollection() {
-    console.log(chalk.blue('\n🗑️  Forcing Garbage Collection'));
+  // Hidden classes, inline cache states and optimization status, measured in a child with V8 natives
+  async exploreHiddenClasses({ calls = 1000000 } = {}) {
+    return runHiddenClassProbe({ calls });
+  }
 
-    if (global.gc) {
-      console.log(chalk.yellow('Running garbage collection...'));
+  // Optimizations and deoptimizations of a script (the deoptimization demo by default), with reasons
+  async traceDeoptimizations({ target } = {}) {
+    return runDeoptTrace({ target });
+  }
 
-      const before = process.memoryUsage();
-      global.gc();
-      const after = process.memoryUsage();
+  // What V8 itself reports (--trace-gc) for every collection of the garbage collection experiment
+  async traceGarbageCollection({ target } = {}) {
+    return runGCTrace({ target });
+  }
 
-      const freed = before.heapUsed - after.heapUsed;
+  // The createAndReleaseObjects() workload in child processes under each --max-old-space-size and
+  // --max-semi-space-size combination
+  async compareHeapFlags(options = {}) {
+    return new HeapSizingExperiment().sweep(options);
+  }
 
-      console.log(chalk.green(`✅ Garbage collection completed!`));
-      console.log(chalk.cyan(`📊 Memory freed: ${this.formatBytes(freed)}`));
-      console.log(chalk.cyan(`📊 Before: ${this.formatBytes(before.heapUsed)}`));
-      console.log(chalk.cyan(`📊 After: ${this.formatBytes(after.heapUsed)}`));
+  // Resolves with null when global.gc is not exposed
+  async forceGarbageCollection() {
+    if (!global.gc) return null;
 
-      // Record GC event
-      this.gcHistory.push({
-        timestamp: Date.now(),
-        memoryFreed: freed,
-        before: before.heapUsed,
-        after: after.heapUsed,
-      });
-    } else {
-      console.log(chalk.red('❌ Garbage collection not available'));
-      console.log(chalk.yellow('Run with --expose-gc flag to enable'));
-      console.log(chalk.gray('Example: node --expose-gc src/index.js'));
-    }
+    const before = process.memoryUsage();
+    global.gc();
+    const after = process.memoryUsage();
+
+    // Record GC event
+    const event = {
+      timestamp: Date.now(),
+      memoryFreed: before.heapUsed - after.heapUsed,
+      before: before.heapUsed,
+      after: after.heapUsed,
+    };
+    this.gcHistory.push(event);
+
+    return event;
   }
 
-  async createAndReleaseObjects() {
-    console.log(chalk.blue('\n🔨 Creating and Releasing Objects'));
-    console.log(chalk.yellow('This will demonstrate object lifecycle and memory management'));
-
-    const iterations = 100000;
-    console.log(chalk.cyan(`\n🔄 Creating ${iterations.toLocaleString()} objects...`));
+  // holdTime is how long the objects stay alive before they are released
+  async createAndReleaseObjects({ iterations = 100000, holdTime = 1000 } = {}) {
+    return this.observeGC(() => this.createAndRelease(iterations, holdTime));
+  }
 
+  async createAndRelease(iterations, holdTime) {
+    const { timeline, mark } = this.trackHeapSpaces();
+    mark('before');
     const before = process.memoryUsage();
     const objects = [];
 
@@ -277,90 +217,75 @@ export class V8InternalsExplorer {
     }
 
     const afterCreation = process.memoryUsage();
-    console.log(chalk.green(`✅ Created ${iterations.toLocaleString()} objects`));
-    console.log(chalk.cyan(`📊 Memory used: ${this.formatBytes(afterCreation.heapUsed - before.heapUsed)}`));
+    mark('created');
 
     // Wait a bit
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    await new Promise(resolve => setTimeout(resolve, holdTime));
 
     // Release objects
-    console.log(chalk.yellow('\n🗑️  Releasing objects...'));
     objects.length = 0; // Clear array
 
     const afterRelease = process.memoryUsage();
-    console.log(chalk.green(`✅ Released ${iterations.toLocaleString()} objects`));
+    mark('released');
+
+    const result = {
+      iterations,
+      memoryUsed: afterCreation.heapUsed - before.heapUsed,
+      immediateFreed: afterCreation.heapUsed - afterRelease.heapUsed,
+      gcFreed: null,
+      totalFreed: null,
+      spaceTimeline: timeline,
+    };
 
     // Force GC if available
     if (global.gc) {
-      console.log(chalk.yellow('🔄 Running garbage collection...'));
       global.gc();
       const afterGC = process.memoryUsage();
+      mark('after GC');
 
-      const totalFreed = before.heapUsed - afterGC.heapUsed;
-      const immediateFreed = afterCreation.heapUsed - afterRelease.heapUsed;
-      const gcFreed = afterRelease.heapUsed - afterGC.heapUsed;
-
-      console.log(chalk.cyan('\n📊 Memory Analysis:'));
-      console.log(chalk.gray(`  • Immediate release: ${this.formatBytes(immediateFreed)}`));
-      console.log(chalk.gray(`  • GC cleanup: ${this.formatBytes(gcFreed)}`));
-      console.log(chalk.gray(`  • Total freed: ${this.formatBytes(totalFreed)}`));
+      result.gcFreed = afterRelease.heapUsed - afterGC.heapUsed;
+      result.totalFreed = before.heapUsed - afterGC.heapUsed;
     }
-  }
-
-  async showGCStatistics() {
-    console.log(chalk.blue('\n📊 Garbage Collection Statistics'));
 
-    if (this.gcHistory.length === 0) {
-      console.log(chalk.yellow('No GC events recorded yet. Run some GC demonstrations first.'));
-      return;
-    }
+    return result;
+  }
 
-    console.log(chalk.cyan(`\n📈 GC Events: ${this.gcHistory.length}`));
+  /**
+   * Every collection the observer recorded since the explorer was created, plus the bytes freed
+   * by forceGarbageCollection() calls (forced is null until one has been recorded).
+   */
+  async getGCStatistics() {
+    const observed = await this.gcObserver.getStatistics();
+    if (this.gcHistory.length === 0) return { observed, forced: null };
 
     const totalFreed = this.gcHistory.reduce((sum, event) => sum + event.memoryFreed, 0);
-    const avgFreed = totalFreed / this.gcHistory.length;
-    const maxFreed = Math.max(...this.gcHistory.map(e => e.memoryFreed));
-
-    console.log(chalk.yellow('📊 Summary:'));
-    console.log(chalk.gray(`  • Total memory freed: ${this.formatBytes(totalFreed)}`));
-    console.log(chalk.gray(`  • Average per GC: ${this.formatBytes(avgFreed)}`));
-    console.log(chalk.gray(`  • Maximum freed: ${this.formatBytes(maxFreed)}`));
-
-    // Show recent events
-    console.log(chalk.yellow('\n🕐 Recent GC Events:'));
-    const recent = this.gcHistory.slice(-5);
-    recent.forEach((event, i) => {
-      const timeAgo = Date.now() - event.timestamp;
-      const timeStr = timeAgo < 60000 ? `${Math.floor(timeAgo / 1000)}s ago` : `${Math.floor(timeAgo / 60000)}m ago`;
-
-      console.log(chalk.gray(`  ${i + 1}. ${this.formatBytes(event.memoryFreed)} freed (${timeStr})`));
-    });
-  }
 
-  async showMemoryPatterns() {
-    console.log(chalk.blue('\n🎯 Memory Allocation Patterns'));
-    console.log(chalk.yellow('Understanding how V8 allocates and manages memory'));
-
-    console.log(chalk.cyan('\n🏗️  V8 Memory Management:'));
-    console.log(chalk.gray('• V8 uses a generational garbage collector'));
-    console.log(chalk.gray('• New objects start in the "New Space" (scavenger)'));
-    console.log(chalk.gray('• Objects that survive multiple GCs move to "Old Space"'));
-    console.log(chalk.gray('• Large objects go directly to "Large Object Space"'));
+    return {
+      observed,
+      forced: {
+        count: this.gcHistory.length,
+        totalFreed,
+        avgFreed: totalFreed / this.gcHistory.length,
+        maxFreed: Math.max(...this.gcHistory.map(e => e.memoryFreed)),
+        recent: this.gcHistory.slice(-5),
+      },
+    };
+  }
 
-    console.log(chalk.cyan('\n⚡ Allocation Strategies:'));
-    console.log(chalk.gray('• Fast allocation in New Space (bump pointer)'));
-    console.log(chalk.gray('• Slower allocation in Old Space (free list)'));
-    console.log(chalk.gray('• Special handling for arrays and typed arrays'));
+  async allocateMemoryPatterns() {
+    return this.observeGC(() => this.allocatePatterns());
+  }
 
-    // Demonstrate different allocation patterns
-    console.log(chalk.yellow('\n🔬 Allocation Pattern Examples:'));
+  async allocatePatterns() {
+    const { timeline, mark } = this.trackHeapSpaces();
+    mark('before');
 
     // Small objects (New Space)
     const smallObjects = [];
     for (let i = 0; i < 1000; i++) {
       smallObjects.push({ id: i, value: i * 2 });
     }
-    console.log(chalk.green(`  • Small objects: ${smallObjects.length} created (New Space)`));
+    mark('small');
 
     // Medium objects (Old Space simulation)
     const mediumObjects = [];
@@ -374,39 +299,32 @@ export class V8InternalsExplorer {
         },
       });
     }
-    console.log(chalk.blue(`  • Medium objects: ${mediumObjects.length} created (Old Space)`));
+    mark('medium');
 
     // Large objects (Large Object Space)
     const largeObject = new Array(1000000).fill('x').join('');
-    console.log(chalk.red(`  • Large object: ${this.formatBytes(largeObject.length)} (Large Object Space)`));
+    mark('large');
 
     const memUsage = process.memoryUsage();
-    console.log(chalk.cyan(`\n📊 Current memory: ${this.formatBytes(memUsage.heapUsed)}`));
+    const result = {
+      smallObjects: smallObjects.length,
+      mediumObjects: mediumObjects.length,
+      largeObjectSize: largeObject.length,
+      heapUsed: memUsage.heapUsed,
+      memoryFreed: null,
+      spaceTimeline: timeline,
+    };
 
     // Clean up
     smallObjects.length = 0;
     mediumObjects.length = 0;
 
     if (global.gc) {
-      console.log(chalk.yellow('\n🔄 Running GC to clean up...'));
       global.gc();
-      const afterGC = process.memoryUsage();
-      const freed = memUsage.heapUsed - afterGC.heapUsed;
-      console.log(chalk.green(`✅ Freed: ${this.formatBytes(freed)}`));
+      result.memoryFreed = memUsage.heapUsed - process.memoryUsage().heapUsed;
+      mark('after GC');
     }
-  }
-
-  formatBytes(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  }
 
-  question(prompt) {
-    return new Promise(resolve => {
-      this.rl.question(prompt, resolve);
-    });
+    return result;
   }
 }
@@ -1,4 +1,3 @@
-import chalk from 'chalk';
 import { cpus } from 'os';
 import path from 'path';
 import { performance } from 'perf_hooks';
@@ -8,53 +7,19 @@ import { Worker } from 'worker_threads';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Headless worker thread experiments; every method resolves with a plain result object
 export class WorkerThreadManager {
-  constructor(rl) {
-    this.rl = rl;
+  constructor({ utilizationInterval = 100 } = {}) {
     this.workers = new Map();
     this.workerPool = [];
     this.maxPoolSize = cpus().length;
+    this.utilizationInterval = utilizationInterval;
   }
 
-  async cpuIntensiveTask() {
-    while (true) {
-      console.log(chalk.blue('\n🧵 CPU-Intensive Task with Worker Threads'));
-      console.log(chalk.yellow('This will demonstrate how worker threads can handle CPU-intensive work'));
-
-      const choice = await this.question(
-        chalk.green('\nSelect task type:\n1. Single worker\n2. Multiple workers\n3. Worker pool\n4. Back\n'),
-      );
-
-      switch (choice.trim()) {
-        case '1':
-          await this.singleWorkerTask();
-          break;
-        case '2':
-          await this.multipleWorkersTask();
-          break;
-        case '3':
-          await this.workerPoolTask();
-          break;
-        case '4':
-          return;
-        default:
-          console.log(chalk.red('❌ Invalid choice.'));
-      }
-
-      // Wait for user to continue
-      await this.question(chalk.gray('\nPress Enter to continue...'));
-    }
-  }
-
-  async singleWorkerTask() {
-    console.log(chalk.blue('\n🧵 Single Worker Thread Task'));
-
-    const iterations = 100000000; // 100 million iterations
-    console.log(chalk.yellow(`\n🔄 Running ${iterations.toLocaleString()} iterations...`));
-
+  async singleWorkerTask({ iterations = 100000000 } = {}) {
     // Run in main thread first
-    console.log(chalk.cyan('⏱️  Running in main thread...'));
     const mainStart = performance.now();
+    const mainElu = performance.eventLoopUtilization();
     let mainResult = 0;
 
     for (let i = 0; i < iterations; i++) {
@@ -62,109 +27,74 @@ export class WorkerThreadManager {
     }
 
     const mainDuration = performance.now() - mainStart;
-    console.log(chalk.green(`✅ Main thread completed in ${mainDuration.toFixed(2)}ms`));
-    console.log(chalk.gray(`Result: ${mainResult.toFixed(2)}`));
+    const mainUtilization = performance.eventLoopUtilization(mainElu);
 
     // Now run in worker thread
-    console.log(chalk.cyan('\n🧵 Running in worker thread...'));
+    let workerUtilization = null;
     const workerStart = performance.now();
-
-    try {
-      const result = await this.runInWorker({
+    const workerResult = await this.runInWorker(
+      {
         type: 'cpu-intensive',
         iterations: iterations,
-      });
-
-      const workerDuration = performance.now() - workerStart;
-      console.log(chalk.green(`✅ Worker thread completed in ${workerDuration.toFixed(2)}ms`));
-      console.log(chalk.gray(`Result: ${result.toFixed(2)}`));
-
-      // Compare performance
-      const speedup = mainDuration / workerDuration;
-      console.log(chalk.yellow(`\n📊 Performance Comparison:`));
-      console.log(chalk.gray(`  • Main thread: ${mainDuration.toFixed(2)}ms`));
-      console.log(chalk.gray(`  • Worker thread: ${workerDuration.toFixed(2)}ms`));
-      console.log(chalk.blue(`  • Speedup: ${speedup.toFixed(2)}x`));
-
-      // Verify results are similar
-      const difference = Math.abs(mainResult - result);
-      if (difference < 0.01) {
-        console.log(chalk.green(`  • ✅ Results match (difference: ${difference.toFixed(6)})`));
-      } else {
-        console.log(chalk.red(`  • ❌ Results differ (difference: ${difference.toFixed(6)})`));
-      }
-    } catch (error) {
-      console.log(chalk.red(`❌ Worker thread error: ${error.message}`));
-    }
+      },
+      { onUtilization: report => (workerUtilization = report) },
+    );
+    const workerDuration = performance.now() - workerStart;
+
+    return {
+      iterations,
+      main: { duration: mainDuration, result: mainResult, utilization: mainUtilization },
+      worker: { duration: workerDuration, result: workerResult, utilization: workerUtilization },
+      speedup: mainDuration / workerDuration,
+      difference: Math.abs(mainResult - workerResult),
+    };
   }
 
-  async multipleWorkersTask() {
-    console.log(chalk.blue('\n🧵 Multiple Worker Threads Task'));
-
-    const totalIterations = 100000000;
-    const workerCount = 4;
+  async multipleWorkersTask({ iterations: totalIterations = 100000000, workerCount = 4 } = {}) {
     const iterationsPerWorker = Math.floor(totalIterations / workerCount);
 
-    console.log(
-      chalk.yellow(`\n🔄 Running ${totalIterations.toLocaleString()} iterations across ${workerCount} workers...`),
-    );
-    console.log(chalk.gray(`Each worker handles ${iterationsPerWorker.toLocaleString()} iterations`));
-
     const start = performance.now();
     const promises = [];
+    const utilization = [];
 
     // Create workers
     for (let i = 0; i < workerCount; i++) {
-      const promise = this.runInWorker({
-        type: 'cpu-intensive',
-        iterations: iterationsPerWorker,
-        workerId: i,
-      });
+      const promise = this.runInWorker(
+        {
+          type: 'cpu-intensive',
+          iterations: iterationsPerWorker,
+          workerId: i,
+        },
+        { onUtilization: report => (utilization[i] = report) },
+      );
       promises.push(promise);
     }
 
-    try {
-      const results = await Promise.all(promises);
-      const duration = performance.now() - start;
-
-      const totalResult = results.reduce((sum, result) => sum + result, 0);
-
-      console.log(chalk.green(`\n✅ All workers completed in ${duration.toFixed(2)}ms`));
-      console.log(chalk.gray(`Total result: ${totalResult.toFixed(2)}`));
-
-      // Show individual worker results
-      console.log(chalk.cyan('\n📊 Worker Results:'));
-      results.forEach((result, i) => {
-        console.log(chalk.gray(`  • Worker ${i}: ${result.toFixed(2)}`));
-      });
+    const results = await Promise.all(promises);
+    const duration = performance.now() - start;
 
-      // Compare with single worker
-      const singleWorkerStart = performance.now();
-      let singleResult = 0;
-      for (let i = 0; i < totalIterations; i++) {
-        singleResult += Math.sqrt(i) + Math.sin(i) + Math.cos(i);
-      }
-      const singleDuration = performance.now() - singleWorkerStart;
-
-      console.log(chalk.yellow('\n📈 Performance Analysis:'));
-      console.log(chalk.gray(`  • Single worker: ${singleDuration.toFixed(2)}ms`));
-      console.log(chalk.gray(`  • Multiple workers: ${duration.toFixed(2)}ms`));
-      console.log(chalk.blue(`  • Speedup: ${(singleDuration / duration).toFixed(2)}x`));
-    } catch (error) {
-      console.log(chalk.red(`❌ Multiple workers error: ${error.message}`));
+    // Compare with a single thread doing all the work
+    const singleStart = performance.now();
+    let singleResult = 0;
+    for (let i = 0; i < totalIterations; i++) {
+      singleResult += Math.sqrt(i) + Math.sin(i) + Math.cos(i);
     }
+    const singleDuration = performance.now() - singleStart;
+
+    return {
+      totalIterations,
+      workerCount,
+      iterationsPerWorker,
+      duration,
+      results,
+      totalResult: results.reduce((sum, result) => sum + result, 0),
+      single: { duration: singleDuration, result: singleResult },
+      speedup: singleDuration / duration,
+      utilization,
+    };
   }
 
-  async workerPoolTask() {
-    console.log(chalk.blue('\n🧵 Worker Pool Management'));
-    console.log(chalk.yellow('This demonstrates efficient worker pool usage for multiple tasks'));
-
-    const taskCount = 20;
-    const poolSize = Math.min(4, cpus().length);
-
-    console.log(chalk.cyan(`\n🏊 Creating worker pool with ${poolSize} workers...`));
-    console.log(chalk.yellow(`🔄 Processing ${taskCount} tasks...`));
-
+  async workerPoolTask({ taskCount = 20, poolSize = Math.min(4, cpus().length) } = {}) {
     // Initialize worker pool
     await this.initializeWorkerPool(poolSize);
 
@@ -181,257 +111,151 @@ export class WorkerThreadManager {
       });
     }
 
+    let results, duration, utilization;
     try {
-      const results = await this.processTasksWithPool(tasks);
-      const duration = performance.now() - start;
-
-      console.log(chalk.green(`\n✅ All tasks completed in ${duration.toFixed(2)}ms`));
-
-      // Show task results
-      console.log(chalk.cyan('\n📊 Task Results:'));
-      results.forEach((result, i) => {
-        const task = tasks[i];
-        console.log(
-          chalk.gray(`  • Task ${task.id}: ${result.toFixed(2)} (complexity: ${task.complexity.toLocaleString()})`),
-        );
-      });
-
-      // Pool statistics
-      console.log(chalk.yellow('\n🏊 Pool Statistics:'));
-      console.log(chalk.gray(`  • Pool size: ${poolSize}`));
-      console.log(chalk.gray(`  • Tasks processed: ${taskCount}`));
-      console.log(chalk.gray(`  • Average time per task: ${(duration / taskCount).toFixed(2)}ms`));
-      console.log(
-        chalk.gray(`  • Pool utilization: ${((taskCount / poolSize) * (duration / taskCount)).toFixed(2)}ms`),
-      );
-    } catch (error) {
-      console.log(chalk.red(`❌ Worker pool error: ${error.message}`));
+      results = await this.processTasksWithPool(tasks);
+      duration = performance.now() - start;
     } finally {
       // Clean up pool
-      await this.cleanupWorkerPool();
+      utilization = await this.cleanupWorkerPool();
     }
-  }
-
-  async sharedMemoryDemo() {
-    while (true) {
-      console.log(chalk.blue('\n🧠 Shared Memory Demonstration'));
-      console.log(chalk.yellow('This shows how worker threads can share memory using SharedArrayBuffer'));
-
-      const bufferSize = 1000000; // 1 million integers
-      console.log(chalk.cyan(`\n🔄 Creating shared buffer with ${bufferSize.toLocaleString()} integers...`));
-
-      // Create shared buffer
-      const sharedBuffer = new SharedArrayBuffer(bufferSize * 4); // 4 bytes per int32
-      const sharedArray = new Int32Array(sharedBuffer);
 
-      // Initialize with some data
-      for (let i = 0; i < bufferSize; i++) {
-        sharedArray[i] = i;
-      }
-
-      console.log(chalk.green(`✅ Shared buffer created and initialized`));
-      console.log(chalk.gray(`Buffer size: ${this.formatBytes(sharedBuffer.byteLength)}`));
+    return {
+      poolSize,
+      taskCount,
+      duration,
+      averageTaskTime: duration / taskCount,
+      tasks: tasks.map((task, i) => ({ ...task, result: results[i] })),
+      utilization,
+    };
+  }
 
-      // Verify initialization worked
-      console.log(chalk.cyan(`🔍 Initialization check:`));
-      console.log(chalk.gray(`  • sharedArray[0]: ${sharedArray[0]}`));
-      console.log(chalk.gray(`  • sharedArray[1]: ${sharedArray[1]}`));
-      console.log(chalk.gray(`  • sharedArray[99]: ${sharedArray[99]}`));
+  createSharedArray(bufferSize) {
+    // Create shared buffer
+    const sharedBuffer = new SharedArrayBuffer(bufferSize * 4); // 4 bytes per int32
+    const sharedArray = new Int32Array(sharedBuffer);
 
-      const choice = await this.question(
-        chalk.green('\nSelect operation:\n1. Parallel processing\n2. Concurrent updates\n3. Back\n'),
-      );
-
-      switch (choice.trim()) {
-        case '1':
-          await this.parallelProcessing(sharedArray, bufferSize);
-          break;
-        case '2':
-          await this.concurrentUpdates(sharedArray, bufferSize);
-          break;
-        case '3':
-          return;
-        default:
-          console.log(chalk.red('❌ Invalid choice.'));
-      }
-
-      // Wait for user to continue
-      await this.question(chalk.gray('\nPress Enter to continue...'));
+    // Initialize with some data
+    for (let i = 0; i < bufferSize; i++) {
+      sharedArray[i] = i;
     }
-  }
 
-  async parallelProcessing(sharedArray, bufferSize) {
-    console.log(chalk.blue('\n🔄 Parallel Processing with Shared Memory'));
+    return sharedArray;
+  }
 
-    const workerCount = 4;
+  async parallelProcessing(sharedArray, bufferSize, { workerCount = 4 } = {}) {
     const chunkSize = Math.floor(bufferSize / workerCount);
 
-    console.log(chalk.yellow(`\n🔄 Processing ${bufferSize.toLocaleString()} elements with ${workerCount} workers...`));
-    console.log(chalk.cyan(`📊 Each worker processes ~${chunkSize.toLocaleString()} elements`));
-    console.log(chalk.cyan(`🔧 Operation: Square each element (x → x²)`));
-
     const start = performance.now();
     const promises = [];
+    const utilization = [];
 
     // Create workers for parallel processing
     for (let i = 0; i < workerCount; i++) {
       const startIndex = i * chunkSize;
       const endIndex = i === workerCount - 1 ? bufferSize : (i + 1) * chunkSize;
 
-      const promise = this.runInWorker({
-        type: 'shared-memory-process',
-        sharedArray: sharedArray,
-        startIndex: startIndex,
-        endIndex: endIndex,
-        operation: 'square',
-      });
+      const promise = this.runInWorker(
+        {
+          type: 'shared-memory-process',
+          sharedArray: sharedArray,
+          startIndex: startIndex,
+          endIndex: endIndex,
+          operation: 'square',
+        },
+        { onUtilization: report => (utilization[i] = report) },
+      );
       promises.push(promise);
     }
 
-    try {
-      await Promise.all(promises);
-
-      // Small delay to ensure shared memory is fully synchronized
-      await new Promise(resolve => setTimeout(resolve, 10));
-
-      const duration = performance.now() - start;
-
-      console.log(chalk.green(`\n✅ Parallel processing completed in ${duration.toFixed(2)}ms`));
-
-      // Calculate performance metrics
-      const elementsPerSecond = (bufferSize / (duration / 1000)).toLocaleString();
-      const elementsPerWorker = (bufferSize / workerCount).toLocaleString();
-      const timePerWorker = (duration / workerCount).toFixed(2);
-
-      console.log(chalk.cyan(`📊 Performance Metrics:`));
-      console.log(chalk.gray(`  • Throughput: ${elementsPerSecond} elements/second`));
-      console.log(chalk.gray(`  • Elements per worker: ${elementsPerWorker}`));
-      console.log(chalk.gray(`  • Average time per worker: ${timePerWorker}ms`));
+    await Promise.all(promises);
 
-      // Show sample values before and after
-      console.log(chalk.cyan(`\n📊 Sample Values (first 10 elements):`));
-      console.log(chalk.gray(`  • Before: 0, 1, 2, 3, 4, 5, 6, 7, 8, 9`));
+    // Small delay to ensure shared memory is fully synchronized
+    await new Promise(resolve => setTimeout(resolve, 10));
 
-      // Read values directly from the shared array with better error handling
-      const afterValues = [];
-      for (let i = 0; i < 10; i++) {
-        try {
-          const value = sharedArray[i];
-          afterValues.push(typeof value === 'number' ? value : 'undefined');
-        } catch (error) {
-          afterValues.push(`error:${error.message}`);
-        }
-      }
-      console.log(chalk.gray(`  • After:  ${afterValues.join(', ')}`));
-
-      // Also show a few more values to verify the pattern
-      console.log(chalk.cyan(`📊 More sample values:`));
-      const index0to4 = [0, 1, 2, 3, 4].map(i => {
-        const value = sharedArray[i];
-        return typeof value === 'number' ? value : 'undefined';
-      });
-      console.log(chalk.gray(`  • Index 0-4: ${index0to4.join(', ')}`));
+    const duration = performance.now() - start;
 
-      const index95to99 = [95, 96, 97, 98, 99].map(i => {
-        const value = sharedArray[i];
-        return typeof value === 'number' ? value : 'undefined';
-      });
-      console.log(chalk.gray(`  • Index 95-99: ${index95to99.join(', ')}`));
-
-      // Debug: Check if the array is actually accessible
-      console.log(chalk.yellow(`🔍 Debug Info:`));
-      console.log(chalk.gray(`  • sharedArray type: ${typeof sharedArray}`));
-      console.log(chalk.gray(`  • sharedArray length: ${sharedArray.length}`));
-      console.log(chalk.gray(`  • sharedArray[0]: ${sharedArray[0]}`));
-      console.log(chalk.gray(`  • sharedArray[1]: ${sharedArray[1]}`));
-
-      // Test direct access to a few more indices
-      console.log(chalk.gray(`  • sharedArray[2]: ${sharedArray[2]}`));
-      console.log(chalk.gray(`  • sharedArray[3]: ${sharedArray[3]}`));
-      console.log(chalk.gray(`  • sharedArray[4]: ${sharedArray[4]}`));
-
-      // Check if this is the same array we initialized
-      console.log(chalk.gray(`  • First 5 values: ${Array.from({ length: 5 }, (_, i) => sharedArray[i]).join(', ')}`));
-
-      // Verify results
-      let sum = 0;
-      for (let i = 0; i < Math.min(100, bufferSize); i++) {
-        sum += sharedArray[i];
-      }
-
-      // Calculate expected sum of squared values (0² + 1² + 2² + ... + 99²)
-      const expectedSum = Array.from({ length: 100 }, (_, i) => i * i).reduce((a, b) => a + b, 0);
-
-      console.log(chalk.cyan(`\n📊 Verification (first 100 elements):`));
-      console.log(chalk.gray(`  • Sum: ${sum.toLocaleString()}`));
-      console.log(chalk.gray(`  • Expected: ${expectedSum.toLocaleString()}`));
-      console.log(chalk.gray(`  • Operation: Square (x²)`));
-      console.log(chalk.gray(`  • Formula: 0² + 1² + 2² + ... + 99²`));
-
-      if (sum === expectedSum) {
-        console.log(chalk.green(`  • ✅ Processing successful`));
-      } else {
-        console.log(chalk.red(`  • ❌ Processing failed`));
-        console.log(chalk.yellow(`  • Difference: ${Math.abs(sum - expectedSum).toLocaleString()}`));
-      }
-    } catch (error) {
-      console.log(chalk.red(`❌ Parallel processing error: ${error.message}`));
+    // Verify results against the sum of squares 0² + 1² + ... for the first 100 elements
+    const verified = Math.min(100, bufferSize);
+    let sum = 0;
+    for (let i = 0; i < verified; i++) {
+      sum += sharedArray[i];
     }
+    const expectedSum = Array.from({ length: verified }, (_, i) => i * i).reduce((a, b) => a + b, 0);
+
+    return {
+      bufferSize,
+      workerCount,
+      chunkSize,
+      duration,
+      throughput: bufferSize / (duration / 1000),
+      sample: Array.from(sharedArray.subarray(0, 10)),
+      verification: { elements: verified, sum, expectedSum, success: sum === expectedSum },
+      utilization,
+    };
   }
 
-  async concurrentUpdates(sharedArray, bufferSize) {
-    console.log(chalk.blue('\n🔄 Concurrent Updates with Shared Memory'));
-
-    const updateCount = 100000;
-    console.log(chalk.yellow(`\n🔄 Performing ${updateCount.toLocaleString()} concurrent updates...`));
-
+  async concurrentUpdates(sharedArray, bufferSize, { updateCount = 100000, workerCount = 4 } = {}) {
     const start = performance.now();
     const promises = [];
+    const utilization = [];
 
     // Create multiple workers for concurrent updates
-    for (let i = 0; i < 4; i++) {
-      const promise = this.runInWorker({
-        type: 'shared-memory-update',
-        sharedArray: sharedArray,
-        updateCount: Math.floor(updateCount / 4),
-        workerId: i,
-      });
+    for (let i = 0; i < workerCount; i++) {
+      const promise = this.runInWorker(
+        {
+          type: 'shared-memory-update',
+          sharedArray: sharedArray,
+          updateCount: Math.floor(updateCount / workerCount),
+          workerId: i,
+        },
+        { onUtilization: report => (utilization[i] = report) },
+      );
       promises.push(promise);
     }
 
-    try {
-      await Promise.all(promises);
-      const duration = performance.now() - start;
-
-      console.log(chalk.green(`\n✅ Concurrent updates completed in ${duration.toFixed(2)}ms`));
-
-      // Show some sample values
-      console.log(chalk.cyan(`\n📊 Sample Values:`));
-      for (let i = 0; i < 10; i++) {
-        console.log(chalk.gray(`  • Index ${i}: ${sharedArray[i]}`));
-      }
-    } catch (error) {
-      console.log(chalk.red(`❌ Concurrent updates error: ${error.message}`));
-    }
+    const updatesPerWorker = await Promise.all(promises);
+
+    return {
+      bufferSize,
+      updateCount,
+      workerCount,
+      duration: performance.now() - start,
+      updatesPerWorker,
+      sample: Array.from(sharedArray.subarray(0, 10)),
+      utilization,
+    };
   }
 
-  async runInWorker(data) {
+  /**
+   * Runs one task in a fresh cpu-worker. onUtilization receives the worker's
+   * trackUtilization() report once the task has finished.
+   */
+  async runInWorker(data, { onUtilization } = {}) {
     return new Promise((resolve, reject) => {
       const worker = new Worker(path.join(__dirname, '..', 'workers', 'cpu-worker.js'), {
         workerData: data,
       });
+      const tracker = this.trackUtilization(worker);
 
       worker.on('message', result => {
-        resolve(result);
+        onUtilization?.(tracker.stop());
+        if (result?.error) {
+          reject(new Error(result.error));
+        } else {
+          resolve(result);
+        }
         worker.terminate();
       });
 
       worker.on('error', error => {
+        tracker.stop();
         reject(error);
         worker.terminate();
       });
 
       worker.on('exit', code => {
+        tracker.stop();
         if (code !== 0) {
           reject(new Error(`Worker stopped with exit code ${code}`));
         }
@@ -439,9 +263,60 @@ export class WorkerThreadManager {
     });
   }
 
-  async initializeWorkerPool(size) {
-    console.log(chalk.cyan(`\n🏊 Initializing worker pool with ${size} workers...`));
+  /**
+   * Samples event loop utilization of the main thread and the worker side by side
+   * every utilizationInterval ms. stop() returns the per-interval deltas and the totals.
+   */
+  trackUtilization(worker) {
+    const threadId = worker.threadId;
+    const start = performance.now();
+    const read = () => ({
+      main: performance.eventLoopUtilization(),
+      worker: worker.performance.eventLoopUtilization(),
+    });
+    // Readings taken while a worker shuts down can report slightly negative idle time
+    const delta = (current, previous) => {
+      const active = Math.max(0, current.active - previous.active);
+      const idle = Math.max(0, current.idle - previous.idle);
+      return { idle, active, utilization: active / (active + idle || 1) };
+    };
+    const first = read();
+    let previous = first;
+    const intervals = [];
+    let report = null;
+
+    const sample = () => {
+      const current = read();
+      intervals.push({
+        elapsed: performance.now() - start,
+        main: delta(current.main, previous.main),
+        worker: delta(current.worker, previous.worker),
+      });
+      previous = current;
+    };
+    const timer = setInterval(sample, this.utilizationInterval);
+
+    return {
+      stop: () => {
+        if (report) return report;
+
+        clearInterval(timer);
+        sample();
+        report = {
+          threadId,
+          interval: this.utilizationInterval,
+          intervals,
+          total: {
+            main: delta(previous.main, first.main),
+            worker: delta(previous.worker, first.worker),
+          },
+        };
+        return report;
+      },
+    };
+  }
 
+  async initializeWorkerPool(size) {
     for (let i = 0; i < size; i++) {
       const worker = new Worker(path.join(__dirname, '..', 'workers', 'pool-worker.js'), {
         workerData: { workerId: i },
@@ -451,73 +326,65 @@ export class WorkerThreadManager {
         worker: worker,
         busy: false,
         id: i,
+        tracker: this.trackUtilization(worker),
       });
     }
-
-    console.log(chalk.green(`✅ Worker pool initialized`));
   }
 
   async processTasksWithPool(tasks) {
     const results = new Array(tasks.length);
     const pendingTasks = [...tasks];
+    let running = 0;
 
     return new Promise((resolve, reject) => {
-      const processNextTask = () => {
-        if (pendingTasks.length === 0) {
-          // All tasks completed
-          resolve(results);
-          return;
+      const processNextTasks = () => {
+        // Hand pending tasks to idle workers; each completion calls back in here
+        while (pendingTasks.length > 0) {
+          const availableWorker = this.workerPool.find(w => !w.busy);
+          if (!availableWorker) return;
+
+          const task = pendingTasks.shift();
+          availableWorker.busy = true;
+          running++;
+
+          availableWorker.worker.postMessage({
+            type: 'task',
+            task: task,
+          });
+
+          availableWorker.worker.once('message', result => {
+            running--;
+            availableWorker.busy = false;
+            if (result?.error) {
+              reject(new Error(result.error));
+              return;
+            }
+            results[task.id] = result;
+            processNextTasks();
+          });
         }
 
-        const availableWorker = this.workerPool.find(w => !w.busy);
-        if (!availableWorker) {
-          // No available workers, wait
-          setTimeout(processNextTask, 10);
-          return;
+        if (running === 0) {
+          // All tasks completed
+          resolve(results);
         }
-
-        const task = pendingTasks.shift();
-        availableWorker.busy = true;
-
-        availableWorker.worker.postMessage({
-          type: 'task',
-          task: task,
-        });
-
-        availableWorker.worker.once('message', result => {
-          results[task.id] = result;
-          availableWorker.busy = false;
-          processNextTask();
-        });
       };
 
       // Start processing
-      processNextTask();
+      processNextTasks();
     });
   }
 
+  // Terminates the pool and resolves with each worker's utilization report
   async cleanupWorkerPool() {
-    console.log(chalk.cyan('\n🧹 Cleaning up worker pool...'));
+    const utilization = [];
 
     for (const poolWorker of this.workerPool) {
+      utilization.push({ workerId: poolWorker.id, ...poolWorker.tracker.stop() });
       poolWorker.worker.terminate();
     }
 
     this.workerPool = [];
-    console.log(chalk.green('✅ Worker pool cleaned up'));
-  }
-
-  formatBytes(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  }
-
-  question(prompt) {
-    return new Promise(resolve => {
-      this.rl.question(prompt, resolve);
-    });
+    return utilization;
   }
 }
@@ -0,0 +1,71 @@
+import chalk from 'chalk';
+
+// Each demo warms a function up with one kind of input until TurboFan optimizes it, then breaks the
+// assumption the optimized code was built on. Run with: node --trace-opt --trace-deopt
+console.log(chalk.blue.bold('💥 Deoptimization Demonstration'));
+console.log(chalk.yellow('Optimized code is specialized to the types it has seen; anything else bails out\n'));
+
+const WARM_UP_CALLS = 2000;
+
+// TurboFan compiles on a background thread; give it time to install the code before the odd call
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+function scale(values, factor) {
+  let total = 0;
+  for (const value of values) total += value * factor;
+  return total;
+}
+
+function sumX(points) {
+  let total = 0;
+  for (const point of points) total += point.x;
+  return total;
+}
+
+function sumFirst(array, count) {
+  let total = 0;
+  for (let i = 0; i < count; i++) total += array[i];
+  return total;
+}
+
+function clampedSum(values, options) {
+  let total = 0;
+  for (const value of values) total += value < 0 ? options.floor : value;
+  return total;
+}
+
+const numbers = Array.from({ length: 100 }, (_, i) => i);
+
+// Demo 1: small integers, then a double
+console.log(chalk.blue('📋 Demo 1: Small integers, then a double'));
+for (let i = 0; i < WARM_UP_CALLS; i++) scale(numbers, 2);
+await settle();
+console.log(chalk.gray(`  • scale(numbers, 0.5) = ${scale(numbers, 0.5)}`));
+
+// Demo 2: one hidden class, then another
+console.log(chalk.blue('📋 Demo 2: One hidden class, then another'));
+const points = Array.from({ length: 100 }, (_, i) => new Point(i, i));
+for (let i = 0; i < WARM_UP_CALLS; i++) sumX(points);
+await settle();
+console.log(chalk.gray(`  • sumX([{ y, x }]) = ${sumX([{ y: 2, x: 1 }])}`));
+
+// Demo 3: in-bounds reads, then one past the end
+console.log(chalk.blue('📋 Demo 3: In-bounds reads, then one past the end'));
+for (let i = 0; i < WARM_UP_CALLS; i++) sumFirst(numbers, 100);
+await settle();
+console.log(chalk.gray(`  • sumFirst(numbers, 101) = ${sumFirst(numbers, 101)}`));
+
+// Demo 4: a branch that never ran has no type feedback
+console.log(chalk.blue('📋 Demo 4: A branch that never ran'));
+for (let i = 0; i < WARM_UP_CALLS; i++) clampedSum(numbers, { floor: 0 });
+await settle();
+console.log(chalk.gray(`  • clampedSum([-1], { floor: 0 }) = ${clampedSum([-1], { floor: 0 })}`));
+
+console.log(chalk.green('\n✅ Deoptimization demo completed'));
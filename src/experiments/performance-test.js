@@ -259,6 +259,6 @@ class PerformanceTestSuite {
   }
 }
 
-// Run the test suite
+// Run the test suite; awaited so that profiling an import of this module covers the whole run
 const testSuite = new PerformanceTestSuite();
-testSuite.runAllTests().catch(console.error);
+await testSuite.runAllTests().catch(console.error);
@@ -8,6 +8,11 @@ import { MemoryProfiler } from './core/memory-profiler.js';
 import { WorkerThreadManager } from './core/worker-thread-manager.js';
 import { PerformanceAnalyzer } from './core/performance-analyzer.js';
 import { V8InternalsExplorer } from './core/v8-internals-explorer.js';
+import { EventLoopPresenter } from './presenters/event-loop-presenter.js';
+import { MemoryPresenter } from './presenters/memory-presenter.js';
+import { WorkerPresenter } from './presenters/worker-presenter.js';
+import { PerformancePresenter } from './presenters/performance-presenter.js';
+import { V8Presenter } from './presenters/v8-presenter.js';
 
 class NodeJSInternalsLab {
   constructor() {
@@ -16,11 +21,16 @@ class NodeJSInternalsLab {
       output: process.stdout,
     });
 
-    this.eventLoopMonitor = new EventLoopMonitor(this.rl);
-    this.memoryProfiler = new MemoryProfiler(this.rl);
-    this.workerManager = new WorkerThreadManager(this.rl);
-    this.performanceAnalyzer = new PerformanceAnalyzer(this.rl);
-    this.v8Explorer = new V8InternalsExplorer(this.rl);
+    this.eventLoopMonitor = new EventLoopPresenter(this.rl, new EventLoopMonitor());
+    this.memoryProfiler = new MemoryPresenter(this.rl, new MemoryProfiler());
+    this.workerManager = new WorkerPresenter(this.rl, new WorkerThreadManager());
+    this.performanceAnalyzer = new PerformancePresenter(this.rl, new PerformanceAnalyzer());
+  }
+
+  // Created when the V8 menu is first opened: its GC observer would show up in the memory experiments
+  get v8Explorer() {
+    this.v8Presenter ??= new V8Presenter(this.rl, new V8InternalsExplorer());
+    return this.v8Presenter;
   }
 
   async start() {
@@ -111,9 +121,12 @@ class NodeJSInternalsLab {
       console.log(chalk.cyan('1. Monitor event loop lag'));
       console.log(chalk.cyan('2. Demonstrate blocking operations'));
       console.log(chalk.cyan('3. Show async vs sync performance'));
-      console.log(chalk.cyan('4. Back to main menu'));
+      console.log(chalk.cyan('4. Trace event loop phases'));
+      console.log(chalk.cyan('5. Explore async resource lifecycles'));
+      console.log(chalk.cyan('6. Saturate the libuv threadpool'));
+      console.log(chalk.cyan('7. Back to main menu'));
 
-      const choice = await this.question(chalk.green('\nSelect experiment (1-4): '));
+      const choice = await this.question(chalk.green('\nSelect experiment (1-7): '));
 
       switch (choice.trim()) {
         case '1':
@@ -126,6 +139,15 @@ class NodeJSInternalsLab {
           await this.eventLoopMonitor.asyncVsSync();
           break;
         case '4':
+          await this.eventLoopMonitor.tracePhases();
+          break;
+        case '5':
+          await this.eventLoopMonitor.exploreAsyncResources();
+          break;
+        case '6':
+          await this.eventLoopMonitor.saturateThreadpool();
+          break;
+        case '7':
           return;
         default:
           console.log(chalk.red('❌ Invalid choice.'));
@@ -139,9 +161,11 @@ class NodeJSInternalsLab {
       console.log(chalk.cyan('1. Explore V8 heap statistics'));
       console.log(chalk.cyan('2. Demonstrate garbage collection'));
       console.log(chalk.cyan('3. Show memory allocation patterns'));
-      console.log(chalk.cyan('4. Back to main menu'));
+      console.log(chalk.cyan('4. Explore hidden classes & inline caches'));
+      console.log(chalk.cyan('5. Trace deoptimizations'));
+      console.log(chalk.cyan('6. Back to main menu'));
 
-      const choice = await this.question(chalk.green('\nSelect experiment (1-4): '));
+      const choice = await this.question(chalk.green('\nSelect experiment (1-6): '));
 
       switch (choice.trim()) {
         case '1':
@@ -154,6 +178,12 @@ class NodeJSInternalsLab {
           await this.v8Explorer.showMemoryPatterns();
           break;
         case '4':
+          await this.v8Explorer.exploreHiddenClasses();
+          break;
+        case '5':
+          await this.v8Explorer.traceDeoptimizations();
+          break;
+        case '6':
           return;
         default:
           console.log(chalk.red('❌ Invalid choice.'));
@@ -393,6 +423,13 @@ class NodeJSInternalsLab {
   }
 }
 
-// Start the application
-const lab = new NodeJSInternalsLab();
-lab.start().catch(console.error);
+// Run a single command when arguments are given, otherwise start the interactive menu
+const args = process.argv.slice(2);
+
+if (args.length > 0) {
+  const { runCli } = await import('./cli.js');
+  process.exit(await runCli(args));
+} else {
+  const lab = new NodeJSInternalsLab();
+  lab.start().catch(console.error);
+}
@@ -0,0 +1,685 @@
+import chalk from 'chalk';
+import { EVENT_LOOP_PHASES } from '../core/event-loop-monitor.js';
+import { TRACED_PHASES } from '../core/phase-tracer.js';
+import { THREADPOOL_OPERATIONS } from '../core/threadpool-experiment.js';
+import { TerminalPresenter } from './terminal-presenter.js';
+
+export class EventLoopPresenter extends TerminalPresenter {
+  constructor(rl, monitor) {
+    super(rl);
+    this.monitor = monitor;
+  }
+
+  async startMonitoring({ duration = 30000, resolution = 10, interval = 1000 } = {}) {
+    console.log(chalk.blue('\n🔄 Starting Event Loop Monitoring...'));
+    console.log(chalk.yellow('This will monitor event loop delay and show real-time metrics'));
+    console.log(chalk.yellow(`Monitoring will auto-stop after ${duration / 1000} seconds`));
+    console.log(chalk.gray(`Histogram resolution: ${resolution}ms, reporting every ${interval}ms`));
+
+    const summary = await this.monitor.startMonitoring({
+      duration,
+      resolution,
+      interval,
+      onSample: sample => {
+        // Simple display without interfering with readline
+        console.log(
+          chalk.blue(`🔄 [${(sample.end / 1000).toFixed(1)}s] `) +
+            this.createLagBar(sample.p99) +
+            chalk.gray(
+              ` | ${this.formatDelayStats(sample)} | ELU ${(sample.utilization.utilization * 100).toFixed(1)}%`,
+            ),
+        );
+      },
+    });
+
+    console.log(chalk.yellow(`\n⏰ Auto-stopping monitoring after ${duration / 1000} seconds...`));
+    console.log(chalk.green('\n✅ Event loop monitoring stopped.'));
+
+    console.log(chalk.cyan('\n📊 Event Loop Delay (whole run):'));
+    console.log(chalk.gray(`  • Samples: ${summary.count.toLocaleString()}`));
+    console.log(chalk.gray(`  • Min: ${summary.min.toFixed(2)}ms`));
+    console.log(chalk.gray(`  • Mean: ${summary.mean.toFixed(2)}ms (stddev ${summary.stddev.toFixed(2)}ms)`));
+    console.log(chalk.gray(`  • p50: ${summary.p50.toFixed(2)}ms`));
+    console.log(chalk.gray(`  • p90: ${summary.p90.toFixed(2)}ms`));
+    console.log(chalk.gray(`  • p99: ${summary.p99.toFixed(2)}ms`));
+    console.log(chalk.gray(`  • Max: ${summary.max.toFixed(2)}ms`));
+
+    const { utilization } = summary;
+    console.log(chalk.cyan('\n🔥 Event Loop Utilization (whole run):'));
+    console.log(chalk.gray(`  • Active: ${utilization.active.toFixed(1)}ms`));
+    console.log(chalk.gray(`  • Idle: ${utilization.idle.toFixed(1)}ms`));
+    console.log(chalk.gray(`  • Utilization: ${(utilization.utilization * 100).toFixed(2)}%`));
+    console.log(
+      chalk.yellow(
+        `\n💡 Delays are measured against a ${resolution}ms timer, so an idle loop sits close to ${resolution}ms`,
+      ),
+    );
+  }
+
+  formatDelayStats(stats) {
+    return [
+      `min ${stats.min.toFixed(2)}`,
+      `mean ${stats.mean.toFixed(2)} ± ${stats.stddev.toFixed(2)}`,
+      `p50 ${stats.p50.toFixed(2)}`,
+      `p90 ${stats.p90.toFixed(2)}`,
+      `p99 ${stats.p99.toFixed(2)}`,
+      `max ${stats.max.toFixed(2)}ms`,
+    ].join(' | ');
+  }
+
+  createLagBar(lag) {
+    const maxBarLength = 40;
+    const normalizedLag = Math.max(0, Math.min(lag / 100, 1)); // Normalize to 0-1, ensure non-negative
+    const barLength = Math.floor(normalizedLag * maxBarLength);
+
+    let color;
+    if (lag < 16) color = chalk.green;
+    else if (lag < 50) color = chalk.yellow;
+    else color = chalk.red;
+
+    const bar = '█'.repeat(barLength) + '░'.repeat(maxBarLength - barLength);
+    return color(`${bar} ${lag.toFixed(1)}ms`);
+  }
+
+  showEventLoopPhases() {
+    console.log(chalk.cyan('\n🔄 Event Loop Phases:'));
+    EVENT_LOOP_PHASES.forEach(phase => {
+      console.log(chalk.gray(`• ${phase.name}: ${phase.description}`));
+    });
+  }
+
+  async tracePhases() {
+    while (true) {
+      console.log(chalk.blue('\n🔬 Event Loop Phase Tracer'));
+      console.log(chalk.yellow('Records which phase every callback runs in and how long it takes'));
+
+      const choice = await this.question(
+        chalk.green('\nSelect experiment to trace:\n1. Background tasks\n2. event-loop-demo.js\n3. Back\n'),
+      );
+
+      try {
+        switch (choice.trim()) {
+          case '1':
+            await this.traceBackgroundTasks();
+            break;
+          case '2':
+            await this.traceScript();
+            break;
+          case '3':
+            return;
+          default:
+            console.log(chalk.red('❌ Invalid choice.'));
+        }
+      } catch (error) {
+        this.showError(error);
+      }
+
+      // Wait for user to continue
+      await this.pause();
+    }
+  }
+
+  async traceBackgroundTasks({ duration = 5000 } = {}) {
+    this.showEventLoopPhases();
+    console.log(chalk.yellow(`\n🔄 Tracing background tasks for ${duration / 1000} seconds...`));
+
+    this.showPhaseTrace(await this.monitor.traceBackgroundTasks({ duration }));
+  }
+
+  async traceScript({ script } = {}) {
+    this.showEventLoopPhases();
+    console.log(chalk.yellow('\n🔄 Running the script with the phase tracer preloaded (its output is hidden)...'));
+
+    this.showPhaseTrace(await this.monitor.traceScript({ script }));
+  }
+
+  showPhaseTrace(trace, { maxSegments = 40 } = {}) {
+    const colors = {
+      timers: chalk.blue,
+      poll: chalk.cyan,
+      check: chalk.magenta,
+      nextTick: chalk.yellow,
+      promise: chalk.green,
+    };
+
+    console.log(chalk.cyan(`\n📊 Phase Totals for ${trace.experiment}:`));
+    console.log(chalk.gray('═'.repeat(80)));
+    console.log(
+      chalk.gray(
+        'Phase'.padEnd(12) +
+          'Callbacks'.padEnd(12) +
+          'Total'.padEnd(14) +
+          'Avg'.padEnd(12) +
+          'Max'.padEnd(14) +
+          'Share',
+      ),
+    );
+    console.log(chalk.gray('═'.repeat(80)));
+
+    trace.phases.forEach(phase => {
+      console.log(
+        colors[phase.phase](
+          phase.phase.padEnd(12) +
+            phase.count.toLocaleString().padEnd(12) +
+            `${phase.total.toFixed(2)}ms`.padEnd(14) +
+            `${phase.avg.toFixed(3)}ms`.padEnd(12) +
+            `${phase.max.toFixed(2)}ms`.padEnd(14) +
+            `${phase.percentage.toFixed(1)}%`,
+        ),
+      );
+    });
+
+    console.log(chalk.gray('═'.repeat(80)));
+    console.log(
+      chalk.cyan(`Traced for ${trace.duration.toFixed(0)}ms, ${trace.busyTime.toFixed(2)}ms spent in callbacks`),
+    );
+    if (trace.dropped > 0) {
+      console.log(
+        chalk.yellow(`⚠️  ${trace.dropped.toLocaleString()} callbacks were not recorded (event limit reached)`),
+      );
+    }
+
+    // Keep the busiest segments, in the order they ran
+    let segments = trace.timeline;
+    if (segments.length > maxSegments) {
+      const busiest = new Set([...segments].sort((a, b) => b.duration - a.duration).slice(0, maxSegments));
+      segments = segments.filter(segment => busiest.has(segment));
+      console.log(chalk.yellow(`\n📈 Timeline (${maxSegments} busiest of ${trace.timeline.length} segments):`));
+    } else {
+      console.log(chalk.yellow('\n📈 Timeline:'));
+    }
+
+    const longest = Math.max(...segments.map(segment => segment.duration), 0);
+    segments.forEach(segment => {
+      const barLength = longest > 0 ? Math.max(1, Math.round((segment.duration / longest) * 30)) : 1;
+      console.log(
+        chalk.gray(`${segment.start.toFixed(1)}ms`.padStart(12) + '  ') +
+          colors[segment.phase](
+            `${segment.phase.padEnd(10)}${'█'.repeat(barLength).padEnd(32)}` +
+              `${segment.duration.toFixed(3)}ms (${segment.count} callback${segment.count === 1 ? '' : 's'})`,
+          ),
+      );
+    });
+
+    console.log(chalk.cyan('\n💡 Phases:'));
+    TRACED_PHASES.forEach(phase => {
+      console.log(chalk.gray(`  • ${phase.name}: ${phase.description}`));
+    });
+    console.log(chalk.gray('  • Code after a top-level await resumes as a promise reaction'));
+  }
+
+  async exploreAsyncResources() {
+    console.log(chalk.blue('\n🌳 Async Resource Lifecycle Explorer'));
+    console.log(
+      chalk.yellow('Tracks init/before/after/destroy/promiseResolve for every async resource of a small workload'),
+    );
+    console.log(
+      chalk.gray('Workload: setTimeout, setImmediate, nextTick, fs.promises.readFile, fs.readFile, Promise.all'),
+    );
+
+    const report = await this.monitor.exploreAsyncResources();
+
+    console.log(chalk.cyan('\n📊 Resources by Type:'));
+    console.log(chalk.gray('═'.repeat(80)));
+    console.log(
+      chalk.gray(
+        'Type'.padEnd(22) +
+          'Created'.padEnd(10) +
+          'Destroyed'.padEnd(12) +
+          'Never destroyed'.padEnd(18) +
+          'Avg lifetime',
+      ),
+    );
+    console.log(chalk.gray('═'.repeat(80)));
+    report.types.forEach(type => {
+      const color = type.neverDestroyed > 0 ? chalk.red : chalk.gray;
+      console.log(
+        color(
+          type.type.padEnd(22) +
+            type.created.toString().padEnd(10) +
+            type.destroyed.toString().padEnd(12) +
+            type.neverDestroyed.toString().padEnd(18) +
+            `${type.avgLifetime.toFixed(2)}ms`,
+        ),
+      );
+    });
+    console.log(chalk.gray('═'.repeat(80)));
+
+    console.log(chalk.cyan(`\n🌳 Causal Tree (triggerAsyncId → asyncId), ${report.resourceCount} resources:`));
+    this.showAsyncResourceTree(report.tree);
+
+    console.log(chalk.yellow(`\n⚠️  Never destroyed: ${report.neverDestroyed.length} resources`));
+    if (!report.gcForced) {
+      console.log(
+        chalk.gray(
+          '💡 Promises are destroyed only after garbage collection - run with --expose-gc to collect them first',
+        ),
+      );
+    }
+    console.log(chalk.gray('💡 The workload leaves one timer and one promise pending on purpose'));
+  }
+
+  showAsyncResourceTree(root, { maxNodes = 80 } = {}) {
+    let shown = 0;
+
+    const describe = node => {
+      const parts = [`${node.type} #${node.asyncId}`, `+${node.createdAt.toFixed(1)}ms`];
+      if (node.callbacks > 0) parts.push(`${node.callbacks} cb ${node.callbackTime.toFixed(2)}ms`);
+      if (node.resolvedAt !== null) parts.push(`resolved +${node.resolvedAt.toFixed(1)}ms`);
+      parts.push(node.destroyed ? `lived ${node.lifetime.toFixed(1)}ms` : 'never destroyed');
+      return node.destroyed ? chalk.gray(parts.join(' · ')) : chalk.red(`${parts.join(' · ')} ⚠️`);
+    };
+
+    const render = (node, prefix, isLast) => {
+      if (shown >= maxNodes) return;
+      shown++;
+
+      console.log(chalk.gray(prefix + (isLast ? '└─ ' : '├─ ')) + describe(node));
+      const childPrefix = prefix + (isLast ? '   ' : '│  ');
+      node.children.forEach((child, i) => render(child, childPrefix, i === node.children.length - 1));
+    };
+
+    console.log(chalk.blue(`${root.type} #${root.asyncId}`));
+    root.children.forEach((child, i) => render(child, '', i === root.children.length - 1));
+
+    const total = (function count(node) {
+      return node.children.reduce((sum, child) => sum + 1 + count(child), 0);
+    })(root);
+    if (total > shown) {
+      console.log(chalk.gray(`... ${total - shown} more resources not shown`));
+    }
+  }
+
+  async saturateThreadpool() {
+    console.log(chalk.blue('\n🏊 libuv Threadpool Saturation'));
+    console.log(chalk.yellow('Runs the same batch of operations with different UV_THREADPOOL_SIZE values'));
+
+    const choice = await this.question(
+      chalk.green(
+        '\nSelect threadpool operation:\n' +
+          THREADPOOL_OPERATIONS.map(({ name, description }, i) => `${i + 1}. ${name} - ${description}\n`).join(''),
+      ),
+    );
+    const operation = THREADPOOL_OPERATIONS[Number(choice.trim()) - 1];
+    if (!operation) {
+      console.log(chalk.red('❌ Invalid choice.'));
+      return;
+    }
+
+    await this.threadpoolSweep({ operation: operation.name });
+  }
+
+  async threadpoolSweep({ operation = 'pbkdf2', poolSizes = [1, 2, 4, 8], batchSize = 8 } = {}) {
+    console.log(
+      chalk.yellow(`\n🔄 Submitting ${batchSize} ${operation} operations at once with UV_THREADPOOL_SIZE=`) +
+        chalk.yellow(poolSizes.join(', ')),
+    );
+
+    const sweep = await this.monitor.threadpoolSweep({
+      operation,
+      poolSizes,
+      batchSize,
+      onRun: run => console.log(chalk.gray(`  • UV_THREADPOOL_SIZE=${run.poolSize}: ${run.total.toFixed(1)}ms`)),
+    });
+
+    this.showThreadpoolSweep(sweep);
+  }
+
+  showThreadpoolSweep(sweep, { width = 40 } = {}) {
+    const scale = Math.max(...sweep.runs.map(run => run.total));
+
+    console.log(chalk.cyan('\n📈 Completion times (one row per operation, in completion order):'));
+    sweep.runs.forEach(run => {
+      console.log(
+        chalk.blue(`\nUV_THREADPOOL_SIZE=${run.poolSize}`) +
+          chalk.gray(` - ${run.steps.length} step(s), ${run.expectedSteps} expected`),
+      );
+      [...run.completions]
+        .sort((a, b) => a.end - b.end)
+        .forEach(({ index, end }) => {
+          const length = Math.max(1, Math.round((end / scale) * width));
+          console.log(
+            chalk.gray(`  #${String(index + 1).padEnd(4)}`) +
+              chalk.green('█'.repeat(length)) +
+              chalk.gray('░'.repeat(width - length)) +
+              chalk.gray(` ${end.toFixed(1)}ms`),
+          );
+        });
+    });
+
+    console.log(chalk.cyan('\n📊 Summary:'));
+    console.log(chalk.white('Pool size'.padEnd(12) + 'Total'.padEnd(14) + 'Average'.padEnd(14) + 'Speedup'));
+    console.log(chalk.gray('─'.repeat(50)));
+    sweep.runs.forEach(run => {
+      const color = run.poolSize === sweep.recommended ? chalk.green : chalk.gray;
+      console.log(
+        color(
+          String(run.poolSize).padEnd(12) +
+            `${run.total.toFixed(1)}ms`.padEnd(14) +
+            `${run.average.toFixed(1)}ms`.padEnd(14) +
+            `${run.speedup.toFixed(2)}x`,
+        ),
+      );
+    });
+
+    console.log(
+      chalk.green(`\n✅ UV_THREADPOOL_SIZE=${sweep.recommended} is the smallest pool within 10% of the fastest run`),
+    );
+
+    console.log(chalk.yellow('\n💡 Insights:'));
+    console.log(chalk.gray('• Each thread runs one work item at a time; the rest wait in a FIFO queue'));
+    console.log(
+      chalk.gray(`• Threads beyond the CPU core count (${sweep.cpuCount} here) cannot speed up CPU-bound work`),
+    );
+    console.log(chalk.gray('• zlib and fs.readFile split each operation into chunks, so a batch interleaves'));
+    console.log(chalk.gray('  and finishes together instead of in steps'));
+    console.log(
+      chalk.gray('• The pool is shared by fs, dns.lookup, crypto and zlib: one slow user delays all of them'),
+    );
+  }
+
+  async demonstrateBlocking() {
+    while (true) {
+      console.log(chalk.blue('\n🚫 Demonstrating Blocking Operations'));
+      console.log(chalk.yellow('This will show how blocking operations affect the event loop'));
+
+      const choice = await this.question(
+        chalk.green(
+          '\nSelect blocking operation:\n' +
+            '1. CPU-intensive loop\n' +
+            '2. Synchronous file read\n' +
+            '3. Asynchronous file read\n' +
+            '4. Async vs Sync file read comparison\n' +
+            '5. Infinite loop\n' +
+            '6. Detect blocking code with the watchdog\n' +
+            '7. Back\n',
+        ),
+      );
+
+      try {
+        switch (choice.trim()) {
+          case '1':
+            await this.cpuIntensiveLoop();
+            break;
+          case '2':
+            await this.syncFileRead();
+            break;
+          case '3':
+            await this.asyncFileRead();
+            break;
+          case '4':
+            await this.compareFileReads();
+            break;
+          case '5':
+            await this.infiniteLoop();
+            break;
+          case '6': {
+            const operation = await this.question(
+              chalk.green('\nBlock the loop with:\n1. CPU-intensive loop\n2. Synchronous file read\n'),
+            );
+            await this.detectBlocking({ operation: operation.trim() === '2' ? 'sync-read' : 'cpu-loop' });
+            break;
+          }
+          case '7':
+            return;
+          default:
+            console.log(chalk.red('❌ Invalid choice.'));
+        }
+      } catch (error) {
+        this.showError(error);
+      }
+
+      // Wait for user to continue
+      await this.pause();
+    }
+  }
+
+  async cpuIntensiveLoop({ iterations = 1e10 } = {}) {
+    console.log(chalk.red('\n🚫 Starting CPU-intensive operation...'));
+    console.log(chalk.yellow(`This will block the event loop for ${iterations.toLocaleString()} iterations`));
+
+    const { duration, result } = await this.monitor.cpuIntensiveLoop({ iterations });
+
+    console.log(chalk.green(`✅ CPU-intensive operation completed in ${duration.toFixed(2)}ms`));
+    console.log(chalk.gray(`Result: ${result.toFixed(2)}`));
+  }
+
+  async detectBlocking({ operation = 'cpu-loop', threshold = 100, iterations = 300000000 } = {}) {
+    console.log(chalk.blue('\n🐕 Blocking Code Watchdog'));
+    console.log(
+      chalk.yellow(`A worker thread samples the main thread's stack whenever the loop stalls > ${threshold}ms`),
+    );
+    console.log(
+      chalk.red(
+        operation === 'cpu-loop'
+          ? `\n🚫 Running ${iterations.toLocaleString()} CPU-intensive iterations...`
+          : '\n🚫 Reading the generated 10MB fixture synchronously...',
+      ),
+    );
+
+    const { report } = await this.monitor.detectBlocking({ operation, threshold, iterations });
+    this.showBlockingReport(report);
+  }
+
+  showBlockingReport(report) {
+    if (report.stalls.length === 0) {
+      console.log(chalk.green(`\n✅ No stalls over ${report.threshold}ms detected`));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n📊 Stalls over ${report.threshold}ms:`));
+    report.stalls.forEach((stall, i) => {
+      console.log(
+        chalk.gray(`  • #${i + 1} at ${stall.start}ms: `) +
+          this.createLagBar(stall.duration) +
+          chalk.gray(` (${stall.samples.length} stack samples)`),
+      );
+    });
+    console.log(chalk.gray(`  • Total blocked: ${report.totalBlocked}ms of ${report.duration}ms`));
+
+    console.log(chalk.yellow('\n🔥 Functions that blocked the loop:'));
+    report.functions.forEach(fn => {
+      const percentage = (fn.blockedTime / report.totalBlocked) * 100;
+      console.log(
+        chalk.red(`  • ${fn.functionName}`) +
+          chalk.gray(
+            ` ${this.formatLocation(fn)} - ${fn.blockedTime}ms (${percentage.toFixed(1)}%, ${fn.samples} samples)`,
+          ),
+      );
+    });
+
+    const longest = report.stalls.reduce((a, b) => (b.duration > a.duration ? b : a));
+    console.log(chalk.cyan(`\n🧵 Main thread stack during the longest stall (${longest.duration}ms):`));
+    longest.stack.slice(0, 10).forEach(frame => {
+      console.log(chalk.gray(`    at ${frame.functionName} (${this.formatLocation(frame)})`));
+    });
+
+    if (longest.samples.length === 1 && longest.duration > report.threshold * 2) {
+      console.log(
+        chalk.yellow(
+          '\n💡 Native calls such as fs.readFileSync cannot be interrupted; the stack is sampled when they return',
+        ),
+      );
+    }
+  }
+
+  async syncFileRead({ filePath } = {}) {
+    console.log(chalk.red('\n🚫 Reading large file synchronously...'));
+    console.log(chalk.yellow('This will actually block the event loop!'));
+
+    console.log(chalk.cyan(`\n📁 Reading ${filePath ?? 'a generated 10MB fixture'}...`));
+    console.log(chalk.yellow('⏱️  Starting synchronous read...'));
+
+    const read = await this.readFile(() => this.monitor.syncFileRead({ filePath }));
+
+    console.log(chalk.green(`✅ File read completed in ${read.duration.toFixed(2)}ms`));
+    this.showFileStats(read);
+
+    // Show how this affected the event loop
+    console.log(chalk.yellow('\n⚠️  Event loop was blocked during this operation!'));
+    console.log(chalk.gray('• No other operations could be processed'));
+    console.log(chalk.gray('• Timers were delayed'));
+    console.log(chalk.gray('• I/O operations were queued'));
+  }
+
+  async asyncFileRead({ filePath } = {}) {
+    console.log(chalk.blue('\n🔄 Reading large file asynchronously...'));
+    console.log(chalk.yellow('This will NOT block the event loop!'));
+
+    console.log(chalk.cyan(`\n📁 Reading ${filePath ?? 'a generated 10MB fixture'} asynchronously...`));
+    console.log(chalk.yellow('⏱️  Starting asynchronous read...'));
+
+    const read = await this.readFile(() => this.monitor.asyncFileRead({ filePath }));
+
+    console.log(chalk.green(`✅ Async file read completed in ${read.duration.toFixed(2)}ms`));
+    this.showFileStats(read);
+
+    // Show the benefits of async operations
+    console.log(chalk.green('\n✅ Event loop remained responsive during this operation!'));
+    console.log(chalk.gray('• Other operations could continue processing'));
+    console.log(chalk.gray('• Timers were not delayed'));
+    console.log(chalk.gray('• I/O operations were not blocked'));
+  }
+
+  async readFile(read) {
+    try {
+      return await read();
+    } catch (error) {
+      console.log(chalk.red(`❌ Error reading file: ${error.message}`));
+      console.log(chalk.yellow('Check the file path, or leave it out to read a generated fixture'));
+      throw error;
+    }
+  }
+
+  showFileStats(read) {
+    console.log(chalk.cyan(`📊 File: ${read.filePath}`));
+    console.log(chalk.cyan(`📊 File size: ${(read.characters / 1024 / 1024).toFixed(2)} MB`));
+    console.log(chalk.cyan(`📊 Characters read: ${read.characters.toLocaleString()}`));
+    console.log(chalk.cyan(`📊 First 100 chars: "${read.preview}..."`));
+  }
+
+  async compareFileReads({
+    size = 50 * 1024 * 1024,
+    content = 'text',
+    highWaterMarks = [16 * 1024, 64 * 1024, 1024 * 1024],
+    concurrency = 4,
+  } = {}) {
+    console.log(chalk.blue('\n📚 File Read Strategy Comparison'));
+    console.log(chalk.yellow(`Reading a generated ${this.formatBytes(size)} ${content} file with each strategy...`));
+
+    const { fixture, resolution, results } = await this.monitor.compareFileReads({
+      size,
+      content,
+      highWaterMarks,
+      concurrency,
+    });
+    console.log(chalk.gray(`Fixture: ${fixture.path}${fixture.reused ? ' (reused)' : ''}`));
+
+    console.log(chalk.cyan('\n📊 Results (event loop delay sampled every ' + resolution + 'ms):'));
+    console.log(
+      chalk.white(
+        'Strategy'.padEnd(40) +
+          'Duration'.padEnd(12) +
+          'MB/s'.padEnd(10) +
+          'Delay p50'.padEnd(12) +
+          'Delay p99'.padEnd(12) +
+          'Max delay',
+      ),
+    );
+    console.log(chalk.gray('─'.repeat(98)));
+
+    results.forEach(result => {
+      let label = result.name;
+      if (result.highWaterMark) label += ` (highWaterMark ${this.formatBytes(result.highWaterMark)})`;
+      if (result.concurrency) label = `${result.concurrency}x ${label}`;
+
+      const color = result.delay.max > 100 ? chalk.red : result.delay.max > 50 ? chalk.yellow : chalk.green;
+      console.log(
+        color(
+          label.padEnd(40) +
+            `${result.duration.toFixed(2)}ms`.padEnd(12) +
+            result.throughput.toFixed(0).padEnd(10) +
+            `${result.delay.p50.toFixed(2)}ms`.padEnd(12) +
+            `${result.delay.p99.toFixed(2)}ms`.padEnd(12) +
+            `${result.delay.max.toFixed(2)}ms`,
+        ),
+      );
+    });
+
+    console.log(chalk.yellow('\n💡 Insights:'));
+    console.log(chalk.gray('• readFileSync blocks the loop for the whole read, so its max delay tracks its duration'));
+    console.log(chalk.gray('• fs.promises.readFile reads in chunks on the libuv threadpool and keeps the loop free'));
+    console.log(chalk.gray('• Smaller highWaterMark values mean more chunks, more callbacks and more overhead'));
+    console.log(chalk.gray('• Concurrent reads share the threadpool (4 threads by default)'));
+  }
+
+  async cleanupFixtures() {
+    const { directory, removed } = await this.monitor.cleanupFixtures();
+    console.log(chalk.green(`🧹 Removed ${removed} fixture file(s) from ${directory}`));
+  }
+
+  async infiniteLoop({ duration = 10000 } = {}) {
+    console.log(chalk.red('\n🚫 WARNING: This will create an infinite loop!'));
+    console.log(chalk.yellow(`This will simulate blocking the event loop for ${duration / 1000} seconds`));
+    if (this.interactive) {
+      console.log(chalk.yellow('Type "stop" to exit early, or wait for auto-exit'));
+
+      const choice = await this.question(chalk.green('Are you sure? (y/N): '));
+      if (choice.toLowerCase() !== 'y') return;
+    }
+
+    console.log(chalk.red('🚫 Starting simulated infinite loop...'));
+    console.log(chalk.yellow('Event loop will appear blocked!'));
+    console.log(chalk.cyan(`⏰ Will auto-exit in ${duration / 1000} seconds...`));
+
+    const controller = new AbortController();
+
+    // Set up user input checker
+    const checkUserInput = async () => {
+      try {
+        const input = await this.question(chalk.green('Type "stop" to exit: '));
+        if (input.trim().toLowerCase() === 'stop') {
+          controller.abort();
+        } else if (!controller.signal.aborted) {
+          // Continue checking input
+          checkUserInput();
+        }
+      } catch (error) {
+        // If readline is closed, just continue
+      }
+    };
+
+    // Start checking for user input
+    if (this.interactive) {
+      checkUserInput();
+    }
+
+    const result = await this.monitor.infiniteLoop({ duration, signal: controller.signal });
+
+    console.log(chalk.green('✅ Infinite loop stopped'));
+    console.log(chalk.cyan(`⏱️  Loop ran for ${result.duration}ms`));
+    console.log(chalk.cyan(`🔄 Completed ${result.iterations.toFixed(0)} iterations`));
+    console.log(chalk.gray('💡 Note: This simulated blocking behavior'));
+  }
+
+  async asyncVsSync({ iterations = 1000000 } = {}) {
+    console.log(chalk.blue('\n⚡ Async vs Sync Performance Comparison'));
+
+    console.log(chalk.yellow(`\n🔄 Running ${iterations.toLocaleString()} iterations...`));
+
+    const result = await this.monitor.asyncVsSync({ iterations });
+
+    console.log(chalk.cyan('\n📊 Results:'));
+    console.log(chalk.green(`✅ Synchronous: ${result.syncDuration.toFixed(2)}ms`));
+    console.log(chalk.yellow(`🔄 Asynchronous: ${result.asyncDuration.toFixed(2)}ms`));
+    console.log(chalk.blue(`📈 Speed difference: ${result.slowdown.toFixed(2)}x slower`));
+    console.log(chalk.gray(`💡 Note: Async allows other operations during execution`));
+
+    // Verify results
+    if (result.resultsMatch) {
+      console.log(chalk.green('✅ Results match!'));
+    } else {
+      console.log(chalk.red('❌ Results mismatch!'));
+    }
+  }
+}
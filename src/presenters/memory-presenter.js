@@ -0,0 +1,720 @@
+import chalk from 'chalk';
+import path from 'path';
+import { MEMORY_LEAKS } from '../core/memory-profiler.js';
+import { TerminalPresenter } from './terminal-presenter.js';
+
+export class MemoryPresenter extends TerminalPresenter {
+  constructor(rl, profiler) {
+    super(rl);
+    this.profiler = profiler;
+  }
+
+  async demonstrateLeak() {
+    while (true) {
+      console.log(chalk.blue('\n💾 Memory Leak Demonstration'));
+      console.log(chalk.yellow('This will show common memory leak patterns and how to detect them'));
+
+      const choice = await this.question(
+        chalk.green(
+          '\nSelect leak type:\n1. Event listener leak\n2. Closure leak\n3. Array/object accumulation\n4. Timer leak\n5. Heap snapshot comparison of a leak\n6. Retainer paths of leaked objects\n7. Run a leak into the heap limit\n8. Leak detector on each leak and its fix\n9. Back\n',
+        ),
+      );
+
+      try {
+        switch (choice.trim()) {
+          case '1':
+            await this.eventListenerLeak();
+            break;
+          case '2':
+            await this.closureLeak();
+            break;
+          case '3':
+            await this.accumulationLeak();
+            break;
+          case '4':
+            await this.timerLeak();
+            break;
+          case '5':
+            await this.snapshotLeak();
+            break;
+          case '6':
+            await this.exploreRetainers();
+            break;
+          case '7':
+            await this.crashAtHeapLimit();
+            break;
+          case '8':
+            await this.checkLeaks();
+            break;
+          case '9':
+            return;
+          default:
+            console.log(chalk.red('❌ Invalid choice.'));
+        }
+      } catch (error) {
+        this.showError(error);
+      }
+
+      // Wait for user to continue
+      await this.pause();
+    }
+  }
+
+  async eventListenerLeak({ rounds = 6 } = {}) {
+    console.log(chalk.blue('\n🎧 Event Listener Memory Leak'));
+    console.log(chalk.yellow('This demonstrates how event listeners can cause memory leaks'));
+
+    const iterations = 10000;
+    console.log(chalk.cyan(`\n🔄 Creating ${iterations.toLocaleString()} event listeners...`));
+
+    const result = await this.profiler.eventListenerLeak({ iterations });
+
+    console.log(chalk.green(`✅ Created ${iterations.toLocaleString()} event listeners`));
+    console.log(chalk.cyan(`📊 Memory used: ${this.formatBytes(result.memoryUsed)}`));
+
+    // Demonstrate the leak
+    console.log(chalk.yellow('\n⚠️  Memory Leak Detected!'));
+    console.log(chalk.gray('• Event listeners are still holding references to emitters'));
+    console.log(chalk.gray("• Even though we're done with them, they can't be garbage collected"));
+    console.log(chalk.gray('• This creates a circular reference: emitter → listener → emitter'));
+
+    // Show how to fix it
+    console.log(chalk.cyan('\n🔧 How to Fix:'));
+    console.log(chalk.gray("• Remove listeners when done: emitter.removeListener('data', listener)"));
+    console.log(chalk.gray('• Use once() instead of on() for one-time events'));
+    console.log(chalk.gray('• Use weak references or proper cleanup patterns'));
+
+    console.log(chalk.yellow('\n🧹 Cleaned up properly by removing every listener'));
+    this.showMemoryFreed(result.memoryFreed);
+
+    await this.compareLeakFix({
+      type: 'listener',
+      fix: 'once() instead of on(), so no listener outlives its event',
+      rounds,
+    });
+  }
+
+  async closureLeak({ rounds = 6 } = {}) {
+    console.log(chalk.blue('\n🔒 Closure Memory Leak'));
+    console.log(chalk.yellow('This demonstrates how closures can capture large objects in memory'));
+
+    const iterations = 1000;
+    console.log(chalk.cyan(`\n🔄 Creating ${iterations.toLocaleString()} closures with large data...`));
+
+    const result = await this.profiler.closureLeak({ iterations });
+
+    console.log(chalk.green(`✅ Created ${iterations.toLocaleString()} closures`));
+    console.log(chalk.cyan(`📊 Memory used: ${this.formatBytes(result.memoryUsed)}`));
+
+    // Demonstrate the leak
+    console.log(chalk.yellow('\n⚠️  Memory Leak Detected!'));
+    console.log(chalk.gray('• Each closure captures largeData in its lexical scope'));
+    console.log(chalk.gray('• Even though we only need the function, the data stays in memory'));
+    console.log(chalk.gray('• This is a common pattern in event handlers and callbacks'));
+
+    // Show how to fix it
+    console.log(chalk.cyan('\n🔧 How to Fix:'));
+    console.log(chalk.gray('• Pass only necessary data to closures'));
+    console.log(chalk.gray('• Use weak references (WeakMap, WeakSet)'));
+    console.log(chalk.gray('• Restructure code to avoid capturing large objects'));
+
+    console.log(chalk.yellow('\n🧹 Cleaned up by dropping every closure'));
+    this.showMemoryFreed(result.memoryFreed);
+
+    await this.compareLeakFix({
+      type: 'closure',
+      fix: 'closures that capture only the length instead of largeData',
+      rounds,
+    });
+  }
+
+  async accumulationLeak({ rounds = 6 } = {}) {
+    console.log(chalk.blue('\n📦 Array/Object Accumulation Leak'));
+    console.log(chalk.yellow('This demonstrates how accumulating data can cause memory leaks'));
+
+    const iterations = 100000;
+    console.log(chalk.cyan(`\n🔄 Accumulating ${iterations.toLocaleString()} objects...`));
+
+    const result = await this.profiler.accumulationLeak({ iterations });
+
+    console.log(chalk.green(`✅ Accumulated ${iterations.toLocaleString()} objects`));
+    console.log(chalk.cyan(`📊 Memory used: ${this.formatBytes(result.memoryUsed)}`));
+
+    // Demonstrate the leak
+    console.log(chalk.yellow('\n⚠️  Memory Leak Detected!'));
+    console.log(chalk.gray('• Data is continuously accumulating without cleanup'));
+    console.log(chalk.gray('• Old data is never removed or expired'));
+    console.log(chalk.gray('• This is common in logging systems, caches, and data collectors'));
+
+    // Show how to fix it
+    console.log(chalk.cyan('\n🔧 How to Fix:'));
+    console.log(chalk.gray('• Implement data expiration (TTL)'));
+    console.log(chalk.gray('• Use circular buffers or size limits'));
+    console.log(chalk.gray('• Implement LRU (Least Recently Used) eviction'));
+    console.log(chalk.gray('• Regular cleanup of old data'));
+
+    // Demonstrate cleanup strategies
+    const { cleanupStrategies } = result;
+    console.log(chalk.yellow('\n🧹 Cleanup strategies:'));
+    console.log(chalk.cyan(`  • Recent data only: ${cleanupStrategies.recentOnly.toLocaleString()} items`));
+    console.log(chalk.cyan(`  • First 10K items: ${cleanupStrategies.firstN.toLocaleString()} items`));
+    console.log(chalk.cyan(`  • Cleared all data: ${cleanupStrategies.cleared} items`));
+
+    this.showMemoryFreed(result.memoryFreed);
+
+    await this.compareLeakFix({
+      type: 'accumulation',
+      fix: 'one long-lived store bounded to the last 1,000 entries (LRU)',
+      rounds,
+    });
+  }
+
+  async timerLeak({ rounds = 6 } = {}) {
+    console.log(chalk.blue('\n⏰ Timer Memory Leak'));
+    console.log(chalk.yellow('This demonstrates how timers can cause memory leaks'));
+
+    const iterations = 1000;
+    console.log(chalk.cyan(`\n🔄 Creating ${iterations.toLocaleString()} timers...`));
+
+    const result = await this.profiler.timerLeak({ iterations });
+
+    console.log(chalk.green(`✅ Created ${iterations.toLocaleString()} timers`));
+    console.log(chalk.cyan(`📊 Memory used: ${this.formatBytes(result.memoryUsed)}`));
+
+    // Demonstrate the leak
+    console.log(chalk.yellow('\n⚠️  Memory Leak Detected!'));
+    console.log(chalk.gray('• Timers are still active and consuming memory'));
+    console.log(chalk.gray('• Intervals will run forever unless cleared'));
+    console.log(chalk.gray('• Each timer holds references to its callback and variables'));
+
+    // Show how to fix it
+    console.log(chalk.cyan('\n🔧 How to Fix:'));
+    console.log(chalk.gray('• Always clear timeouts and intervals when done'));
+    console.log(chalk.gray('• Use clearTimeout() and clearInterval()'));
+    console.log(chalk.gray('• Store timer IDs and clear them in cleanup'));
+    console.log(chalk.gray('• Consider using AbortController for cancellation'));
+
+    console.log(chalk.yellow('\n🧹 Cleaned up by clearing every timer'));
+    this.showMemoryFreed(result.memoryFreed);
+
+    await this.compareLeakFix({
+      type: 'timer',
+      fix: 'timers that fire and are cleared once their work is done, intervals after their last tick',
+      rounds,
+    });
+  }
+
+  // The leak and its corrected implementation under the same load, one post-GC heap curve each
+  async compareLeakFix({ type, fix, rounds = 6 }) {
+    console.log(chalk.blue('\n🆚 Leaking vs Fixed'));
+    console.log(chalk.cyan(`🔧 Fixed implementation: ${fix}`));
+
+    const { iterations, leaking, fixed, postGcDifference } = await this.profiler.compareLeakFix({ type, rounds });
+    console.log(
+      chalk.yellow(
+        `\n📈 Heap after a forced GC, above the baseline, for ${rounds} rounds of ${iterations.toLocaleString()} iterations:`,
+      ),
+    );
+
+    const width = 24;
+    const growth = variant => variant.samples.map(sample => sample.heapUsed - variant.baseline);
+    const curves = { leaking: growth(leaking), fixed: growth(fixed) };
+    const scale = Math.max(1, ...curves.leaking, ...curves.fixed);
+    const bar = (bytes, color) => {
+      const length = Math.max(0, Math.round((bytes / scale) * width));
+      return color('█'.repeat(length)) + chalk.gray('░'.repeat(width - length));
+    };
+
+    console.log(chalk.white(`  ${'Round'.padEnd(7)}${'Leaking'.padEnd(width + 13)}Fixed`));
+    for (let round = 0; round < rounds; round++) {
+      console.log(
+        chalk.gray(`  ${String(round + 1).padEnd(7)}`) +
+          bar(curves.leaking[round], chalk.red) +
+          chalk.red(this.formatBytes(curves.leaking[round]).padStart(12)) +
+          ' ' +
+          bar(curves.fixed[round], chalk.green) +
+          chalk.green(this.formatBytes(curves.fixed[round]).padStart(12)),
+      );
+    }
+
+    const peak = variant => Math.max(...variant.samples.map(sample => sample.heapBeforeGC)) - variant.baseline;
+    console.log(
+      chalk.gray(
+        `  Before GC the heap peaked ${this.formatBytes(peak(leaking))} (leaking) and ${this.formatBytes(peak(fixed))} (fixed) above the baseline`,
+      ),
+    );
+
+    console.log(
+      chalk.green(`\n📉 Post-GC difference after ${rounds} rounds: ${this.formatBytes(postGcDifference)}`) +
+        chalk.gray(
+          ` (${this.formatBytes(leaking.bytesPerIteration)} vs ${this.formatBytes(fixed.bytesPerIteration)} per round)`,
+        ),
+    );
+  }
+
+  async snapshotLeak({ type, iterations, cleanup = false, top = 8, outputDir } = {}) {
+    console.log(chalk.blue('\n📸 Heap Snapshot Comparison'));
+    console.log(chalk.yellow('Baseline snapshot → run the leak → snapshot → force GC → snapshot'));
+
+    if (this.interactive && !type) {
+      const types = Object.keys(MEMORY_LEAKS);
+      const answer = await this.question(
+        chalk.green(
+          `\nWhich leak?\n${types.map((name, i) => `${i + 1}. ${name}`).join('\n')}\n${types.length + 1}. all\n`,
+        ),
+      );
+      type = answer.trim() === String(types.length + 1) ? 'all' : types[Number(answer.trim()) - 1];
+      if (!type) {
+        console.log(chalk.red('❌ Invalid choice.'));
+        return;
+      }
+    }
+
+    const types = type === 'all' ? Object.keys(MEMORY_LEAKS) : [type ?? 'listener'];
+    for (const leak of types) {
+      console.log(
+        chalk.cyan(
+          `\n🔄 ${leak} leak (${(iterations ?? MEMORY_LEAKS[leak].snapshotIterations).toLocaleString()} iterations, ${cleanup ? 'cleaned up' : 'left uncleaned'})...`,
+        ),
+      );
+      const comparison = await this.profiler.snapshotLeak({ type: leak, iterations, cleanup, top, outputDir });
+      this.showHeapComparison(comparison, { top });
+
+      if (comparison.survivors.sites[0]) {
+        const culprit =
+          comparison.survivors.sites.find(site => site.name !== '(untracked)') ?? comparison.survivors.sites[0];
+        console.log(
+          chalk.yellow(
+            `\n🎯 Top allocation site of the survivors: ${culprit.name.replace(`${process.cwd()}${path.sep}`, '')}`,
+          ),
+        );
+      }
+    }
+
+    console.log(
+      chalk.gray(`\n💾 Snapshots saved in ${outputDir ?? 'profiles'}; load two in Chrome DevTools → Comparison`),
+    );
+    console.log(chalk.gray('💡 Objects from the load that survive a forced GC are what the leak keeps alive'));
+  }
+
+  async exploreRetainers({ type, file, find = [], instances = 1, maxPaths = 2, order = 'newest', outputDir } = {}) {
+    console.log(chalk.blue('\n🧭 Retainer Path Explorer'));
+    console.log(chalk.yellow('Shows the shortest chains of references from the GC roots that keep objects alive'));
+
+    if (this.interactive && !file && !type) {
+      const answer = await this.question(
+        chalk.green('A .heapsnapshot file to explore (Enter to run a leak and snapshot it): '),
+      );
+      file = answer.trim() || undefined;
+      if (!file) {
+        const types = Object.keys(MEMORY_LEAKS);
+        const choice = await this.question(
+          chalk.green(`\nWhich leak?\n${types.map((name, i) => `${i + 1}. ${name}`).join('\n')}\n`),
+        );
+        type = types[Number(choice.trim()) - 1];
+        if (!type) {
+          console.log(chalk.red('❌ Invalid choice.'));
+          return;
+        }
+      }
+    }
+
+    if (!file) {
+      console.log(
+        chalk.cyan(`\n🔄 Running the ${type ?? 'listener'} leak without cleanup and taking a heap snapshot...`),
+      );
+    }
+    const { type: leak, file: snapshotFile, snapshot } = await this.profiler.leakSnapshot({ type, file, outputDir });
+    console.log(chalk.gray(`📄 ${snapshotFile} (${snapshot.nodeCount.toLocaleString()} nodes)`));
+
+    const suggestion = leak && MEMORY_LEAKS[leak].retains;
+    if (find.length === 0 && suggestion && !this.interactive) find = [suggestion];
+    if (find.length === 0 && !this.interactive) {
+      throw new Error('Pass a constructor name, function name or @id to look up');
+    }
+
+    const explain = query => this.showRetention(snapshot.explainRetention(query, { instances, maxPaths, order }));
+    find.forEach(explain);
+
+    if (this.interactive) {
+      if (suggestion)
+        console.log(chalk.yellow(`\n💡 The ${leak} leak keeps ${suggestion} objects alive, try "${suggestion}"`));
+      while (true) {
+        const query = await this.question(chalk.green('\nConstructor, function name or @id (Enter to finish): '));
+        if (!query.trim()) break;
+        explain(query);
+      }
+    }
+  }
+
+  showRetention({ query, matchCount, instances }) {
+    if (matchCount === 0) {
+      console.log(chalk.red(`\n❌ Nothing reachable matches "${query}"`));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n🔎 ${query}: ${matchCount.toLocaleString()} reachable, showing ${instances.length}`));
+    instances.forEach(instance => {
+      console.log(
+        chalk.white(`\n  ${instance.node}`) +
+          chalk.gray(
+            `  self ${this.formatBytes(instance.selfSize)}, retained ${this.formatBytes(instance.retainedSize)}, ${instance.distance} references from the root`,
+          ),
+      );
+
+      instance.paths.forEach((path, index) => {
+        console.log(chalk.yellow(`    Path ${index + 1}:`));
+        path.forEach((step, depth) => {
+          const edge = step.edge ? chalk.yellow(`${step.edge} → `) : '';
+          const node = depth === path.length - 1 ? chalk.red(step.node) : chalk.white(step.node);
+          console.log(`      ${depth === 0 ? '' : chalk.gray('└ ')}${edge}${node}`);
+        });
+      });
+    });
+  }
+
+  async checkLeaks({ type, iterations = 10, snapshots = 3 } = {}) {
+    console.log(chalk.blue('\n🔬 Leak Detector'));
+    console.log(
+      chalk.yellow(
+        `Runs each variant ${iterations} times with a forced GC after each, and fits the heap that survives`,
+      ),
+    );
+
+    if (this.interactive && !type) {
+      const types = Object.keys(MEMORY_LEAKS);
+      const answer = await this.question(
+        chalk.green(
+          `\nWhich leak?\n${types.map((name, i) => `${i + 1}. ${name}`).join('\n')}\n${types.length + 1}. all\n`,
+        ),
+      );
+      type = answer.trim() === String(types.length + 1) ? 'all' : types[Number(answer.trim()) - 1];
+      if (!type) {
+        console.log(chalk.red('❌ Invalid choice.'));
+        return;
+      }
+    }
+
+    const variant = fixed => (fixed ? 'fixed' : 'leaking');
+    console.log('');
+    const checks = await this.profiler.checkLeaks({
+      types: !type || type === 'all' ? Object.keys(MEMORY_LEAKS) : [type],
+      iterations,
+      snapshots,
+      onCheck: check =>
+        console.log(
+          chalk.gray(
+            `  • ${check.type} (${variant(check.fixed)}): ${check.verdict}, ${this.formatBytes(check.bytesPerIteration)} per iteration`,
+          ),
+        ),
+    });
+
+    console.log(chalk.cyan('\n📊 Post-GC heap regression:'));
+    console.log(
+      chalk.white(
+        '  ' +
+          'Leak'.padEnd(14) +
+          'Variant'.padEnd(10) +
+          'Per iteration'.padStart(14) +
+          'Growth'.padStart(12) +
+          'r²'.padStart(7) +
+          'p'.padStart(8) +
+          'Grew'.padStart(7) +
+          'Confidence'.padStart(12) +
+          '  Verdict',
+      ),
+    );
+    console.log(chalk.gray('  ' + '─'.repeat(100)));
+    checks.forEach(check => {
+      const color = { leak: chalk.red, possible: chalk.yellow, stable: chalk.green }[check.verdict];
+      console.log(
+        chalk.white('  ' + check.type.padEnd(14)) +
+          chalk.gray(variant(check.fixed).padEnd(10)) +
+          chalk.cyan(this.formatBytes(check.bytesPerIteration).padStart(14)) +
+          chalk.cyan(this.formatBytes(check.totalGrowth).padStart(12)) +
+          chalk.gray(check.r2.toFixed(2).padStart(7)) +
+          chalk.gray((check.pValue < 0.001 ? '<0.001' : check.pValue.toFixed(3)).padStart(8)) +
+          chalk.gray(`${(check.monotonic * 100).toFixed(0)}%`.padStart(7)) +
+          color(`${(check.confidence * 100).toFixed(0)}%`.padStart(12)) +
+          color(`  ${check.verdict}`) +
+          (check.correct ? chalk.green(' ✅') : chalk.red(' ❌ expected ' + (check.fixed ? 'stable' : 'leak'))),
+      );
+    });
+    console.log(chalk.gray('  p: chance of a slope this steep without any growth (one-sided t test)'));
+    console.log(chalk.gray('  Grew: share of iterations after which the post-GC heap was larger than before'));
+
+    const leaks = checks.filter(check => check.verdict !== 'stable' && check.objects);
+    if (leaks.length > 0) {
+      console.log(
+        chalk.cyan(`\n📈 Objects that grew across the snapshots (iterations ${leaks[0].objects.points.join(', ')}):`),
+      );
+      leaks.forEach(check => {
+        console.log(chalk.white(`\n  ${check.type} (${variant(check.fixed)})`));
+        check.objects.growing
+          .filter(group => group.steady)
+          .slice(0, 3)
+          .forEach(group => {
+            console.log(
+              chalk.gray(`    ${group.name.slice(0, 28).padEnd(30)}`) +
+                chalk.yellow(`+${group.perIteration.toFixed(1)} per iteration`.padEnd(24)) +
+                chalk.gray(group.counts.map(count => count.toLocaleString()).join(' → ')),
+            );
+          });
+      });
+    }
+
+    const correct = checks.filter(check => check.correct).length;
+    console.log(
+      (correct === checks.length ? chalk.green : chalk.yellow)(
+        `\n🎯 ${correct} of ${checks.length} variants classified as expected`,
+      ),
+    );
+
+    console.log(chalk.yellow('\n💡 Insights:'));
+    console.log(chalk.gray('  • Without a forced GC, garbage waiting to be collected looks exactly like a leak'));
+    console.log(chalk.gray('  • A leak grows the post-GC heap by about the same amount every run: a straight line'));
+    console.log(chalk.gray('  • Object counts per constructor say what leaks, the heap slope says how fast'));
+  }
+
+  async crashAtHeapLimit({ maxOldSpaceSize = 32, batchSize = 10000, top = 5, outputDir } = {}) {
+    console.log(chalk.blue('\n💀 Running Out of Heap'));
+    console.log(
+      chalk.yellow(
+        `Accumulating ${batchSize.toLocaleString()} objects per batch in a child with --max-old-space-size=${maxOldSpaceSize}...`,
+      ),
+    );
+
+    const result = await this.profiler.crashAtHeapLimit({ maxOldSpaceSize, batchSize, top, outputDir });
+    const last = result.batches.at(-1);
+
+    console.log(
+      chalk.red(
+        `\n💥 The child died after ${(result.duration / 1000).toFixed(1)}s (${result.signal ?? `exit code ${result.code}`})`,
+      ),
+    );
+    console.log(chalk.red(`   FATAL ERROR: ${result.message}`));
+    if (last) {
+      console.log(
+        chalk.gray(
+          `   ${last.retained.toLocaleString()} objects accumulated in ${last.batch} batches, heap at ${this.formatBytes(last.heapUsed)} after the last one`,
+        ),
+      );
+    }
+
+    if (result.lastGCs.length > 0) {
+      console.log(chalk.cyan('\n🗑️  Last GCs before the crash:'));
+      result.lastGCs.forEach(gc => {
+        console.log(
+          chalk.gray(`  ${`${gc.time}ms`.padStart(9)}  `) +
+            chalk.yellow(gc.type.padEnd(14)) +
+            chalk.white(`${this.formatBytes(gc.before)} → ${this.formatBytes(gc.after)}`.padEnd(24)) +
+            chalk.magenta(`${gc.pause.toFixed(2)}ms`.padStart(10)) +
+            chalk.gray(`  ${gc.reason}`),
+        );
+      });
+      console.log(chalk.gray('  Mark-compacts that free almost nothing mean the live set has filled the heap'));
+    }
+
+    if (result.nativeStack.length > 0) {
+      console.log(chalk.cyan('\n🧵 Native stack (top frames):'));
+      result.nativeStack.slice(0, 5).forEach(frame => console.log(chalk.gray(`  ${frame.slice(0, 110)}`)));
+    }
+
+    if (!result.summary) {
+      console.log(chalk.red('\n❌ V8 did not write a heap snapshot before the crash'));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n📸 Snapshot written near the heap limit: ${result.snapshotFile}`));
+    console.log(chalk.cyan(`📊 Reachable heap: ${this.formatBytes(result.summary.totalSize)}`));
+    console.log(chalk.white(`\n  ${'Constructor'.padEnd(32)}${'Count'.padStart(10)}${'Retained'.padStart(14)}`));
+    result.summary.constructors.forEach(({ name, count, retainedSize }) => {
+      console.log(
+        chalk.gray(`  ${name.slice(0, 30).padEnd(32)}`) +
+          chalk.white(count.toLocaleString().padStart(10)) +
+          chalk.cyan(this.formatBytes(retainedSize).padStart(14)),
+      );
+    });
+
+    console.log(chalk.yellow('\n🎯 Top retainers:'));
+    result.retainers.forEach(retainer => {
+      console.log(
+        chalk.white(`\n  ${retainer.node}`) +
+          chalk.gray(
+            ` retains ${this.formatBytes(retainer.retainedSize)} (${(retainer.share * 100).toFixed(0)}% of the heap)`,
+          ),
+      );
+      const [path] = retainer.paths;
+      if (path) {
+        console.log(
+          chalk.gray(`    ${path.map(step => (step.edge ? `${step.edge} → ${step.node}` : step.node)).join(' ')}`),
+        );
+      }
+    });
+
+    console.log(chalk.yellow('\n💡 Insights:'));
+    console.log(
+      chalk.gray('  • Near the limit, V8 raises it just long enough to write the snapshot, then the process dies'),
+    );
+    console.log(chalk.gray('  • Start from the biggest retainer and follow its path from the GC roots to the leak'));
+    console.log(
+      chalk.gray('  • In production, node --heapsnapshot-near-heap-limit=1 does the same without code changes'),
+    );
+  }
+
+  // Without --expose-gc there is nothing to show: the leaking vs fixed comparison forces GC through the inspector
+  showMemoryFreed(freed) {
+    if (freed !== null) {
+      console.log(chalk.green(`✅ Memory freed after garbage collection: ${this.formatBytes(freed)}`));
+    }
+  }
+
+  async monitorUsage({ duration } = {}) {
+    console.log(chalk.blue('\n📊 Memory Usage Monitoring'));
+    console.log(chalk.yellow('This will continuously monitor memory usage and detect patterns'));
+
+    console.log(chalk.cyan('\n📋 Monitoring Options:'));
+    if (duration) {
+      console.log(chalk.gray(`• Monitoring will stop after ${duration / 1000} seconds`));
+    } else {
+      console.log(chalk.gray('• Press Enter to stop monitoring'));
+      console.log(chalk.gray('• Monitoring will continue until you stop it'));
+    }
+
+    const controller = new AbortController();
+    const monitoring = this.profiler.monitorUsage({
+      duration,
+      signal: controller.signal,
+      onSample: sample => this.showSample(sample, { showStopHint: !duration }),
+    });
+
+    // Wait for the fixed duration, or for user to press Enter to stop
+    if (!duration) {
+      await this.question(chalk.yellow('\n🛑 Press Enter to stop monitoring...'));
+      controller.abort();
+    }
+
+    // Final analysis
+    this.showMemoryAnalysis(await monitoring);
+  }
+
+  showSample({ elapsed, memUsage, heapUtilization, trend, pressure }, { showStopHint }) {
+    console.clear();
+    console.log(chalk.blue.bold('📊 Memory Usage Monitor'));
+    console.log(chalk.cyan('═'.repeat(60)));
+    console.log(chalk.yellow(`⏱️  Elapsed: ${(elapsed / 1000).toFixed(1)}s`));
+    console.log(chalk.yellow(`📊 Heap Used: ${this.formatBytes(memUsage.heapUsed)}`));
+    console.log(chalk.yellow(`🏗️  Heap Total: ${this.formatBytes(memUsage.heapTotal)}`));
+    console.log(chalk.yellow(`💾 External: ${this.formatBytes(memUsage.external)}`));
+    console.log(chalk.yellow(`📦 Array Buffers: ${this.formatBytes(memUsage.arrayBuffers)}`));
+    console.log(chalk.yellow(`📈 Utilization: ${heapUtilization.toFixed(2)}%`));
+
+    // Memory trend
+    if (trend.length > 1) {
+      this.showMemoryTrend(trend);
+    }
+
+    // Memory pressure indicators
+    this.showMemoryPressureIndicators(pressure);
+
+    // Show stop instruction
+    if (showStopHint) {
+      console.log(chalk.cyan('\n💡 Press Enter to stop monitoring'));
+    }
+  }
+
+  showMemoryTrend(trend) {
+    const values = trend.map(heapUsed => heapUsed / (1024 * 1024)); // Convert to MB
+
+    console.log(chalk.cyan(`\n📈 Memory Trend (Last ${trend.length} snapshots):`));
+
+    const maxValue = Math.max(...values);
+    const minValue = Math.min(...values);
+    const chartHeight = 8;
+
+    for (let i = chartHeight; i >= 0; i--) {
+      const threshold = minValue + (maxValue - minValue) * (i / chartHeight);
+      const line = values.map(value => (value >= threshold ? '█' : '░')).join(' ');
+
+      const yLabel = i === chartHeight ? `${maxValue.toFixed(1)}MB` : i === 0 ? `${minValue.toFixed(1)}MB` : '';
+
+      console.log(chalk.gray(`${yLabel.padStart(8)} ${line}`));
+    }
+
+    const labels = values.map((_, i) => `T${i + 1}`);
+    console.log(chalk.gray('         ' + labels.join(' ')));
+  }
+
+  showMemoryPressureIndicators({ level, growthRate }) {
+    console.log(chalk.yellow('\n⚠️  Memory Pressure Indicators:'));
+
+    switch (level) {
+      case 'critical':
+        console.log(chalk.red('  • 🔴 Critical: Heap utilization > 90%'));
+        break;
+      case 'high':
+        console.log(chalk.red('  • 🔴 High: Heap utilization > 80%'));
+        break;
+      case 'moderate':
+        console.log(chalk.yellow('  • 🟡 Moderate: Heap utilization > 70%'));
+        break;
+      default:
+        console.log(chalk.green('  • 🟢 Healthy: Heap utilization < 70%'));
+    }
+
+    // Check for rapid growth
+    if (growthRate !== null) {
+      if (growthRate > 10) {
+        console.log(chalk.red(`  • 🔴 Rapid growth: ${growthRate.toFixed(1)}MB/s`));
+      } else if (growthRate > 1) {
+        console.log(chalk.yellow(`  • 🟡 Steady growth: ${growthRate.toFixed(1)}MB/s`));
+      } else if (growthRate < -1) {
+        console.log(chalk.green(`  • 🟢 Memory decreasing: ${Math.abs(growthRate).toFixed(1)}MB/s`));
+      } else {
+        console.log(chalk.green('  • 🟢 Memory stable'));
+      }
+    }
+  }
+
+  showMemoryAnalysis(stats) {
+    if (!stats) {
+      console.log(chalk.yellow('Not enough data for analysis'));
+      return;
+    }
+
+    console.log(chalk.blue('\n📊 Memory Usage Analysis'));
+    console.log(chalk.cyan('═'.repeat(60)));
+
+    console.log(chalk.yellow('📈 Heap Used:'));
+    console.log(chalk.gray(`  • Min: ${this.formatBytes(stats.heapUsed.min)}`));
+    console.log(chalk.gray(`  • Max: ${this.formatBytes(stats.heapUsed.max)}`));
+    console.log(chalk.gray(`  • Average: ${this.formatBytes(stats.heapUsed.avg)}`));
+    console.log(chalk.gray(`  • Growth: ${this.formatBytes(stats.heapUsed.growth)}`));
+
+    console.log(chalk.yellow('\n🏗️  Heap Total:'));
+    console.log(chalk.gray(`  • Min: ${this.formatBytes(stats.heapTotal.min)}`));
+    console.log(chalk.gray(`  • Max: ${this.formatBytes(stats.heapTotal.max)}`));
+    console.log(chalk.gray(`  • Average: ${this.formatBytes(stats.heapTotal.avg)}`));
+
+    console.log(chalk.yellow('\n💾 External Memory:'));
+    console.log(chalk.gray(`  • Min: ${this.formatBytes(stats.external.min)}`));
+    console.log(chalk.gray(`  • Max: ${this.formatBytes(stats.external.max)}`));
+    console.log(chalk.gray(`  • Average: ${this.formatBytes(stats.external.avg)}`));
+
+    switch (stats.verdict) {
+      case 'leak':
+        console.log(chalk.red('\n⚠️  Potential Memory Leak Detected!'));
+        console.log(chalk.gray(`  • Memory grew by ${this.formatBytes(stats.heapUsed.growth)} during monitoring`));
+        console.log(chalk.gray('  • Consider investigating for memory leaks'));
+        break;
+      case 'growth':
+        console.log(chalk.yellow('\n⚠️  Memory Growth Observed'));
+        console.log(chalk.gray(`  • Memory grew by ${this.formatBytes(stats.heapUsed.growth)} during monitoring`));
+        console.log(chalk.gray('  • Monitor for continued growth'));
+        break;
+      default:
+        console.log(chalk.green('\n✅ Memory Stable'));
+        console.log(chalk.gray('  • No significant memory growth detected'));
+    }
+  }
+}
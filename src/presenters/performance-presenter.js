@@ -0,0 +1,701 @@
+import chalk from 'chalk';
+import path from 'path';
+import { TerminalPresenter } from './terminal-presenter.js';
+
+export class PerformancePresenter extends TerminalPresenter {
+  constructor(rl, analyzer) {
+    super(rl);
+    this.analyzer = analyzer;
+  }
+
+  async cpuProfile() {
+    while (true) {
+      console.log(chalk.blue('\n📊 CPU Profiling'));
+      console.log(chalk.yellow('This will demonstrate CPU profiling techniques and analysis'));
+
+      const choice = await this.question(
+        chalk.green(
+          '\nSelect profiling method:\n1. V8 CPU profiler (node:inspector)\n2. Custom performance measurement\n3. Function-level profiling\n4. Process a --prof isolate log\n5. Back\n',
+        ),
+      );
+
+      try {
+        switch (choice.trim()) {
+          case '1':
+            await this.captureCpuProfile();
+            break;
+          case '2':
+            await this.customPerformanceMeasurement();
+            break;
+          case '3':
+            await this.functionLevelProfiling();
+            break;
+          case '4':
+            await this.processIsolateLog();
+            break;
+          case '5':
+            return;
+          default:
+            console.log(chalk.red('❌ Invalid choice.'));
+        }
+      } catch (error) {
+        this.showError(error);
+      }
+
+      // Wait for user to continue
+      await this.pause();
+    }
+  }
+
+  async captureCpuProfile({ target, iterations = 2000, top = 15, samplingInterval = 100, outputDir } = {}) {
+    console.log(chalk.blue('\n🔧 V8 CPU Profiler'));
+    console.log(chalk.yellow('Starts the V8 sampling profiler through node:inspector around a workload'));
+    console.log(chalk.gray(`Sampling every ${samplingInterval}µs`));
+
+    console.log(
+      chalk.cyan(
+        target ? `\n🔄 Profiling ${target}...` : `\n🔄 Profiling the built-in workload (${iterations} iterations)...`,
+      ),
+    );
+    const result = await this.analyzer.cpuProfile({ target, iterations, top, samplingInterval, outputDir });
+
+    console.log(
+      chalk.green(`✅ Captured ${result.sampleCount.toLocaleString()} samples over ${result.duration.toFixed(1)}ms`),
+    );
+    this.showCpuProfileTable('🔥 Top functions by self time', result.bySelfTime);
+    this.showCpuProfileTable('🌲 Top functions by total time', result.byTotalTime);
+
+    if (result.file) {
+      console.log(chalk.cyan(`\n💾 Profile saved to ${result.file}`));
+      console.log(chalk.gray('Open it in Chrome DevTools: Performance (or JavaScript Profiler) panel → Load profile'));
+    }
+
+    console.log(chalk.yellow('\n💡 Other ways to profile:'));
+    console.log(chalk.gray('• node --cpu-prof script.js writes a .cpuprofile when the process exits'));
+    console.log(chalk.gray('• node --prof script.js && node --prof-process isolate-*.log > profile.txt'));
+    console.log(chalk.gray('• node --inspect script.js and record in Chrome DevTools'));
+  }
+
+  showCpuProfileTable(title, functions) {
+    console.log(chalk.cyan(`\n${title}:`));
+    console.log(chalk.white('Function'.padEnd(28) + 'Self'.padEnd(18) + 'Total'.padEnd(18) + 'Location'));
+    console.log(chalk.gray('═'.repeat(100)));
+
+    functions.forEach((fn, index) => {
+      const color = index < 3 ? chalk.yellow : chalk.gray;
+      const location = fn.url ? this.formatLocation(fn) : '(native)';
+      console.log(
+        color(
+          fn.functionName.slice(0, 27).padEnd(28) +
+            `${fn.selfTime.toFixed(1)}ms ${fn.selfPercentage.toFixed(1)}%`.padEnd(18) +
+            `${fn.totalTime.toFixed(1)}ms ${fn.totalPercentage.toFixed(1)}%`.padEnd(18) +
+            location,
+        ),
+      );
+    });
+  }
+
+  async processIsolateLog({ logFile, directory, record = false, top = 10 } = {}) {
+    console.log(chalk.blue('\n🧾 --prof Isolate Log Processing'));
+    console.log(chalk.yellow('Runs the V8 tick processor (node --prof-process) and breaks the ticks down'));
+
+    if (this.interactive && !logFile) {
+      const answer = await this.question(
+        chalk.green('Record a fresh log of performance-test.js with node --prof first? (y/N): '),
+      );
+      record = answer.trim().toLowerCase() === 'y';
+    }
+    if (record) console.log(chalk.cyan('\n🔄 Running performance-test.js under node --prof...'));
+
+    const report = await this.analyzer.processIsolateLog({ logFile, directory, record, top });
+
+    console.log(chalk.cyan(`\n📄 ${report.logFile}`));
+    console.log(
+      chalk.gray(
+        `${report.ticks.toLocaleString()} ticks, ${report.unaccounted} unaccounted, ${report.excluded} excluded`,
+      ),
+    );
+
+    console.log(chalk.cyan('\n📊 Where the ticks went:'));
+    report.breakdown.forEach(({ category, ticks, percentage }) => {
+      const barLength = Math.round((percentage / 100) * 40);
+      console.log(
+        chalk.gray(category.padEnd(18)) +
+          chalk.green('█'.repeat(barLength)) +
+          chalk.gray('░'.repeat(40 - barLength)) +
+          chalk.gray(` ${percentage.toFixed(1)}% (${ticks} ticks)`),
+      );
+    });
+
+    if (report.tiers.length > 0) {
+      console.log(chalk.cyan('\n⚙️  JavaScript ticks by execution tier:'));
+      report.tiers.forEach(({ tier, ticks, percentage }) => {
+        console.log(chalk.gray(`  • ${tier}: ${ticks} ticks (${percentage.toFixed(1)}%)`));
+      });
+    }
+
+    this.showTickTable('🟨 Top JavaScript functions', report.javascript);
+    this.showTickTable('🟦 Top C++ functions', report.cpp);
+    this.showTickTable('📚 Shared libraries', report.sharedLibraries);
+
+    console.log(chalk.cyan('\n⬆️  Bottom up (heavy) profile, callers below each hot function:'));
+    report.bottomUp.slice(0, 5).forEach(entry => {
+      console.log(chalk.red(`  ${entry.ticks} ticks (${entry.percentage}%) ${entry.name}`));
+      let callers = entry.callers;
+      for (let depth = 1; depth <= 4 && callers.length > 0; depth++) {
+        const caller = callers[0];
+        console.log(chalk.gray(`  ${'  '.repeat(depth)}← ${caller.name} (${caller.percentage}%)`));
+        callers = caller.callers;
+      }
+    });
+
+    console.log(chalk.cyan('\n⬇️  Top down call tree (frames with at least 5% of the ticks):'));
+    this.showCallTree(report.topDown, report.topDown.value);
+  }
+
+  showTickTable(title, entries) {
+    if (entries.length === 0) return;
+
+    console.log(chalk.cyan(`\n${title}:`));
+    entries.forEach(entry => {
+      const tier = entry.tier ? chalk.gray(` [${entry.tier}]`) : '';
+      console.log(
+        chalk.yellow(`  ${String(entry.ticks).padStart(6)} ${entry.percentage.toFixed(1).padStart(5)}%  `) +
+          chalk.white(entry.name.slice(0, 90)) +
+          tier,
+      );
+    });
+  }
+
+  showCallTree(node, total, { depth = 0, minPercentage = 5, maxDepth = 15 } = {}) {
+    node.children
+      .filter(child => (child.value / total) * 100 >= minPercentage)
+      .forEach(child => {
+        const percentage = ((child.value / total) * 100).toFixed(1);
+        console.log(chalk.gray(`  ${'  '.repeat(depth)}${percentage.padStart(5)}% `) + chalk.white(child.name));
+        if (depth + 1 < maxDepth) this.showCallTree(child, total, { depth: depth + 1, minPercentage, maxDepth });
+      });
+  }
+
+  async customPerformanceMeasurement() {
+    while (true) {
+      console.log(chalk.blue('\n⏱️  Custom Performance Measurement'));
+      console.log(chalk.yellow('This demonstrates custom performance measurement techniques'));
+
+      const choice = await this.question(
+        chalk.green(
+          '\nSelect measurement type:\n1. Function timing\n2. Memory usage tracking\n3. Event loop monitoring\n4. Back\n',
+        ),
+      );
+
+      try {
+        switch (choice.trim()) {
+          case '1':
+            await this.functionTiming();
+            break;
+          case '2':
+            await this.memoryUsageTracking();
+            break;
+          case '3':
+            await this.eventLoopMonitoring();
+            break;
+          case '4':
+            return;
+          default:
+            console.log(chalk.red('❌ Invalid choice.'));
+        }
+      } catch (error) {
+        this.showError(error);
+      }
+
+      // Wait for user to continue
+      await this.pause();
+    }
+  }
+
+  async functionTiming() {
+    console.log(chalk.blue('\n⏱️  Function Timing Analysis'));
+
+    const iterations = 100000;
+    console.log(chalk.yellow(`\n🔄 Running ${iterations.toLocaleString()} iterations for each function...`));
+
+    const timing = await this.analyzer.functionTiming({
+      iterations,
+      onProgress: ({ name, status, duration, error }) => {
+        if (status === 'start') {
+          console.log(chalk.yellow(`  🔄 Testing ${name}...`));
+        } else if (status === 'done') {
+          console.log(chalk.green(`  ✅ ${name}: ${duration.toFixed(2)}ms`));
+        } else {
+          console.log(chalk.red(`  ❌ ${name}: Error - ${error.message}`));
+        }
+      },
+    });
+
+    if (timing.copyLimit < iterations) {
+      console.log(
+        chalk.yellow(
+          `\n⚠️  Object spread and Object.assign() limited to ${timing.copyLimit.toLocaleString()} iterations`,
+        ),
+      );
+    }
+
+    console.log(chalk.yellow('\n📊 Performance Ranking:'));
+    timing.results.forEach((result, index) => {
+      const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '  ';
+      const color = index < 3 ? chalk.green : chalk.gray;
+      console.log(color(`${medal} ${result.name}: ${result.duration.toFixed(2)}ms`));
+    });
+
+    // Performance analysis
+    const { fastest, slowest } = timing;
+    console.log(chalk.cyan('\n📈 Analysis:'));
+    console.log(chalk.gray(`  • Fastest: ${fastest.name} (${fastest.duration.toFixed(2)}ms)`));
+    console.log(chalk.gray(`  • Slowest: ${slowest.name} (${slowest.duration.toFixed(2)}ms)`));
+    console.log(chalk.blue(`  • Speed difference: ${timing.speedup.toFixed(2)}x`));
+  }
+
+  async memoryUsageTracking() {
+    console.log(chalk.blue('\n💾 Memory Usage Tracking'));
+    console.log(chalk.yellow('This demonstrates memory usage monitoring and analysis'));
+
+    const iterations = 100000;
+    console.log(chalk.yellow(`\n🔄 Creating ${iterations.toLocaleString()} objects and tracking memory...`));
+
+    const tracking = await this.analyzer.memoryUsageTracking({ iterations });
+
+    // Display memory analysis
+    console.log(chalk.cyan('\n📊 Memory Usage Analysis:'));
+    console.log(chalk.gray('═'.repeat(80)));
+    console.log(
+      chalk.gray('Phase'.padEnd(15) + 'Heap Used'.padEnd(15) + 'Heap Total'.padEnd(15) + 'External'.padEnd(15)),
+    );
+    console.log(chalk.gray('═'.repeat(80)));
+
+    tracking.snapshots.forEach((snapshot, index) => {
+      const color = index === 0 ? chalk.green : index === tracking.snapshots.length - 1 ? chalk.red : chalk.gray;
+      console.log(
+        color(
+          snapshot.phase.padEnd(15) +
+            this.formatBytes(snapshot.memory.heapUsed).padEnd(15) +
+            this.formatBytes(snapshot.memory.heapTotal).padEnd(15) +
+            this.formatBytes(snapshot.memory.external).padEnd(15),
+        ),
+      );
+    });
+
+    console.log(chalk.gray('═'.repeat(80)));
+
+    console.log(chalk.yellow('\n📈 Memory Growth:'));
+    console.log(chalk.gray(`  • Initial: ${this.formatBytes(tracking.initial)}`));
+    console.log(chalk.gray(`  • Final: ${this.formatBytes(tracking.final)}`));
+    console.log(chalk.blue(`  • Growth: ${this.formatBytes(tracking.growth)}`));
+    console.log(chalk.blue(`  • Growth rate: ${tracking.growthRate.toFixed(2)}%`));
+
+    if (tracking.memoryFreed !== null) {
+      console.log(chalk.green(`\n✅ Freed after GC: ${this.formatBytes(tracking.memoryFreed)}`));
+    }
+  }
+
+  async eventLoopMonitoring() {
+    console.log(chalk.blue('\n🔄 Event Loop Monitoring'));
+    console.log(chalk.yellow('This demonstrates event loop performance monitoring'));
+
+    const duration = 5000; // 5 seconds
+    console.log(chalk.yellow(`\n🔄 Monitoring event loop for ${duration / 1000} seconds...`));
+
+    const stats = await this.analyzer.eventLoopMonitoring({ duration });
+
+    console.log(chalk.cyan('\n📊 Event Loop Performance:'));
+    console.log(chalk.gray(`  • Samples: ${stats.samples.toLocaleString()} every ${stats.resolution}ms`));
+    console.log(chalk.gray(`  • Mean delay: ${stats.mean.toFixed(2)}ms`));
+    console.log(chalk.gray(`  • Worst window p99: ${stats.worstP99.toFixed(2)}ms`));
+    console.log(chalk.gray(`  • Max delay: ${stats.max.toFixed(2)}ms`));
+    console.log(chalk.gray(`  • Utilization: ${(stats.utilization * 100).toFixed(2)}%`));
+    console.log(
+      chalk.gray(
+        `  • Windows with p99 lag > 16ms: ${stats.slowWindows} of ${stats.windows.length} (${stats.slowPercentage.toFixed(2)}%)`,
+      ),
+    );
+
+    const ratingColors = {
+      Excellent: chalk.green,
+      Good: chalk.yellow,
+      Fair: chalk.red,
+      Poor: chalk.red.bold,
+    };
+
+    console.log(chalk.yellow('\n📈 Performance Rating:'));
+    console.log(ratingColors[stats.rating](`  • Rating: ${stats.rating}`));
+
+    if (stats.slowPercentage > 10) {
+      console.log(chalk.red('  • ⚠️  Event loop lag detected - consider optimization'));
+    } else {
+      console.log(chalk.green('  • ✅ Event loop performance is good'));
+    }
+  }
+
+  async functionLevelProfiling() {
+    console.log(chalk.blue('\n🔍 Function-Level Profiling'));
+    console.log(chalk.yellow('This demonstrates detailed function performance analysis'));
+
+    console.log(chalk.yellow('\n🔄 Profiling complex function execution...'));
+
+    const profile = await this.analyzer.functionLevelProfiling({ iterations: 1000 });
+
+    console.log(chalk.cyan('\n📊 Function Performance Statistics:'));
+    console.log(chalk.gray(`  • Iterations: ${profile.iterations}`));
+    console.log(chalk.gray(`  • Average time: ${profile.avgDuration.toFixed(4)}ms`));
+    console.log(chalk.gray(`  • Minimum time: ${profile.minDuration.toFixed(4)}ms`));
+    console.log(chalk.gray(`  • Maximum time: ${profile.maxDuration.toFixed(4)}ms`));
+    console.log(chalk.gray(`  • Standard deviation: ${profile.stdDev.toFixed(4)}ms`));
+
+    // Performance distribution
+    console.log(chalk.yellow('\n📈 Performance Distribution:'));
+    profile.buckets.forEach(bucket => {
+      const percentage = (bucket.count / profile.iterations) * 100;
+      const bar = '█'.repeat(Math.floor(percentage / 2));
+      console.log(chalk.gray(`${bucket.range.padEnd(15)} ${bar} ${percentage.toFixed(1)}%`));
+    });
+
+    const { outliers } = profile;
+    if (outliers.count > 0) {
+      console.log(chalk.yellow('\n⚠️  Performance Outliers:'));
+      console.log(chalk.gray(`  • Outliers detected: ${outliers.count} (${outliers.percentage.toFixed(2)}%)`));
+      console.log(chalk.gray(`  • Threshold: ${outliers.threshold.toFixed(4)}ms`));
+      console.log(chalk.gray(`  • Max outlier: ${outliers.max.toFixed(4)}ms`));
+    }
+  }
+
+  async memoryProfile() {
+    while (true) {
+      console.log(chalk.blue('\n💾 Memory Profiling'));
+      console.log(chalk.yellow('This demonstrates memory profiling and leak detection'));
+
+      const choice = await this.question(
+        chalk.green(
+          '\nSelect profiling method:\n1. Heap snapshot analysis\n2. Memory leak detection\n3. Allocation tracking\n4. Back\n',
+        ),
+      );
+
+      try {
+        switch (choice.trim()) {
+          case '1':
+            await this.heapSnapshotAnalysis();
+            break;
+          case '2':
+            await this.memoryLeakDetection();
+            break;
+          case '3':
+            await this.allocationTracking();
+            break;
+          case '4':
+            return;
+          default:
+            console.log(chalk.red('❌ Invalid choice.'));
+        }
+      } catch (error) {
+        this.showError(error);
+      }
+
+      // Wait for user to continue
+      await this.pause();
+    }
+  }
+
+  async heapSnapshotAnalysis({ file, method = 'v8', top = 20, outputDir } = {}) {
+    console.log(chalk.blue('\n📸 Heap Snapshot Analysis'));
+    if (this.interactive && !file) {
+      const answer = await this.question(
+        chalk.green('A .heapsnapshot file to analyze (Enter to snapshot this process): '),
+      );
+      file = answer.trim() || undefined;
+    }
+    console.log(
+      chalk.yellow(
+        file
+          ? `Parsing ${file} and computing its dominator tree`
+          : `Writing a heap snapshot of this process (${method === 'v8' ? 'v8.writeHeapSnapshot' : 'inspector HeapProfiler'})`,
+      ),
+    );
+    if (!file) console.log(chalk.gray('The process is paused while V8 walks the heap'));
+
+    const snapshot = await this.analyzer.heapSnapshotAnalysis({ file, method, top, outputDir });
+
+    if (snapshot.captureTime !== null) {
+      console.log(chalk.green(`✅ Snapshot written in ${snapshot.captureTime.toFixed(0)}ms`));
+    }
+    console.log(
+      chalk.gray(
+        `${snapshot.nodeCount.toLocaleString()} nodes (${snapshot.reachableCount.toLocaleString()} reachable), ` +
+          `${snapshot.edgeCount.toLocaleString()} edges, analyzed in ${snapshot.analysisTime.toFixed(0)}ms`,
+      ),
+    );
+
+    this.displayHeapSnapshot(snapshot);
+
+    console.log(chalk.cyan(`\n💾 ${snapshot.file}`));
+    console.log(chalk.gray('Open it in Chrome DevTools: Memory panel → Load profile'));
+
+    console.log(chalk.yellow('\n💡 Reading the summary:'));
+    console.log(chalk.gray('• Shallow size is the memory held by the objects themselves'));
+    console.log(chalk.gray('• Retained size is what GC would free if those objects were gone'));
+    console.log(chalk.gray('• A small shallow but large retained size points at the owner of a big structure'));
+    console.log(chalk.gray('• node --heapsnapshot-signal=SIGUSR2 app.js writes snapshots of a running server'));
+  }
+
+  displayHeapSnapshot({ constructors, constructorCount, totalSize }) {
+    console.log(chalk.cyan(`\nTop constructors by retained size (${constructorCount.toLocaleString()} in total):`));
+    console.log(chalk.gray('═'.repeat(90)));
+    console.log(
+      chalk.gray(
+        'Constructor'.padEnd(32) + 'Count'.padEnd(12) + 'Shallow'.padEnd(14) + 'Retained'.padEnd(14) + '% heap',
+      ),
+    );
+    console.log(chalk.gray('═'.repeat(90)));
+
+    constructors.forEach((group, index) => {
+      const color = index < 3 ? chalk.yellow : chalk.gray;
+      console.log(
+        color(
+          group.name.slice(0, 31).padEnd(32) +
+            group.count.toLocaleString().padEnd(12) +
+            this.formatBytes(group.shallowSize).padEnd(14) +
+            this.formatBytes(group.retainedSize).padEnd(14) +
+            `${group.percentage.toFixed(1)}%`,
+        ),
+      );
+    });
+
+    console.log(chalk.gray('═'.repeat(90)));
+    console.log(chalk.cyan(`Total reachable size: ${this.formatBytes(totalSize)}`));
+
+    console.log(chalk.yellow('\n📊 Retained size distribution:'));
+    constructors.slice(0, 10).forEach(group => {
+      const barLength = Math.round((group.percentage / 100) * 40);
+      console.log(
+        chalk.gray(`${group.name.slice(0, 24).padEnd(25)} ${'█'.repeat(barLength)} ${group.percentage.toFixed(1)}%`),
+      );
+    });
+  }
+
+  async memoryLeakDetection({ snapshots = true, top = 10, outputDir } = {}) {
+    console.log(chalk.blue('\n🔍 Memory Leak Detection'));
+    console.log(chalk.yellow('This demonstrates memory leak detection techniques'));
+
+    console.log(chalk.cyan('\n📋 Leak Detection Methods:'));
+    console.log(chalk.gray('• Memory usage monitoring over time'));
+    console.log(chalk.gray('• Heap snapshot comparison'));
+    console.log(chalk.gray('• Reference counting analysis'));
+    console.log(chalk.gray('• Garbage collection monitoring'));
+
+    console.log(chalk.yellow('\n🔄 Growing 50,000 objects over 5 phases, cleaning up only part of them...'));
+    if (snapshots) console.log(chalk.gray('Heap snapshots are taken before, after the phases and after a forced GC'));
+
+    const detection = await this.analyzer.memoryLeakDetection({ snapshots, top, outputDir });
+
+    // Display leak analysis
+    console.log(chalk.cyan('\n📊 Memory Leak Analysis:'));
+    console.log(chalk.gray('═'.repeat(60)));
+    console.log(chalk.gray('Phase'.padEnd(15) + 'Heap Used'.padEnd(20) + 'Objects'.padEnd(15)));
+    console.log(chalk.gray('═'.repeat(60)));
+
+    detection.snapshots.forEach((snapshot, index) => {
+      const color = index === 0 ? chalk.green : chalk.gray;
+      console.log(
+        color(
+          snapshot.phase.padEnd(15) +
+            this.formatBytes(snapshot.heapUsed).padEnd(20) +
+            snapshot.objectCount.toString().padEnd(15),
+        ),
+      );
+    });
+
+    console.log(chalk.gray('═'.repeat(60)));
+
+    console.log(chalk.yellow('\n📈 Leak Detection Results:'));
+    console.log(chalk.gray(`  • Memory growth: ${this.formatBytes(detection.memoryGrowth)}`));
+    console.log(chalk.gray(`  • Growth percentage: ${detection.growthPercentage.toFixed(2)}%`));
+
+    if (detection.verdict === 'leak') {
+      console.log(chalk.red('  • ⚠️  Potential memory leak detected!'));
+      console.log(chalk.red('  • High memory growth suggests objects not being cleaned up'));
+    } else if (detection.verdict === 'moderate') {
+      console.log(chalk.yellow('  • ⚠️  Moderate memory growth - monitor closely'));
+    } else {
+      console.log(chalk.green('  • ✅ Memory usage appears stable'));
+    }
+
+    if (detection.memoryFreed !== null) {
+      console.log(chalk.green(`  • Memory freed after GC: ${this.formatBytes(detection.memoryFreed)}`));
+    }
+
+    if (detection.heapDiff) {
+      this.showHeapComparison(detection.heapDiff, { top });
+      console.log(chalk.gray('\n💡 Load two of the snapshots in Chrome DevTools and pick "Comparison" to dig further'));
+    }
+  }
+
+  async allocationTracking({ samplingInterval = 512, top = 10, outputDir } = {}) {
+    console.log(chalk.blue('\n📊 Allocation Tracking'));
+    console.log(
+      chalk.yellow('Runs each allocation pattern under the sampling heap profiler (HeapProfiler.startSampling)'),
+    );
+    console.log(chalk.gray(`One allocation sampled every ${samplingInterval} bytes on average, with its JS stack`));
+
+    const tracking = await this.analyzer.allocationTracking({ samplingInterval, top, outputDir });
+    console.log(
+      chalk.green(
+        `✅ ${tracking.sampleCount.toLocaleString()} samples, ${this.formatBytes(tracking.totalSize)} attributed to JS stacks`,
+      ),
+    );
+
+    console.log(chalk.cyan('\n📊 Bytes per allocation pattern:'));
+    console.log(chalk.gray('═'.repeat(100)));
+    console.log(
+      chalk.gray(
+        'Pattern'.padEnd(18) +
+          'Function'.padEnd(24) +
+          'Items'.padEnd(8) +
+          'Sampled'.padEnd(14) +
+          'Per item'.padEnd(14) +
+          'Share',
+      ),
+    );
+    console.log(chalk.gray('═'.repeat(100)));
+    tracking.patterns.forEach(pattern => {
+      const barLength = Math.round((pattern.percentage / 100) * 20);
+      console.log(
+        chalk.white(pattern.name.padEnd(18)) +
+          chalk.gray(pattern.functionName.padEnd(24)) +
+          chalk.white(pattern.count.toLocaleString().padEnd(8)) +
+          chalk.yellow(this.formatBytes(pattern.sampledBytes).padEnd(14)) +
+          chalk.white(this.formatBytes(pattern.bytesPerItem).padEnd(14)) +
+          chalk.green('█'.repeat(barLength)) +
+          chalk.gray(` ${pattern.percentage.toFixed(1)}%`),
+      );
+    });
+    console.log(chalk.gray('═'.repeat(100)));
+
+    this.showAllocationTable('🔥 Top functions by self bytes', tracking.bySelfSize);
+    this.showAllocationTable('🌲 Top functions by total bytes', tracking.byTotalSize);
+
+    this.showIcicle(tracking.tree, { unit: tracking.unit });
+
+    console.log(chalk.cyan(`\n💾 Allocation flamegraph saved to ${tracking.file}`));
+
+    console.log(chalk.cyan('\n💡 Allocation Insights:'));
+    tracking.patterns
+      .filter(pattern => pattern.sampledBytes > 0)
+      .forEach(pattern => {
+        const perUnit = pattern.bytesPerItem / pattern.size;
+        console.log(
+          chalk.gray(
+            `  • ${pattern.name}: ~${perUnit.toFixed(1)} bytes per ${pattern.unit} (${pattern.size.toLocaleString()} per item)`,
+          ),
+        );
+      });
+    console.log(chalk.gray('  • Arrays of small integers use one 8-byte slot per element plus a small header'));
+    console.log(chalk.gray("  • 'x'.repeat() builds a rope of cons strings, far smaller than one flat string"));
+    console.log(chalk.gray('  • Samples are estimates; lower the interval for more precise numbers'));
+  }
+
+  showAllocationTable(title, functions) {
+    console.log(chalk.cyan(`\n${title}:`));
+    console.log(chalk.white('Function'.padEnd(28) + 'Self'.padEnd(20) + 'Total'.padEnd(20) + 'Location'));
+    console.log(chalk.gray('═'.repeat(100)));
+
+    functions.forEach((fn, index) => {
+      const color = index < 3 ? chalk.yellow : chalk.gray;
+      const location = fn.url ? this.formatLocation(fn) : '(native)';
+      console.log(
+        color(
+          fn.functionName.slice(0, 27).padEnd(28) +
+            `${this.formatBytes(fn.selfSize)} ${fn.selfPercentage.toFixed(1)}%`.padEnd(20) +
+            `${this.formatBytes(fn.totalSize)} ${fn.totalPercentage.toFixed(1)}%`.padEnd(20) +
+            location,
+        ),
+      );
+    });
+  }
+
+  async generateFlamegraph({ source, iterations = 2000, top = 10, outputDir } = {}) {
+    console.log(chalk.blue('\n🔥 Flamegraph Generation'));
+    if (this.interactive && !source) {
+      const answer = await this.question(
+        chalk.green('A .cpuprofile file or --prof isolate log (Enter to profile the built-in workload): '),
+      );
+      source = answer.trim() || undefined;
+    }
+    console.log(
+      chalk.yellow(
+        source
+          ? `Folding the stacks of ${source}`
+          : `Profiling the built-in workload (${iterations} iterations) and folding its stacks`,
+      ),
+    );
+
+    const flamegraph = await this.analyzer.generateFlamegraph({ source, iterations, top, outputDir });
+
+    this.showIcicle(flamegraph.tree, { unit: flamegraph.unit });
+
+    console.log(chalk.yellow('\n🔥 Performance Hotspots (self time):'));
+    flamegraph.hotspots.forEach(hotspot => {
+      console.log(
+        chalk.red(`  • ${hotspot.name.replace(`${process.cwd()}${path.sep}`, '').slice(0, 100)}`) +
+          chalk.gray(`: ${this.formatWeight(hotspot.self, flamegraph.unit)} (${hotspot.percentage.toFixed(1)}%)`),
+      );
+    });
+
+    console.log(chalk.cyan(`\n💾 Interactive flamegraph saved to ${flamegraph.file}`));
+    console.log(chalk.gray('Open it in a browser: click a frame to zoom in, search to highlight frames'));
+
+    console.log(chalk.cyan('\n📋 Other flamegraph tools:'));
+    console.log(chalk.gray('• Clinic.js flamegraph: clinic flamegraph -- node app.js'));
+    console.log(chalk.gray('• 0x: 0x app.js'));
+  }
+
+  formatWeight(value, unit) {
+    return unit === 'ms' ? `${value.toFixed(1)}ms` : `${Math.round(value).toLocaleString()} ${unit}`;
+  }
+
+  // Terminal icicle view: the root spans the full width on top, callees are drawn below their callers
+  showIcicle(tree, { unit = 'ms', width = 100, maxDepth = 20 } = {}) {
+    const rows = [];
+    const layout = (node, start, size, depth) => {
+      if (depth >= maxDepth || Math.round(start + size) - Math.round(start) < 1) return;
+
+      (rows[depth] ??= []).push({ node, start: Math.round(start), end: Math.round(start + size) });
+      let childStart = start;
+      for (const child of node.children) {
+        const childSize = (child.value / node.value) * size;
+        layout(child, childStart, childSize, depth + 1);
+        childStart += childSize;
+      }
+    };
+    layout(tree, 0, width, 0);
+
+    const colors = [chalk.bgRed, chalk.bgYellow, chalk.bgMagenta, chalk.bgCyan];
+    console.log(
+      chalk.cyan(`\n🧊 Icicle view (${this.formatWeight(tree.value, unit)} total, one row per stack depth):`),
+    );
+
+    rows.forEach(segments => {
+      let line = '';
+      let position = 0;
+      segments.forEach((segment, i) => {
+        line += ' '.repeat(segment.start - position);
+        const size = segment.end - segment.start;
+        // Show just the function name; locations are in the HTML flamegraph
+        const label = segment.node.name.split(' ')[0] || segment.node.name;
+        const percentage = ((segment.node.value / tree.value) * 100).toFixed(1);
+        let text = size > label.length + percentage.length + 3 ? `${label} ${percentage}%` : label;
+        if (size < 4) text = '';
+        // Each cell starts with a separator, so neighbours stay apart without background colours
+        line += colors[i % colors.length].black(`│${text.slice(0, size - 1).padEnd(size - 1)}`);
+        position = segment.end;
+      });
+      console.log(line);
+    });
+  }
+}
@@ -0,0 +1,97 @@
+import chalk from 'chalk';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Prompt and formatting helpers shared by the terminal presenters.
+// Presenters created without a readline interface never prompt, which is how the CLI uses them.
+export class TerminalPresenter {
+  constructor(rl) {
+    this.rl = rl;
+  }
+
+  get interactive() {
+    return Boolean(this.rl);
+  }
+
+  async pause() {
+    if (this.interactive) {
+      await this.question(chalk.gray('\nPress Enter to continue...'));
+    }
+  }
+
+  showError(error) {
+    console.log(chalk.red(`❌ Error occurred: ${error.message}`));
+  }
+
+  formatBytes(bytes) {
+    if (bytes === 0) return '0 B';
+    if (bytes < 0) return '-' + this.formatBytes(-bytes);
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.max(0, Math.floor(Math.log(bytes) / Math.log(k)));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+
+  // Script locations from the inspector, relative to the working directory when inside it
+  formatLocation({ url, lineNumber, columnNumber }) {
+    let file = url || '<anonymous>';
+    if (url.startsWith('file://') || path.isAbsolute(url)) {
+      file = url.startsWith('file://') ? fileURLToPath(url) : url;
+      const relative = path.relative(process.cwd(), file);
+      if (!relative.startsWith('..')) file = relative;
+    }
+    return `${file}:${lineNumber}:${columnNumber}`;
+  }
+
+  // The result of compareHeapSnapshots(): what grew and what survived the forced GC
+  showHeapComparison({ snapshots, grownAfterLoad, grownAfterGc, grownSites, survivors }, { top = 8 } = {}) {
+    // Names are cut to a fixed column so every row fits an 80-column terminal
+    const column = name => name.slice(0, 50).padEnd(52);
+    const site = name => name.replace(`${process.cwd()}${path.sep}`, '');
+    const growthRow = (name, { countDelta, sizeDelta }) =>
+      chalk.white(`  ${column(name)}`) +
+      chalk.yellow(`${countDelta > 0 ? '+' : ''}${countDelta.toLocaleString()}`.padStart(10)) +
+      chalk.yellow(`${sizeDelta > 0 ? '+' : ''}${this.formatBytes(sizeDelta)}`.padStart(14));
+
+    console.log(chalk.cyan('\n📸 Heap snapshots:'));
+    snapshots.forEach(({ phase, nodeCount, totalSize, file }) => {
+      console.log(
+        chalk.gray(
+          `  ${phase.padEnd(12)}${nodeCount.toLocaleString().padStart(12)} nodes ${this.formatBytes(totalSize).padStart(12)}  ${path.basename(file)}`,
+        ),
+      );
+    });
+
+    console.log(chalk.cyan('\n📈 Constructors that grew during the load:'));
+    grownAfterLoad.slice(0, top).forEach(group => console.log(growthRow(group.name, group)));
+
+    console.log(chalk.cyan('\n📈 Constructors still grown after GC:'));
+    grownAfterGc.slice(0, top).forEach(group => console.log(growthRow(group.name, group)));
+
+    console.log(chalk.cyan('\n📍 Allocation sites still grown after GC:'));
+    grownSites.slice(0, top).forEach(group => console.log(growthRow(site(group.name), group)));
+
+    console.log(
+      chalk.cyan(
+        `\n🧟 Allocated during the load and alive after GC: ${survivors.count.toLocaleString()} objects, ${this.formatBytes(survivors.size)}`,
+      ),
+    );
+    survivors.constructors.slice(0, top).forEach(group => {
+      console.log(chalk.red(`  ${column(group.name)}`) + chalk.gray(this.describeGroup(group)));
+    });
+    if (survivors.sites.length > 0) console.log(chalk.cyan('  Allocated by:'));
+    survivors.sites.slice(0, top).forEach(group => {
+      console.log(chalk.red(`  ${column(site(group.name))}`) + chalk.gray(this.describeGroup(group)));
+    });
+  }
+
+  describeGroup({ count, size }) {
+    return `${count.toLocaleString().padStart(10)} ${this.formatBytes(size).padStart(14)}`;
+  }
+
+  question(prompt) {
+    return new Promise(resolve => {
+      this.rl.question(prompt, resolve);
+    });
+  }
+}
@@ -0,0 +1,702 @@
+import chalk from 'chalk';
+import path from 'path';
+import { TerminalPresenter } from './terminal-presenter.js';
+
+export class V8Presenter extends TerminalPresenter {
+  constructor(rl, explorer) {
+    super(rl);
+    this.explorer = explorer;
+  }
+
+  async showHeapStats() {
+    while (true) {
+      console.log(chalk.blue('\n🧠 V8 Heap Statistics'));
+      console.log(chalk.yellow('Exploring V8 memory management and heap structure'));
+
+      const choice = await this.question(
+        chalk.green(
+          '\nSelect analysis:\n1. Current heap stats\n2. Monitor heap growth\n3. Analyze heap structure\n4. Back\n',
+        ),
+      );
+
+      try {
+        switch (choice.trim()) {
+          case '1':
+            await this.displayCurrentHeapStats();
+            break;
+          case '2':
+            await this.monitorHeapGrowth();
+            break;
+          case '3':
+            await this.analyzeHeapStructure();
+            break;
+          case '4':
+            return;
+          default:
+            console.log(chalk.red('❌ Invalid choice.'));
+        }
+      } catch (error) {
+        this.showError(error);
+      }
+
+      // Wait for user to continue
+      await this.pause();
+    }
+  }
+
+  async displayCurrentHeapStats() {
+    console.log(chalk.blue('\n📊 Current V8 Heap Statistics'));
+    console.log(chalk.cyan('═'.repeat(60)));
+
+    const { memUsage, heapUtilization, pressure, trend } = this.explorer.getCurrentHeapStats();
+
+    // V8 heap statistics
+    console.log(chalk.yellow('🏗️  V8 Heap:'));
+    console.log(chalk.gray(`  • Total Heap Size: ${this.formatBytes(memUsage.heapTotal)}`));
+    console.log(chalk.gray(`  • Used Heap Size: ${this.formatBytes(memUsage.heapUsed)}`));
+    console.log(chalk.gray(`  • External Memory: ${this.formatBytes(memUsage.external)}`));
+    console.log(chalk.gray(`  • Array Buffers: ${this.formatBytes(memUsage.arrayBuffers)}`));
+    console.log(chalk.cyan(`  • Heap Utilization: ${heapUtilization.toFixed(2)}%`));
+
+    // Memory pressure indicators
+    this.showMemoryPressureIndicators(pressure);
+
+    // Show memory allocation over time
+    this.showMemoryTrend(trend);
+  }
+
+  showMemoryPressureIndicators({ level, growth }) {
+    console.log(chalk.yellow('\n⚠️  Memory Pressure Indicators:'));
+
+    if (level === 'high') {
+      console.log(chalk.red('  • 🔴 High heap utilization (>90%)'));
+    } else if (level === 'moderate') {
+      console.log(chalk.yellow('  • 🟡 Moderate heap utilization (>70%)'));
+    } else {
+      console.log(chalk.green('  • 🟢 Healthy heap utilization'));
+    }
+
+    if (growth !== null) {
+      if (growth > 10 * 1024 * 1024) {
+        // 10MB growth
+        console.log(chalk.red('  • 🔴 Rapid memory growth detected'));
+      } else if (growth > 0) {
+        console.log(chalk.yellow('  • 🟡 Steady memory growth'));
+      } else {
+        console.log(chalk.green('  • 🟢 Memory stable or decreasing'));
+      }
+    }
+  }
+
+  showMemoryTrend(trend) {
+    if (trend.length < 2) return;
+
+    console.log(chalk.yellow(`\n📈 Memory Trend (Last ${trend.length} snapshots):`));
+
+    const labels = trend.map((_, i) => `T${i + 1}`);
+    const values = trend.map(heapUsed => heapUsed / (1024 * 1024)); // Convert to MB
+
+    // Simple ASCII chart
+    const maxValue = Math.max(...values);
+    const chartHeight = 10;
+
+    for (let i = chartHeight; i >= 0; i--) {
+      const threshold = (maxValue / chartHeight) * i;
+      const line = values.map(value => (value >= threshold ? '█' : '░')).join(' ');
+
+      const yLabel = i === chartHeight ? `${maxValue.toFixed(1)}MB` : i === 0 ? '0MB' : '';
+
+      console.log(chalk.gray(`${yLabel.padStart(8)} ${line}`));
+    }
+
+    console.log(chalk.gray('         ' + labels.join(' ')));
+  }
+
+  async monitorHeapGrowth({ duration } = {}) {
+    console.log(chalk.blue('\n📊 Monitoring Heap Growth'));
+    if (duration) {
+      console.log(chalk.yellow(`Taking snapshots every 2 seconds for ${duration / 1000} seconds.`));
+    } else {
+      console.log(chalk.yellow('Taking snapshots every 2 seconds. Press Enter to stop.'));
+    }
+
+    const controller = new AbortController();
+    const monitoring = this.explorer.monitorHeapGrowth({
+      duration,
+      signal: controller.signal,
+      onSnapshot: (snapshot, count) => {
+        console.log(chalk.cyan(`📸 Snapshot ${count}: ${this.formatBytes(snapshot.heapUsed)}`));
+      },
+    });
+
+    // Wait for the fixed duration, or for user to stop
+    if (!duration) {
+      await this.question(chalk.green('\nPress Enter to stop monitoring...'));
+      controller.abort();
+    }
+
+    const { snapshotCount, gc } = await monitoring;
+    console.log(chalk.green(`✅ Monitoring stopped. Collected ${snapshotCount} snapshots.`));
+    this.showGCActivity(gc);
+  }
+
+  async analyzeHeapStructure() {
+    console.log(chalk.blue('\n🔍 Analyzing Heap Structure'));
+    console.log(
+      chalk.yellow('Reading v8.getHeapSpaceStatistics(), v8.getHeapStatistics() and v8.getHeapCodeStatistics()'),
+    );
+
+    const { spaces, heap, code } = this.explorer.analyzeHeapStructure();
+
+    console.log(chalk.cyan('\n📊 Heap Spaces:'));
+    this.showHeapSpaces(spaces);
+
+    console.log(chalk.yellow('\n🏗️  Whole Heap:'));
+    console.log(
+      chalk.gray(
+        `  • Total size: ${this.formatBytes(heap.totalSize)} (executable ${this.formatBytes(heap.executableSize)})`,
+      ),
+    );
+    console.log(chalk.gray(`  • Used: ${this.formatBytes(heap.usedSize)}`));
+    console.log(chalk.gray(`  • Physical: ${this.formatBytes(heap.physicalSize)}`));
+    console.log(
+      chalk.gray(
+        `  • Available: ${this.formatBytes(heap.availableSize)} of a ${this.formatBytes(heap.sizeLimit)} limit`,
+      ),
+    );
+    console.log(
+      chalk.gray(
+        `  • Malloced: ${this.formatBytes(heap.mallocedMemory)} (peak ${this.formatBytes(heap.peakMallocedMemory)})`,
+      ),
+    );
+    console.log(chalk.gray(`  • External: ${this.formatBytes(heap.externalMemory)}`));
+    console.log(chalk.gray(`  • Native contexts: ${heap.nativeContexts}, detached: ${heap.detachedContexts}`));
+    if (heap.detachedContexts > 0) {
+      console.log(chalk.red('  • 🔴 Detached contexts are usually leaked vm contexts or iframes'));
+    }
+
+    console.log(chalk.yellow('\n⚙️  Code:'));
+    console.log(chalk.gray(`  • Machine code and metadata: ${this.formatBytes(code.codeAndMetadataSize)}`));
+    console.log(chalk.gray(`  • Bytecode and metadata: ${this.formatBytes(code.bytecodeAndMetadataSize)}`));
+    console.log(chalk.gray(`  • External script sources: ${this.formatBytes(code.externalScriptSourceSize)}`));
+  }
+
+  showHeapSpaces(spaces) {
+    console.log(
+      chalk.gray(
+        `  ${'Space'.padEnd(28)}${'Size'.padStart(12)}${'Used'.padStart(12)}${'Available'.padStart(12)}${'Physical'.padStart(12)}`,
+      ),
+    );
+    spaces.forEach(({ name, size, used, available, physical }) => {
+      console.log(
+        chalk.white(`  ${name.padEnd(28)}`) +
+          chalk.gray(this.formatBytes(size).padStart(12)) +
+          chalk.cyan(this.formatBytes(used).padStart(12)) +
+          chalk.gray(this.formatBytes(available).padStart(12)) +
+          chalk.gray(this.formatBytes(physical).padStart(12)),
+      );
+    });
+  }
+
+  // Used bytes of every space at each labelled point of an experiment
+  showSpaceTimeline(timeline) {
+    if (timeline.length < 2) return;
+
+    console.log(chalk.yellow('\n🧭 Heap spaces over time (used):'));
+    const width = 12;
+    console.log(
+      chalk.gray(`  ${'Space'.padEnd(28)}`) +
+        chalk.gray(timeline.map(({ label }) => label.padStart(width)).join('')) +
+        chalk.gray('Change'.padStart(width)),
+    );
+
+    const first = timeline[0].spaces;
+    const last = timeline[timeline.length - 1].spaces;
+    first.forEach(({ name }, i) => {
+      const values = timeline.map(point => point.spaces[i].used);
+      if (values.every(value => value === 0)) return;
+
+      const change = last[i].used - first[i].used;
+      const color = change > 0 ? chalk.red : chalk.green;
+      console.log(
+        chalk.white(`  ${name.padEnd(28)}`) +
+          chalk.cyan(values.map(value => this.formatBytes(value).padStart(width)).join('')) +
+          color(`${change > 0 ? '+' : ''}${this.formatBytes(change)}`.padStart(width)),
+      );
+    });
+  }
+
+  async demonstrateGC() {
+    while (true) {
+      console.log(chalk.blue('\n🗑️  Garbage Collection Demonstration'));
+      console.log(chalk.yellow('This will show how V8 manages memory and performs GC'));
+
+      const choice = await this.question(
+        chalk.green(
+          '\nSelect GC demonstration:\n1. Force garbage collection\n2. Create and release objects\n3. Show GC statistics\n4. Trace the GC experiment with --trace-gc\n5. Compare heap size flags\n6. Back\n',
+        ),
+      );
+
+      try {
+        switch (choice.trim()) {
+          case '1':
+            await this.forceGarbageCollection();
+            break;
+          case '2':
+            await this.createAndReleaseObjects();
+            break;
+          case '3':
+            await this.showGCStatistics();
+            break;
+          case '4':
+            await this.traceGarbageCollection();
+            break;
+          case '5':
+            await this.compareHeapFlags();
+            break;
+          case '6':
+            return;
+          default:
+            console.log(chalk.red('❌ Invalid choice.'));
+        }
+      } catch (error) {
+        this.showError(error);
+      }
+
+      // Wait for user to continue
+      await this.pause();
+    }
+  }
+
+  async forceGarbageCollection() {
+    console.log(chalk.blue('\n🗑️  Forcing Garbage Collection'));
+
+    const event = await this.explorer.forceGarbageCollection();
+
+    if (event) {
+      console.log(chalk.green(`✅ Garbage collection completed!`));
+      console.log(chalk.cyan(`📊 Memory freed: ${this.formatBytes(event.memoryFreed)}`));
+      console.log(chalk.cyan(`📊 Before: ${this.formatBytes(event.before)}`));
+      console.log(chalk.cyan(`📊 After: ${this.formatBytes(event.after)}`));
+    } else {
+      console.log(chalk.red('❌ Garbage collection not available'));
+      console.log(chalk.yellow('Run with --expose-gc flag to enable'));
+      console.log(chalk.gray('Example: node --expose-gc src/index.js'));
+    }
+  }
+
+  async createAndReleaseObjects({ iterations = 100000 } = {}) {
+    console.log(chalk.blue('\n🔨 Creating and Releasing Objects'));
+    console.log(chalk.yellow('This will demonstrate object lifecycle and memory management'));
+
+    console.log(chalk.cyan(`\n🔄 Creating ${iterations.toLocaleString()} objects, then releasing them...`));
+
+    const result = await this.explorer.createAndReleaseObjects({ iterations });
+
+    console.log(chalk.green(`✅ Created ${iterations.toLocaleString()} objects`));
+    console.log(chalk.cyan(`📊 Memory used: ${this.formatBytes(result.memoryUsed)}`));
+    console.log(chalk.green(`✅ Released ${iterations.toLocaleString()} objects`));
+
+    if (result.totalFreed !== null) {
+      console.log(chalk.cyan('\n📊 Memory Analysis:'));
+      console.log(chalk.gray(`  • Immediate release: ${this.formatBytes(result.immediateFreed)}`));
+      console.log(chalk.gray(`  • GC cleanup: ${this.formatBytes(result.gcFreed)}`));
+      console.log(chalk.gray(`  • Total freed: ${this.formatBytes(result.totalFreed)}`));
+    }
+
+    this.showSpaceTimeline(result.spaceTimeline);
+    this.showGCActivity(result.gc);
+  }
+
+  // One line per GC kind for the collections observed while an experiment ran
+  showGCActivity({ count, totalPause, gcTimePercentage, byKind }) {
+    console.log(
+      chalk.cyan(
+        `\n🗑️  GC while running: ${count} collections, ${totalPause.toFixed(2)}ms paused (${gcTimePercentage.toFixed(1)}% of the time)`,
+      ),
+    );
+    byKind.forEach(({ kind, count, totalPause, maxPause }) => {
+      console.log(
+        chalk.gray(`  • ${kind}: ${count}x, ${totalPause.toFixed(2)}ms total, longest ${maxPause.toFixed(2)}ms`),
+      );
+    });
+  }
+
+  async showGCStatistics() {
+    console.log(chalk.blue('\n📊 Garbage Collection Statistics'));
+
+    const { observed, forced } = await this.explorer.getGCStatistics();
+
+    console.log(
+      chalk.cyan(`\n📈 Collections observed in the last ${(observed.elapsed / 1000).toFixed(1)}s: ${observed.count}`),
+    );
+    if (observed.count === 0) {
+      console.log(chalk.yellow('No collections yet. Run some GC demonstrations first.'));
+    } else {
+      this.showObservedGC(observed);
+    }
+
+    if (!forced) return;
+
+    console.log(chalk.yellow(`\n🧹 Forced collections: ${forced.count}`));
+    console.log(chalk.gray(`  • Total memory freed: ${this.formatBytes(forced.totalFreed)}`));
+    console.log(chalk.gray(`  • Average per GC: ${this.formatBytes(forced.avgFreed)}`));
+    console.log(chalk.gray(`  • Maximum freed: ${this.formatBytes(forced.maxFreed)}`));
+
+    // Show recent events
+    console.log(chalk.yellow('\n🕐 Recent forced GCs:'));
+    forced.recent.forEach((event, i) => {
+      const timeAgo = Date.now() - event.timestamp;
+      const timeStr = timeAgo < 60000 ? `${Math.floor(timeAgo / 1000)}s ago` : `${Math.floor(timeAgo / 60000)}m ago`;
+
+      console.log(chalk.gray(`  ${i + 1}. ${this.formatBytes(event.memoryFreed)} freed (${timeStr})`));
+    });
+  }
+
+  showObservedGC({ count, totalPause, maxPause, frequency, gcTimePercentage, byKind, histogram, recent }) {
+    console.log(chalk.yellow('📊 Summary:'));
+    console.log(chalk.gray(`  • Frequency: ${frequency.toFixed(2)} collections/s`));
+    console.log(
+      chalk.gray(`  • Total pause: ${totalPause.toFixed(2)}ms (${gcTimePercentage.toFixed(2)}% of the time)`),
+    );
+    console.log(chalk.gray(`  • Mean pause: ${(totalPause / count).toFixed(2)}ms, longest ${maxPause.toFixed(2)}ms`));
+
+    console.log(chalk.yellow('\n🔎 By kind:'));
+    console.log(
+      chalk.gray(
+        `  ${'Kind'.padEnd(20)}${'Count'.padStart(8)}${'Total'.padStart(12)}${'Mean'.padStart(10)}${'Max'.padStart(10)}`,
+      ),
+    );
+    byKind.forEach(({ kind, count, totalPause, meanPause, maxPause }) => {
+      console.log(
+        chalk.white(`  ${kind.padEnd(20)}`) +
+          chalk.cyan(String(count).padStart(8)) +
+          chalk.gray(`${totalPause.toFixed(2)}ms`.padStart(12)) +
+          chalk.gray(`${meanPause.toFixed(2)}ms`.padStart(10)) +
+          chalk.gray(`${maxPause.toFixed(2)}ms`.padStart(10)),
+      );
+    });
+
+    console.log(chalk.yellow('\n⏱️  Pause times:'));
+    const maxCount = Math.max(...histogram.map(bucket => bucket.count));
+    histogram.forEach(({ min, max, count }) => {
+      const label = max === Infinity ? `>= ${min}ms` : `${min}-${max}ms`;
+      const bar = '█'.repeat(Math.round((count / maxCount) * 40));
+      console.log(chalk.gray(`  ${label.padStart(9)} `) + chalk.green(bar) + chalk.gray(` ${count}`));
+    });
+
+    console.log(chalk.yellow('\n🕐 Recent collections:'));
+    recent.forEach(({ kind, flags, duration }, i) => {
+      const flagStr = flags.length > 0 ? ` [${flags.join(', ')}]` : '';
+      console.log(chalk.gray(`  ${i + 1}. ${kind} ${duration.toFixed(2)}ms${flagStr}`));
+    });
+  }
+
+  async showMemoryPatterns() {
+    console.log(chalk.blue('\n🎯 Memory Allocation Patterns'));
+    console.log(chalk.yellow('Understanding how V8 allocates and manages memory'));
+
+    console.log(chalk.cyan('\n🏗️  V8 Memory Management:'));
+    console.log(chalk.gray('• V8 uses a generational garbage collector'));
+    console.log(chalk.gray('• New objects start in the "New Space" (scavenger)'));
+    console.log(chalk.gray('• Objects that survive multiple GCs move to "Old Space"'));
+    console.log(chalk.gray('• Large objects go directly to "Large Object Space"'));
+
+    console.log(chalk.cyan('\n⚡ Allocation Strategies:'));
+    console.log(chalk.gray('• Fast allocation in New Space (bump pointer)'));
+    console.log(chalk.gray('• Slower allocation in Old Space (free list)'));
+    console.log(chalk.gray('• Special handling for arrays and typed arrays'));
+
+    // Demonstrate different allocation patterns
+    console.log(chalk.yellow('\n🔬 Allocation Pattern Examples:'));
+
+    const result = await this.explorer.allocateMemoryPatterns();
+
+    console.log(chalk.green(`  • Small objects: ${result.smallObjects} created (New Space)`));
+    console.log(chalk.blue(`  • Medium objects: ${result.mediumObjects} created (Old Space)`));
+    console.log(chalk.red(`  • Large object: ${this.formatBytes(result.largeObjectSize)} (Large Object Space)`));
+
+    console.log(chalk.cyan(`\n📊 Current memory: ${this.formatBytes(result.heapUsed)}`));
+
+    if (result.memoryFreed !== null) {
+      console.log(chalk.green(`\n✅ Freed after GC: ${this.formatBytes(result.memoryFreed)}`));
+    }
+
+    this.showSpaceTimeline(result.spaceTimeline);
+    this.showGCActivity(result.gc);
+  }
+
+  async exploreHiddenClasses({ calls = 1000000 } = {}) {
+    console.log(chalk.blue('\n🧬 Hidden Classes & Inline Caches'));
+    console.log(chalk.yellow('Running sample functions in node --allow-natives-syntax --log-ic...'));
+
+    const { shapes, sites } = await this.explorer.exploreHiddenClasses({ calls });
+
+    console.log(chalk.cyan('\n🔷 Object shapes (%HaveSameMap, %HasFastProperties):'));
+    shapes.forEach(({ name, description, sameMap, fastProperties }) => {
+      const mode = fastProperties.every(Boolean) ? chalk.gray('fast properties') : chalk.red('dictionary mode');
+      console.log(
+        chalk.white(`  ${name.padEnd(26)}`) +
+          chalk.gray(description.padEnd(40)) +
+          (sameMap ? chalk.green('same map      ') : chalk.yellow('different maps')) +
+          `  ${mode}`,
+      );
+    });
+
+    console.log(chalk.cyan(`\n🎯 Property load point.x, ${calls.toLocaleString()} calls per site:`));
+    console.log(
+      chalk.gray(
+        `  ${'Function'.padEnd(18)}${'Shapes'.padStart(8)}  ${'IC state'.padEnd(14)}${'ns/call'.padStart(9)}  Status`,
+      ),
+    );
+    sites.forEach(({ functionName, shapeCount, nsPerCall, optimization, ic }) => {
+      const state = ic?.state ?? 'unknown';
+      const color =
+        { monomorphic: chalk.green, polymorphic: chalk.yellow, megamorphic: chalk.red }[state] ?? chalk.gray;
+      console.log(
+        chalk.white(`  ${functionName.padEnd(18)}`) +
+          chalk.gray(String(shapeCount).padStart(8)) +
+          '  ' +
+          color(state.padEnd(14)) +
+          chalk.cyan(nsPerCall.toFixed(2).padStart(9)) +
+          chalk.gray(`  ${optimization.join(', ')}`),
+      );
+      if (ic) console.log(chalk.gray(`  ${''.padEnd(18)}${ic.states.join(' → ')}`));
+    });
+
+    console.log(chalk.yellow('\n💡 Insights:'));
+    console.log(chalk.gray('  • Objects only share a hidden class when properties are added in the same order'));
+    console.log(chalk.gray('  • Deleting a property that was not added last drops the object into dictionary mode'));
+    console.log(chalk.gray('  • An IC caches up to 4 maps (polymorphic); beyond that it goes megamorphic'));
+  }
+
+  async traceDeoptimizations({ target, events: limit = 60, top = 10 } = {}) {
+    console.log(chalk.blue('\n💥 Deoptimization Trace'));
+
+    if (this.interactive && !target) {
+      const answer = await this.question(
+        chalk.green('A script to trace (Enter for the built-in deoptimization demo): '),
+      );
+      target = answer.trim() || undefined;
+    }
+
+    console.log(chalk.yellow('Running it with node --trace-opt --trace-deopt...'));
+    const { target: file, duration, events, functions, reasons } = await this.explorer.traceDeoptimizations({ target });
+
+    const optimized = events.filter(event => event.type === 'optimized').length;
+    const deoptimized = events.filter(event => event.type === 'deoptimized').length;
+    console.log(
+      chalk.cyan(
+        `\n📊 ${path.basename(file)} ran for ${(duration / 1000).toFixed(2)}s: ${optimized} optimizations, ${deoptimized} deoptimizations`,
+      ),
+    );
+
+    console.log(chalk.yellow('\n🕐 Timeline:'));
+    events.slice(0, limit).forEach(event => this.showDeoptEvent(event));
+    if (events.length > limit) {
+      console.log(chalk.gray(`  … ${events.length - limit} more events`));
+    }
+
+    if (reasons.length > 0) {
+      console.log(chalk.yellow('\n🔝 Top deopt reasons:'));
+      console.log(chalk.gray(`  ${'Reason'.padEnd(56)}${'Count'.padStart(7)}  Functions`));
+      reasons.slice(0, top).forEach(({ reason, count, functions }) => {
+        console.log(
+          chalk.red(`  ${reason.slice(0, 54).padEnd(56)}`) +
+            chalk.cyan(String(count).padStart(7)) +
+            chalk.gray(`  ${functions.join(', ')}`),
+        );
+      });
+    }
+
+    console.log(chalk.yellow('\n🔎 Per function:'));
+    console.log(chalk.gray(`  ${'Function'.padEnd(30)}${'Optimized'.padStart(11)}${'Deopts'.padStart(9)}`));
+    functions.slice(0, top).forEach(({ functionName, optimized, deoptimized }) => {
+      const color = deoptimized > 1 ? chalk.red : deoptimized > 0 ? chalk.yellow : chalk.green;
+      console.log(
+        chalk.white(`  ${functionName.slice(0, 28).padEnd(30)}`) +
+          chalk.gray(String(optimized).padStart(11)) +
+          color(String(deoptimized).padStart(9)),
+      );
+    });
+
+    const flapping = functions.filter(({ deoptimized }) => deoptimized > 1);
+    if (flapping.length > 0) {
+      console.log(
+        chalk.red(`\n⚠️  Deoptimized more than once: ${flapping.map(({ functionName }) => functionName).join(', ')}`),
+      );
+      console.log(chalk.gray('  Each cycle throws the optimized code away and re-optimizes, a typical perf cliff'));
+    }
+  }
+
+  showDeoptEvent(event) {
+    switch (event.type) {
+      case 'output':
+        console.log(chalk.gray(`  │ ${event.text.trim()}`));
+        break;
+      case 'optimized':
+        console.log(
+          chalk.green(`  ⚡ optimized ${event.functionName} (${event.target}${event.osr ? ', OSR' : ''})`) +
+            chalk.gray(` in ${event.duration.toFixed(2)}ms${event.reason ? `, ${event.reason}` : ''}`),
+        );
+        break;
+      case 'aborted':
+        console.log(chalk.yellow(`  ⛔ optimization of ${event.functionName} aborted: ${event.reason}`));
+        break;
+      case 'deoptimized':
+        console.log(
+          chalk.red(`  💥 deoptimized ${event.functionName}: ${event.reason}`) +
+            chalk.gray(` (${event.kind}${event.location ? ` at ${this.formatLocation(event.location)}` : ''})`),
+        );
+        break;
+    }
+  }
+
+  async traceGarbageCollection({ target } = {}) {
+    console.log(chalk.blue('\n🔬 Tracing Garbage Collection'));
+    console.log(chalk.yellow('Running the experiment with node --trace-gc --trace-gc-verbose...'));
+
+    const { target: file, duration, events, phases } = await this.explorer.traceGarbageCollection({ target });
+    console.log(
+      chalk.cyan(`\n📊 ${path.basename(file)} ran for ${(duration / 1000).toFixed(2)}s: ${events.length} collections`),
+    );
+
+    console.log(chalk.yellow('\n🕐 Collections by phase:'));
+    console.log(
+      chalk.gray(
+        `  ${'Phase'.padEnd(46)}${'Time'.padStart(8)}  ${'Collector'.padEnd(14)}${'Heap'.padStart(22)}${'External'.padStart(12)}${'Pause'.padStart(10)}  Reason`,
+      ),
+    );
+    let previousPhase = null;
+    events.forEach(event => {
+      const phase = event.phase === previousPhase ? '' : event.phase;
+      previousPhase = event.phase;
+      const color = event.type === 'Scavenge' ? chalk.green : chalk.yellow;
+      const heap = `${this.formatBytes(event.before)} → ${this.formatBytes(event.after)}`;
+      console.log(
+        chalk.white(`  ${phase.slice(0, 44).padEnd(46)}`) +
+          chalk.gray(`${event.time}ms`.padStart(8)) +
+          '  ' +
+          color(`${event.type}${event.reduceMemory ? '*' : ''}`.padEnd(14)) +
+          chalk.cyan(heap.padStart(22)) +
+          chalk.gray((event.externalMemory === null ? '-' : this.formatBytes(event.externalMemory)).padStart(12)) +
+          chalk.magenta(`${event.pause.toFixed(2)}ms`.padStart(10)) +
+          chalk.gray(`  ${event.reason}${event.collectorReason ? ` (${event.collectorReason})` : ''}`),
+      );
+    });
+    if (events.some(event => event.reduceMemory)) {
+      console.log(chalk.gray('  * memory-reducing collection'));
+    }
+
+    console.log(chalk.yellow('\n📋 Per phase:'));
+    console.log(
+      chalk.gray(
+        `  ${'Phase'.padEnd(46)}${'GCs'.padStart(5)}  ${'Collectors'.padEnd(30)}${'Pause'.padStart(10)}${'Freed'.padStart(12)}`,
+      ),
+    );
+    phases.forEach(({ phase, collections, byType, pause, freed }) => {
+      const collectors = Object.entries(byType)
+        .map(([type, count]) => `${count}x ${type}`)
+        .join(', ');
+      console.log(
+        chalk.white(`  ${phase.slice(0, 44).padEnd(46)}`) +
+          chalk.cyan(String(collections).padStart(5)) +
+          chalk.gray(`  ${collectors.padEnd(30)}`) +
+          chalk.magenta(`${pause.toFixed(2)}ms`.padStart(10)) +
+          chalk.green(this.formatBytes(freed).padStart(12)),
+      );
+    });
+
+    console.log(chalk.yellow('\n💡 Insights:'));
+    console.log(chalk.gray('  • "testing" collections are the global.gc() calls, always full Mark-Compacts'));
+    console.log(chalk.gray('  • Buffers live outside the V8 heap: watch the external column, not the heap'));
+    console.log(chalk.gray('  • "external memory pressure" means large Buffer allocations triggered the GC'));
+  }
+
+  async compareHeapFlags({
+    oldSpaceSizes = [64, 256],
+    semiSpaceSizes = [1, 16, 64],
+    iterations = 100000,
+    rounds = 3,
+  } = {}) {
+    console.log(chalk.blue('\n📐 Heap Size Flags'));
+    console.log(
+      chalk.yellow(
+        `Creating and releasing ${iterations.toLocaleString()} objects ${rounds}x in a child process per configuration...`,
+      ),
+    );
+
+    const label = run => `old ${run.oldSpaceSize}MB / semi ${run.semiSpaceSize}MB`;
+    const { runs, best } = await this.explorer.compareHeapFlags({
+      oldSpaceSizes,
+      semiSpaceSizes,
+      iterations,
+      rounds,
+      onRun: run =>
+        console.log(
+          run.failed
+            ? chalk.red(`  • ${label(run)}: ${run.error}`)
+            : chalk.gray(
+                `  • ${label(run)}: ${run.elapsed.toFixed(0)}ms, ${run.scavenges + run.markSweeps} collections`,
+              ),
+        ),
+    });
+
+    console.log(chalk.cyan('\n📊 Comparison:'));
+    console.log(
+      chalk.white(
+        '  ' +
+          'Old space'.padEnd(11) +
+          'Semi space'.padEnd(12) +
+          'Scavenges'.padStart(10) +
+          'Mark-sweeps'.padStart(13) +
+          'Pause'.padStart(11) +
+          'GC time'.padStart(9) +
+          'Peak RSS'.padStart(12) +
+          'Objects/s'.padStart(13),
+      ),
+    );
+    console.log(chalk.gray('  ' + '─'.repeat(91)));
+    runs.forEach(run => {
+      const sizes = `${run.oldSpaceSize}MB`.padEnd(11) + `${run.semiSpaceSize}MB`.padEnd(12);
+      if (run.failed) {
+        console.log(chalk.red(`  ${sizes}${run.outOfMemory ? '💀 out of memory' : `❌ ${run.error}`}`));
+        return;
+      }
+
+      const isBest = run === best.throughput;
+      const color = isBest ? chalk.green.bold : chalk.gray;
+      console.log(
+        color(
+          '  ' +
+            sizes +
+            String(run.scavenges).padStart(10) +
+            String(run.markSweeps).padStart(13) +
+            `${run.totalPause.toFixed(1)}ms`.padStart(11) +
+            `${run.gcTimePercentage.toFixed(1)}%`.padStart(9) +
+            this.formatBytes(run.peakRss).padStart(12) +
+            Math.round(run.throughput).toLocaleString().padStart(13) +
+            (isBest ? ' 🏆' : ''),
+        ),
+      );
+    });
+
+    if (!best.throughput) {
+      console.log(chalk.red('\n❌ No configuration completed the workload'));
+      return;
+    }
+
+    console.log(chalk.green(`\n🏆 Highest throughput: ${best.throughput.flags.join(' ')}`));
+    console.log(
+      chalk.cyan(`⏱️  Least time paused: ${label(best.totalPause)} (${best.totalPause.totalPause.toFixed(1)}ms)`),
+    );
+    console.log(chalk.cyan(`💾 Smallest peak RSS: ${label(best.peakRss)} (${this.formatBytes(best.peakRss.peakRss)})`));
+
+    console.log(chalk.yellow('\n💡 Insights:'));
+    console.log(chalk.gray('  • A larger semi space means fewer scavenges: short-lived objects die before it fills'));
+    console.log(chalk.gray('  • The young generation is paid for in RSS, up to three semi spaces of it'));
+    console.log(
+      chalk.gray('  • Too small an old space forces mark-sweeps and, past the live set, crashes the process'),
+    );
+  }
+}
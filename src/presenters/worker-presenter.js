@@ -0,0 +1,301 @@
+import chalk from 'chalk';
+import { cpus } from 'os';
+import { TerminalPresenter } from './terminal-presenter.js';
+
+export class WorkerPresenter extends TerminalPresenter {
+  constructor(rl, manager) {
+    super(rl);
+    this.manager = manager;
+  }
+
+  async cpuIntensiveTask() {
+    while (true) {
+      console.log(chalk.blue('\n🧵 CPU-Intensive Task with Worker Threads'));
+      console.log(chalk.yellow('This will demonstrate how worker threads can handle CPU-intensive work'));
+
+      const choice = await this.question(
+        chalk.green('\nSelect task type:\n1. Single worker\n2. Multiple workers\n3. Worker pool\n4. Back\n'),
+      );
+
+      try {
+        switch (choice.trim()) {
+          case '1':
+            await this.singleWorkerTask();
+            break;
+          case '2':
+            await this.multipleWorkersTask();
+            break;
+          case '3':
+            await this.workerPoolTask();
+            break;
+          case '4':
+            return;
+          default:
+            console.log(chalk.red('❌ Invalid choice.'));
+        }
+      } catch (error) {
+        this.showError(error);
+      }
+
+      // Wait for user to continue
+      await this.pause();
+    }
+  }
+
+  async singleWorkerTask({ iterations = 100000000 } = {}) {
+    console.log(chalk.blue('\n🧵 Single Worker Thread Task'));
+    console.log(chalk.yellow(`\n🔄 Running ${iterations.toLocaleString()} iterations...`));
+    console.log(chalk.cyan('⏱️  Running in main thread, then in a worker thread...'));
+
+    const { main, worker, speedup, difference } = await this.manager.singleWorkerTask({ iterations });
+
+    console.log(chalk.green(`✅ Main thread completed in ${main.duration.toFixed(2)}ms`));
+    console.log(chalk.gray(`Result: ${main.result.toFixed(2)}`));
+    console.log(chalk.green(`✅ Worker thread completed in ${worker.duration.toFixed(2)}ms`));
+    console.log(chalk.gray(`Result: ${worker.result.toFixed(2)}`));
+
+    // Compare performance
+    console.log(chalk.yellow(`\n📊 Performance Comparison:`));
+    console.log(chalk.gray(`  • Main thread: ${main.duration.toFixed(2)}ms`));
+    console.log(chalk.gray(`  • Worker thread: ${worker.duration.toFixed(2)}ms`));
+    console.log(chalk.blue(`  • Speedup: ${speedup.toFixed(2)}x`));
+
+    // Verify results are similar
+    if (difference < 0.01) {
+      console.log(chalk.green(`  • ✅ Results match (difference: ${difference.toFixed(6)})`));
+    } else {
+      console.log(chalk.red(`  • ❌ Results differ (difference: ${difference.toFixed(6)})`));
+    }
+
+    console.log(chalk.yellow('\n🔥 Event Loop Utilization:'));
+    console.log(chalk.gray(`  • Main thread during its own run: ${this.formatUtilization(main.utilization)}`));
+    console.log(
+      chalk.gray(`  • Main thread while the worker ran: ${this.formatUtilization(worker.utilization.total.main)}`),
+    );
+    console.log(chalk.gray(`  • Worker thread: ${this.formatUtilization(worker.utilization.total.worker)}`));
+    this.showUtilizationTimeline(worker.utilization);
+  }
+
+  async multipleWorkersTask({ iterations = 100000000, workerCount = 4 } = {}) {
+    console.log(chalk.blue('\n🧵 Multiple Worker Threads Task'));
+
+    console.log(
+      chalk.yellow(`\n🔄 Running ${iterations.toLocaleString()} iterations across ${workerCount} workers...`),
+    );
+    console.log(chalk.gray(`Each worker handles ${Math.floor(iterations / workerCount).toLocaleString()} iterations`));
+
+    const result = await this.manager.multipleWorkersTask({ iterations, workerCount });
+
+    console.log(chalk.green(`\n✅ All workers completed in ${result.duration.toFixed(2)}ms`));
+    console.log(chalk.gray(`Total result: ${result.totalResult.toFixed(2)}`));
+
+    // Show individual worker results
+    console.log(chalk.cyan('\n📊 Worker Results:'));
+    result.results.forEach((workerResult, i) => {
+      console.log(chalk.gray(`  • Worker ${i}: ${workerResult.toFixed(2)}`));
+    });
+
+    console.log(chalk.yellow('\n📈 Performance Analysis:'));
+    console.log(chalk.gray(`  • Single worker: ${result.single.duration.toFixed(2)}ms`));
+    console.log(chalk.gray(`  • Multiple workers: ${result.duration.toFixed(2)}ms`));
+    console.log(chalk.blue(`  • Speedup: ${result.speedup.toFixed(2)}x`));
+
+    this.showUtilizationSummary(result.utilization);
+  }
+
+  async workerPoolTask({ taskCount = 20, poolSize = Math.min(4, cpus().length) } = {}) {
+    console.log(chalk.blue('\n🧵 Worker Pool Management'));
+    console.log(chalk.yellow('This demonstrates efficient worker pool usage for multiple tasks'));
+
+    console.log(chalk.cyan(`\n🏊 Creating worker pool with ${poolSize} workers...`));
+    console.log(chalk.yellow(`🔄 Processing ${taskCount} tasks...`));
+
+    const result = await this.manager.workerPoolTask({ taskCount, poolSize });
+
+    console.log(chalk.green(`\n✅ All tasks completed in ${result.duration.toFixed(2)}ms`));
+
+    // Show task results
+    console.log(chalk.cyan('\n📊 Task Results:'));
+    result.tasks.forEach(task => {
+      console.log(
+        chalk.gray(`  • Task ${task.id}: ${task.result.toFixed(2)} (complexity: ${task.complexity.toLocaleString()})`),
+      );
+    });
+
+    // Pool statistics
+    console.log(chalk.yellow('\n🏊 Pool Statistics:'));
+    console.log(chalk.gray(`  • Pool size: ${poolSize}`));
+    console.log(chalk.gray(`  • Tasks processed: ${taskCount}`));
+    console.log(chalk.gray(`  • Average time per task: ${result.averageTaskTime.toFixed(2)}ms`));
+
+    this.showUtilizationSummary(result.utilization);
+    console.log(chalk.green('✅ Worker pool cleaned up'));
+  }
+
+  async sharedMemoryDemo() {
+    while (true) {
+      console.log(chalk.blue('\n🧠 Shared Memory Demonstration'));
+      console.log(chalk.yellow('This shows how worker threads can share memory using SharedArrayBuffer'));
+
+      const bufferSize = 1000000; // 1 million integers
+      const sharedArray = this.createSharedArray(bufferSize);
+
+      const choice = await this.question(
+        chalk.green('\nSelect operation:\n1. Parallel processing\n2. Concurrent updates\n3. Back\n'),
+      );
+
+      try {
+        switch (choice.trim()) {
+          case '1':
+            await this.parallelProcessing(sharedArray, bufferSize);
+            break;
+          case '2':
+            await this.concurrentUpdates(sharedArray, bufferSize);
+            break;
+          case '3':
+            return;
+          default:
+            console.log(chalk.red('❌ Invalid choice.'));
+        }
+      } catch (error) {
+        this.showError(error);
+      }
+
+      // Wait for user to continue
+      await this.pause();
+    }
+  }
+
+  createSharedArray(bufferSize) {
+    console.log(chalk.cyan(`\n🔄 Creating shared buffer with ${bufferSize.toLocaleString()} integers...`));
+
+    const sharedArray = this.manager.createSharedArray(bufferSize);
+
+    console.log(chalk.green(`✅ Shared buffer created and initialized`));
+    console.log(chalk.gray(`Buffer size: ${this.formatBytes(sharedArray.buffer.byteLength)}`));
+
+    // Verify initialization worked
+    console.log(chalk.cyan(`🔍 Initialization check:`));
+    console.log(chalk.gray(`  • sharedArray[0]: ${sharedArray[0]}`));
+    console.log(chalk.gray(`  • sharedArray[1]: ${sharedArray[1]}`));
+    console.log(chalk.gray(`  • sharedArray[99]: ${sharedArray[99]}`));
+
+    return sharedArray;
+  }
+
+  async parallelProcessing(sharedArray, bufferSize) {
+    console.log(chalk.blue('\n🔄 Parallel Processing with Shared Memory'));
+
+    const workerCount = 4;
+
+    console.log(chalk.yellow(`\n🔄 Processing ${bufferSize.toLocaleString()} elements with ${workerCount} workers...`));
+    console.log(
+      chalk.cyan(`📊 Each worker processes ~${Math.floor(bufferSize / workerCount).toLocaleString()} elements`),
+    );
+    console.log(chalk.cyan(`🔧 Operation: Square each element (x → x²)`));
+
+    const result = await this.manager.parallelProcessing(sharedArray, bufferSize, { workerCount });
+
+    console.log(chalk.green(`\n✅ Parallel processing completed in ${result.duration.toFixed(2)}ms`));
+
+    console.log(chalk.cyan(`📊 Performance Metrics:`));
+    console.log(chalk.gray(`  • Throughput: ${result.throughput.toLocaleString()} elements/second`));
+    console.log(chalk.gray(`  • Elements per worker: ${(bufferSize / workerCount).toLocaleString()}`));
+    console.log(chalk.gray(`  • Average time per worker: ${(result.duration / workerCount).toFixed(2)}ms`));
+
+    // Show sample values before and after
+    console.log(chalk.cyan(`\n📊 Sample Values (first ${result.sample.length} elements):`));
+    console.log(chalk.gray(`  • Before: ${result.sample.map((_, i) => i).join(', ')}`));
+    console.log(chalk.gray(`  • After:  ${result.sample.join(', ')}`));
+
+    const { verification } = result;
+    console.log(chalk.cyan(`\n📊 Verification (first ${verification.elements} elements):`));
+    console.log(chalk.gray(`  • Sum: ${verification.sum.toLocaleString()}`));
+    console.log(chalk.gray(`  • Expected: ${verification.expectedSum.toLocaleString()}`));
+    console.log(chalk.gray(`  • Operation: Square (x²)`));
+    console.log(chalk.gray(`  • Formula: 0² + 1² + 2² + ... + ${verification.elements - 1}²`));
+
+    if (verification.success) {
+      console.log(chalk.green(`  • ✅ Processing successful`));
+    } else {
+      console.log(chalk.red(`  • ❌ Processing failed`));
+      console.log(
+        chalk.yellow(`  • Difference: ${Math.abs(verification.sum - verification.expectedSum).toLocaleString()}`),
+      );
+    }
+  }
+
+  async concurrentUpdates(sharedArray, bufferSize) {
+    console.log(chalk.blue('\n🔄 Concurrent Updates with Shared Memory'));
+
+    const updateCount = 100000;
+    console.log(chalk.yellow(`\n🔄 Performing ${updateCount.toLocaleString()} concurrent updates...`));
+
+    const result = await this.manager.concurrentUpdates(sharedArray, bufferSize, { updateCount });
+
+    console.log(chalk.green(`\n✅ Concurrent updates completed in ${result.duration.toFixed(2)}ms`));
+
+    // Show some sample values
+    console.log(chalk.cyan(`\n📊 Sample Values:`));
+    result.sample.forEach((value, i) => {
+      console.log(chalk.gray(`  • Index ${i}: ${value}`));
+    });
+
+    this.showUtilizationSummary(result.utilization);
+  }
+
+  formatUtilization({ utilization }) {
+    return `${(utilization * 100).toFixed(1)}%`;
+  }
+
+  createUtilizationBar({ utilization }, width = 20) {
+    const filled = Math.round(utilization * width);
+    const color = utilization > 0.9 ? chalk.red : utilization > 0.5 ? chalk.yellow : chalk.green;
+    return color('█'.repeat(filled) + '░'.repeat(width - filled));
+  }
+
+  // Main thread and worker utilization per sampling interval, thinned out to about 10 rows
+  showUtilizationTimeline(report) {
+    const { intervals } = report;
+    const step = Math.ceil(intervals.length / 10);
+
+    console.log(chalk.cyan(`\n📊 Utilization per ${report.interval}ms interval (showing every ${step}):`));
+    console.log(chalk.gray('Elapsed'.padEnd(10) + 'Main thread'.padEnd(30) + 'Worker'));
+
+    const label = interval => `${(interval.elapsed / 1000).toFixed(1)}s`;
+    const rows = intervals.filter((_, i) => i % step === 0 || i === intervals.length - 1);
+
+    // The final reading stop() takes can land within the same tenth of a second as the one before it
+    rows
+      .filter((interval, i) => i === rows.length - 1 || label(interval) !== label(rows[i + 1]))
+      .forEach(interval => {
+        console.log(
+          chalk.gray(label(interval).padEnd(10)) +
+            this.createUtilizationBar(interval.main) +
+            chalk.gray(` ${this.formatUtilization(interval.main).padEnd(9)}`) +
+            this.createUtilizationBar(interval.worker) +
+            chalk.gray(` ${this.formatUtilization(interval.worker)}`),
+        );
+      });
+  }
+
+  showUtilizationSummary(reports) {
+    console.log(chalk.cyan('\n🔥 Event Loop Utilization per Worker:'));
+    console.log(
+      chalk.gray('Worker'.padEnd(10) + 'Active'.padEnd(14) + 'Idle'.padEnd(14) + 'Worker ELU'.padEnd(34) + 'Main ELU'),
+    );
+
+    reports.forEach((report, i) => {
+      const { main, worker } = report.total;
+      console.log(
+        chalk.gray(
+          `#${report.workerId ?? i}`.padEnd(10) +
+            `${worker.active.toFixed(1)}ms`.padEnd(14) +
+            `${worker.idle.toFixed(1)}ms`.padEnd(14),
+        ) +
+          this.createUtilizationBar(worker) +
+          chalk.gray(` ${this.formatUtilization(worker).padEnd(13)}${this.formatUtilization(main)}`),
+      );
+    });
+  }
+}
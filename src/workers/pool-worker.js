@@ -1,11 +1,7 @@
-import { parentPort, workerData } from 'worker_threads';
+import { parentPort } from 'worker_threads';
 
 // Pool worker for handling tasks from the worker pool
 if (parentPort) {
-  const { workerId } = workerData;
-
-  console.log(`Worker ${workerId} initialized and ready for tasks`);
-
   // Listen for tasks from the main thread
   parentPort.on('message', async message => {
     if (message.type === 'task') {
@@ -0,0 +1,106 @@
+import { Session } from 'inspector';
+import { parentPort, workerData } from 'worker_threads';
+
+// Watchdog for blocking code: watches the main thread's heartbeat and, while it is stalled,
+// pauses the main thread through the inspector to record its call stack.
+if (parentPort) {
+  const { heartbeat, threshold, pollInterval, sampleInterval, maxSamples } = workerData;
+  const lastBeat = new BigInt64Array(heartbeat);
+  const session = new Session();
+
+  const scripts = new Map();
+  let stall = null;
+  let pausing = false;
+
+  const readBeat = () => Number(Atomics.load(lastBeat, 0));
+
+  const post = (method, params = {}) =>
+    new Promise((resolve, reject) => {
+      session.post(method, params, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+
+  const captureStack = () => {
+    if (pausing || stall.samples.length >= maxSamples) return;
+
+    pausing = true;
+    stall.lastSample = Date.now();
+    // The pause is delivered as an interrupt, so it lands even while the main thread is busy
+    post('Debugger.pause').catch(() => {
+      pausing = false;
+    });
+  };
+
+  // Call frames only carry a scriptId, so remember where each script came from
+  session.on('Debugger.scriptParsed', ({ params }) => {
+    scripts.set(params.scriptId, params.url);
+  });
+
+  session.on('Debugger.paused', ({ params }) => {
+    if (stall) {
+      stall.samples.push({
+        at: Date.now() - stall.start,
+        frames: params.callFrames.map(frame => ({
+          functionName: frame.functionName || '(anonymous)',
+          url: scripts.get(frame.location.scriptId) ?? '',
+          lineNumber: frame.location.lineNumber + 1,
+          columnNumber: frame.location.columnNumber + 1,
+        })),
+      });
+    }
+
+    post('Debugger.resume')
+      .catch(() => {})
+      .finally(() => {
+        pausing = false;
+      });
+  });
+
+  const finishStall = endBeat => {
+    parentPort.postMessage({
+      type: 'stall',
+      stall: {
+        start: stall.start,
+        duration: endBeat - stall.start,
+        samples: stall.samples,
+      },
+    });
+    stall = null;
+  };
+
+  const poll = () => {
+    const beat = readBeat();
+    const lag = Date.now() - beat;
+
+    if (stall && beat > stall.start) {
+      // The main thread is running again
+      finishStall(beat);
+    }
+
+    if (!stall && lag > threshold) {
+      stall = { start: beat, samples: [], lastSample: 0 };
+      captureStack();
+    } else if (stall && Date.now() - stall.lastSample >= sampleInterval) {
+      captureStack();
+    }
+  };
+
+  let timer = null;
+
+  // Listening on parentPort also keeps the worker alive while inspector commands are pending
+  parentPort.on('message', async message => {
+    if (message.type !== 'stop') return;
+
+    clearInterval(timer);
+    if (stall) finishStall(readBeat());
+
+    await post('Debugger.disable').catch(() => {});
+    session.disconnect();
+    parentPort.postMessage({ type: 'stopped' });
+  });
+
+  session.connectToMainThread();
+  await post('Debugger.enable');
+
+  timer = setInterval(poll, pollInterval);
+  parentPort.postMessage({ type: 'ready' });
+}